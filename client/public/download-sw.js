@@ -0,0 +1,76 @@
+/**
+ * Download Service Worker
+ * =======================
+ *
+ * Streams decrypted files to disk. The page registers a download and
+ * sends the plaintext chunk by chunk over a MessagePort; navigating to
+ * the download URL answers with a stream of those chunks, which the
+ * browser saves like any other download. Nothing is stored here.
+ */
+
+// Download URLs live under the worker's scope
+const DOWNLOAD_PREFIX = new URL('__download__/', self.registration.scope).pathname;
+
+// Download ID -> { stream, name, type, size }
+const downloads = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  const port = event.ports[0];
+  if (!data || data.type !== 'download' || !port) return;
+
+  // One chunk is queued at a time - the page waits for a pull before sending the next
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data: message }) => {
+        if (message.type === 'chunk') {
+          controller.enqueue(new Uint8Array(message.chunk));
+        } else if (message.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (message.type === 'abort') {
+          controller.error(new Error('Download aborted'));
+          port.close();
+          downloads.delete(data.id);
+        }
+      };
+    },
+    pull() {
+      port.postMessage({ type: 'pull' });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+      port.close();
+    }
+  });
+
+  downloads.set(data.id, { stream, name: data.name, type: data.mimeType, size: data.size });
+  port.postMessage({ type: 'registered' });
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (!url.pathname.startsWith(DOWNLOAD_PREFIX)) return;
+
+  const id = url.pathname.slice(DOWNLOAD_PREFIX.length).split('/')[0];
+  const download = downloads.get(id);
+  if (!download) {
+    event.respondWith(new Response('Download not found', { status: 404 }));
+    return;
+  }
+  downloads.delete(id);
+
+  const headers = {
+    'Content-Type': download.type || 'application/octet-stream',
+    'Content-Disposition': "attachment; filename*=UTF-8''" + encodeURIComponent(download.name),
+    'X-Content-Type-Options': 'nosniff'
+  };
+  if (Number.isFinite(download.size)) {
+    headers['Content-Length'] = String(download.size);
+  }
+
+  event.respondWith(new Response(download.stream, { headers }));
+});
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback, lazy, Suspense } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { LoadingSpinner } from './components/common';
+import { hasKeyVault, isKeyStoreUnlocked, lockKeyStore } from './crypto/keyStore';
 import './theme.css';
 import './App.css';
 
@@ -8,6 +9,8 @@ import './App.css';
 const Login = lazy(() => import('./components/Login'));
 const Register = lazy(() => import('./components/Register'));
 const Chat = lazy(() => import('./components/Chat'));
+const Unlock = lazy(() => import('./components/Unlock'));
+const SharedFile = lazy(() => import('./components/SharedFile'));
 
 // Loading fallback component
 const PageLoader = () => (
@@ -21,36 +24,53 @@ const PageLoader = () => (
 function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [keysUnlocked, setKeysUnlocked] = useState(false);
 
   useEffect(() => {
     // Check if user is logged in (token in localStorage)
-    const token = localStorage.getItem('token');
-    const userData = localStorage.getItem('user');
-    
-    if (token && userData) {
-      try {
-        setUser(JSON.parse(userData));
-      } catch (e) {
-        // Invalid user data, clear storage
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+    const restoreSession = async () => {
+      const token = localStorage.getItem('token');
+      const userData = localStorage.getItem('user');
+      
+      if (token && userData) {
+        try {
+          const savedUser = JSON.parse(userData);
+          
+          // Keys can only be unlocked if this device has them - otherwise sign in again
+          if (!(await hasKeyVault(savedUser.id))) {
+            throw new Error('No key vault on this device');
+          }
+          setUser(savedUser);
+          setKeysUnlocked(isKeyStoreUnlocked(savedUser.id));
+        } catch (e) {
+          // Invalid user data or no keys, clear storage
+          localStorage.removeItem('token');
+          localStorage.removeItem('user');
+        }
       }
-    }
-    setLoading(false);
+      setLoading(false);
+    };
+    
+    restoreSession();
   }, []);
 
   // Memoized callbacks to prevent unnecessary re-renders
   const handleLogin = useCallback((userData, token) => {
     localStorage.setItem('token', token);
     localStorage.setItem('user', JSON.stringify(userData));
+    setKeysUnlocked(true);
     setUser(userData);
   }, []);
 
+  const handleUnlock = useCallback(() => {
+    setKeysUnlocked(true);
+  }, []);
+
   const handleLogout = useCallback(() => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
-    sessionStorage.removeItem('signingKey');
-    sessionStorage.removeItem('keyExchangeKey');
+    lockKeyStore();
+    setKeysUnlocked(false);
     setUser(null);
   }, []);
 
@@ -73,8 +93,14 @@ function App() {
             />
             <Route 
               path="/chat" 
-              element={user ? <Chat user={user} onLogout={handleLogout} /> : <Navigate to="/login" replace />} 
+              element={user
+                ? (keysUnlocked
+                  ? <Chat user={user} onLogout={handleLogout} />
+                  : <Unlock user={user} onUnlock={handleUnlock} onLogout={handleLogout} />)
+                : <Navigate to="/login" replace />} 
             />
+            {/* Share links work without an account */}
+            <Route path="/s/:token" element={<SharedFile />} />
             <Route path="*" element={<Navigate to={user ? "/chat" : "/login"} replace />} />
           </Routes>
         </Suspense>
@@ -1,9 +1,14 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo, memo } from 'react';
-import { getUsers, getUser } from '../services/api';
-import { initSocket, joinRoom, onMessage, disconnect, onKexInit, onKexResponse, onKexConfirm, sendKexInit, sendKexResponse, sendKexConfirm, getSocket, onFileShared, emitFileShared } from '../services/socket';
-import { Avatar } from './common';
-import { getPrivateKey } from '../crypto/keyStore';
-import { encryptMessage, decryptMessage } from '../crypto/encryption';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo, memo } from 'react';
+import { getUsers, getMessages, getPeerFiles, getPreKeyBundle } from '../services/api';
+import { initSocket, joinRoom, onMessage, disconnect, onKexInit, onKexResponse, onKexConfirm, sendKexInit, sendKexResponse, sendKexConfirm, sendKexPrekey, onKexPrekey, onKexPeerOffline, onPreKeysLow, onKeysChanged, onDevicesChanged, onConnectError, onFileShared, onFileDeleted, emitFileShared, encryptForPeer, queueReceipt, onReceipt, decryptOwnCopy, sendMessageControl, openMessageControl, onMessageControl } from '../services/socket';
+import { startOutbox, enqueueMessage, retryMessage, getOutboxEntries, onOutboxUpdate } from '../services/outbox';
+import { ensurePreKeys } from '../services/preKeyService';
+import { decryptFileList, getFileThumbnail } from '../services/fileService';
+import { startDirectTransfers, onDirectTransferUpdate, acceptDirectTransfer, declineDirectTransfer } from '../services/directTransfer';
+import { getDeviceId, deviceAddress, getActiveDevices, getDeviceKeys, invalidateDevices, clearDeviceDirectory } from '../services/device';
+import { Avatar, LoadingSpinner } from './common';
+import { getSigningKey, getKeyExchangeKey } from '../crypto/keyStore';
+import { decryptMessage } from '../crypto/encryption';
 import { deriveConversationKey } from '../crypto/conversationKey';
 import { 
   generateEphemeralKeyPair, 
@@ -18,10 +23,85 @@ import {
   storePendingKex, 
   getPendingKex, 
   removePendingKex,
+  removeSessionKey,
   clearAllSessionKeys 
 } from '../crypto/sessionKeyStore';
-import { FileUploadButton, FileShareModal, FileMessage, useFileHandler } from './FileShare';
-import { addReplayProtection } from '../utils/replayProtection';
+import { initRatchet, ratchetDecrypt, clearRatchet, clearAllRatchets } from '../crypto/ratchet';
+import { archiveSessionMessage, getArchivedSessionMessage, removeArchivedMessage } from '../crypto/messageArchive';
+import { createPreKeyHandshake, processPreKeyHandshake } from '../crypto/prekeys';
+import { FileUploadButton, FileShareModal, FileForwardModal, ArchiveBrowserModal, DirectTransferPanel, FileMessage, useFileHandler } from './FileShare';
+import { VerificationBadge, KeyChangeWarning, SafetyNumberModal, useSafetyNumber } from './SafetyNumber';
+import { DevicesModal } from './Devices';
+import { KeyBackupModal } from './KeyBackup';
+import { GroupListItem, GroupChat, CreateGroupModal, GroupMembersModal, useGroups } from './Groups';
+
+// History paging - matches the server's default page size
+const HISTORY_PAGE_SIZE = 50;
+// Load older history when scrolled within this many pixels of the top
+const SCROLL_TOP_THRESHOLD = 80;
+
+// Server ID of a history item (text messages and files are paged separately)
+const getMessageId = (msg) => (msg.type === 'file' ? msg.file?._id : msg.id);
+
+const getMessageKey = (msg, index) => getMessageId(msg) || `${msg.timestamp}-${index}`;
+
+// Conversations with a deleted file's message removed (unchanged if it is not shown)
+const withoutFile = (messages, fileId) => {
+  let changed = false;
+  const next = {};
+  for (const [peerId, list] of Object.entries(messages)) {
+    next[peerId] = list.filter(m => m.type !== 'file' || String(m.file?._id) !== String(fileId));
+    changed = changed || next[peerId].length !== list.length;
+  }
+  return changed ? next : messages;
+};
+
+// Plaintext cache key for a ratchet message (counters are per sender)
+const getRatchetCacheKey = (ratchet, senderId) => `${ratchet?.sessionId}:${senderId}:${ratchet?.counter}`;
+
+/**
+ * Oldest timestamp that can be shown without gaps.
+ * Messages and files are paged independently, so anything older than the
+ * newest cursor of a stream that still has pages may be missing neighbours.
+ */
+function getHistoryHorizon(history) {
+  if (!history) return -Infinity;
+  
+  const cursors = [];
+  if (history.hasMoreMessages && history.messagesCursor) {
+    cursors.push(new Date(history.messagesCursor).getTime());
+  }
+  if (history.hasMoreFiles && history.filesCursor) {
+    cursors.push(new Date(history.filesCursor).getTime());
+  }
+  
+  return cursors.length > 0 ? Math.max(...cursors) : -Infinity;
+}
+
+// Delivery states, least to most advanced (shown on sent messages)
+// 'failed' is outside the order - any later confirmation replaces it
+const DELIVERY_STATES = ['sending', 'sent', 'delivered', 'read'];
+const DELIVERY_LABELS = {
+  sending: 'Sending...',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  read: 'Read',
+  failed: 'Not sent'
+};
+const DELIVERY_ICONS = {
+  sending: '🕓',
+  sent: '✓',
+  delivered: '✓✓',
+  read: '✓✓',
+  failed: '⚠️'
+};
+
+// Advance a sent message's delivery state (never backwards)
+const advanceStatus = (message, status) => (
+  DELIVERY_STATES.indexOf(status) > DELIVERY_STATES.indexOf(message.status)
+    ? { ...message, status }
+    : message
+);
 
 // Memoized user list item component
 const UserListItem = memo(function UserListItem({ user, isSelected, onSelect }) {
@@ -50,7 +130,7 @@ const UserListItem = memo(function UserListItem({ user, isSelected, onSelect })
 });
 
 // Memoized message bubble component
-const MessageBubble = memo(function MessageBubble({ message, onFileDownload, downloading }) {
+const MessageBubble = memo(function MessageBubble({ message, onFileDownload, onFileDelete, onFileForward, onFileBrowse, getThumbnail, downloading, deleting, onRetry, onEdit, onDelete }) {
   // Check if this is a file message
   // Format timestamp to readable time
   const formatTime = (timestamp) => {
@@ -64,29 +144,89 @@ const MessageBubble = memo(function MessageBubble({ message, onFileDownload, dow
         file={message.file}
         sent={message.sent}
         onDownload={onFileDownload}
+        onDelete={onFileDelete}
+        onForward={onFileForward}
+        onBrowse={onFileBrowse}
+        getThumbnail={getThumbnail}
         downloading={downloading}
+        deleting={deleting}
         timestamp={message.timestamp}
       />
     );
   }
   
+  if (message.deleted) {
+    return (
+      <div className={`message ${message.sent ? 'sent' : 'received'} deleted`}>
+        <div className="message-bubble">
+          <span className="message-text">🚫 This message was deleted</span>
+          <span className="message-time">{formatTime(message.timestamp)}</span>
+        </div>
+      </div>
+    );
+  }
+
+  // Only our own delivered (or at least stored) messages can be changed
+  const canChange = message.sent && message.messageId && !message.error &&
+    message.status !== 'sending' && message.status !== 'failed';
+
   return (
     <div className={`message ${message.sent ? 'sent' : 'received'} ${message.error ? 'error' : ''}`}>
       <div className="message-bubble">
         <span className="message-text">{message.text}</span>
         {message.error && <span className="message-error-icon" title="Decryption failed"> ⚠️</span>}
-        <span className="message-time">{formatTime(message.timestamp)}</span>
+        <span className="message-time">
+          {message.editedAt && (
+            <span className="message-edited" title={`Edited ${new Date(message.editedAt).toLocaleString()}`}>edited · </span>
+          )}
+          {formatTime(message.timestamp)}
+          {message.sent && message.status && (
+            <span
+              className={`message-status ${message.status}`}
+              title={message.sendError ? `${DELIVERY_LABELS[message.status]}: ${message.sendError}` : DELIVERY_LABELS[message.status]}
+              aria-label={DELIVERY_LABELS[message.status]}
+            >
+              {DELIVERY_ICONS[message.status]}
+            </span>
+          )}
+        </span>
+        {message.status === 'failed' && message.queued && (
+          <button type="button" className="message-retry" onClick={() => onRetry(message.messageId)}>
+            Retry
+          </button>
+        )}
+        {canChange && (
+          <span className="message-actions">
+            <button type="button" className="message-action" onClick={() => onEdit(message)} aria-label="Edit message">
+              Edit
+            </button>
+            <button type="button" className="message-action" onClick={() => onDelete(message)} aria-label="Delete message for everyone">
+              Delete
+            </button>
+          </span>
+        )}
       </div>
     </div>
   );
 });
 
+// Memoized history status shown above the oldest loaded message
+const HistoryStatus = memo(function HistoryStatus({ loading, hasMore }) {
+  if (loading) {
+    return <LoadingSpinner size="small" text="Loading older messages..." />;
+  }
+  if (!hasMore) {
+    return <div className="history-start">Beginning of encrypted conversation</div>;
+  }
+  return null;
+});
+
 // Memoized empty state component
 const EmptyState = memo(function EmptyState({ username }) {
   return (
     <div className="no-chat">
       <h2>Welcome, {username}</h2>
-      <p>Select a contact to start an encrypted conversation</p>
+      <p>Select a contact or group to start an encrypted conversation</p>
     </div>
   );
 });
@@ -108,11 +248,16 @@ const EncryptionStatus = memo(function EncryptionStatus({ status, peerStatus })
 });
 
 // Memoized chat header component
-const ChatHeader = memo(function ChatHeader({ user, encryptionStatus }) {
+const ChatHeader = memo(function ChatHeader({ user, encryptionStatus, verified, verificationLost, onVerifyClick }) {
   return (
     <div className="chat-header">
       <Avatar username={user.username} status={user.status} />
       <h3>{user.username}</h3>
+      <VerificationBadge
+        verified={verified}
+        verificationLost={verificationLost}
+        onClick={onVerifyClick}
+      />
       <EncryptionStatus status={encryptionStatus} peerStatus={user.status} />
     </div>
   );
@@ -123,15 +268,53 @@ function Chat({ user, onLogout }) {
   const [selectedUser, setSelectedUser] = useState(null);
   const [messages, setMessages] = useState({});
   const [inputMessage, setInputMessage] = useState('');
+  const [editingMessage, setEditingMessage] = useState(null); // { peerId, messageId, text } while editing a sent message
   const [encryptionStatus, setEncryptionStatus] = useState({});
   const [showFileModal, setShowFileModal] = useState(false);
+  const [forwardFile, setForwardFile] = useState(null); // File message being forwarded
+  const [browseArchive, setBrowseArchive] = useState(null); // Archive whose entries are listed
+  const [directTransfers, setDirectTransfers] = useState([]); // Files contacts are sending peer-to-peer
+  const [showSafetyModal, setShowSafetyModal] = useState(false);
+  const [showDevicesModal, setShowDevicesModal] = useState(false);
+  const [showBackupModal, setShowBackupModal] = useState(false);
+  const [selectedGroupId, setSelectedGroupId] = useState(null); // Exclusive with selectedUser
+  const [showCreateGroupModal, setShowCreateGroupModal] = useState(false);
+  const [showGroupMembersModal, setShowGroupMembersModal] = useState(false);
+  const [devicesVersion, setDevicesVersion] = useState(0); // Bumped when our device list changes
+  const [history, setHistory] = useState({}); // peerId -> paging state
+  const [renderCount, setRenderCount] = useState(HISTORY_PAGE_SIZE);
+  const historyRef = useRef({}); // Latest paging state for async loaders
+  const messagesContainerRef = useRef(null);
+  const scrollAnchorRef = useRef(null); // Scroll position to restore after prepending
+  const lastMessageKeyRef = useRef(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const ephemeralKeysRef = useRef(new Map()); // Store ephemeral keys during exchange
-  const conversationKeysRef = useRef(new Map()); // Cache conversation keys
+  const conversationKeysRef = useRef(new Map()); // Cache conversation keys (per device key)
+  // Plaintext of this session's ratchet messages - their keys are discarded after use,
+  // so history reloads read from here (a sealed copy is kept in the message archive)
+  const ratchetPlaintextsRef = useRef(new Map());
+  const readReceiptsSentRef = useRef(new Set()); // Message IDs we already reported as read
+  const [pageVisible, setPageVisible] = useState(document.visibilityState === 'visible');
+  
+  // File download and delete handlers
+  const { downloading, handleDownload, deleting, handleDelete } = useFileHandler(user.id);
+  
+  // Group list, group messages and sender key handling
+  const {
+    groups,
+    groupMessages,
+    groupHistory,
+    loadGroupHistory,
+    loadOlderGroupHistory,
+    sendGroupMessage,
+    createGroup,
+    addMembers,
+    removeMember
+  } = useGroups(user.id);
   
-  // File download handler
-  const { downloading, handleDownload } = useFileHandler(user.id);
+  // Safety number and verified state of the selected contact
+  const verification = useSafetyNumber(user.id, selectedUser?._id);
 
   // Console logging styles
   const LOG_STYLES = useMemo(() => ({
@@ -142,34 +325,56 @@ function Chat({ user, onLogout }) {
     detail: 'color: #94a3b8;'
   }), []);
 
-  // Get or derive conversation key for a peer
-  const getConversationKey = useCallback(async (peerId, peerPublicKeys = null) => {
-    // Check cache first
-    if (conversationKeysRef.current.has(peerId)) {
-      return conversationKeysRef.current.get(peerId);
-    }
+  // This browser's device ID
+  const myDeviceId = useMemo(() => getDeviceId(), []);
+
+  // Our side of a ratchet address - device address only if the peer side has one too
+  const localAddress = useCallback((peerDeviceId) => (
+    peerDeviceId ? deviceAddress(user.id, myDeviceId) : user.id
+  ), [user.id, myDeviceId]);
+
+  // Encryption status is per contact: complete once any of their devices has a session
+  const setPeerStatus = useCallback((peerId, status) => {
+    setEncryptionStatus(prev => {
+      if (prev[peerId] === 'complete' && (status === 'exchanging' || status === 'error')) {
+        return prev;
+      }
+      return { ...prev, [peerId]: status };
+    });
+  }, []);
+
+  // Get or derive the conversation key shared with one device (or device-less account)
+  const getConversationKey = useCallback(async (address, publicKeys) => {
+    const cacheKey = `${address}:${publicKeys.keyExchange.x}`;
     
-    // If peerPublicKeys not provided, fetch from API
-    let publicKeys = peerPublicKeys;
-    if (!publicKeys) {
-      const peerData = await getUser(peerId);
-      publicKeys = peerData.publicKeys;
+    // Check cache first
+    if (conversationKeysRef.current.has(cacheKey)) {
+      return conversationKeysRef.current.get(cacheKey);
     }
     
     // Derive new conversation key
     const convKey = await deriveConversationKey(user.id, publicKeys.keyExchange);
-    conversationKeysRef.current.set(peerId, convKey);
+    conversationKeysRef.current.set(cacheKey, convKey);
     return convKey;
   }, [user.id]);
 
-  // Get my signing private key from IndexedDB
+  // Drop cached conversation keys of a user's devices
+  const forgetConversationKeys = useCallback((userId) => {
+    for (const cacheKey of conversationKeysRef.current.keys()) {
+      if (cacheKey.startsWith(`${userId}:`)) {
+        conversationKeysRef.current.delete(cacheKey);
+      }
+    }
+  }, []);
+
+  // Get my signing private key from the unlocked key store
   const getMySigningKey = useCallback(async () => {
-    const signingKey = await getPrivateKey(`${user.id}_signing`);
-    if (!signingKey) {
-      console.error('%c✗ Signing key not found in IndexedDB!', LOG_STYLES.error);
-      throw new Error('Signing key not found');
+    try {
+      return await getSigningKey(user.id);
+    } catch (error) {
+      console.error('%c✗ Signing key not available!', LOG_STYLES.error, error.message);
+      throw error;
     }
-    return signingKey;
   }, [user.id, LOG_STYLES.error]);
 
   // Fetch users on mount
@@ -187,37 +392,40 @@ function Chat({ user, onLogout }) {
   }, [user.id]);
 
   // Key Exchange Protocol Handlers
-  const initiateKeyExchange = useCallback(async (peerId, peerPublicKeys) => {
-    console.log('%c🔄 CHAT: Initiating CryptShare-KEX', LOG_STYLES.header);
-    console.log('%c    With peer: ' + peerId, LOG_STYLES.detail);
+  // Sessions are per device: addressed as `${userId}:${deviceId}` (plain user ID
+  // for accounts without registered devices)
+  const initiateDeviceKeyExchange = useCallback(async (peerId, peerDeviceId, peerPublicKeys) => {
+    const address = deviceAddress(peerId, peerDeviceId);
     
     // Check if we already have a session key
-    if (hasSessionKey(peerId)) {
-      console.log('%c✓ Session key already exists, skipping KEX', LOG_STYLES.success);
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'complete' }));
+    if (hasSessionKey(address)) {
+      console.log('%c✓ Session key already exists for ' + address + ', skipping KEX', LOG_STYLES.success);
+      setPeerStatus(peerId, 'complete');
       return;
     }
     
     try {
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'exchanging' }));
+      setPeerStatus(peerId, 'exchanging');
       
       // Generate ephemeral keys for this exchange
       const ephemeralKeyPair = await generateEphemeralKeyPair();
-      ephemeralKeysRef.current.set(peerId, ephemeralKeyPair);
+      ephemeralKeysRef.current.set(address, ephemeralKeyPair);
       
       // Get my signing key from IndexedDB
       const signingKey = await getMySigningKey();
       
-      // Create KEX_INIT message
+      // Create KEX_INIT message (device IDs are signed along with it)
       const kexInit = await createKexInit(
         ephemeralKeyPair,
         signingKey,
         user.id,
-        peerId
+        peerId,
+        myDeviceId,
+        peerDeviceId
       );
       
       // Store pending state
-      storePendingKex(peerId, {
+      storePendingKex(address, {
         ephemeralKeyPair,
         myNonce: kexInit.nonce,
         peerPublicKeys,
@@ -227,13 +435,36 @@ function Chat({ user, onLogout }) {
       // Send via socket
       sendKexInit(kexInit);
       
-      console.log('%c✓ KEX_INIT sent, waiting for response...', LOG_STYLES.info);
+      console.log('%c✓ KEX_INIT sent to ' + address + ', waiting for response...', LOG_STYLES.info);
       
     } catch (err) {
       console.error('%c✗ Key exchange initiation failed:', LOG_STYLES.error, err);
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'error' }));
+      setPeerStatus(peerId, 'error');
     }
-  }, [user.id, getMySigningKey, LOG_STYLES]);
+  }, [user.id, myDeviceId, getMySigningKey, setPeerStatus, LOG_STYLES]);
+
+  // Start a session with every active device of a peer
+  const initiateKeyExchange = useCallback(async (peerId, peerPublicKeys) => {
+    console.log('%c🔄 CHAT: Initiating CryptShare-KEX', LOG_STYLES.header);
+    console.log('%c    With peer: ' + peerId, LOG_STYLES.detail);
+    
+    try {
+      const devices = await getActiveDevices(peerId);
+      
+      if (devices.length === 0) {
+        await initiateDeviceKeyExchange(peerId, null, peerPublicKeys);
+        return;
+      }
+      
+      console.log('%c    Devices: ' + devices.length, LOG_STYLES.detail);
+      await Promise.all(devices.map(device => (
+        initiateDeviceKeyExchange(peerId, device.deviceId, device.publicKeys)
+      )));
+    } catch (err) {
+      console.error('%c✗ Failed to load peer devices:', LOG_STYLES.error, err);
+      setPeerStatus(peerId, 'error');
+    }
+  }, [initiateDeviceKeyExchange, setPeerStatus, LOG_STYLES]);
 
   // Handle incoming KEX_INIT (we are responder)
   const handleKexInit = useCallback(async (kexInit) => {
@@ -241,17 +472,18 @@ function Chat({ user, onLogout }) {
     console.log('%c    From: ' + kexInit.senderId, LOG_STYLES.detail);
     
     const peerId = kexInit.senderId;
+    const peerDeviceId = kexInit.senderDeviceId || null;
+    const address = deviceAddress(peerId, peerDeviceId);
     
     try {
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'exchanging' }));
+      setPeerStatus(peerId, 'exchanging');
       
-      // Fetch peer's public keys
-      const peerData = await getUser(peerId);
-      const peerPublicKeys = peerData.publicKeys;
+      // Fetch the sending device's public keys
+      const peerPublicKeys = await getDeviceKeys(peerId, peerDeviceId);
       
       // Generate our ephemeral keys
       const myEphemeralKeyPair = await generateEphemeralKeyPair();
-      ephemeralKeysRef.current.set(peerId, myEphemeralKeyPair);
+      ephemeralKeysRef.current.set(address, myEphemeralKeyPair);
       
       // Get my signing key
       const signingKey = await getMySigningKey();
@@ -262,11 +494,12 @@ function Chat({ user, onLogout }) {
         peerPublicKeys.signing,
         myEphemeralKeyPair,
         signingKey,
-        user.id
+        user.id,
+        myDeviceId
       );
       
       // Store the session key (but mark as pending confirmation)
-      storePendingKex(peerId, {
+      storePendingKex(address, {
         sessionKey: result.sessionKey,
         initiatorNonce: result.initiatorNonce,
         responderNonce: result.responderNonce,
@@ -281,9 +514,9 @@ function Chat({ user, onLogout }) {
       
     } catch (err) {
       console.error('%c✗ KEX_INIT processing failed:', LOG_STYLES.error, err);
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'error' }));
+      setPeerStatus(peerId, 'error');
     }
-  }, [user.id, getMySigningKey, LOG_STYLES]);
+  }, [user.id, myDeviceId, getMySigningKey, setPeerStatus, LOG_STYLES]);
 
   // Handle incoming KEX_RESPONSE (we are initiator)
   const handleKexResponse = useCallback(async (kexResponse) => {
@@ -291,10 +524,12 @@ function Chat({ user, onLogout }) {
     console.log('%c    From: ' + kexResponse.senderId, LOG_STYLES.detail);
     
     const peerId = kexResponse.senderId;
+    const peerDeviceId = kexResponse.senderDeviceId || null;
+    const address = deviceAddress(peerId, peerDeviceId);
     
     try {
       // Get pending state
-      const pendingState = getPendingKex(peerId);
+      const pendingState = getPendingKex(address);
       if (!pendingState) {
         throw new Error('No pending key exchange found');
       }
@@ -309,32 +544,36 @@ function Chat({ user, onLogout }) {
         pendingState.ephemeralKeyPair.privateKey,
         signingKey,
         pendingState.myNonce,
-        user.id
+        user.id,
+        myDeviceId
       );
       
       // Store the session key
-      storeSessionKey(peerId, result.sessionKey, {
+      storeSessionKey(address, result.sessionKey, {
         initiatorNonce: result.initiatorNonce,
         responderNonce: result.responderNonce,
         role: 'initiator'
       });
       
+      // Start the per-message hash ratchet from the new session key
+      await initRatchet(address, localAddress(peerDeviceId));
+      
       // Send confirmation
       sendKexConfirm(result.confirm);
       
       // Clean up
-      removePendingKex(peerId);
-      ephemeralKeysRef.current.delete(peerId);
+      removePendingKex(address);
+      ephemeralKeysRef.current.delete(address);
       
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'complete' }));
+      setPeerStatus(peerId, 'complete');
       
       console.log('%c🎉 Key exchange COMPLETE (initiator)', LOG_STYLES.success);
       
     } catch (err) {
       console.error('%c✗ KEX_RESPONSE processing failed:', LOG_STYLES.error, err);
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'error' }));
+      setPeerStatus(peerId, 'error');
     }
-  }, [user.id, getMySigningKey, LOG_STYLES]);
+  }, [user.id, myDeviceId, getMySigningKey, localAddress, setPeerStatus, LOG_STYLES]);
 
   // Handle incoming KEX_CONFIRM (we are responder)
   const handleKexConfirm = useCallback(async (kexConfirm) => {
@@ -342,10 +581,12 @@ function Chat({ user, onLogout }) {
     console.log('%c    From: ' + kexConfirm.senderId, LOG_STYLES.detail);
     
     const peerId = kexConfirm.senderId;
+    const peerDeviceId = kexConfirm.senderDeviceId || null;
+    const address = deviceAddress(peerId, peerDeviceId);
     
     try {
       // Get pending state
-      const pendingState = getPendingKex(peerId);
+      const pendingState = getPendingKex(address);
       if (!pendingState) {
         throw new Error('No pending key exchange found');
       }
@@ -358,29 +599,115 @@ function Chat({ user, onLogout }) {
         pendingState.initiatorNonce,
         pendingState.responderNonce,
         peerId,
-        user.id
+        user.id,
+        myDeviceId
       );
       
       // Now store the session key (confirmed!)
-      storeSessionKey(peerId, pendingState.sessionKey, {
+      storeSessionKey(address, pendingState.sessionKey, {
         initiatorNonce: pendingState.initiatorNonce,
         responderNonce: pendingState.responderNonce,
         role: 'responder'
       });
       
+      // Start the per-message hash ratchet from the confirmed session key
+      await initRatchet(address, localAddress(peerDeviceId));
+      
       // Clean up
-      removePendingKex(peerId);
-      ephemeralKeysRef.current.delete(peerId);
+      removePendingKex(address);
+      ephemeralKeysRef.current.delete(address);
       
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'complete' }));
+      setPeerStatus(peerId, 'complete');
       
       console.log('%c🎉 Key exchange COMPLETE (responder)', LOG_STYLES.success);
       
     } catch (err) {
       console.error('%c✗ KEX_CONFIRM processing failed:', LOG_STYLES.error, err);
-      setEncryptionStatus(prev => ({ ...prev, [peerId]: 'error' }));
+      setPeerStatus(peerId, 'error');
+    }
+  }, [user.id, myDeviceId, localAddress, setPeerStatus, LOG_STYLES]);
+
+  // Peer device went offline before answering KEX_INIT - fall back to its prekey bundle
+  const handleKexPeerOffline = useCallback(async ({ peerId, deviceId = null }) => {
+    const address = deviceAddress(peerId, deviceId);
+    const pendingState = getPendingKex(address);
+    if (!pendingState || pendingState.role !== 'initiator') {
+      return;
+    }
+    
+    console.log('%c📴 CHAT: Peer offline, using prekey bundle', LOG_STYLES.header);
+    console.log('%c    Peer: ' + address, LOG_STYLES.detail);
+    
+    removePendingKex(address);
+    ephemeralKeysRef.current.delete(address);
+    
+    try {
+      const [bundle, signingKey, identityKey] = await Promise.all([
+        getPreKeyBundle(peerId, deviceId),
+        getMySigningKey(),
+        getKeyExchangeKey(user.id)
+      ]);
+      
+      const result = await createPreKeyHandshake(user.id, peerId, bundle, signingKey, identityKey, myDeviceId);
+      
+      storeSessionKey(address, result.sessionKey, {
+        initiatorNonce: result.initiatorNonce,
+        responderNonce: result.responderNonce,
+        role: 'initiator'
+      });
+      await initRatchet(address, localAddress(deviceId));
+      
+      // Server holds the handshake until the peer device connects
+      sendKexPrekey(result.handshake);
+      
+      setPeerStatus(peerId, 'complete');
+      
+      console.log('%c🎉 Key exchange COMPLETE (prekey, initiator)', LOG_STYLES.success);
+      
+    } catch (err) {
+      console.error('%c✗ Prekey key exchange failed:', LOG_STYLES.error, err);
+      setPeerStatus(peerId, 'error');
+    }
+  }, [user.id, myDeviceId, getMySigningKey, localAddress, setPeerStatus, LOG_STYLES]);
+
+  // Handle incoming KEX_PREKEY (we are responder, possibly delivered after being offline)
+  const handleKexPrekey = useCallback(async (handshake) => {
+    console.log('%c📥 CHAT: Received KEX_PREKEY', LOG_STYLES.header);
+    console.log('%c    From: ' + handshake.senderId, LOG_STYLES.detail);
+    
+    const peerId = handshake.senderId;
+    const peerDeviceId = handshake.senderDeviceId || null;
+    const address = deviceAddress(peerId, peerDeviceId);
+    
+    try {
+      const peerPublicKeys = await getDeviceKeys(peerId, peerDeviceId);
+      const result = await processPreKeyHandshake(user.id, handshake, peerPublicKeys, myDeviceId);
+      
+      storeSessionKey(address, result.sessionKey, {
+        initiatorNonce: result.initiatorNonce,
+        responderNonce: result.responderNonce,
+        role: 'responder'
+      });
+      await initRatchet(address, localAddress(peerDeviceId));
+      
+      setPeerStatus(peerId, 'complete');
+      
+      console.log('%c🎉 Key exchange COMPLETE (prekey, responder)', LOG_STYLES.success);
+      
+    } catch (err) {
+      console.error('%c✗ KEX_PREKEY processing failed:', LOG_STYLES.error, err);
+      setPeerStatus(peerId, 'error');
+    }
+  }, [user.id, myDeviceId, localAddress, setPeerStatus, LOG_STYLES]);
+
+  // Keep our prekey bundle stocked for peers who start sessions while we are offline
+  const replenishPreKeys = useCallback(async () => {
+    try {
+      await ensurePreKeys(user.id, await getMySigningKey());
+    } catch (err) {
+      console.error('%c✗ Prekey upload failed:', LOG_STYLES.error, err);
     }
-  }, [user.id, LOG_STYLES]);
+  }, [user.id, getMySigningKey, LOG_STYLES]);
 
   // Socket connection management
   useEffect(() => {
@@ -390,76 +717,337 @@ function Chat({ user, onLogout }) {
     const handleMessage = (data) => {
       console.log('%c📨 Incoming message', 'color: #3b82f6; font-weight: bold;', {
         from: data.from,
+        fromDevice: data.fromDevice,
         decrypted: data.decrypted,
         error: data.error
       });
       
-      setMessages(prev => ({
-        ...prev,
-        [data.from]: [...(prev[data.from] || []), {
-          text: data.plaintext || '[Encrypted]',
-          sent: false,
-          timestamp: data.timestamp,
-          error: data.error // Flag if decryption failed
-        }]
-      }));
+      if (data.keyMode === 'session' && !data.error) {
+        ratchetPlaintextsRef.current.set(getRatchetCacheKey(data.ratchet, data.from), data.plaintext);
+        archiveSessionMessage(user.id, { sender: data.from, messageId: data.messageId, ratchet: data.ratchet }, data.plaintext);
+      }
+      
+      // Copies of what we sent from another device belong to the recipient's conversation
+      const fromSelf = data.from === user.id;
+      const peerId = fromSelf ? data.to : data.from;
+      
+      // This device has the message (even if it could not be decrypted) - tell the sender
+      if (!fromSelf && data.messageId) {
+        queueReceipt(data.from, 'delivered', data.messageId);
+      }
+      
+      setMessages(prev => {
+        const existing = prev[peerId] || [];
+        // Queued messages may already be on screen from history
+        if (data.messageId && existing.some(m => m.id === data.messageId)) return prev;
+        
+        return {
+          ...prev,
+          [peerId]: [...existing, {
+            id: data.messageId || undefined,
+            messageId: data.messageId,
+            text: data.plaintext || '[Encrypted]',
+            sent: fromSelf,
+            status: fromSelf ? 'sent' : undefined,
+            timestamp: data.timestamp,
+            editedAt: data.editedAt,
+            error: data.error // Flag if decryption failed
+          }].sort((a, b) => a.timestamp - b.timestamp)
+        };
+      });
+    };
+
+    // Verified receipts from the peer's devices advance the state of our messages
+    const handleReceipt = ({ from, type, messageIds }) => {
+      const ids = new Set(messageIds);
+      setMessages(prev => {
+        if (!prev[from]) return prev;
+        return {
+          ...prev,
+          [from]: prev[from].map(m => (
+            m.sent && ids.has(m.messageId) ? advanceStatus(m, type) : m
+          ))
+        };
+      });
+    };
+
+    // Verified edits and deletes - only of messages their sender sent us (or we sent, from another device)
+    const handleMessageControl = ({ from, to, action, messageId, text, editedAt }) => {
+      const fromSelf = from === user.id;
+      const peerId = fromSelf ? to : from;
+      // The archived session copy is deleted or superseded by the edit
+      removeArchivedMessage(user.id, from, messageId);
+      setMessages(prev => {
+        if (!prev[peerId]) return prev;
+        return {
+          ...prev,
+          [peerId]: prev[peerId].map(m => {
+            if (m.type === 'file' || m.messageId !== messageId || m.sent !== fromSelf || m.deleted) return m;
+            if (action === 'delete') return { ...m, text: '', deleted: true, editedAt: undefined };
+            // Edits can arrive out of order - keep the newest
+            return m.editedAt && m.editedAt >= editedAt ? m : { ...m, text, editedAt, error: false };
+          })
+        };
+      });
+      if (action === 'delete') {
+        setEditingMessage(prev => (prev?.messageId === messageId ? null : prev));
+      }
     };
 
     onMessage(handleMessage);
+    onReceipt(handleReceipt);
+    onMessageControl(handleMessageControl);
     
     // Setup KEX listeners
     onKexInit(handleKexInit);
     onKexResponse(handleKexResponse);
     onKexConfirm(handleKexConfirm);
+    onKexPrekey(handleKexPrekey);
+    onKexPeerOffline(handleKexPeerOffline);
+    onPreKeysLow(replenishPreKeys);
+    replenishPreKeys();
     
-    // Setup file shared listener
-    onFileShared((data) => {
-      console.log('%c📁 File received:', 'color: #f97316; font-weight: bold;', data.metadata.name);
+    // Setup file shared listener - name, type and size arrive encrypted
+    onFileShared(async (data) => {
+      let file;
+      try {
+        [file] = await decryptFileList(user.id, data.from, [{
+          _id: data.fileId,
+          metadata: data.metadata,
+          encryptedMetadata: data.encryptedMetadata,
+          keyEnvelopes: data.keyEnvelopes,
+          thumbnail: data.thumbnail,
+          sender: data.from
+        }]);
+      } catch (error) {
+        console.error('Failed to read shared file details:', error);
+        return;
+      }
+      const label = data.kind === 'archive' ? '🗂️ Archive received:' : '📁 File received:';
+      console.log('%c' + label, 'color: #f97316; font-weight: bold;', file.metadata.name);
       
       // Add file message to chat
       setMessages(prev => ({
         ...prev,
         [data.from]: [...(prev[data.from] || []), {
           type: 'file',
-          file: {
-            _id: data.fileId,
-            metadata: data.metadata,
-            sender: data.from
-          },
+          file,
           sent: false,
           timestamp: data.timestamp
         }]
       }));
     });
+    
+    // Files deleted by their sender (or expired and deleted on another device)
+    onFileDeleted((data) => {
+      setMessages(prev => withoutFile(prev, data.fileId));
+    });
 
     return () => {
       disconnect();
       clearAllSessionKeys(); // Clear session keys on unmount
+      clearAllRatchets();
+      clearDeviceDirectory();
+    };
+  }, [user.id, handleKexInit, handleKexResponse, handleKexConfirm, handleKexPrekey, handleKexPeerOffline, replenishPreKeys]);
+
+  // Outbox: send what is still pending, and show it (decrypted from our own copy) after a reload
+  useEffect(() => {
+    const stopOutbox = startOutbox(user.id);
+    
+    (async () => {
+      try {
+        const entries = await getOutboxEntries();
+        const restored = await Promise.all(entries.map(async (entry) => {
+          let text;
+          try {
+            text = await decryptOwnCopy(entry.message);
+          } catch {
+            text = '[Encrypted message]';
+          }
+          return {
+            peerId: entry.peerId,
+            message: {
+              id: entry.id,
+              messageId: entry.id,
+              text,
+              sent: true,
+              status: entry.state === 'failed' ? 'failed' : 'sending',
+              sendError: entry.error,
+              queued: true,
+              timestamp: entry.createdAt
+            }
+          };
+        }));
+        
+        setMessages(prev => {
+          const next = { ...prev };
+          for (const { peerId, message } of restored) {
+            const existing = next[peerId] || [];
+            if (existing.some(m => m.id === message.id)) continue;
+            next[peerId] = [...existing, message].sort((a, b) => a.timestamp - b.timestamp);
+          }
+          return next;
+        });
+      } catch (error) {
+        console.error('Failed to restore outbox:', error);
+      }
+    })();
+    
+    // Server acks (or final failures) update the bubble
+    const stopUpdates = onOutboxUpdate(({ messageId, peerId, state, error }) => {
+      setMessages(prev => {
+        if (!prev[peerId]) return prev;
+        return {
+          ...prev,
+          [peerId]: prev[peerId].map(m => {
+            if (m.messageId !== messageId) return m;
+            if (state === 'failed') {
+              return m.status === 'sending' ? { ...m, status: 'failed', sendError: error } : m;
+            }
+            if (state === 'sending') {
+              return m.status === 'failed' ? { ...m, status: 'sending', sendError: null } : m;
+            }
+            return advanceStatus(m, state);
+          })
+        };
+      });
+    });
+    
+    return () => {
+      stopUpdates();
+      stopOutbox();
     };
-  }, [user.id, handleKexInit, handleKexResponse, handleKexConfirm]);
+  }, [user.id]);
 
-  // Scroll to bottom when messages change
+  // Direct (peer-to-peer) transfers: offers wait for Accept; received files are
+  // listed in the chat but exist only on this device
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages, selectedUser]);
+    const stopDirectTransfers = startDirectTransfers(user.id);
+    const stopUpdates = onDirectTransferUpdate((transfers, changed) => {
+      setDirectTransfers(transfers);
+      if (changed.status !== 'done') return;
+      
+      setMessages(prev => ({
+        ...prev,
+        [changed.from]: [...(prev[changed.from] || []), {
+          type: 'file',
+          file: {
+            _id: changed.transferId,
+            metadata: { name: changed.name, type: changed.type, size: changed.size },
+            direct: true
+          },
+          sent: false,
+          timestamp: Date.now()
+        }]
+      }));
+    });
+    
+    return () => {
+      stopUpdates();
+      stopDirectTransfers();
+    };
+  }, [user.id]);
+
+  // Contact's identity keys were replaced - drop everything derived from the old keys
+  const { reload: reloadVerification } = verification;
+  useEffect(() => {
+    onKeysChanged((data) => {
+      console.log('%c⚠️ Identity keys changed: ' + data.username, LOG_STYLES.error);
+      console.log('%c    Old fingerprint: ' + data.oldFingerprint, LOG_STYLES.detail);
+      console.log('%c    New fingerprint: ' + data.newFingerprint, LOG_STYLES.detail);
+      
+      // Device keys (deviceId set) or the account keys of an older single-device client
+      const address = deviceAddress(data.userId, data.deviceId);
+      forgetConversationKeys(data.userId);
+      invalidateDevices(data.userId);
+      removeSessionKey(address);
+      removePendingKex(address);
+      clearRatchet(address);
+      
+      if (!data.deviceId) {
+        setUsers(prev => prev.map(u => (
+          u._id === data.userId ? { ...u, publicKeys: data.publicKeys } : u
+        )));
+        setSelectedUser(prev => (
+          prev?._id === data.userId ? { ...prev, publicKeys: data.publicKeys } : prev
+        ));
+      }
+      setEncryptionStatus(prev => ({ ...prev, [data.userId]: 'pending' }));
+      
+      // Re-check the pinned keys of the open conversation
+      if (data.userId === selectedUser?._id) {
+        reloadVerification();
+      }
+    });
+  }, [selectedUser?._id, reloadVerification, forgetConversationKeys, LOG_STYLES]);
+
+  // A device was added, re-keyed or revoked
+  useEffect(() => {
+    onDevicesChanged((data) => {
+      invalidateDevices(data.userId);
+      
+      if (data.action !== 'added') {
+        // Sessions with the old device keys must not be used again
+        const address = deviceAddress(data.userId, data.deviceId);
+        removeSessionKey(address);
+        removePendingKex(address);
+        clearRatchet(address);
+        forgetConversationKeys(data.userId);
+      }
+      
+      if (data.userId === user.id) {
+        if (data.deviceId === myDeviceId && data.action === 'revoked') {
+          console.log('%c⛔ This device was revoked - logging out', LOG_STYLES.error);
+          onLogout();
+          return;
+        }
+        setDevicesVersion(version => version + 1);
+        return;
+      }
+      
+      // Re-check the pinned devices and open sessions with new ones
+      if (data.userId === selectedUser?._id) {
+        reloadVerification();
+        if (data.action !== 'revoked') {
+          initiateKeyExchange(selectedUser._id, selectedUser.publicKeys);
+        }
+      }
+    });
+  }, [user.id, myDeviceId, selectedUser, onLogout, reloadVerification, initiateKeyExchange, forgetConversationKeys, LOG_STYLES]);
+
+  // Reconnect rejected because this device was revoked while we were away
+  useEffect(() => onConnectError((error) => {
+    if (error.message === 'Device revoked') {
+      onLogout();
+    }
+  }), [onLogout]);
 
   // Memoized handlers
   const handleSelectUser = useCallback((selectedUser) => {
+    setSelectedGroupId(null);
     setSelectedUser(selectedUser);
+    setEditingMessage(null);
+    setRenderCount(HISTORY_PAGE_SIZE);
     
-    // Check if we already have a session key
-    if (hasSessionKey(selectedUser._id)) {
-      setEncryptionStatus(prev => ({ ...prev, [selectedUser._id]: 'complete' }));
-    } else {
-      setEncryptionStatus(prev => ({ ...prev, [selectedUser._id]: 'pending' }));
-      // Initiate key exchange with the selected user
-      initiateKeyExchange(selectedUser._id, selectedUser.publicKeys);
-    }
+    // Initiate key exchange with every device of the selected user (existing sessions are kept)
+    initiateKeyExchange(selectedUser._id, selectedUser.publicKeys);
     
     // Focus input after selection
     setTimeout(() => inputRef.current?.focus(), 100);
   }, [initiateKeyExchange]);
 
+  const handleSelectGroup = useCallback((group) => {
+    setSelectedUser(null);
+    setSelectedGroupId(group._id);
+    setEditingMessage(null);
+    
+    // Newest page of group history on first open (live messages are merged into it)
+    if (!groupHistory[group._id]) {
+      loadGroupHistory(group._id);
+    }
+  }, [groupHistory, loadGroupHistory]);
+
   const handleInputChange = useCallback((e) => {
     setInputMessage(e.target.value);
   }, []);
@@ -467,55 +1055,171 @@ function Chat({ user, onLogout }) {
   const handleSendMessage = useCallback(async (e) => {
     e.preventDefault();
     if (!inputMessage.trim() || !selectedUser) return;
+    
+    // Identity keys changed - user must accept (or verify) them first
+    if (verification.keyChanged) return;
 
     const messageText = inputMessage;
     setInputMessage('');
+    
+    if (editingMessage) {
+      const { messageId, text } = editingMessage;
+      setEditingMessage(null);
+      if (messageText === text) return;
+      
+      try {
+        const { at } = await sendMessageControl(selectedUser._id, 'edit', messageId, messageText);
+        removeArchivedMessage(user.id, user.id, messageId);
+        setMessages(prev => ({
+          ...prev,
+          [selectedUser._id]: (prev[selectedUser._id] || []).map(m => (
+            m.messageId === messageId && m.sent ? { ...m, text: messageText, editedAt: at } : m
+          ))
+        }));
+        console.log('%c✏️ Message edited', 'color: #22c55e; font-weight: bold;');
+      } catch (error) {
+        console.error('%c✗ Failed to edit message:', 'color: #ef4444; font-weight: bold;', error);
+        alert('Failed to edit message: ' + error.message);
+      }
+      return;
+    }
+    
+    // Shared by every device copy - receipts refer to it
+    const messageId = window.crypto.randomUUID();
 
     // Add optimistic message to UI
     setMessages(prev => ({
       ...prev,
       [selectedUser._id]: [...(prev[selectedUser._id] || []), {
+        id: messageId,
+        messageId,
         text: messageText,
         sent: true,
+        status: 'sending',
+        queued: true,
         timestamp: Date.now()
       }]
     }));
 
-    // Encrypt and send message using conversation key
+    // Encrypt with the session ratchet (or the conversation key if no session yet)
     try {
-      // Get or derive conversation key
-      const conversationKey = await getConversationKey(selectedUser._id, selectedUser.publicKeys);
-      
-      // Encrypt the message
-      const { ciphertext, iv } = await encryptMessage(conversationKey, messageText);
-      
-      // Create message with replay protection
-      const conversationId = [user.id, selectedUser._id].sort().join('-');
-      const protectedMessage = addReplayProtection({
-        to: selectedUser._id,
-        ciphertext,
-        iv
-      }, conversationId);
-      
-      // Send via socket with replay protection
-      const socket = getSocket();
-      if (socket) {
-        socket.emit('message', protectedMessage);
-        console.log('%c📤 Message sent with replay protection', 'color: #22c55e; font-weight: bold;');
-        console.log('%c    Nonce: ' + protectedMessage.nonce.substring(0, 16) + '...', 'color: #94a3b8;');
-        console.log('%c    Sequence: ' + protectedMessage.sequence, 'color: #94a3b8;');
+      const encrypted = await encryptForPeer(selectedUser._id, messageText);
+      
+      if (encrypted.keyMode === 'session') {
+        ratchetPlaintextsRef.current.set(getRatchetCacheKey(encrypted.ratchet, user.id), messageText);
+        await archiveSessionMessage(user.id, { sender: user.id, messageId, ratchet: encrypted.ratchet }, messageText);
+      }
+      
+      // The outbox adds replay protection per attempt and keeps the message until the server confirms it
+      await enqueueMessage({
+        messageId,
+        peerId: selectedUser._id,
+        conversationId: [user.id, selectedUser._id].sort().join('-'),
+        message: { to: selectedUser._id, messageId, ...encrypted }
+      });
+      
+      console.log('%c📤 Message queued for sending', 'color: #22c55e; font-weight: bold;');
+      if (encrypted.copies) {
+        const sessionCopies = encrypted.copies.filter(copy => copy.keyMode === 'session').length;
+        console.log('%c    Copies: ' + encrypted.copies.length + ' devices (' + sessionCopies + ' via session ratchet)', 'color: #94a3b8;');
       } else {
-        throw new Error('Socket not connected');
+        console.log('%c    Key: ' + (encrypted.keyMode === 'session' ? 'session ratchet #' + encrypted.ratchet.counter : 'conversation key (no session)'), 'color: #94a3b8;');
       }
     } catch (error) {
       console.error('%c✗ Failed to send message:', 'color: #ef4444; font-weight: bold;', error);
+      
+      // Never made it into the outbox - nothing to retry
+      setMessages(prev => ({
+        ...prev,
+        [selectedUser._id]: (prev[selectedUser._id] || []).map(m => (
+          m.id === messageId ? { ...m, status: 'failed', queued: false, sendError: error.message } : m
+        ))
+      }));
     }
-  }, [inputMessage, selectedUser, getConversationKey, user.id]);
+  }, [inputMessage, editingMessage, selectedUser, user.id, verification.keyChanged]);
+
+  // Edit a sent message: its text goes into the input, the next send replaces it
+  const handleEditMessage = useCallback((message) => {
+    setEditingMessage({ messageId: message.messageId, text: message.text });
+    setInputMessage(message.text);
+    inputRef.current?.focus();
+  }, []);
+
+  const cancelEditMessage = useCallback(() => {
+    setEditingMessage(null);
+    setInputMessage('');
+  }, []);
+
+  // Delete a sent message for everyone - the server keeps only a tombstone
+  const handleDeleteMessage = useCallback(async (message) => {
+    if (!selectedUser || !window.confirm('Delete this message for everyone?')) return;
+    
+    try {
+      await sendMessageControl(selectedUser._id, 'delete', message.messageId);
+      removeArchivedMessage(user.id, user.id, message.messageId);
+      setMessages(prev => ({
+        ...prev,
+        [selectedUser._id]: (prev[selectedUser._id] || []).map(m => (
+          m.messageId === message.messageId && m.sent ? { ...m, text: '', deleted: true, editedAt: undefined } : m
+        ))
+      }));
+      setEditingMessage(prev => (prev?.messageId === message.messageId ? null : prev));
+      console.log('%c🗑️ Message deleted for everyone', 'color: #22c55e; font-weight: bold;');
+    } catch (error) {
+      console.error('%c✗ Failed to delete message:', 'color: #ef4444; font-weight: bold;', error);
+      alert('Failed to delete message: ' + error.message);
+    }
+  }, [selectedUser, user.id]);
+
+  // Safety number dialog
+  const openSafetyModal = useCallback(() => setShowSafetyModal(true), []);
+  const closeSafetyModal = useCallback(() => setShowSafetyModal(false), []);
+
+  // Device management dialog
+  const openDevicesModal = useCallback(() => setShowDevicesModal(true), []);
+  const closeDevicesModal = useCallback(() => setShowDevicesModal(false), []);
+
+  // Key backup dialog
+  const openBackupModal = useCallback(() => setShowBackupModal(true), []);
+  const closeBackupModal = useCallback(() => setShowBackupModal(false), []);
+
+  // Group dialogs
+  const openCreateGroupModal = useCallback(() => setShowCreateGroupModal(true), []);
+  const closeCreateGroupModal = useCallback(() => setShowCreateGroupModal(false), []);
+  const openGroupMembersModal = useCallback(() => setShowGroupMembersModal(true), []);
+  const closeGroupMembersModal = useCallback(() => setShowGroupMembersModal(false), []);
+
+  const handleCreateGroup = useCallback(async (name, memberIds) => {
+    const group = await createGroup(name, memberIds);
+    handleSelectGroup(group);
+  }, [createGroup, handleSelectGroup]);
+
+  // Trust the contact's new identity keys and start a fresh key exchange with them
+  const handleAcceptKeyChange = useCallback(async () => {
+    await verification.acceptKeyChange();
+    if (selectedUser) {
+      initiateKeyExchange(selectedUser._id, selectedUser.publicKeys);
+    }
+  }, [verification, selectedUser, initiateKeyExchange]);
 
   // Handle file share completion
   const handleFileShared = useCallback((data) => {
     console.log('%c📁 File shared:', 'color: #f97316; font-weight: bold;', data.metadata.name);
     
+    // Sent peer-to-peer: nothing on the server to announce or download
+    if (data.direct) {
+      setMessages(prev => ({
+        ...prev,
+        [selectedUser._id]: [...(prev[selectedUser._id] || []), {
+          type: 'file',
+          file: { _id: data.transferId, metadata: data.metadata, sender: user.id, direct: true },
+          sent: true,
+          timestamp: Date.now()
+        }]
+      }));
+      return;
+    }
+    
     // Add file message to local chat
     setMessages(prev => ({
       ...prev,
@@ -524,18 +1228,25 @@ function Chat({ user, onLogout }) {
         file: {
           _id: data.fileId,
           metadata: data.metadata,
-          sender: user.id
+          sender: user.id,
+          keyEnvelopes: data.keyEnvelopes,
+          thumbnail: data.thumbnail,
+          expiresAt: data.expiresAt
         },
         sent: true,
         timestamp: Date.now()
       }]
     }));
     
-    // Notify recipient via socket
+    // Notify recipient via socket (metadata as stored by the server, details encrypted)
     emitFileShared({
       to: selectedUser._id,
       fileId: data.fileId,
-      metadata: data.metadata,
+      kind: data.metadata.archive ? 'archive' : 'file',
+      metadata: data.serverMetadata,
+      encryptedMetadata: data.encryptedMetadata,
+      keyEnvelopes: data.keyEnvelopes,
+      thumbnail: data.thumbnail,
       timestamp: Date.now()
     });
   }, [selectedUser, user.id]);
@@ -553,149 +1264,381 @@ function Chat({ user, onLogout }) {
     handleDownload(file, peerId);
   }, [handleDownload, selectedUser]);
 
-  // Fetch encrypted message history and decrypt using conversation key
-  const loadMessageHistory = useCallback(async (peerId) => {
-    console.log('%c📂 Loading message history...', 'color: #3b82f6; font-weight: bold;');
+  // Name of the contact sending a direct transfer
+  const getContactName = useCallback((userId) => (
+    users.find(u => u._id === userId)?.username || 'A contact'
+  ), [users]);
+
+  // Decrypted thumbnail of a file in the open conversation (cached by the file service)
+  const getThumbnail = useCallback((file) => (
+    getFileThumbnail(user.id, file, selectedUser?._id)
+  ), [user.id, selectedUser]);
+
+  // Delete a sent file from the server and from the chat
+  const handleFileDelete = useCallback(async (file) => {
+    if (await handleDelete(file)) {
+      setMessages(prev => withoutFile(prev, file._id));
+    }
+  }, [handleDelete]);
+
+  // Show a forwarded file in the conversation with its new recipient
+  // (the server already notified them)
+  const handleFileForwarded = useCallback((file, contact, result) => {
+    console.log('%c↪️ File forwarded:', 'color: #f97316; font-weight: bold;', contact.username);
     
-    try {
-      const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
-      const response = await fetch(`${API_URL}/messages/${peerId}`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
+    setMessages(prev => ({
+      ...prev,
+      [contact._id]: [...(prev[contact._id] || []), {
+        type: 'file',
+        file: {
+          _id: file._id,
+          metadata: file.metadata,
+          sender: file.sender,
+          // Our device may hold an envelope from the original share rather than a new one
+          keyEnvelopes: [...(file.keyEnvelopes || []), ...result.keyEnvelopes],
+          thumbnail: file.thumbnail,
+          expiresAt: file.expiresAt,
+          ...(file.sender !== user.id && { sharedBy: user.id })
+        },
+        sent: true,
+        timestamp: Date.now()
+      }]
+    }));
+  }, [user.id]);
+
+  // Update paging state for a peer (ref for async loaders, state for rendering)
+  const updateHistory = useCallback((peerId, changes) => {
+    historyRef.current = {
+      ...historyRef.current,
+      [peerId]: { ...historyRef.current[peerId], ...changes }
+    };
+    setHistory(historyRef.current);
+  }, []);
+
+  // Merge a page of history into the conversation, skipping items already present
+  const mergeHistoryPage = useCallback((peerId, page, replaceText = false) => {
+    setMessages(prev => {
+      const existing = prev[peerId] || [];
+      // The first text page replaces live messages it already contains
+      // (messages still in the outbox are not on the server yet)
+      const kept = replaceText
+        ? existing.filter(m => m.type === 'file' || m.status === 'sending' || m.status === 'failed')
+        : existing;
+      const existingIds = new Set(kept.map(getMessageId).filter(Boolean));
       
-      if (!response.ok) return;
+      const newItems = page.filter(m => !existingIds.has(getMessageId(m)));
+      if (newItems.length === 0 && kept === existing) return prev;
       
-      const encryptedMessages = await response.json();
+      return {
+        ...prev,
+        [peerId]: [...kept, ...newItems].sort((a, b) => a.timestamp - b.timestamp)
+      };
+    });
+  }, []);
+
+  // Session (ratchet) messages in history: readable only where this device kept a copy
+  const decryptSessionHistoryMessage = useCallback(async (peerId, msg) => {
+    const cacheKey = getRatchetCacheKey(msg.ratchet, msg.sender);
+    if (ratchetPlaintextsRef.current.has(cacheKey)) {
+      return ratchetPlaintextsRef.current.get(cacheKey);
+    }
+    
+    // Sent or received by this device before a reload
+    const archived = await getArchivedSessionMessage(user.id, msg);
+    if (archived !== null) {
+      ratchetPlaintextsRef.current.set(cacheKey, archived);
+      return archived;
+    }
+    
+    // Not seen live yet (e.g. delivered while paging) - try the receiving chain
+    if (msg.sender !== user.id) {
+      const address = msg.recipientDevice ? deviceAddress(msg.sender, msg.senderDevice) : peerId;
+      const plaintext = await ratchetDecrypt(address, msg.ciphertext, msg.iv, msg.ratchet);
+      ratchetPlaintextsRef.current.set(cacheKey, plaintext);
+      await archiveSessionMessage(user.id, msg, plaintext);
+      return plaintext;
+    }
+    
+    throw new Error('Session expired - message key no longer available');
+  }, [user.id]);
+
+  // Conversation-key messages in history
+  // Per-device copies share the key with the sending device, older messages with the peer's account
+  const decryptConversationHistoryMessage = useCallback(async (peerId, msg) => {
+    const [otherUserId, otherDeviceId] = msg.recipientDevice
+      ? [msg.sender, msg.senderDevice]
+      : [peerId, null];
+    
+    const publicKeys = await getDeviceKeys(otherUserId, otherDeviceId);
+    const conversationKey = await getConversationKey(deviceAddress(otherUserId, otherDeviceId), publicKeys);
+    return decryptMessage(conversationKey, msg.ciphertext, msg.iv);
+  }, [getConversationKey]);
+
+  // Decrypt one page of encrypted history as soon as it arrives
+  const decryptHistoryPage = useCallback(async (peerId, encryptedMessages) => {
+    return Promise.all(
+      encryptedMessages.map(async (msg) => {
+        // Deleted for everyone - only the tombstone is left
+        if (msg.deletedAt) {
+          removeArchivedMessage(user.id, msg.sender, msg.messageId);
+          return {
+            id: msg.messageId || msg._id,
+            messageId: msg.messageId,
+            text: '',
+            sent: msg.sender === user.id,
+            status: msg.status,
+            timestamp: new Date(msg.timestamp).getTime(),
+            deleted: true
+          };
+        }
+        
+        try {
+          let text = msg.keyMode === 'session'
+            ? await decryptSessionHistoryMessage(peerId, msg)
+            : await decryptConversationHistoryMessage(peerId, msg);
+          let editedAt;
+          
+          // Edited: the stored copy is the sender's signed edit
+          if (msg.editedAt) {
+            ({ text, editedAt } = await openMessageControl(text, {
+              from: msg.sender,
+              to: msg.recipient,
+              messageId: msg.messageId
+            }));
+          }
+          
+          return {
+            id: msg.messageId || msg._id, // Add ID for deduplication (shared with the live copy)
+            messageId: msg.messageId,
+            text,
+            sent: msg.sender === user.id,
+            status: msg.status,
+            timestamp: new Date(msg.timestamp).getTime(),
+            editedAt,
+            encrypted: true
+          };
+        } catch (error) {
+          console.error('Failed to decrypt message:', error);
+          return {
+            id: msg.messageId || msg._id,
+            messageId: msg.messageId,
+            status: msg.status,
+            // Forward secrecy: message keys are used once, and this device kept no copy
+            text: msg.keyMode === 'session' ? '[Not stored on this device - session messages are only kept where they were sent or read]' : '[Failed to decrypt]',
+            sent: msg.sender === user.id,
+            timestamp: new Date(msg.timestamp).getTime(),
+            error: true
+          };
+        }
+      })
+    );
+  }, [user.id, decryptConversationHistoryMessage, decryptSessionHistoryMessage]);
+
+  // Fetch one page of encrypted message history (older than the `before`/`beforeId` cursor) and decrypt it
+  const loadMessageHistory = useCallback(async (peerId, before = null, beforeId = null) => {
+    console.log('%c📂 Loading message history...', 'color: #3b82f6; font-weight: bold;');
+    
+    try {
+      const encryptedMessages = await getMessages(peerId, HISTORY_PAGE_SIZE, before, beforeId);
       console.log('%c    Found ' + encryptedMessages.length + ' encrypted messages', 'color: #94a3b8;');
       
-      if (encryptedMessages.length === 0) return;
-      
-      // Get or derive conversation key (persistent across sessions)
-      // getConversationKey will fetch peer's public keys if not cached
-      const conversationKey = await getConversationKey(peerId);
+      // Server returns the page oldest-first
+      updateHistory(peerId, {
+        messagesCursor: encryptedMessages.length > 0 ? encryptedMessages[0].timestamp : before,
+        messagesCursorId: encryptedMessages.length > 0 ? encryptedMessages[0]._id : beforeId,
+        hasMoreMessages: encryptedMessages.length === HISTORY_PAGE_SIZE
+      });
       
-      // Decrypt each message
-      const decryptedMessages = await Promise.all(
-        encryptedMessages.map(async (msg) => {
-          try {
-            const plaintext = await decryptMessage(conversationKey, msg.ciphertext, msg.iv);
-            return {
-              id: msg._id, // Add ID for deduplication
-              text: plaintext,
-              sent: msg.sender === user.id,
-              timestamp: new Date(msg.timestamp).getTime(),
-              encrypted: true
-            };
-          } catch (error) {
-            console.error('Failed to decrypt message:', error);
-            return {
-              id: msg._id,
-              text: '[Failed to decrypt]',
-              sent: msg.sender === user.id,
-              timestamp: new Date(msg.timestamp).getTime(),
-              error: true
-            };
-          }
-        })
-      );
+      if (encryptedMessages.length === 0) return;
       
-      // Merge with existing messages (preserve files, avoid duplicates)
-      setMessages(prev => {
-        const existing = prev[peerId] || [];
-        // Keep only file messages from existing
-        const existingFiles = existing.filter(m => m.type === 'file');
-        // Merge text messages and files, sort by timestamp
-        const merged = [...decryptedMessages, ...existingFiles].sort((a, b) => a.timestamp - b.timestamp);
-        return {
-          ...prev,
-          [peerId]: merged
-        };
-      });
+      const decryptedMessages = await decryptHistoryPage(peerId, encryptedMessages);
+      mergeHistoryPage(peerId, decryptedMessages, !before);
       
-      console.log('%c✓ Message history loaded and decrypted', 'color: #22c55e; font-weight: bold;');
+      console.log('%c✓ Message history page loaded and decrypted', 'color: #22c55e; font-weight: bold;');
       
     } catch (error) {
       console.error('Failed to load message history:', error);
     }
-  }, [user.id, getConversationKey]);
+  }, [decryptHistoryPage, mergeHistoryPage, updateHistory]);
 
-  // Load message history when a user is selected
-  // We can use conversation keys (derived from long-term keys) even before session key exchange
-  useEffect(() => {
-    if (selectedUser) {
-      // Load sequentially to avoid race conditions with setMessages
-      (async () => {
-        await loadMessageHistory(selectedUser._id);
-        await loadFileHistory(selectedUser._id);
-      })();
-    }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedUser, loadMessageHistory]);
-  
-  // Load file history for a peer
-  const loadFileHistory = useCallback(async (peerId) => {
+  // Fetch one page of file history (older than the `before`/`beforeId` cursor) for a peer
+  const loadFileHistory = useCallback(async (peerId, before = null, beforeId = null) => {
     try {
-      const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
-      const response = await fetch(`${API_URL}/files/peer/${peerId}`, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        }
-      });
-      
-      if (!response.ok) return;
+      const files = await getPeerFiles(peerId, HISTORY_PAGE_SIZE, before, beforeId);
       
-      const files = await response.json();
+      // Server returns the page newest-first
+      updateHistory(peerId, {
+        filesCursor: files.length > 0 ? files[files.length - 1].uploadedAt : before,
+        filesCursorId: files.length > 0 ? files[files.length - 1]._id : beforeId,
+        hasMoreFiles: files.length === HISTORY_PAGE_SIZE
+      });
       
       if (files.length === 0) return;
       
       console.log('%c📁 Found ' + files.length + ' shared files', 'color: #f97316;');
       
-      // Convert to file messages and add to messages state
-      const fileMessages = files.map(file => ({
+      // Convert to file messages and merge (avoiding duplicates)
+      const decryptedFiles = await decryptFileList(user.id, peerId, files);
+      mergeHistoryPage(peerId, decryptedFiles.map(file => ({
         type: 'file',
         file: {
           _id: file._id,
           metadata: file.metadata,
-          sender: file.sender
+          sender: file.sender,
+          sharedBy: file.sharedBy,
+          keyEnvelopes: file.keyEnvelopes,
+          thumbnail: file.thumbnail,
+          expiresAt: file.expiresAt
         },
-        sent: file.sender === user.id,
-        timestamp: new Date(file.uploadedAt).getTime()
-      }));
-      
-      // Merge file messages with existing messages (avoiding duplicates)
-      setMessages(prev => {
-        const existing = prev[peerId] || [];
-        
-        // Get existing file IDs to avoid duplicates
-        const existingFileIds = new Set(
-          existing.filter(m => m.type === 'file').map(m => m.file?._id)
-        );
-        
-        // Filter out files that already exist
-        const newFiles = fileMessages.filter(fm => !existingFileIds.has(fm.file._id));
-        
-        if (newFiles.length === 0) return prev;
-        
-        // Keep all existing messages (text + existing files) and add new files
-        const merged = [...existing, ...newFiles].sort((a, b) => a.timestamp - b.timestamp);
-        
-        return {
-          ...prev,
-          [peerId]: merged
-        };
-      });
+        // Forwarded files belong to whoever forwarded them in this conversation
+        sent: (file.sharedBy || file.sender) === user.id,
+        timestamp: new Date(file.sharedAt || file.uploadedAt).getTime()
+      })));
       
     } catch (error) {
       console.error('Failed to load file history:', error);
     }
-  }, [user.id]);
+  }, [user.id, mergeHistoryPage, updateHistory]);
+
+  // Load the next older page of whichever history stream limits the visible range
+  const loadOlderHistory = useCallback(async (peerId) => {
+    const state = historyRef.current[peerId];
+    if (!state || state.loading || (!state.hasMoreMessages && !state.hasMoreFiles)) return;
+    
+    const horizon = getHistoryHorizon(state);
+    const needMessages = state.hasMoreMessages && new Date(state.messagesCursor).getTime() >= horizon;
+    const needFiles = state.hasMoreFiles && new Date(state.filesCursor).getTime() >= horizon;
+    
+    updateHistory(peerId, { loading: true });
+    try {
+      await Promise.all([
+        needMessages && loadMessageHistory(peerId, state.messagesCursor, state.messagesCursorId),
+        needFiles && loadFileHistory(peerId, state.filesCursor, state.filesCursorId)
+      ]);
+      // Grow the render window so the new page becomes visible
+      setRenderCount(count => count + HISTORY_PAGE_SIZE);
+    } finally {
+      updateHistory(peerId, { loading: false });
+    }
+  }, [loadMessageHistory, loadFileHistory, updateHistory]);
+
+  // Load the newest page of history when a user is selected
+  // We can use conversation keys (derived from long-term keys) even before session key exchange
+  useEffect(() => {
+    if (selectedUser) {
+      const peerId = selectedUser._id;
+      updateHistory(peerId, {
+        loading: true,
+        messagesCursor: null,
+        messagesCursorId: null,
+        filesCursor: null,
+        filesCursorId: null,
+        hasMoreMessages: false,
+        hasMoreFiles: false
+      });
+      
+      // Load sequentially to avoid race conditions with setMessages
+      (async () => {
+        try {
+          await loadMessageHistory(peerId);
+          await loadFileHistory(peerId);
+        } finally {
+          updateHistory(peerId, { loading: false });
+        }
+      })();
+    }
+  }, [selectedUser, loadMessageHistory, loadFileHistory, updateHistory]);
+
+  // Memoized paging state for the selected user
+  const currentHistory = useMemo(() => {
+    return selectedUser ? history[selectedUser._id] : null;
+  }, [history, selectedUser]);
 
-  // Memoized current messages
+  // Memoized current messages (only those without gaps in either history stream)
   const currentMessages = useMemo(() => {
-    return selectedUser ? (messages[selectedUser._id] || []) : [];
-  }, [messages, selectedUser]);
+    if (!selectedUser) return [];
+    const horizon = getHistoryHorizon(currentHistory);
+    return (messages[selectedUser._id] || []).filter(m => m.timestamp >= horizon);
+  }, [messages, selectedUser, currentHistory]);
+
+  // Windowed rendering - only the newest `renderCount` messages are mounted
+  const visibleMessages = useMemo(() => {
+    return currentMessages.slice(-renderCount);
+  }, [currentMessages, renderCount]);
+
+  const hasMoreHistory = currentMessages.length > visibleMessages.length ||
+    Boolean(currentHistory?.hasMoreMessages || currentHistory?.hasMoreFiles);
+
+  // Scroll back: grow the render window first, then fetch older pages
+  const handleMessagesScroll = useCallback((e) => {
+    const container = e.currentTarget;
+    if (!selectedUser || container.scrollTop > SCROLL_TOP_THRESHOLD) return;
+    if (scrollAnchorRef.current || currentHistory?.loading || !hasMoreHistory) return;
+    
+    // Remember the distance from the bottom so prepending doesn't jump the view
+    scrollAnchorRef.current = {
+      firstKey: visibleMessages.length > 0 ? getMessageKey(visibleMessages[0], 0) : null,
+      fromBottom: container.scrollHeight - container.scrollTop
+    };
+    
+    if (currentMessages.length > visibleMessages.length) {
+      setRenderCount(count => count + HISTORY_PAGE_SIZE);
+    } else {
+      loadOlderHistory(selectedUser._id).then(() => {
+        // Nothing was prepended (e.g. request failed) - allow another attempt
+        if (scrollAnchorRef.current && visibleMessages.length > 0 &&
+            scrollAnchorRef.current.firstKey === getMessageKey(visibleMessages[0], 0)) {
+          scrollAnchorRef.current = null;
+        }
+      });
+    }
+  }, [selectedUser, currentHistory, hasMoreHistory, currentMessages.length, visibleMessages, loadOlderHistory]);
+
+  // Keep the view anchored when older messages are prepended
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    const container = messagesContainerRef.current;
+    if (!anchor || !container || visibleMessages.length === 0) return;
+    
+    if (getMessageKey(visibleMessages[0], 0) !== anchor.firstKey) {
+      container.scrollTop = container.scrollHeight - anchor.fromBottom;
+      scrollAnchorRef.current = null;
+    }
+  }, [visibleMessages]);
+
+  // Scroll to bottom only when a newer message arrives (not when paging back)
+  useEffect(() => {
+    const lastIndex = currentMessages.length - 1;
+    const lastKey = lastIndex >= 0
+      ? `${selectedUser?._id}:${getMessageKey(currentMessages[lastIndex], lastIndex)}`
+      : selectedUser?._id;
+    
+    if (lastKey !== lastMessageKeyRef.current) {
+      lastMessageKeyRef.current = lastKey;
+      scrollAnchorRef.current = null;
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }, [currentMessages, selectedUser]);
+
+  // Read receipts only while the page is actually being looked at
+  useEffect(() => {
+    const handleVisibilityChange = () => setPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  // Messages in the open conversation have been read
+  useEffect(() => {
+    if (!selectedUser || !pageVisible) return;
+    
+    for (const message of currentMessages) {
+      if (message.sent || !message.messageId || message.status === 'read' ||
+          readReceiptsSentRef.current.has(message.messageId)) continue;
+      
+      readReceiptsSentRef.current.add(message.messageId);
+      queueReceipt(selectedUser._id, 'read', message.messageId);
+    }
+  }, [currentMessages, selectedUser, pageVisible]);
 
   // Memoized user list
   const userList = useMemo(() => {
@@ -709,17 +1652,47 @@ function Chat({ user, onLogout }) {
     ));
   }, [users, selectedUser, handleSelectUser]);
 
-  // Memoized message list
+  // Memoized group list
+  const groupList = useMemo(() => {
+    return groups.map(g => (
+      <GroupListItem
+        key={g._id}
+        group={g}
+        isSelected={selectedGroupId === g._id}
+        onSelect={handleSelectGroup}
+      />
+    ));
+  }, [groups, selectedGroupId, handleSelectGroup]);
+
+  // The open group (gone once we leave or are removed)
+  const selectedGroup = useMemo(() => {
+    return groups.find(g => g._id === selectedGroupId) || null;
+  }, [groups, selectedGroupId]);
+
+  // Send a failed message again from the outbox
+  const handleRetryMessage = useCallback((messageId) => {
+    retryMessage(messageId).catch(error => console.error('Retry failed:', error));
+  }, []);
+
+  // Memoized message list (windowed)
   const messageList = useMemo(() => {
-    return currentMessages.map((msg, index) => (
+    return visibleMessages.map((msg, index) => (
       <MessageBubble 
-        key={`${msg.timestamp}-${index}`} 
+        key={getMessageKey(msg, index)} 
         message={msg}
         onFileDownload={handleFileDownload}
+        onFileDelete={handleFileDelete}
+        onFileForward={setForwardFile}
+        onFileBrowse={setBrowseArchive}
+        getThumbnail={getThumbnail}
         downloading={downloading[msg.file?._id]}
+        deleting={deleting[msg.file?._id]}
+        onRetry={handleRetryMessage}
+        onEdit={handleEditMessage}
+        onDelete={handleDeleteMessage}
       />
     ));
-  }, [currentMessages, handleFileDownload, downloading]);
+  }, [visibleMessages, handleFileDownload, handleFileDelete, getThumbnail, downloading, deleting, handleRetryMessage, handleEditMessage, handleDeleteMessage]);
 
   // Get current encryption status for selected user
   const currentEncryptionStatus = useMemo(() => {
@@ -733,16 +1706,47 @@ function Chat({ user, onLogout }) {
       <aside className="sidebar" role="navigation" aria-label="Contacts">
         <div className="sidebar-header">
           <h3>CryptShare</h3>
-          <button 
-            className="logout-btn" 
-            onClick={onLogout}
-            aria-label="Logout"
-          >
-            Logout
-          </button>
+          <div className="sidebar-actions">
+            <button
+              className="logout-btn"
+              onClick={openBackupModal}
+              aria-label="Back up keys"
+            >
+              Backup
+            </button>
+            <button
+              className="logout-btn"
+              onClick={openDevicesModal}
+              aria-label="Manage devices"
+            >
+              Devices
+            </button>
+            <button 
+              className="logout-btn" 
+              onClick={onLogout}
+              aria-label="Logout"
+            >
+              Logout
+            </button>
+          </div>
         </div>
         
         <div className="user-list" role="listbox" aria-label="Contact list">
+          <div className="user-list-section">
+            <span>Groups</span>
+            <button
+              className="logout-btn"
+              onClick={openCreateGroupModal}
+              aria-label="New group"
+            >
+              New
+            </button>
+          </div>
+          {groupList}
+          
+          <div className="user-list-section">
+            <span>Contacts</span>
+          </div>
           {users.length === 0 ? (
             <p className="empty-contacts">
               No contacts available
@@ -760,18 +1764,42 @@ function Chat({ user, onLogout }) {
             <ChatHeader 
               user={selectedUser} 
               encryptionStatus={currentEncryptionStatus}
+              verified={verification.verified}
+              verificationLost={verification.verificationLost || verification.keyChanged}
+              onVerifyClick={openSafetyModal}
             />
 
             <div 
+              ref={messagesContainerRef}
               className="messages-container" 
               role="log" 
               aria-live="polite"
               aria-label="Message history"
+              onScroll={handleMessagesScroll}
             >
+              <HistoryStatus
+                loading={Boolean(currentHistory?.loading)}
+                hasMore={hasMoreHistory}
+              />
               {messageList}
               <div ref={messagesEndRef} aria-hidden="true" />
             </div>
 
+            {verification.keyChanged && (
+              <KeyChangeWarning
+                username={selectedUser.username}
+                onVerify={openSafetyModal}
+                onAccept={handleAcceptKeyChange}
+              />
+            )}
+
+            {editingMessage && (
+              <div className="editing-banner" role="status">
+                <span>✏️ Editing message</span>
+                <button type="button" onClick={cancelEditMessage}>Cancel</button>
+              </div>
+            )}
+
             <form 
               className="message-input-container" 
               onSubmit={handleSendMessage}
@@ -779,23 +1807,24 @@ function Chat({ user, onLogout }) {
             >
               <FileUploadButton
                 onFileSelect={() => setShowFileModal(true)}
-                disabled={false}
+                disabled={verification.keyChanged}
               />
               <input
                 ref={inputRef}
                 type="text"
-                placeholder="Type a message..."
+                placeholder={verification.keyChanged ? 'Accept the new keys to send messages' : 'Type a message...'}
                 value={inputMessage}
                 onChange={handleInputChange}
+                disabled={verification.keyChanged}
                 aria-label="Message input"
               />
               <button 
                 type="submit" 
                 className="send-btn"
-                disabled={!inputMessage.trim()}
-                aria-label="Send message"
+                disabled={!inputMessage.trim() || verification.keyChanged}
+                aria-label={editingMessage ? 'Save edit' : 'Send message'}
               >
-                &#10148;
+                {editingMessage ? '✓' : <>&#10148;</>}
               </button>
             </form>
             
@@ -808,11 +1837,92 @@ function Chat({ user, onLogout }) {
               recipientName={selectedUser?.username}
               onFileShared={handleFileShared}
             />
+
+            {/* Archive Browser Modal */}
+            {browseArchive && (
+              <ArchiveBrowserModal
+                file={browseArchive}
+                myUserId={user.id}
+                peerId={selectedUser?._id}
+                onClose={() => setBrowseArchive(null)}
+              />
+            )}
+
+            {/* File Forward Modal */}
+            {forwardFile && (
+              <FileForwardModal
+                file={forwardFile}
+                contacts={users.filter(u => u._id !== selectedUser?._id)}
+                myUserId={user.id}
+                onClose={() => setForwardFile(null)}
+                onForwarded={handleFileForwarded}
+              />
+            )}
+
+            {/* Safety Number Modal */}
+            <SafetyNumberModal
+              isOpen={showSafetyModal}
+              onClose={closeSafetyModal}
+              myUserId={user.id}
+              peer={selectedUser}
+              safety={verification.safety}
+              verified={verification.verified}
+              onVerify={verification.markVerified}
+              onClearVerification={verification.clearVerification}
+            />
           </>
+        ) : selectedGroup ? (
+          <GroupChat
+            group={selectedGroup}
+            messages={groupMessages[selectedGroup._id] || []}
+            history={groupHistory[selectedGroup._id]}
+            onSend={sendGroupMessage}
+            onLoadOlder={loadOlderGroupHistory}
+            onManageMembers={openGroupMembersModal}
+          />
         ) : (
           <EmptyState username={user.username} />
         )}
       </main>
+
+      {/* Group Modals */}
+      <CreateGroupModal
+        isOpen={showCreateGroupModal}
+        onClose={closeCreateGroupModal}
+        users={users}
+        onCreate={handleCreateGroup}
+      />
+      <GroupMembersModal
+        isOpen={showGroupMembersModal}
+        onClose={closeGroupMembersModal}
+        group={selectedGroup}
+        myUserId={user.id}
+        users={users}
+        onAddMembers={addMembers}
+        onRemoveMember={removeMember}
+      />
+
+      {/* Incoming direct transfers */}
+      <DirectTransferPanel
+        transfers={directTransfers}
+        getContactName={getContactName}
+        onAccept={acceptDirectTransfer}
+        onDecline={declineDirectTransfer}
+      />
+
+      {/* Devices Modal */}
+      <DevicesModal
+        isOpen={showDevicesModal}
+        onClose={closeDevicesModal}
+        refreshKey={devicesVersion}
+      />
+
+      {/* Key Backup Modal */}
+      <KeyBackupModal
+        isOpen={showBackupModal}
+        onClose={closeBackupModal}
+        user={user}
+      />
     </div>
   );
 }
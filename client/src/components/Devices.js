@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { getDevices, revokeDevice } from '../services/api';
+import { LoadingSpinner } from './common';
+
+const formatDate = (date) => new Date(date).toLocaleString([], {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Fingerprint in short groups for side-by-side comparison
+const formatFingerprint = (fingerprint) => fingerprint.match(/.{1,8}/g).join(' ');
+
+/**
+ * DeviceItem - One device with its fingerprint and a revoke action
+ */
+const DeviceItem = memo(function DeviceItem({ device, revoking, onRevoke }) {
+  const handleRevoke = useCallback(() => onRevoke(device), [device, onRevoke]);
+
+  let tag = null;
+  if (device.revokedAt) {
+    tag = 'Revoked';
+  } else if (device.current) {
+    tag = 'This device';
+  }
+
+  return (
+    <li className={`device-item ${device.revokedAt ? 'revoked' : ''}`}>
+      <div>
+        <div className="device-name">
+          {device.name}
+          {tag && <span className="device-tag">{tag}</span>}
+        </div>
+        <div className="device-meta">
+          Added {formatDate(device.createdAt)}
+          {device.revokedAt
+            ? ` · revoked ${formatDate(device.revokedAt)}`
+            : ` · last seen ${formatDate(device.lastSeen)}`}
+        </div>
+        <div className="device-fingerprint" title="Identity key fingerprint">
+          {formatFingerprint(device.fingerprint)}
+        </div>
+      </div>
+      {!device.revokedAt && !device.current && (
+        <button
+          type="button"
+          className="btn-cancel"
+          onClick={handleRevoke}
+          disabled={revoking}
+        >
+          {revoking ? 'Revoking...' : 'Revoke'}
+        </button>
+      )}
+    </li>
+  );
+});
+
+/**
+ * DevicesModal - List this account's devices and revoke lost ones
+ * A revoked device is disconnected and no longer receives message copies
+ */
+export function DevicesModal({ isOpen, onClose, refreshKey }) {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [revoking, setRevoking] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setDevices(await getDevices());
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Reload when opened and whenever the server reports a device change
+  useEffect(() => {
+    if (isOpen) {
+      loadDevices();
+    }
+  }, [isOpen, refreshKey, loadDevices]);
+
+  const handleRevoke = useCallback(async (device) => {
+    if (!window.confirm(`Revoke "${device.name}"? It will be signed out and stop receiving messages.`)) {
+      return;
+    }
+
+    setRevoking(device.deviceId);
+    setError('');
+    try {
+      await revokeDevice(device.deviceId);
+      await loadDevices();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke device');
+    } finally {
+      setRevoking(null);
+    }
+  }, [loadDevices]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="file-share-modal-overlay" onClick={onClose}>
+      <div className="file-share-modal devices-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>📱 Your devices</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="share-info">
+            Every device has its own encryption keys, and messages are encrypted separately for each one.
+            Revoke any device you no longer use or don't recognise.
+          </p>
+
+          {error && <div className="error-message" role="alert">{error}</div>}
+
+          {loading && devices.length === 0 ? (
+            <LoadingSpinner size="small" text="Loading devices..." />
+          ) : (
+            <ul className="device-list">
+              {devices.map(device => (
+                <DeviceItem
+                  key={device.deviceId}
+                  device={device}
+                  revoking={revoking === device.deviceId}
+                  onRevoke={handleRevoke}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn-cancel" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
-import React, { useState, useCallback, useRef, memo } from 'react';
-import { uploadEncryptedFile, downloadAndDecryptFile } from '../services/fileService';
+import React, { useState, useEffect, useCallback, useRef, memo } from 'react';
+import { uploadEncryptedFile, downloadAndDecryptFile, createShareLink, deleteFile, getStorageUsage, shareFileWith, openArchive, saveArchiveEntry, saveArchiveAsZip, downloadArchiveAsZip } from '../services/fileService';
 import { formatFileSize } from '../crypto/fileEncryption';
+import { createThumbnail } from '../services/thumbnails';
+import { sendFileDirect } from '../services/directTransfer';
+import { ARCHIVE_TYPE, entriesFromFileList, entriesFromDrop, archiveName, buildArchive } from '../services/archive';
 
 // File type icons
 const FILE_ICONS = {
@@ -11,9 +14,38 @@ const FILE_ICONS = {
   'text': '📝',
   'application/zip': '📦',
   'application/x-zip-compressed': '📦',
+  [ARCHIVE_TYPE]: '🗂️',
   'default': '📎'
 };
 
+// Entries listed in the modal before "and N more"
+const ARCHIVE_PREVIEW_ENTRIES = 5;
+
+// Share link lifetimes offered in the modal
+const LINK_EXPIRY_OPTIONS = [
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+
+// Progress text of a direct transfer, by stage
+const DIRECT_STAGE_STATUS = {
+  waiting: (name) => `Waiting for ${name} to accept...`,
+  connecting: () => 'Connecting directly...',
+  sending: () => 'Sending directly (end-to-end encrypted)...',
+  reconnecting: () => 'Connection lost - reconnecting...'
+};
+
+// How long the server keeps a file sent to a contact (null = until deleted)
+const FILE_RETENTION_OPTIONS = [
+  { label: 'Until I delete it', ms: null },
+  { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { label: '1 year', ms: 365 * 24 * 60 * 60 * 1000 }
+];
+
 /**
  * Get icon for file type
  */
@@ -96,18 +128,80 @@ export const FileUploadProgress = memo(function FileUploadProgress({
   );
 });
 
+/**
+ * StorageUsage - Bar showing how much of the user's quota is used
+ * Unfinished uploads count as used until they complete or expire
+ */
+export const StorageUsage = memo(function StorageUsage({ usage }) {
+  if (!usage) return null;
+  
+  const used = usage.used + usage.reserved;
+  const percent = usage.quota > 0 ? Math.min(100, Math.round((used / usage.quota) * 100)) : 100;
+  
+  return (
+    <div className={`storage-usage ${percent >= 90 ? 'nearly-full' : ''}`}>
+      <div className="progress-bar-container">
+        <div className="progress-bar" style={{ width: `${percent}%` }} />
+      </div>
+      <span className="storage-usage-text">
+        {formatFileSize(used)} of {formatFileSize(usage.quota)} used
+        {usage.reserved > 0 && ` (${formatFileSize(usage.reserved)} in unfinished uploads)`}
+      </span>
+    </div>
+  );
+});
+
+/**
+ * FileThumbnail - Decrypted thumbnail of a file (images, PDFs, videos)
+ * getThumbnail(file) resolves to an object URL, or null if the file has none
+ */
+const FileThumbnail = memo(function FileThumbnail({ file, getThumbnail }) {
+  const [url, setUrl] = useState(null);
+  
+  useEffect(() => {
+    let cancelled = false;
+    setUrl(null);
+    getThumbnail(file)
+      .then(thumbnailUrl => { if (!cancelled) setUrl(thumbnailUrl); })
+      .catch(() => {}); // Logged by the file service - the file icon stays
+    return () => { cancelled = true; };
+  }, [file, getThumbnail]);
+  
+  if (!url) return null;
+  
+  const type = file.metadata?.type || '';
+  return (
+    <div className="file-thumbnail">
+      <img src={url} alt={file.metadata?.name || 'Preview'} />
+      {type.startsWith('video/') && <span className="file-thumbnail-badge">▶</span>}
+      {type === 'application/pdf' && <span className="file-thumbnail-badge">PDF</span>}
+    </div>
+  );
+});
+
 /**
  * FileMessage - Displays a file in the chat
+ * Senders can delete the file from the server (onDelete - not for files they
+ * only passed on), and anyone can forward it to another contact (onForward)
+ * Files with a thumbnail show it (getThumbnail) - the file itself is not downloaded
+ * Archives can be browsed entry by entry (onBrowse) or downloaded as a zip
  */
 export const FileMessage = memo(function FileMessage({ 
   file, 
   sent, 
   onDownload,
+  onDelete,
+  onForward,
+  onBrowse,
+  getThumbnail,
   downloading = false,
+  deleting = false,
   timestamp
 }) {
   const icon = getFileIcon(file.metadata?.type);
   const isImage = file.metadata?.type?.startsWith('image/');
+  const hasThumbnail = Boolean(file.thumbnail && getThumbnail && !file.decryptionFailed);
+  const archive = file.metadata?.archive;
   
   // Format timestamp to readable time
   const formatTime = (ts) => {
@@ -119,22 +213,67 @@ export const FileMessage = memo(function FileMessage({
   return (
     <div className={`file-message ${sent ? 'sent' : 'received'}`}>
       <div className="file-message-content">
+        {hasThumbnail && <FileThumbnail file={file} getThumbnail={getThumbnail} />}
         <div className="file-header">
           <span className="file-icon">{icon}</span>
           <span className="file-name">{file.metadata?.name || 'Unknown file'}</span>
         </div>
         <div className="file-details">
           <span className="file-size">{formatFileSize(file.metadata?.size || 0)}</span>
-          <span className="file-type">{file.metadata?.type || 'Unknown type'}</span>
+          <span className="file-type">
+            {archive ? `${archive.entryCount} files` : file.metadata?.type || 'Unknown type'}
+          </span>
         </div>
-        <button
-          className="file-download-btn"
-          onClick={() => onDownload(file)}
-          disabled={downloading}
-        >
-          {downloading ? '⏳ Decrypting...' : '⬇️ Download & Decrypt'}
-        </button>
-        {isImage && (
+        {file.direct ? (
+          <div className="file-direct-note">
+            ⚡ {sent ? 'Sent directly - never stored on the server' : 'Received directly - saved on this device'}
+          </div>
+        ) : (
+          <>
+            {archive && onBrowse && (
+              <button
+                className="file-forward-btn"
+                onClick={() => onBrowse(file)}
+                disabled={downloading || deleting}
+              >
+                📂 Browse files
+              </button>
+            )}
+            <button
+              className="file-download-btn"
+              onClick={() => onDownload(file)}
+              disabled={downloading || deleting}
+            >
+              {downloading
+                ? '⏳ Decrypting...'
+                : (archive ? '⬇️ Download all (.zip)' : '⬇️ Download & Decrypt')}
+            </button>
+            {onForward && !file.decryptionFailed && (
+              <button
+                className="file-forward-btn"
+                onClick={() => onForward(file)}
+                disabled={deleting}
+              >
+                ↪️ Forward
+              </button>
+            )}
+            {sent && onDelete && !file.sharedBy && (
+              <button
+                className="file-delete-btn"
+                onClick={() => onDelete(file)}
+                disabled={downloading || deleting}
+              >
+                {deleting ? 'Deleting...' : '🗑️ Delete from server'}
+              </button>
+            )}
+          </>
+        )}
+        {file.expiresAt && (
+          <div className="file-expiry">
+            Available until {new Date(file.expiresAt).toLocaleString()}
+          </div>
+        )}
+        {isImage && !hasThumbnail && (
           <div className="file-preview-hint">
             🔒 Encrypted image - download to view
           </div>
@@ -149,6 +288,7 @@ export const FileMessage = memo(function FileMessage({
 
 /**
  * FileShareModal - Full-screen file sharing interface
+ * Sends a file to the selected contact, or creates a share link for it
  */
 export function FileShareModal({ 
   isOpen, 
@@ -159,25 +299,180 @@ export function FileShareModal({
   onFileShared 
 }) {
   const [selectedFile, setSelectedFile] = useState(null);
+  const [archive, setArchive] = useState(null); // { manifestSize, entryCount, entries } when several files are selected
+  const [dragging, setDragging] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [status, setStatus] = useState('');
   const [error, setError] = useState(null);
+  const [mode, setMode] = useState('recipient'); // 'recipient' | 'link'
+  const [linkExpiry, setLinkExpiry] = useState(LINK_EXPIRY_OPTIONS[2].ms);
+  const [linkMaxDownloads, setLinkMaxDownloads] = useState('');
+  const [linkPassword, setLinkPassword] = useState('');
+  const [shareUrl, setShareUrl] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [retention, setRetention] = useState(null);
+  const [direct, setDirect] = useState(false); // Try a peer-to-peer connection first
+  const [notice, setNotice] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const thumbnailRef = useRef(null); // Promise of the selected file's thumbnail
   
-  const handleFileSelect = useCallback((e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setSelectedFile(file);
-      setError(null);
+  // Refresh the storage usage whenever the modal opens
+  useEffect(() => {
+    if (!isOpen) return;
+    getStorageUsage()
+      .then(setUsage)
+      .catch(err => console.error('Failed to load storage usage:', err));
+  }, [isOpen]);
+  
+  const remainingQuota = usage ? usage.quota - usage.used - usage.reserved : Infinity;
+  
+  // Make the thumbnail as soon as a file is picked - shown here, uploaded with the file
+  useEffect(() => {
+    if (!selectedFile) {
+      thumbnailRef.current = null;
+      return;
+    }
+    
+    let url = null;
+    let cancelled = false;
+    const thumbnail = createThumbnail(selectedFile);
+    thumbnailRef.current = thumbnail;
+    thumbnail.then(jpeg => {
+      if (cancelled || !jpeg) return;
+      url = URL.createObjectURL(jpeg);
+      setPreviewUrl(url);
+    });
+    
+    return () => {
+      cancelled = true;
+      setPreviewUrl(null);
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [selectedFile]);
+  
+  const resetState = useCallback(() => {
+    setSelectedFile(null);
+    setArchive(null);
+    setUploading(false);
+    setProgress(0);
+    setStatus('');
+    setError(null);
+    setNotice(null);
+    setShareUrl(null);
+    setCopied(false);
+    setLinkPassword('');
+  }, []);
+  
+  // One file is sent as is; several files or a folder are packed into an archive
+  const selectEntries = useCallback((entries) => {
+    if (entries.length === 0) return;
+    setError(null);
+    
+    if (entries.length === 1 && !entries[0].path.includes('/')) {
+      setSelectedFile(entries[0].file);
+      setArchive(null);
+      return;
     }
+    
+    try {
+      const packed = buildArchive(entries, archiveName(entries));
+      setSelectedFile(packed.file);
+      setArchive({ ...packed.archive, entries });
+      setMode('recipient'); // Share links carry single files only
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+  
+  const handleFileSelect = useCallback((e) => {
+    selectEntries(entriesFromFileList(e.target.files || []));
+    // Reset input so the same selection can be made again
+    e.target.value = '';
+  }, [selectEntries]);
+  
+  const handleDragOver = useCallback((e) => {
+    e.preventDefault();
+    setDragging(true);
   }, []);
   
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (uploading) return;
+    entriesFromDrop(e.dataTransfer)
+      .then(selectEntries)
+      .catch(err => setError(err.message || 'Could not read the dropped files'));
+  }, [uploading, selectEntries]);
+  
+  const handleProgress = useCallback((p) => {
+    setProgress(p);
+    if (p < 5) setStatus('Preparing upload...');
+    else if (p < 95) setStatus('Encrypting & uploading chunks...');
+    else setStatus('Finalizing...');
+  }, []);
+  
+  const handleDirectProgress = useCallback((p, stage) => {
+    setProgress(p);
+    setStatus(DIRECT_STAGE_STATUS[stage](recipientName));
+  }, [recipientName]);
+  
+  // Link mode: upload under a random key and show the link (the key is in its fragment)
+  const handleCreateLink = useCallback(async () => {
+    const maxDownloads = linkMaxDownloads ? parseInt(linkMaxDownloads, 10) : null;
+    const { url } = await createShareLink(selectedFile, {
+      expiresInMs: linkExpiry,
+      maxDownloads,
+      password: linkPassword || undefined
+    }, handleProgress);
+    
+    setShareUrl(url);
+    setStatus('Link created - anyone with the link can download the file');
+    setProgress(100);
+    setUploading(false);
+  }, [selectedFile, linkExpiry, linkMaxDownloads, linkPassword, handleProgress]);
+  
   const handleUpload = useCallback(async () => {
     if (!selectedFile) return;
     
     setUploading(true);
     setProgress(0);
     setError(null);
+    setNotice(null);
+    
+    if (mode === 'link') {
+      try {
+        setStatus('Encrypting file...');
+        await handleCreateLink();
+      } catch (err) {
+        setError(err.message || 'Could not create link');
+        setStatus('Link creation failed');
+        setUploading(false);
+      }
+      return;
+    }
+    
+    // Direct mode: nothing is stored on the server - if no connection can be made, upload it after all
+    if (direct && !archive) {
+      try {
+        const result = await sendFileDirect(myUserId, recipientId, selectedFile, handleDirectProgress);
+        setStatus('File sent directly!');
+        setProgress(100);
+        
+        if (onFileShared) {
+          onFileShared({ direct: true, transferId: result.transferId, metadata: result.metadata });
+        }
+        setTimeout(() => {
+          resetState();
+          onClose();
+        }, 1500);
+        return;
+      } catch (err) {
+        setNotice(`${err.message} - sending via the server instead`);
+        setProgress(0);
+      }
+    }
     
     try {
       setStatus('Encrypting file...');
@@ -186,12 +481,10 @@ export function FileShareModal({
         myUserId,
         recipientId,
         selectedFile,
-        (p) => {
-          setProgress(p);
-          if (p < 50) setStatus('Encrypting file...');
-          else if (p < 90) setStatus('Uploading encrypted data...');
-          else setStatus('Finalizing...');
-        }
+        handleProgress,
+        archive
+          ? { ttlMs: retention, archive: { manifestSize: archive.manifestSize, entryCount: archive.entryCount } }
+          : { ttlMs: retention, thumbnail: thumbnailRef.current }
       );
       
       setStatus('File shared successfully!');
@@ -201,33 +494,43 @@ export function FileShareModal({
       if (onFileShared) {
         onFileShared({
           fileId: result.fileId,
-          metadata: result.metadata
+          metadata: result.metadata,
+          serverMetadata: result.serverMetadata,
+          encryptedMetadata: result.encryptedMetadata,
+          keyEnvelopes: result.keyEnvelopes,
+          thumbnail: result.thumbnail,
+          expiresAt: result.expiresAt
         });
       }
       
       // Close after short delay
       setTimeout(() => {
-        setSelectedFile(null);
-        setUploading(false);
-        setProgress(0);
-        setStatus('');
+        resetState();
         onClose();
       }, 1500);
       
     } catch (err) {
       setError(err.message || 'Upload failed');
-      setStatus('Upload failed');
+      setStatus('Upload failed - send the same file again to resume');
       setUploading(false);
     }
-  }, [selectedFile, myUserId, recipientId, onFileShared, onClose]);
+  }, [selectedFile, archive, mode, retention, direct, myUserId, recipientId, onFileShared, onClose, handleCreateLink, handleProgress, handleDirectProgress, resetState]);
   
   const handleCancel = useCallback(() => {
     if (!uploading) {
-      setSelectedFile(null);
-      setError(null);
+      resetState();
       onClose();
     }
-  }, [uploading, onClose]);
+  }, [uploading, onClose, resetState]);
+  
+  const handleCopyLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  }, [shareUrl]);
   
   if (!isOpen) return null;
   
@@ -240,38 +543,153 @@ export function FileShareModal({
         </div>
         
         <div className="modal-body">
+          <div className="share-mode-toggle" role="tablist">
+            <button
+              type="button"
+              className={mode === 'recipient' ? 'active' : ''}
+              onClick={() => setMode('recipient')}
+              disabled={uploading || Boolean(shareUrl)}
+            >
+              Send to {recipientName}
+            </button>
+            <button
+              type="button"
+              className={mode === 'link' ? 'active' : ''}
+              onClick={() => setMode('link')}
+              disabled={uploading || Boolean(shareUrl) || Boolean(archive)}
+              title={archive ? 'Links can only share a single file' : undefined}
+            >
+              🔗 Create link
+            </button>
+          </div>
           <p className="share-info">
-            Share a file with <strong>{recipientName}</strong>
+            {mode === 'recipient'
+              ? <>Share a file with <strong>{recipientName}</strong></>
+              : 'Anyone with the link can download the file until it expires'}
           </p>
           <p className="encryption-notice">
             📌 Files are encrypted locally before upload. The server cannot see file contents.
           </p>
+          <StorageUsage usage={usage} />
           
           {!selectedFile ? (
-            <div className="file-select-area">
+            <div
+              className={`file-select-area ${dragging ? 'dragging' : ''}`}
+              onDragOver={handleDragOver}
+              onDragLeave={() => setDragging(false)}
+              onDrop={handleDrop}
+            >
               <label className="file-select-label">
                 <input 
                   type="file" 
+                  multiple
                   onChange={handleFileSelect}
                   disabled={uploading}
                 />
                 <span className="file-select-text">
-                  📁 Click or drag to select a file
+                  📁 Click or drag files or a folder here
                 </span>
               </label>
+              <label className="file-select-folder">
+                <input
+                  type="file"
+                  webkitdirectory=""
+                  onChange={handleFileSelect}
+                  disabled={uploading}
+                />
+                or pick a folder
+              </label>
             </div>
           ) : (
             <div className="selected-file-info">
               <div className="file-preview">
-                <span className="file-icon-large">{getFileIcon(selectedFile.type)}</span>
+                {previewUrl
+                  ? <img className="file-preview-thumbnail" src={previewUrl} alt="" />
+                  : <span className="file-icon-large">{getFileIcon(selectedFile.type)}</span>}
                 <div className="file-details">
                   <span className="file-name">{selectedFile.name}</span>
                   <span className="file-meta">
-                    {formatFileSize(selectedFile.size)} • {selectedFile.type || 'Unknown type'}
+                    {formatFileSize(selectedFile.size)} • {archive ? `${archive.entryCount} files` : selectedFile.type || 'Unknown type'}
                   </span>
                 </div>
               </div>
               
+              {archive && (
+                <ul className="archive-entry-preview">
+                  {archive.entries.slice(0, ARCHIVE_PREVIEW_ENTRIES).map(({ path }, n) => (
+                    <li key={n}>{path}</li>
+                  ))}
+                  {archive.entryCount > ARCHIVE_PREVIEW_ENTRIES && (
+                    <li>… and {archive.entryCount - ARCHIVE_PREVIEW_ENTRIES} more</li>
+                  )}
+                </ul>
+              )}
+              
+              {mode === 'recipient' && (
+                <div className="link-options">
+                  <label>
+                    Keep on server
+                    <select
+                      value={retention ?? ''}
+                      onChange={e => setRetention(e.target.value ? Number(e.target.value) : null)}
+                      disabled={uploading}
+                    >
+                      {FILE_RETENTION_OPTIONS.map(option => (
+                        <option key={option.label} value={option.ms ?? ''}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="direct-transfer-option" title={archive ? 'Several files are always sent via the server' : undefined}>
+                    <input
+                      type="checkbox"
+                      checked={direct && !archive}
+                      onChange={e => setDirect(e.target.checked)}
+                      disabled={uploading || Boolean(archive)}
+                    />
+                    ⚡ Send directly if {recipientName} is online (not stored on the server)
+                  </label>
+                </div>
+              )}
+              
+              {mode === 'link' && !shareUrl && (
+                <div className="link-options">
+                  <label>
+                    Expires after
+                    <select
+                      value={linkExpiry}
+                      onChange={e => setLinkExpiry(Number(e.target.value))}
+                      disabled={uploading}
+                    >
+                      {LINK_EXPIRY_OPTIONS.map(option => (
+                        <option key={option.ms} value={option.ms}>{option.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Download limit
+                    <input
+                      type="number"
+                      min="1"
+                      max="1000"
+                      placeholder="Unlimited"
+                      value={linkMaxDownloads}
+                      onChange={e => setLinkMaxDownloads(e.target.value)}
+                      disabled={uploading}
+                    />
+                  </label>
+                  <label>
+                    Password (optional)
+                    <input
+                      type="password"
+                      autoComplete="new-password"
+                      value={linkPassword}
+                      onChange={e => setLinkPassword(e.target.value)}
+                      disabled={uploading}
+                    />
+                  </label>
+                </div>
+              )}
+              
               {uploading && (
                 <div className="upload-progress">
                   <div className="progress-bar-container">
@@ -281,6 +699,28 @@ export function FileShareModal({
                 </div>
               )}
               
+              {shareUrl && (
+                <div className="share-link-result">
+                  <input type="text" readOnly value={shareUrl} onFocus={e => e.target.select()} />
+                  <button type="button" onClick={handleCopyLink}>
+                    {copied ? '✓ Copied' : 'Copy'}
+                  </button>
+                  <span className="progress-status">{status}</span>
+                </div>
+              )}
+              
+              {!uploading && !shareUrl && selectedFile.size > remainingQuota && (
+                <div className="upload-error">
+                  ⚠️ Not enough storage left ({formatFileSize(Math.max(remainingQuota, 0))} free) - delete some files first
+                </div>
+              )}
+              
+              {notice && (
+                <div className="upload-notice">
+                  ℹ️ {notice}
+                </div>
+              )}
+              
               {error && (
                 <div className="upload-error">
                   ⚠️ {error}
@@ -296,14 +736,256 @@ export function FileShareModal({
             onClick={handleCancel}
             disabled={uploading}
           >
+            {shareUrl ? 'Done' : 'Cancel'}
+          </button>
+          {!shareUrl && (
+            <button 
+              className="btn-upload"
+              onClick={handleUpload}
+              disabled={!selectedFile || uploading || selectedFile.size > remainingQuota}
+            >
+              {uploading
+                ? '🔐 Encrypting & Uploading...'
+                : (mode === 'link' ? '🔗 Encrypt & Create Link' : '🚀 Encrypt & Send')}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Status line of an incoming direct transfer
+function directTransferStatus(transfer) {
+  switch (transfer.status) {
+    case 'offered': return `${formatFileSize(transfer.size)} - sent directly, not stored on the server`;
+    case 'connecting': return 'Connecting...';
+    case 'receiving': return `Receiving... ${transfer.progress}%`;
+    case 'reconnecting': return 'Connection lost - waiting for the sender to reconnect...';
+    case 'failed': return `Direct transfer failed${transfer.error ? ` (${transfer.error})` : ''} - the file will arrive via the server`;
+    default: return transfer.error || 'Direct transfer cancelled';
+  }
+}
+
+/**
+ * DirectTransferPanel - Files contacts want to send peer-to-peer
+ * Accepting asks where to save the file; declining has it sent via the server
+ */
+export const DirectTransferPanel = memo(function DirectTransferPanel({
+  transfers,
+  getContactName,
+  onAccept,
+  onDecline
+}) {
+  if (transfers.length === 0) return null;
+  
+  return (
+    <div className="direct-transfers" role="status">
+      {transfers.map(transfer => (
+        <div key={transfer.transferId} className={`direct-transfer ${transfer.status}`}>
+          <div className="direct-transfer-title">
+            ⚡ <strong>{getContactName(transfer.from)}</strong> is sending {getFileIcon(transfer.type)} {transfer.name}
+          </div>
+          <div className="direct-transfer-status">{directTransferStatus(transfer)}</div>
+          {transfer.status === 'receiving' && (
+            <div className="progress-bar-container">
+              <div className="progress-bar" style={{ width: `${transfer.progress}%` }} />
+            </div>
+          )}
+          {transfer.status === 'offered' && (
+            <div className="direct-transfer-actions">
+              <button className="btn-upload" onClick={() => onAccept(transfer.transferId)}>
+                Accept & save
+              </button>
+              <button className="btn-cancel" onClick={() => onDecline(transfer.transferId)}>
+                Receive via server
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+});
+
+/**
+ * FileForwardModal - Share a file from the chat with another contact
+ * Only a key envelope for the contact is added - the file is not uploaded again
+ */
+export function FileForwardModal({
+  file,
+  contacts,
+  myUserId,
+  onClose,
+  onForwarded
+}) {
+  const [forwardingTo, setForwardingTo] = useState(null);
+  const [error, setError] = useState(null);
+  
+  const handleForward = useCallback(async (contact) => {
+    setForwardingTo(contact._id);
+    setError(null);
+    try {
+      const result = await shareFileWith(myUserId, file._id, contact._id);
+      onForwarded?.(file, contact, result);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Forwarding failed');
+      setForwardingTo(null);
+    }
+  }, [myUserId, file, onForwarded, onClose]);
+  
+  const handleCancel = useCallback(() => {
+    if (!forwardingTo) onClose();
+  }, [forwardingTo, onClose]);
+  
+  if (!file) return null;
+  
+  return (
+    <div className="file-share-modal-overlay" onClick={handleCancel}>
+      <div className="file-share-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>↪️ Forward File</h3>
+          <button className="modal-close" onClick={handleCancel}>×</button>
+        </div>
+        
+        <div className="modal-body">
+          <p className="share-info">
+            Forward <strong>{file.metadata?.name || 'this file'}</strong> to:
+          </p>
+          <p className="encryption-notice">
+            📌 The file key is re-encrypted for the contact on this device. The file is not uploaded again.
+          </p>
+          
+          {contacts.length === 0 ? (
+            <p className="share-info">No other contacts to forward to</p>
+          ) : (
+            <ul className="forward-contact-list">
+              {contacts.map(contact => (
+                <li key={contact._id}>
+                  <button
+                    type="button"
+                    onClick={() => handleForward(contact)}
+                    disabled={Boolean(forwardingTo)}
+                  >
+                    {forwardingTo === contact._id ? '🔐 Forwarding...' : contact.username}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          {error && (
+            <div className="upload-error">
+              ⚠️ {error}
+            </div>
+          )}
+        </div>
+        
+        <div className="modal-footer">
+          <button className="btn-cancel" onClick={handleCancel} disabled={Boolean(forwardingTo)}>
             Cancel
           </button>
-          <button 
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ArchiveBrowserModal - Lists the entries of a shared archive
+ * Opening it downloads only the manifest; each entry is fetched on its own
+ */
+export function ArchiveBrowserModal({
+  file,
+  myUserId,
+  peerId,
+  onClose
+}) {
+  const [archive, setArchive] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(null); // Entry index, 'zip' or null
+  const [progress, setProgress] = useState(0);
+  
+  useEffect(() => {
+    let cancelled = false;
+    openArchive(myUserId, file._id, peerId)
+      .then(opened => { if (!cancelled) setArchive(opened); })
+      .catch(err => { if (!cancelled) setError(err.message || 'Could not open the archive'); });
+    return () => { cancelled = true; };
+  }, [myUserId, file._id, peerId]);
+  
+  const save = useCallback(async (target) => {
+    setSaving(target);
+    setProgress(0);
+    setError(null);
+    try {
+      if (target === 'zip') {
+        await saveArchiveAsZip(archive, setProgress);
+      } else {
+        await saveArchiveEntry(archive, archive.entries[target], setProgress);
+      }
+    } catch (err) {
+      if (err.message !== 'Download cancelled') {
+        setError(err.message || 'Download failed');
+      }
+    } finally {
+      setSaving(null);
+    }
+  }, [archive]);
+  
+  const handleCancel = useCallback(() => {
+    if (saving === null) onClose();
+  }, [saving, onClose]);
+  
+  return (
+    <div className="file-share-modal-overlay" onClick={handleCancel}>
+      <div className="file-share-modal archive-browser" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>🗂️ {file.metadata?.name || 'Archive'}</h3>
+          <button className="modal-close" onClick={handleCancel}>×</button>
+        </div>
+        
+        <div className="modal-body">
+          {!archive && !error && <p className="share-info">🔐 Decrypting file list...</p>}
+          
+          {archive && (
+            <ul className="archive-entry-list">
+              {archive.entries.map((entry, n) => (
+                <li key={n}>
+                  <span className="file-icon">{getFileIcon(entry.type)}</span>
+                  <span className="archive-entry-path" title={entry.path}>{entry.path}</span>
+                  <span className="file-size">{formatFileSize(entry.size)}</span>
+                  <button
+                    type="button"
+                    onClick={() => save(n)}
+                    disabled={saving !== null}
+                    aria-label={`Download ${entry.path}`}
+                  >
+                    {saving === n ? `${progress}%` : '⬇️'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          {error && (
+            <div className="upload-error">
+              ⚠️ {error}
+            </div>
+          )}
+        </div>
+        
+        <div className="modal-footer">
+          <button className="btn-cancel" onClick={handleCancel} disabled={saving !== null}>
+            Close
+          </button>
+          <button
             className="btn-upload"
-            onClick={handleUpload}
-            disabled={!selectedFile || uploading}
+            onClick={() => save('zip')}
+            disabled={!archive || saving !== null}
           >
-            {uploading ? '🔐 Encrypting & Uploading...' : '🚀 Encrypt & Send'}
+            {saving === 'zip' ? `⏳ Saving zip... ${progress}%` : '⬇️ Download all (.zip)'}
           </button>
         </div>
       </div>
@@ -316,6 +998,7 @@ export function FileShareModal({
  */
 export function useFileHandler(myUserId) {
   const [downloading, setDownloading] = useState({});
+  const [deleting, setDeleting] = useState({});
   
   const handleDownload = useCallback(async (file, peerId) => {
     const fileId = file._id || file.fileId;
@@ -325,7 +1008,9 @@ export function useFileHandler(myUserId) {
     setDownloading(prev => ({ ...prev, [fileId]: true }));
     
     try {
-      await downloadAndDecryptFile(
+      // Archives are saved as one zip of all their entries
+      const download = file.metadata?.archive ? downloadArchiveAsZip : downloadAndDecryptFile;
+      await download(
         myUserId,
         fileId,
         peerId,  // Peer ID for conversation key derivation
@@ -333,19 +1018,50 @@ export function useFileHandler(myUserId) {
       );
     } catch (error) {
       console.error('Download failed:', error);
-      alert('Failed to download file: ' + error.message);
+      if (error.message !== 'Download cancelled') {
+        alert('Failed to download file: ' + error.message);
+      }
     } finally {
       setDownloading(prev => ({ ...prev, [fileId]: false }));
     }
   }, [myUserId, downloading]);
   
-  return { downloading, handleDownload };
+  // Delete a sent file from the server - resolves true once it is gone
+  const handleDelete = useCallback(async (file) => {
+    const fileId = file._id || file.fileId;
+    
+    if (deleting[fileId]) return false;
+    if (!window.confirm(`Delete "${file.metadata?.name || 'this file'}" from the server? Nobody will be able to download it anymore.`)) {
+      return false;
+    }
+    
+    setDeleting(prev => ({ ...prev, [fileId]: true }));
+    
+    try {
+      await deleteFile(fileId);
+      return true;
+    } catch (error) {
+      console.error('Delete failed:', error);
+      // Already gone (e.g. expired) - remove it from the chat as well
+      if (error.status === 404) return true;
+      alert('Failed to delete file: ' + error.message);
+      return false;
+    } finally {
+      setDeleting(prev => ({ ...prev, [fileId]: false }));
+    }
+  }, [deleting]);
+  
+  return { downloading, handleDownload, deleting, handleDelete };
 }
 
 export default {
   FileUploadButton,
   FileUploadProgress,
   FileMessage,
+  StorageUsage,
   FileShareModal,
+  FileForwardModal,
+  ArchiveBrowserModal,
+  DirectTransferPanel,
   useFileHandler
 };
@@ -0,0 +1,580 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo, memo } from 'react';
+import {
+  getGroups,
+  getGroup,
+  createGroup as apiCreateGroup,
+  addGroupMembers,
+  removeGroupMember,
+  getGroupMessages
+} from '../services/api';
+import {
+  onGroupMessage,
+  onGroupSenderKey,
+  onGroupUpdated,
+  emitGroupMessage
+} from '../services/socket';
+import {
+  encryptGroupMessage,
+  decryptGroupMessage,
+  processSenderKeyDistribution,
+  rotateSenderKey
+} from '../services/groupService';
+import { addReplayProtection } from '../utils/replayProtection';
+import { Avatar, LoadingSpinner } from './common';
+
+const GROUP_PAGE_SIZE = 50;
+// Distance (px) from the top of the message list that triggers loading older messages
+const SCROLL_TOP_THRESHOLD = 80;
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Sender key ID + iteration is unique per message - local, live and stored copies share it
+const groupMessageId = (message) => (
+  message.senderKey ? `${message.senderKey.keyId}:${message.senderKey.iteration}` : String(message._id)
+);
+
+const memberName = (group, userId) => (
+  group?.members.find(member => member.userId === String(userId))?.username || 'Former member'
+);
+
+/**
+ * GroupListItem - One group in the sidebar
+ */
+export const GroupListItem = memo(function GroupListItem({ group, isSelected, onSelect }) {
+  const handleClick = useCallback(() => onSelect(group), [group, onSelect]);
+
+  return (
+    <div
+      className={`user-item ${isSelected ? 'active' : ''}`}
+      onClick={handleClick}
+      role="button"
+      tabIndex={0}
+      onKeyDown={(e) => e.key === 'Enter' && handleClick()}
+      aria-pressed={isSelected}
+    >
+      <Avatar username={group.name} />
+      <div className="user-info">
+        <div className="user-name">{group.name}</div>
+        <div className="user-status">{group.members.length} members</div>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * MemberPicker - Checkbox list of contacts
+ */
+const MemberPicker = memo(function MemberPicker({ users, selected, onToggle, disabled }) {
+  if (users.length === 0) {
+    return <p className="empty-contacts">No contacts to add</p>;
+  }
+
+  return (
+    <ul className="group-member-picker">
+      {users.map(u => (
+        <li key={u._id}>
+          <label>
+            <input
+              type="checkbox"
+              checked={selected.includes(u._id)}
+              onChange={() => onToggle(u._id)}
+              disabled={disabled}
+            />
+            {u.username}
+          </label>
+        </li>
+      ))}
+    </ul>
+  );
+});
+
+// Selection state for a MemberPicker
+function useSelection() {
+  const [selected, setSelected] = useState([]);
+  const toggle = useCallback((id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  }, []);
+  const reset = useCallback(() => setSelected([]), []);
+  return { selected, toggle, reset };
+}
+
+/**
+ * CreateGroupModal - Name a new group and pick its first members
+ */
+export function CreateGroupModal({ isOpen, onClose, users, onCreate }) {
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const { selected, toggle, reset } = useSelection();
+
+  useEffect(() => {
+    if (isOpen) {
+      setName('');
+      setError('');
+      reset();
+    }
+  }, [isOpen, reset]);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setSaving(true);
+    setError('');
+    try {
+      await onCreate(name.trim(), selected);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create group');
+    } finally {
+      setSaving(false);
+    }
+  }, [name, selected, onCreate, onClose]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="file-share-modal-overlay" onClick={onClose}>
+      <form className="file-share-modal group-modal" onClick={e => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="modal-header">
+          <h3>👥 New group</h3>
+          <button type="button" className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          {error && <div className="error-message" role="alert">{error}</div>}
+
+          <div className="form-group">
+            <label htmlFor="group-name">Group name</label>
+            <input
+              id="group-name"
+              type="text"
+              value={name}
+              onChange={e => setName(e.target.value)}
+              maxLength={100}
+              autoFocus
+              disabled={saving}
+            />
+          </div>
+
+          <MemberPicker users={users} selected={selected} onToggle={toggle} disabled={saving} />
+        </div>
+
+        <div className="modal-footer">
+          <button type="button" className="btn-cancel" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" className="btn-upload" disabled={saving || !name.trim()}>
+            {saving ? 'Creating...' : 'Create group'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * GroupMembersModal - Members of a group; admins add and remove, everyone can leave
+ * Every change makes all members rotate their sender keys
+ */
+export function GroupMembersModal({ isOpen, onClose, group, myUserId, users, onAddMembers, onRemoveMember }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const { selected, toggle, reset } = useSelection();
+
+  useEffect(() => {
+    if (isOpen) {
+      setError('');
+      reset();
+    }
+  }, [isOpen, reset]);
+
+  const isAdmin = group?.members.some(member => member.userId === myUserId && member.role === 'admin');
+  const candidates = useMemo(() => (
+    group ? users.filter(u => !group.members.some(member => member.userId === u._id)) : []
+  ), [group, users]);
+
+  const run = useCallback(async (operation, fallbackError) => {
+    setBusy(true);
+    setError('');
+    try {
+      await operation();
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || fallbackError);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }, []);
+
+  const handleAdd = useCallback(async () => {
+    if (await run(() => onAddMembers(group._id, selected), 'Failed to add members')) {
+      reset();
+    }
+  }, [group, selected, onAddMembers, run, reset]);
+
+  const handleRemove = useCallback(async (member) => {
+    if (!window.confirm(`Remove ${member.username} from "${group.name}"?`)) return;
+    await run(() => onRemoveMember(group._id, member.userId), 'Failed to remove member');
+  }, [group, onRemoveMember, run]);
+
+  const handleLeave = useCallback(async () => {
+    if (!window.confirm(`Leave "${group.name}"? You will no longer receive its messages.`)) return;
+    if (await run(() => onRemoveMember(group._id, myUserId), 'Failed to leave group')) {
+      onClose();
+    }
+  }, [group, myUserId, onRemoveMember, onClose, run]);
+
+  if (!isOpen || !group) return null;
+
+  return (
+    <div className="file-share-modal-overlay" onClick={onClose}>
+      <div className="file-share-modal group-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>👥 {group.name}</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="share-info">
+            Messages are encrypted on each member's devices. Whenever someone joins or leaves,
+            every member switches to a new key - removed members cannot read new messages.
+          </p>
+
+          {error && <div className="error-message" role="alert">{error}</div>}
+
+          <ul className="device-list">
+            {group.members.map(member => (
+              <li key={member.userId} className="device-item">
+                <div className="device-name">
+                  {member.username}
+                  {member.role === 'admin' && <span className="device-tag">Admin</span>}
+                  {member.userId === myUserId && <span className="device-tag">You</span>}
+                </div>
+                {isAdmin && member.userId !== myUserId && (
+                  <button
+                    type="button"
+                    className="btn-cancel"
+                    onClick={() => handleRemove(member)}
+                    disabled={busy}
+                  >
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isAdmin && (
+            <div className="group-add-members">
+              <h4>Add members</h4>
+              <MemberPicker users={candidates} selected={selected} onToggle={toggle} disabled={busy} />
+              {candidates.length > 0 && (
+                <button
+                  type="button"
+                  className="btn-upload"
+                  onClick={handleAdd}
+                  disabled={busy || selected.length === 0}
+                >
+                  Add selected
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn-cancel" onClick={handleLeave} disabled={busy}>
+            Leave group
+          </button>
+          <button className="btn-cancel" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Memoized group message bubble (sender name on received messages)
+const GroupMessageBubble = memo(function GroupMessageBubble({ message }) {
+  return (
+    <div className={`message ${message.sent ? 'sent' : 'received'} ${message.error ? 'error' : ''}`}>
+      <div className="message-bubble">
+        {!message.sent && <span className="message-sender">{message.senderName}</span>}
+        <span className="message-text">{message.text}</span>
+        {message.error && <span className="message-error-icon" title="Decryption failed"> ⚠️</span>}
+        <span className="message-time">{formatTime(message.timestamp)}</span>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * GroupChat - Header, history and input for one group
+ */
+export const GroupChat = memo(function GroupChat({ group, messages, history, onSend, onLoadOlder, onManageMembers }) {
+  const [inputMessage, setInputMessage] = useState('');
+  const containerRef = useRef(null);
+  const endRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (!inputMessage.trim()) return;
+    onSend(group, inputMessage);
+    setInputMessage('');
+  }, [group, inputMessage, onSend]);
+
+  // Scroll back: fetch older pages near the top
+  const handleScroll = useCallback((e) => {
+    const container = e.currentTarget;
+    if (container.scrollTop > SCROLL_TOP_THRESHOLD || history?.loading || !history?.hasMore) return;
+
+    scrollAnchorRef.current = { fromBottom: container.scrollHeight - container.scrollTop };
+    onLoadOlder(group._id);
+  }, [group._id, history, onLoadOlder]);
+
+  // Keep the view anchored when older messages are prepended,
+  // scroll to the bottom when a newer one arrives
+  useLayoutEffect(() => {
+    const lastId = messages.length > 0 ? messages[messages.length - 1].id : null;
+    const anchor = scrollAnchorRef.current;
+
+    if (lastId !== lastMessageIdRef.current) {
+      lastMessageIdRef.current = lastId;
+      scrollAnchorRef.current = null;
+      endRef.current?.scrollIntoView({ behavior: 'smooth' });
+    } else if (anchor && containerRef.current) {
+      containerRef.current.scrollTop = containerRef.current.scrollHeight - anchor.fromBottom;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages]);
+
+  return (
+    <>
+      <div className="chat-header">
+        <Avatar username={group.name} />
+        <h3>{group.name}</h3>
+        <button className="logout-btn group-members-btn" onClick={onManageMembers}>
+          {group.members.length} members
+        </button>
+        <span className="encryption-status complete">End-to-End Encrypted</span>
+      </div>
+
+      <div
+        ref={containerRef}
+        className="messages-container"
+        role="log"
+        aria-live="polite"
+        aria-label="Group message history"
+        onScroll={handleScroll}
+      >
+        {history?.loading
+          ? <LoadingSpinner size="small" text="Loading older messages..." />
+          : history && !history.hasMore && <div className="history-start">Beginning of encrypted group</div>}
+        {messages.map(message => (
+          <GroupMessageBubble key={message.id} message={message} />
+        ))}
+        <div ref={endRef} aria-hidden="true" />
+      </div>
+
+      <form className="message-input-container" onSubmit={handleSubmit} aria-label="Send group message">
+        <input
+          type="text"
+          placeholder={`Message ${group.name}...`}
+          value={inputMessage}
+          onChange={e => setInputMessage(e.target.value)}
+          aria-label="Message input"
+          autoFocus
+        />
+        <button
+          type="submit"
+          className="send-btn"
+          disabled={!inputMessage.trim()}
+          aria-label="Send message"
+        >
+          &#10148;
+        </button>
+      </form>
+    </>
+  );
+});
+
+/**
+ * useGroups - Group list, group messages and membership changes
+ * Live messages, sender key distributions and membership updates arrive over the socket
+ */
+export function useGroups(myUserId) {
+  const [groups, setGroups] = useState([]);
+  const [groupMessages, setGroupMessages] = useState({}); // groupId -> [message]
+  const [groupHistory, setGroupHistory] = useState({}); // groupId -> { loading, hasMore, cursor, cursorId }
+  const groupsRef = useRef([]);
+  const historyRef = useRef({});
+
+  const updateGroups = useCallback((update) => {
+    groupsRef.current = update(groupsRef.current);
+    setGroups(groupsRef.current);
+  }, []);
+
+  const upsertGroup = useCallback((group) => {
+    updateGroups(prev => [group, ...prev.filter(g => g._id !== group._id)]);
+  }, [updateGroups]);
+
+  const updateHistory = useCallback((groupId, changes) => {
+    historyRef.current = {
+      ...historyRef.current,
+      [groupId]: { ...historyRef.current[groupId], ...changes }
+    };
+    setGroupHistory(historyRef.current);
+  }, []);
+
+  // Decrypt one stored or live group message into its display form
+  const toDisplayMessage = useCallback(async (message) => {
+    const group = groupsRef.current.find(g => g._id === String(message.group));
+    const base = {
+      id: groupMessageId(message),
+      sent: String(message.sender) === myUserId,
+      senderName: memberName(group, message.sender),
+      timestamp: new Date(message.timestamp).getTime()
+    };
+
+    try {
+      return { ...base, text: await decryptGroupMessage(myUserId, message) };
+    } catch (error) {
+      console.error('Failed to decrypt group message:', error);
+      return { ...base, text: '[Failed to decrypt]', error: true };
+    }
+  }, [myUserId]);
+
+  // Merge decrypted messages into a group, skipping ones already present
+  const mergeMessages = useCallback((groupId, incoming) => {
+    setGroupMessages(prev => {
+      const existing = prev[groupId] || [];
+      const existingIds = new Set(existing.map(m => m.id));
+      const newItems = incoming.filter(m => !existingIds.has(m.id));
+      if (newItems.length === 0) return prev;
+
+      return {
+        ...prev,
+        [groupId]: [...existing, ...newItems].sort((a, b) => a.timestamp - b.timestamp)
+      };
+    });
+  }, []);
+
+  // Fetch one page of group history (older than the current cursor) and decrypt it
+  const loadGroupHistory = useCallback(async (groupId, older = false) => {
+    const state = historyRef.current[groupId];
+    if (state?.loading || (older && !state?.hasMore)) return;
+
+    updateHistory(groupId, { loading: true });
+    try {
+      const before = older ? state.cursor : null;
+      const beforeId = older ? state.cursorId : null;
+      const page = await getGroupMessages(groupId, GROUP_PAGE_SIZE, before, beforeId);
+
+      // Server returns the page oldest-first
+      updateHistory(groupId, {
+        cursor: page.length > 0 ? page[0].timestamp : before,
+        cursorId: page.length > 0 ? page[0]._id : beforeId,
+        hasMore: page.length === GROUP_PAGE_SIZE
+      });
+
+      mergeMessages(groupId, await Promise.all(page.map(toDisplayMessage)));
+    } catch (error) {
+      console.error('Failed to load group history:', error);
+    } finally {
+      updateHistory(groupId, { loading: false });
+    }
+  }, [toDisplayMessage, mergeMessages, updateHistory]);
+
+  const loadOlderGroupHistory = useCallback((groupId) => loadGroupHistory(groupId, true), [loadGroupHistory]);
+
+  // Initial group list
+  useEffect(() => {
+    getGroups()
+      .then(list => updateGroups(() => list))
+      .catch(error => console.error('Failed to load groups:', error));
+  }, [updateGroups]);
+
+  // Socket listeners
+  useEffect(() => {
+    onGroupSenderKey((distribution) => {
+      processSenderKeyDistribution(myUserId, distribution)
+        .catch(error => console.error('Failed to process sender key:', error));
+    });
+
+    onGroupMessage(async (message) => {
+      const displayMessage = await toDisplayMessage(message);
+      mergeMessages(String(message.group), [displayMessage]);
+    });
+
+    onGroupUpdated(async (data) => {
+      try {
+        // Our next message in this group goes out under a new sender key
+        await rotateSenderKey(myUserId, data.groupId);
+
+        if (data.action === 'member_removed' && data.userId === myUserId) {
+          updateGroups(prev => prev.filter(g => g._id !== data.groupId));
+          return;
+        }
+        upsertGroup(await getGroup(data.groupId));
+      } catch (error) {
+        console.error('Failed to refresh group:', error);
+      }
+    });
+  }, [myUserId, toDisplayMessage, mergeMessages, updateGroups, upsertGroup]);
+
+  const sendGroupMessage = useCallback(async (group, text) => {
+    try {
+      const encrypted = await encryptGroupMessage(myUserId, group, text);
+      emitGroupMessage(addReplayProtection(encrypted, `group-${group._id}`));
+
+      // The server relays to everyone but this socket - show our own copy locally
+      mergeMessages(group._id, [{
+        id: groupMessageId(encrypted),
+        text,
+        sent: true,
+        timestamp: Date.now()
+      }]);
+    } catch (error) {
+      console.error('%c✗ Failed to send group message:', 'color: #ef4444; font-weight: bold;', error);
+    }
+  }, [myUserId, mergeMessages]);
+
+  const createGroup = useCallback(async (name, memberIds) => {
+    const group = await apiCreateGroup(name, memberIds);
+    upsertGroup(group);
+    return group;
+  }, [upsertGroup]);
+
+  const addMembers = useCallback(async (groupId, userIds) => {
+    upsertGroup(await addGroupMembers(groupId, userIds));
+  }, [upsertGroup]);
+
+  const removeMember = useCallback(async (groupId, userId) => {
+    const result = await removeGroupMember(groupId, userId);
+    if (userId === myUserId || !result._id) {
+      updateGroups(prev => prev.filter(g => g._id !== groupId));
+    } else {
+      upsertGroup(result);
+    }
+  }, [myUserId, upsertGroup, updateGroups]);
+
+  return {
+    groups,
+    groupMessages,
+    groupHistory,
+    loadGroupHistory,
+    loadOlderGroupHistory,
+    sendGroupMessage,
+    createGroup,
+    addMembers,
+    removeMember
+  };
+}
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { uploadKeyBackup } from '../services/api';
+import { getDeviceId, getDeviceName } from '../services/device';
+import { createKeyBackup, MIN_PASSPHRASE_LENGTH } from '../crypto/keyBackup';
+import { createDownloadableFile } from '../crypto/encryption';
+import { FormInput, Button } from './common';
+
+const formatDate = (date) => new Date(date).toLocaleString([], {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+/**
+ * KeyBackupModal - Export this device's private keys, encrypted with a passphrase
+ */
+export function KeyBackupModal({ isOpen, onClose, user }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [storeOnServer, setStoreOnServer] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+
+  // Never keep the passphrase around after closing
+  useEffect(() => {
+    if (!isOpen) {
+      setPassphrase('');
+      setConfirmPassphrase('');
+      setError('');
+      setStatus('');
+    }
+  }, [isOpen]);
+
+  const handleCreate = useCallback(async () => {
+    setError('');
+    setStatus('');
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setWorking(true);
+    try {
+      setStatus('Encrypting keys...');
+      const deviceName = getDeviceName();
+      const backup = await createKeyBackup(user.id, passphrase, {
+        deviceId: getDeviceId(),
+        deviceName
+      });
+
+      createDownloadableFile(
+        JSON.stringify(backup, null, 2),
+        `cryptshare-keys-${user.username}.json`,
+        'application/json'
+      );
+
+      if (storeOnServer) {
+        setStatus('Uploading encrypted backup...');
+        await uploadKeyBackup(backup, deviceName);
+      }
+
+      setStatus(storeOnServer ? 'Backup saved and stored on the server' : 'Backup saved');
+      setPassphrase('');
+      setConfirmPassphrase('');
+    } catch (err) {
+      setStatus('');
+      setError(err.response?.data?.error || err.message || 'Backup failed');
+    } finally {
+      setWorking(false);
+    }
+  }, [user, passphrase, confirmPassphrase, storeOnServer]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="file-share-modal-overlay" onClick={onClose}>
+      <div className="file-share-modal key-backup-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>💾 Back up your keys</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="share-info">
+            Your private keys only exist in this browser. Without a backup, clearing browser data makes
+            your message history unreadable. The backup is encrypted with this passphrase - it cannot be
+            recovered if you forget it.
+          </p>
+
+          {error && <div className="error-message" role="alert">{error}</div>}
+          {status && <div className="key-status success" role="status">{status}</div>}
+
+          <FormInput
+            type="password"
+            label="Backup passphrase"
+            value={passphrase}
+            onChange={e => setPassphrase(e.target.value)}
+            hint={`At least ${MIN_PASSPHRASE_LENGTH} characters - use a different one than your login password`}
+            autoComplete="new-password"
+            disabled={working}
+            showPasswordToggle
+          />
+
+          <FormInput
+            type="password"
+            label="Confirm passphrase"
+            value={confirmPassphrase}
+            onChange={e => setConfirmPassphrase(e.target.value)}
+            autoComplete="new-password"
+            disabled={working}
+          />
+
+          <label className="key-backup-option">
+            <input
+              type="checkbox"
+              checked={storeOnServer}
+              onChange={e => setStoreOnServer(e.target.checked)}
+              disabled={working}
+            />
+            Also store the encrypted backup on the server (restore on login without the file)
+          </label>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn-cancel" onClick={onClose} disabled={working}>
+            Close
+          </button>
+          <button
+            className="btn-upload"
+            onClick={handleCreate}
+            disabled={working || !passphrase || !confirmPassphrase}
+          >
+            {working ? 'Working...' : 'Download backup'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * KeyRestoreForm - Shown at login when this device has no keys
+ * Restores from a server-stored backup or a backup file before new keys are generated
+ */
+export const KeyRestoreForm = memo(function KeyRestoreForm({
+  backups,
+  loading,
+  error,
+  onRestore,
+  onSkip
+}) {
+  const [source, setSource] = useState(backups.length > 0 ? '0' : 'file');
+  const [fileBackup, setFileBackup] = useState(null);
+  const [fileError, setFileError] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+
+  const handleFileChange = useCallback((e) => {
+    const file = e.target.files[0];
+    setFileBackup(null);
+    setFileError('');
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setFileBackup(JSON.parse(reader.result));
+      } catch {
+        setFileError('This file is not a key backup');
+      }
+    };
+    reader.readAsText(file);
+  }, []);
+
+  const selectedBackup = source === 'file' ? fileBackup : backups[Number(source)]?.backup;
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    if (selectedBackup && passphrase) {
+      onRestore(selectedBackup, passphrase);
+    }
+  }, [selectedBackup, passphrase, onRestore]);
+
+  return (
+    <form className="auth-form" onSubmit={handleSubmit} noValidate>
+      <h2>Restore your keys</h2>
+      <p className="auth-subtitle">
+        This browser has no encryption keys for your account. Restore a backup to read your
+        message history here.
+      </p>
+
+      {(error || fileError) && <div className="error-message" role="alert">{error || fileError}</div>}
+
+      <div className="form-group">
+        <label htmlFor="backup-source">Backup</label>
+        <select
+          id="backup-source"
+          className="key-backup-select"
+          value={source}
+          onChange={e => setSource(e.target.value)}
+          disabled={loading}
+        >
+          {backups.map((entry, index) => (
+            <option key={entry.deviceId || index} value={String(index)}>
+              {(entry.deviceName || 'Unknown device') + ' - ' + formatDate(entry.updatedAt)}
+            </option>
+          ))}
+          <option value="file">From a backup file...</option>
+        </select>
+      </div>
+
+      {source === 'file' && (
+        <div className="form-group">
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            disabled={loading}
+            aria-label="Backup file"
+          />
+        </div>
+      )}
+
+      <FormInput
+        type="password"
+        label="Backup passphrase"
+        value={passphrase}
+        onChange={e => setPassphrase(e.target.value)}
+        autoComplete="off"
+        autoFocus
+        disabled={loading}
+        showPasswordToggle
+      />
+
+      <Button
+        type="submit"
+        disabled={!selectedBackup || !passphrase}
+        loading={loading}
+        fullWidth
+      >
+        {loading ? 'Restoring...' : 'Restore keys'}
+      </Button>
+
+      <button type="button" className="key-restore-skip" onClick={onSkip} disabled={loading}>
+        Skip - generate new keys (earlier messages stay unreadable on this device)
+      </button>
+    </form>
+  );
+});
@@ -1,14 +1,44 @@
 import React, { useState, useCallback, useMemo, memo } from 'react';
 import { Link } from 'react-router-dom';
-import { login, updatePublicKeys } from '../services/api';
-import { getPrivateKey, savePrivateKey } from '../crypto/keyStore';
+import { login, registerDevice, getKeyBackups } from '../services/api';
+import { getDeviceId, getDeviceName, resetDeviceId, setDeviceId } from '../services/device';
+import { unlockKeyStore, getPrivateKey, savePrivateKey, deletePrivateKey } from '../crypto/keyStore';
 import { generateSigningKeyPair, generateKeyExchangeKeyPair, exportPublicKey, exportPrivateKey } from '../crypto/keys';
+import { publicKeysFromPrivate } from '../crypto/safetyNumber';
+import { restoreKeyBackup } from '../crypto/keyBackup';
 import { FormInput, Button } from './common';
+import { KeyRestoreForm } from './KeyBackup';
 
 // Validation helpers - defined outside component to avoid recreation
 const EMAIL_REGEX = /^\S+@\S+\.\S+$/;
 const validateEmail = (email) => EMAIL_REGEX.test(email);
 
+// Generate and store identity keys for this device
+const generateDeviceKeys = async (userId) => {
+  const [signingKeyPair, keyExchangeKeyPair] = await Promise.all([
+    generateSigningKeyPair(),
+    generateKeyExchangeKeyPair()
+  ]);
+  
+  const [publicSigningKey, privateSigningKey, publicKeyExchangeKey, privateKeyExchangeKey] = await Promise.all([
+    exportPublicKey(signingKeyPair.publicKey),
+    exportPrivateKey(signingKeyPair.privateKey),
+    exportPublicKey(keyExchangeKeyPair.publicKey),
+    exportPrivateKey(keyExchangeKeyPair.privateKey)
+  ]);
+  
+  await Promise.all([
+    savePrivateKey(`${userId}_signing`, privateSigningKey),
+    savePrivateKey(`${userId}_keyExchange`, privateKeyExchangeKey)
+  ]);
+  
+  return {
+    signingKey: privateSigningKey,
+    keyExchangeKey: privateKeyExchangeKey,
+    publicKeys: { signing: publicSigningKey, keyExchange: publicKeyExchangeKey }
+  };
+};
+
 // Memoized status message component
 const KeyStatusMessage = memo(function KeyStatusMessage({ status }) {
   if (!status) return null;
@@ -30,6 +60,7 @@ function Login({ onLogin }) {
   const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [keyStatus, setKeyStatus] = useState('');
+  const [restoreState, setRestoreState] = useState(null); // { response, backups } while this device has no keys
 
   // Memoized field change handlers
   const handleEmailChange = useCallback((e) => {
@@ -86,6 +117,51 @@ function Login({ onLogin }) {
     return Object.keys(errors).length === 0;
   }, [formData]);
 
+  // Register this device's keys (generating them if none were found or restored) and enter the app
+  const completeLogin = useCallback(async (response, existingSigningKey, existingKeyExchangeKey) => {
+    let signingKey = existingSigningKey;
+    let keyExchangeKey = existingKeyExchangeKey;
+    let publicKeys;
+    
+    // No keys on this device and no backup restored - this browser becomes a new device
+    if (!signingKey || !keyExchangeKey) {
+      console.log('%c⚠️ Keys not found - generating keys for this device...', 'color: #f59e0b; font-weight: bold;');
+      setKeyStatus('Generating new encryption keys for this device...');
+      
+      ({ signingKey, keyExchangeKey, publicKeys } = await generateDeviceKeys(response.user.id));
+      
+      console.log('%c✓ New device keys generated!', 'color: #22c55e; font-weight: bold;');
+      setKeyStatus('New keys generated successfully!');
+    } else {
+      publicKeys = publicKeysFromPrivate(signingKey, keyExchangeKey);
+    }
+    
+    // Register this device's public keys (no-op if already registered)
+    // and swap the login's account token for one bound to this device
+    let registration;
+    try {
+      registration = await registerDevice(response.token, getDeviceId(), getDeviceName(), publicKeys.signing, publicKeys.keyExchange);
+    } catch (err) {
+      if (err.response?.status !== 403) throw err;
+      
+      // This device was revoked - its keys must never be used again
+      console.log('%c⚠️ This device was revoked - starting over as a new device', 'color: #f59e0b; font-weight: bold;');
+      setKeyStatus('This device was revoked - generating new device keys...');
+      
+      await Promise.all([
+        deletePrivateKey(`${response.user.id}_signing`),
+        deletePrivateKey(`${response.user.id}_keyExchange`)
+      ]);
+      resetDeviceId();
+      
+      ({ publicKeys } = await generateDeviceKeys(response.user.id));
+      registration = await registerDevice(response.token, getDeviceId(), getDeviceName(), publicKeys.signing, publicKeys.keyExchange);
+      setKeyStatus('New keys generated successfully!');
+    }
+    
+    onLogin(response.user, registration.token || response.token);
+  }, [onLogin]);
+
   // Memoized submit handler
   const handleSubmit = useCallback(async (e) => {
     e.preventDefault();
@@ -99,62 +175,72 @@ function Login({ onLogin }) {
     try {
       const response = await login(formData.email.toLowerCase(), formData.password);
       
+      // Keys on this device are encrypted with the login password
+      setKeyStatus('Unlocking encryption keys...');
+      await unlockKeyStore(response.user.id, formData.password);
+      
       setKeyStatus('Retrieving encryption keys...');
       
-      let [signingKey, keyExchangeKey] = await Promise.all([
+      const [signingKey, keyExchangeKey] = await Promise.all([
         getPrivateKey(`${response.user.id}_signing`),
         getPrivateKey(`${response.user.id}_keyExchange`)
       ]);
       
-      // If keys not found on this device, regenerate them
+      // No keys on this device - offer a backup restore before generating new keys
       if (!signingKey || !keyExchangeKey) {
-        console.log('%c⚠️ Keys not found - regenerating for this device...', 'color: #f59e0b; font-weight: bold;');
-        setKeyStatus('Generating new encryption keys for this device...');
-        
-        // Generate new key pairs
-        const [signingKeyPair, keyExchangeKeyPair] = await Promise.all([
-          generateSigningKeyPair(),
-          generateKeyExchangeKeyPair()
-        ]);
-        
-        // Export keys
-        const [publicSigningKey, privateSigningKey, publicKeyExchangeKey, privateKeyExchangeKey] = await Promise.all([
-          exportPublicKey(signingKeyPair.publicKey),
-          exportPrivateKey(signingKeyPair.privateKey),
-          exportPublicKey(keyExchangeKeyPair.publicKey),
-          exportPrivateKey(keyExchangeKeyPair.privateKey)
-        ]);
-        
-        // Save private keys to IndexedDB
-        await Promise.all([
-          savePrivateKey(`${response.user.id}_signing`, privateSigningKey),
-          savePrivateKey(`${response.user.id}_keyExchange`, privateKeyExchangeKey)
-        ]);
-        
-        // Update public keys on server
-        setKeyStatus('Updating server with new public keys...');
-        await updatePublicKeys(response.token, publicSigningKey, publicKeyExchangeKey);
-        
-        signingKey = privateSigningKey;
-        keyExchangeKey = privateKeyExchangeKey;
-        
-        console.log('%c✓ New keys generated and synced!', 'color: #22c55e; font-weight: bold;');
-        setKeyStatus('New keys generated successfully!');
-      } else {
-        setKeyStatus('Keys retrieved successfully!');
+        const backups = await getKeyBackups(response.token).catch(() => []);
+        setKeyStatus('');
+        setRestoreState({ response, backups });
+        return;
       }
       
-      sessionStorage.setItem('signingKey', JSON.stringify(signingKey));
-      sessionStorage.setItem('keyExchangeKey', JSON.stringify(keyExchangeKey));
+      setKeyStatus('Keys retrieved successfully!');
+      await completeLogin(response, signingKey, keyExchangeKey);
+      
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Login failed. Please check your credentials.');
+    } finally {
+      setLoading(false);
+    }
+  }, [formData, validateForm, completeLogin]);
+
+  // Restore keys from an encrypted backup, then continue the login
+  const handleRestore = useCallback(async (backup, passphrase) => {
+    const { response } = restoreState;
+    setError('');
+    setLoading(true);
+    
+    try {
+      const restored = await restoreKeyBackup(response.user.id, backup, passphrase);
+      
+      // Become the backed-up device again - its message copies are encrypted to these keys
+      if (restored.deviceId) {
+        setDeviceId(restored.deviceId);
+      }
       
-      onLogin(response.user, response.token);
+      setKeyStatus('Keys restored from backup!');
+      await completeLogin(response, restored.signingKey, restored.keyExchangeKey);
       
     } catch (err) {
-      setError(err.response?.data?.error || 'Login failed. Please check your credentials.');
+      setError(err.response?.data?.error || err.message || 'Restore failed');
     } finally {
       setLoading(false);
     }
-  }, [formData, validateForm, onLogin]);
+  }, [restoreState, completeLogin]);
+
+  // No backup - continue with freshly generated keys
+  const handleSkipRestore = useCallback(async () => {
+    setError('');
+    setLoading(true);
+    
+    try {
+      await completeLogin(restoreState.response, null, null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Login failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [restoreState, completeLogin]);
 
   // Memoized form validity check
   const isFormValid = useMemo(() => {
@@ -164,6 +250,20 @@ function Login({ onLogin }) {
            !fieldErrors.password;
   }, [formData.email, formData.password, fieldErrors.email, fieldErrors.password]);
 
+  if (restoreState) {
+    return (
+      <div className="auth-container">
+        <KeyRestoreForm
+          backups={restoreState.backups}
+          loading={loading}
+          error={error}
+          onRestore={handleRestore}
+          onSkip={handleSkipRestore}
+        />
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <form className="auth-form" onSubmit={handleSubmit} noValidate>
@@ -2,7 +2,8 @@ import React, { useState, useCallback, useMemo, memo } from 'react';
 import { Link } from 'react-router-dom';
 import { register } from '../services/api';
 import { generateSigningKeyPair, generateKeyExchangeKeyPair, exportPublicKey, exportPrivateKey } from '../crypto/keys';
-import { savePrivateKey } from '../crypto/keyStore';
+import { unlockKeyStore, savePrivateKey } from '../crypto/keyStore';
+import { getDeviceId, getDeviceName } from '../services/device';
 import { FormInput, Button, PasswordStrength } from './common';
 
 // Validation helpers - defined outside component to avoid recreation
@@ -190,7 +191,9 @@ function Register({ onLogin }) {
         formData.username, 
         formData.password, 
         publicSigningKey, 
-        publicKeyExchangeKey
+        publicKeyExchangeKey,
+        getDeviceId(),
+        getDeviceName()
       );
       
       setKeyStatus('Storing private keys securely...');
@@ -199,6 +202,8 @@ function Register({ onLogin }) {
         exportPrivateKey(keyExchangeKeyPair.privateKey)
       ]);
       
+      // Keys are encrypted at rest with a key derived from the password
+      await unlockKeyStore(response.user.id, formData.password);
       await Promise.all([
         savePrivateKey(`${response.user.id}_signing`, privateSigningKey),
         savePrivateKey(`${response.user.id}_keyExchange`, privateKeyExchangeKey)
@@ -206,9 +211,6 @@ function Register({ onLogin }) {
       
       setKeyStatus('Registration complete!');
       
-      sessionStorage.setItem('signingKey', JSON.stringify(privateSigningKey));
-      sessionStorage.setItem('keyExchangeKey', JSON.stringify(privateKeyExchangeKey));
-      
       onLogin(response.user, response.token);
       
     } catch (err) {
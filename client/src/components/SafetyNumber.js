@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { getUser } from '../services/api';
+import { getSigningKey, getKeyExchangeKey } from '../crypto/keyStore';
+import {
+  computeSafetyNumber,
+  compareVerificationPayload,
+  identityKeySets,
+  publicKeysFromPrivate
+} from '../crypto/safetyNumber';
+import {
+  getContact,
+  markContactVerified,
+  clearContactVerification,
+  checkIdentityPin,
+  acceptIdentityChange
+} from '../crypto/contactStore';
+
+// Pinned identity: the fingerprint of the active devices plus the keys of every device
+// (revoked ones included), so a new or re-keyed device is reported as a key change
+const identityPin = (fingerprint, devices = []) => [
+  fingerprint,
+  ...devices
+    .map(d => `${d.deviceId}:${d.publicKeys.signing.x}:${d.publicKeys.keyExchange.x}`)
+    .sort()
+].join('|');
+
+const COMPARE_MESSAGES = {
+  match: '✅ Codes match - these are the right keys',
+  mismatch: '⛔ Codes do NOT match - someone may be intercepting this conversation',
+  invalid: '⚠️ Not a valid safety code from this contact'
+};
+
+/**
+ * VerificationBadge - Shows the contact's verification state in the chat header
+ */
+export const VerificationBadge = memo(function VerificationBadge({
+  verified,
+  verificationLost,
+  onClick
+}) {
+  let label = '🛡️ Verify';
+  let state = 'unverified';
+  if (verified) {
+    label = '✓ Verified';
+    state = 'verified';
+  } else if (verificationLost) {
+    label = '⚠️ Keys changed';
+    state = 'lost';
+  }
+
+  return (
+    <button
+      type="button"
+      className={`verification-badge ${state}`}
+      onClick={onClick}
+      title="Compare safety numbers"
+    >
+      {label}
+    </button>
+  );
+});
+
+/**
+ * KeyChangeWarning - Blocks the conversation until a key change is accepted
+ */
+export const KeyChangeWarning = memo(function KeyChangeWarning({
+  username,
+  onVerify,
+  onAccept
+}) {
+  return (
+    <div className="key-change-warning" role="alert">
+      <p>
+        ⚠️ <strong>{username}</strong>'s security keys have changed or a new device was added.
+        This happens when they log in on a new device - or when someone is intercepting the conversation.
+        Sending is blocked until you accept the new keys.
+      </p>
+      <div className="key-change-actions">
+        <button type="button" className="btn-cancel" onClick={onVerify}>
+          🛡️ Compare safety numbers
+        </button>
+        <button type="button" className="btn-upload" onClick={onAccept}>
+          Accept new keys
+        </button>
+      </div>
+    </div>
+  );
+});
+
+/**
+ * SafetyGrid - Visual form of the safety number for quick side-by-side comparison
+ */
+const SafetyGrid = memo(function SafetyGrid({ grid, size }) {
+  return (
+    <div
+      className="safety-grid"
+      style={{ gridTemplateColumns: `repeat(${size}, 1fr)` }}
+      aria-hidden="true"
+    >
+      {grid.map((filled, i) => (
+        <span key={i} className={filled ? 'filled' : ''} />
+      ))}
+    </div>
+  );
+});
+
+/**
+ * SafetyNumberModal - Compare safety numbers and mark the contact as verified
+ */
+export function SafetyNumberModal({
+  isOpen,
+  onClose,
+  myUserId,
+  peer,
+  safety,
+  verified,
+  onVerify,
+  onClearVerification
+}) {
+  const [scannedCode, setScannedCode] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  // Reset comparison when switching contacts
+  useEffect(() => {
+    setScannedCode('');
+    setCopied(false);
+  }, [peer?._id]);
+
+  const handleCopy = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(safety.payload);
+      setCopied(true);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  }, [safety]);
+
+  if (!isOpen) return null;
+
+  const comparison = scannedCode.trim() && safety
+    ? compareVerificationPayload(scannedCode, safety, myUserId, peer._id)
+    : null;
+
+  return (
+    <div className="file-share-modal-overlay" onClick={onClose}>
+      <div className="file-share-modal safety-number-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>🛡️ Verify {peer.username}</h3>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="share-info">
+            Compare these numbers with <strong>{peer.username}</strong> in person or over a trusted channel.
+            If they match on both devices, nobody has swapped your keys.
+          </p>
+
+          {!safety ? (
+            <p className="safety-loading">Computing safety number...</p>
+          ) : (
+            <>
+              <div className="safety-number" aria-label="Safety number">
+                {safety.groups.map((group, i) => (
+                  <span key={i}>{group}</span>
+                ))}
+              </div>
+
+              <SafetyGrid grid={safety.grid} size={safety.gridSize} />
+
+              <label className="safety-code-label">
+                Your safety code (send it, or let them scan/compare it)
+                <div className="safety-code-row">
+                  <code className="safety-code">{safety.payload}</code>
+                  <button type="button" className="btn-cancel" onClick={handleCopy}>
+                    {copied ? 'Copied' : 'Copy'}
+                  </button>
+                </div>
+              </label>
+
+              <label className="safety-code-label">
+                Paste {peer.username}'s safety code
+                <textarea
+                  className="safety-code-input"
+                  value={scannedCode}
+                  onChange={e => setScannedCode(e.target.value)}
+                  rows={2}
+                  spellCheck={false}
+                />
+              </label>
+
+              {comparison && (
+                <div className={`safety-compare ${comparison}`}>
+                  {COMPARE_MESSAGES[comparison]}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          {verified ? (
+            <button className="btn-cancel" onClick={onClearVerification}>
+              Clear verification
+            </button>
+          ) : (
+            <button
+              className="btn-upload"
+              onClick={onVerify}
+              disabled={!safety || comparison === 'mismatch' || comparison === 'invalid'}
+            >
+              ✓ Mark as verified
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * useSafetyNumber - Safety number, pinned keys (TOFU) and verification state for a contact
+ */
+export function useSafetyNumber(myUserId, peerId) {
+  const [state, setState] = useState({
+    safety: null,
+    pin: null,
+    verified: false,
+    verificationLost: false,
+    keyChanged: false
+  });
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    if (!peerId) return undefined;
+
+    let cancelled = false;
+    setState({ safety: null, pin: null, verified: false, verificationLost: false, keyChanged: false });
+
+    const load = async () => {
+      try {
+        // Both key sets come from the server's device lists (the peer sees the
+        // same lists), but ours must include this device's own keys
+        const [signingKey, keyExchangeKey, myData, peerData] = await Promise.all([
+          getSigningKey(myUserId),
+          getKeyExchangeKey(myUserId),
+          getUser(myUserId),
+          getUser(peerId)
+        ]);
+
+        const myKeySets = identityKeySets(myData);
+        const ownKeys = publicKeysFromPrivate(signingKey, keyExchangeKey);
+        const listed = myKeySets.some(keys =>
+          keys?.signing?.x === ownKeys.signing.x && keys?.keyExchange?.x === ownKeys.keyExchange.x
+        );
+        if (!listed) {
+          throw new Error("This device's identity keys are not among the account's active devices");
+        }
+
+        const safety = await computeSafetyNumber(
+          myUserId,
+          myKeySets,
+          peerId,
+          identityKeySets(peerData)
+        );
+
+        const pin = identityPin(safety.peerFingerprint, peerData.devices);
+        const pinStatus = await checkIdentityPin(myUserId, peerId, pin);
+        const contact = await getContact(myUserId, peerId);
+
+        const verified = contact?.verifiedFingerprint === safety.peerFingerprint;
+        if (!cancelled) {
+          setState({
+            safety,
+            pin,
+            verified,
+            verificationLost: Boolean(contact?.verifiedFingerprint) && !verified,
+            keyChanged: pinStatus === 'changed'
+          });
+        }
+      } catch (error) {
+        console.error('Safety number computation failed:', error);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [myUserId, peerId, reloadCount]);
+
+  // Recompute after the server reports new keys or devices for this contact
+  const reload = useCallback(() => setReloadCount(count => count + 1), []);
+
+  const markVerified = useCallback(async () => {
+    if (!state.safety) return;
+    if (state.keyChanged) {
+      await acceptIdentityChange(myUserId, peerId, state.pin);
+    }
+    await markContactVerified(myUserId, peerId, state.safety.peerFingerprint);
+    setState(prev => ({ ...prev, verified: true, verificationLost: false, keyChanged: false }));
+  }, [myUserId, peerId, state.safety, state.pin, state.keyChanged]);
+
+  const clearVerification = useCallback(async () => {
+    await clearContactVerification(myUserId, peerId);
+    setState(prev => ({ ...prev, verified: false, verificationLost: false }));
+  }, [myUserId, peerId]);
+
+  const acceptKeyChange = useCallback(async () => {
+    if (!state.pin) return;
+    await acceptIdentityChange(myUserId, peerId, state.pin);
+    setState(prev => ({ ...prev, verified: false, verificationLost: false, keyChanged: false }));
+  }, [myUserId, peerId, state.pin]);
+
+  return { ...state, reload, markVerified, clearVerification, acceptKeyChange };
+}
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback, memo } from 'react';
+import { useParams } from 'react-router-dom';
+import { getShareLink, downloadFromShareLink } from '../services/fileService';
+import { formatFileSize } from '../crypto/fileEncryption';
+import { FormInput, Button, LoadingSpinner } from './common';
+
+/**
+ * SharedFile - Public viewer for share links (/s/:token#key)
+ * The key stays in the URL fragment; the file is decrypted in this browser
+ */
+function SharedFile() {
+  const { token } = useParams();
+  const [keyFragment] = useState(() => window.location.hash.slice(1));
+  const [link, setLink] = useState(null);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [downloaded, setDownloaded] = useState(null);
+
+  useEffect(() => {
+    getShareLink(token)
+      .then(setLink)
+      .catch(err => setError(err.status === 404 ? 'This link does not exist.' : (err.message || 'Could not open link')))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleDownload = useCallback(async (e) => {
+    e.preventDefault();
+
+    setError('');
+    setDownloading(true);
+    setProgress(0);
+    try {
+      const result = await downloadFromShareLink(token, keyFragment, password || undefined, setProgress);
+      setDownloaded(result.metadata);
+      setLink(result.link);
+    } catch (err) {
+      if (err.message !== 'Download cancelled') {
+        setError(err.message || 'Download failed');
+      }
+      // The server may have counted the download or locked the link
+      getShareLink(token).then(setLink).catch(() => {});
+    } finally {
+      setDownloading(false);
+    }
+  }, [token, keyFragment, password]);
+
+  if (loading) {
+    return <LoadingSpinner fullScreen size="large" text="Opening link..." />;
+  }
+
+  const remaining = link?.maxDownloads != null ? link.maxDownloads - link.downloadCount : null;
+
+  return (
+    <div className="auth-container">
+      <form className="auth-form shared-file" onSubmit={handleDownload} noValidate>
+        <h2>🔗 Encrypted file</h2>
+        <p className="auth-subtitle">
+          Someone shared an end-to-end encrypted file with you. It is decrypted in this browser -
+          the server never sees its contents or the key.
+        </p>
+
+        {error && <div className="error-message" role="alert">{error}</div>}
+
+        {!keyFragment && (
+          <div className="error-message" role="alert">
+            This link is missing its key. Ask the sender for the complete link.
+          </div>
+        )}
+
+        {link && !link.available && (
+          <div className="error-message" role="alert">
+            This link is no longer available ({link.reason}).
+          </div>
+        )}
+
+        {link && (
+          <ul className="shared-file-facts">
+            <li>Expires {new Date(link.expiresAt).toLocaleString()}</li>
+            {remaining !== null && <li>{Math.max(remaining, 0)} download(s) left</li>}
+            {link.passwordRequired && <li>Password protected</li>}
+          </ul>
+        )}
+
+        {downloaded && (
+          <div className="shared-file-done">
+            ✓ {downloaded.name} ({formatFileSize(downloaded.size)}) decrypted and saved
+          </div>
+        )}
+
+        {link?.available && keyFragment && (
+          <>
+            {link.passwordRequired && (
+              <FormInput
+                type="password"
+                label="Password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                placeholder="Password from the sender"
+                autoComplete="off"
+                autoFocus
+                disabled={downloading}
+                showPasswordToggle
+              />
+            )}
+
+            {downloading && (
+              <div className="upload-progress">
+                <div className="progress-bar-container">
+                  <div className="progress-bar" style={{ width: `${progress}%` }} />
+                </div>
+                <span className="progress-status">Downloading & decrypting... {progress}%</span>
+              </div>
+            )}
+
+            <Button
+              type="submit"
+              disabled={link.passwordRequired && !password}
+              loading={downloading}
+              fullWidth
+            >
+              {downloading ? 'Decrypting...' : '⬇️ Download & Decrypt'}
+            </Button>
+          </>
+        )}
+      </form>
+    </div>
+  );
+}
+
+export default memo(SharedFile);
@@ -0,0 +1,69 @@
+import React, { useState, useCallback, memo } from 'react';
+import { unlockKeyStore } from '../crypto/keyStore';
+import { FormInput, Button } from './common';
+
+/**
+ * Unlock - Shown when a session is restored (e.g. after a page reload)
+ * The private keys on this device stay encrypted until the password is entered
+ */
+function Unlock({ user, onUnlock, onLogout }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    if (!password) return;
+
+    setError('');
+    setLoading(true);
+    try {
+      await unlockKeyStore(user.id, password, { create: false });
+      setPassword('');
+      onUnlock();
+    } catch (err) {
+      setError(err.message || 'Could not unlock your keys');
+      setLoading(false);
+    }
+  }, [user.id, password, onUnlock]);
+
+  return (
+    <div className="auth-container">
+      <form className="auth-form" onSubmit={handleSubmit} noValidate>
+        <h2>Unlock your keys</h2>
+        <p className="auth-subtitle">
+          Signed in as {user.username}. Enter your password to decrypt the encryption keys stored on this device.
+        </p>
+
+        {error && <div className="error-message" role="alert">{error}</div>}
+
+        <FormInput
+          type="password"
+          label="Password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          placeholder="Enter your password"
+          autoComplete="current-password"
+          autoFocus
+          disabled={loading}
+          showPasswordToggle
+        />
+
+        <Button
+          type="submit"
+          disabled={!password}
+          loading={loading}
+          fullWidth
+        >
+          {loading ? 'Unlocking...' : 'Unlock'}
+        </Button>
+
+        <button type="button" className="key-restore-skip" onClick={onLogout} disabled={loading}>
+          Sign in with a different account
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default memo(Unlock);
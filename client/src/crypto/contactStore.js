@@ -0,0 +1,157 @@
+/**
+ * Contact Verification Storage
+ * Uses IndexedDB (separate database from private keys)
+ *
+ * Records which contacts were verified out-of-band and the identity
+ * fingerprint that was verified. A verification only counts while the
+ * peer's current fingerprint still matches the stored one.
+ *
+ * Trust on first use: the first fingerprint seen for a contact is pinned.
+ * A different fingerprint later is reported as a key change until the
+ * user accepts it.
+ */
+
+const DB_NAME = 'CryptShareContacts';
+const DB_VERSION = 1;
+const STORE_NAME = 'contacts';
+
+// Console styling
+const LOG_STYLES = {
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  detail: 'color: #94a3b8;',
+  warning: 'color: #f59e0b;',
+  security: 'background: #dc2626; color: white; padding: 1px 6px; border-radius: 3px;'
+};
+
+// Open/Initialize IndexedDB
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      console.error('%c✗ IndexedDB Error:', LOG_STYLES.security, request.error);
+      reject(request.error);
+    };
+
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        console.log('%c✓ Created object store: ' + STORE_NAME, LOG_STYLES.success);
+      }
+    };
+  });
+}
+
+// Records are scoped to the local user (several accounts may share a browser)
+function contactId(myId, peerId) {
+  return `${myId}:${peerId}`;
+}
+
+function runRequest(mode, operation) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error('%c✗ Contact store error:', LOG_STYLES.security, request.error);
+      reject(request.error);
+    };
+  }));
+}
+
+// Get the stored record for a contact (null if none)
+export async function getContact(myId, peerId) {
+  const record = await runRequest('readonly', store => store.get(contactId(myId, peerId)));
+  return record || null;
+}
+
+// Mark a contact as verified for the given identity fingerprint
+export async function markContactVerified(myId, peerId, fingerprint) {
+  console.log('%c[VERIFY] Marking contact as verified', LOG_STYLES.info);
+  console.log('%c    Contact: ' + peerId, LOG_STYLES.detail);
+
+  const existing = await getContact(myId, peerId);
+  await runRequest('readwrite', store => store.put({
+    ...existing,
+    id: contactId(myId, peerId),
+    ownerId: myId,
+    peerId,
+    verifiedFingerprint: fingerprint,
+    verifiedAt: Date.now()
+  }));
+
+  console.log('%c✓ Contact verified', LOG_STYLES.success);
+  return true;
+}
+
+// Remove the verified state for a contact
+export async function clearContactVerification(myId, peerId) {
+  console.log('%c[VERIFY] Clearing contact verification: ' + peerId, LOG_STYLES.warning);
+
+  const existing = await getContact(myId, peerId);
+  if (!existing) {
+    return false;
+  }
+
+  const { verifiedFingerprint, verifiedAt, ...rest } = existing;
+  await runRequest('readwrite', store => store.put(rest));
+  return true;
+}
+
+// Check if a contact is verified for their current fingerprint
+export async function isContactVerified(myId, peerId, currentFingerprint) {
+  const contact = await getContact(myId, peerId);
+  return Boolean(contact?.verifiedFingerprint) && contact.verifiedFingerprint === currentFingerprint;
+}
+
+// Compare a contact's current fingerprint with the pinned one (pins on first use)
+// Returns 'new' | 'match' | 'changed'
+export async function checkIdentityPin(myId, peerId, fingerprint) {
+  const existing = await getContact(myId, peerId);
+
+  if (!existing?.pinnedFingerprint) {
+    await runRequest('readwrite', store => store.put({
+      ...existing,
+      id: contactId(myId, peerId),
+      ownerId: myId,
+      peerId,
+      pinnedFingerprint: fingerprint,
+      pinnedAt: Date.now()
+    }));
+    console.log('%c[TOFU] Pinned identity keys for contact: ' + peerId, LOG_STYLES.info);
+    return 'new';
+  }
+
+  if (existing.pinnedFingerprint === fingerprint) {
+    return 'match';
+  }
+
+  console.log('%c⚠️  Identity keys CHANGED for contact: ' + peerId, LOG_STYLES.security);
+  console.log('%c    Pinned: ' + existing.pinnedFingerprint, LOG_STYLES.detail);
+  console.log('%c    Current: ' + fingerprint, LOG_STYLES.detail);
+  return 'changed';
+}
+
+// Accept a contact's new identity keys - re-pins and drops the old verification
+export async function acceptIdentityChange(myId, peerId, fingerprint) {
+  console.log('%c[TOFU] Accepting new identity keys for contact: ' + peerId, LOG_STYLES.warning);
+
+  const existing = await getContact(myId, peerId);
+  const { verifiedFingerprint, verifiedAt, ...rest } = existing || {};
+
+  await runRequest('readwrite', store => store.put({
+    ...rest,
+    id: contactId(myId, peerId),
+    ownerId: myId,
+    peerId,
+    pinnedFingerprint: fingerprint,
+    pinnedAt: Date.now(),
+    previousFingerprint: existing?.pinnedFingerprint || null
+  }));
+  return true;
+}
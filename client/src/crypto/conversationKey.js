@@ -6,12 +6,12 @@
  * This key remains consistent across sessions, allowing message history decryption.
  * 
  * Unlike ephemeral session keys:
- * - Uses long-term key exchange keys (stored in IndexedDB)
+ * - Uses long-term key exchange keys (encrypted in IndexedDB, read via the unlocked key store)
  * - Same key derived every time for same user pair
  * - Allows decryption of past messages
  */
 
-import { getPrivateKey } from './keyStore';
+import { getKeyExchangeKey } from './keyStore';
 
 // Console logging styles
 const LOG_STYLES = {
@@ -36,13 +36,9 @@ export async function deriveConversationKey(myUserId, peerPublicKeyJwk) {
   const startTime = performance.now();
   
   try {
-    // Get my long-term private key from IndexedDB
+    // Get my long-term private key from the (unlocked) key store
     console.log('%c[1] Loading my long-term ECDH private key...', LOG_STYLES.info);
-    const myPrivateKeyJwk = await getPrivateKey(`${myUserId}_keyExchange`);
-    
-    if (!myPrivateKeyJwk) {
-      throw new Error('My key exchange private key not found');
-    }
+    const myPrivateKeyJwk = await getKeyExchangeKey(myUserId);
     
     // Import my private key
     const myPrivateKey = await window.crypto.subtle.importKey(
@@ -130,13 +126,13 @@ const conversationKeyCache = new Map();
  * Get or create a conversation key for a peer
  * Caches keys in memory for performance
  * @param {string} myUserId - Current user's ID
- * @param {string} peerId - Peer's user ID
+ * @param {string} peerId - Peer's user ID (or device address)
  * @param {Object} peerPublicKeyJwk - Peer's public key exchange key (JWK)
  * @returns {CryptoKey} AES-256-GCM key for this conversation
  */
 export async function getOrCreateConversationKey(myUserId, peerId, peerPublicKeyJwk) {
-  // Create deterministic cache key
-  const cacheKey = [myUserId, peerId].sort().join('-');
+  // Create deterministic cache key - includes the peer key, so new keys never hit a stale entry
+  const cacheKey = [myUserId, peerId].sort().join('-') + ':' + peerPublicKeyJwk.x;
   
   // Check cache first
   if (conversationKeyCache.has(cacheKey)) {
@@ -248,6 +248,42 @@ export async function decryptFileChunked(key, chunks, onProgress = () => {}) {
   }
 }
 
+/**
+ * Encrypt one chunk of a stream with a fresh IV
+ * No logging - called once per chunk of a transfer
+ * @param {CryptoKey} key - AES-256-GCM key
+ * @param {BufferSource} data - Plaintext chunk
+ * @param {Uint8Array} additionalData - Binds the chunk to its stream and position
+ * @returns {Object} { encrypted: Uint8Array, iv: Uint8Array }
+ */
+export async function encryptStreamChunk(key, data, additionalData) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData },
+    key,
+    data
+  );
+  return { encrypted: new Uint8Array(encrypted), iv };
+}
+
+/**
+ * Decrypt one chunk made by encryptStreamChunk
+ * @param {CryptoKey} key - AES-256-GCM key
+ * @param {BufferSource} encrypted - Ciphertext with its GCM tag
+ * @param {Uint8Array} iv - IV of the chunk
+ * @param {Uint8Array} additionalData - Must match what the chunk was encrypted with
+ * @returns {Uint8Array} Plaintext chunk
+ * @throws {Error} If the chunk was modified, moved or encrypted under another key
+ */
+export async function decryptStreamChunk(key, encrypted, iv, additionalData) {
+  const decrypted = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv, additionalData },
+    key,
+    encrypted
+  );
+  return new Uint8Array(decrypted);
+}
+
 /**
  * Create a downloadable file from decrypted data
  * @param {ArrayBuffer} data - Decrypted file data
@@ -336,6 +372,8 @@ export default {
   decryptFile,
   encryptFileChunked,
   decryptFileChunked,
+  encryptStreamChunk,
+  decryptStreamChunk,
   downloadDecryptedFile,
   createPreviewUrl,
   formatFileSize,
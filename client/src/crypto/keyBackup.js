@@ -0,0 +1,172 @@
+/**
+ * Encrypted Key Backup
+ * ====================
+ *
+ * Private keys only exist in this browser's IndexedDB - clearing browser
+ * data would lose them (and all history) for good. A backup wraps the
+ * signing and key exchange JWKs with a key derived from a passphrase:
+ *
+ *   wrapKey = PBKDF2-SHA256(passphrase, random salt, 600,000 iterations)
+ *   backup  = AES-256-GCM(wrapKey, { keys, userId, deviceId }, AAD = version:userId)
+ *
+ * The backup can be saved as a file and optionally stored on the server.
+ * Neither the passphrase nor the keys ever leave the browser unencrypted.
+ */
+
+import { getSigningKey, getKeyExchangeKey, savePrivateKey } from './keyStore';
+import { arrayToBase64, base64ToArray } from './encryption';
+
+// Protocol Constants
+const BACKUP_VERSION = "CryptShare-KeyBackup-v1";
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 10;
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #0891b2; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  error: 'color: #ef4444; font-weight: bold;',
+  detail: 'color: #94a3b8;',
+  crypto: 'background: #0891b2; color: white; padding: 1px 6px; border-radius: 3px;'
+};
+
+// Backup is bound to its account - it cannot be restored into another one
+function backupAad(userId) {
+  return new TextEncoder().encode(`${BACKUP_VERSION}:${userId}`);
+}
+
+/**
+ * Derive the AES-256-GCM wrapping key from a passphrase
+ */
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  console.log('%c[PBKDF2] Deriving backup key (' + iterations + ' iterations)...', LOG_STYLES.crypto);
+
+  const keyMaterial = await window.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return window.crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Create an encrypted backup of this device's private keys
+ * @param {string} userId - Current user's ID
+ * @param {string} passphrase - Backup passphrase (not the login password)
+ * @param {Object} device - { deviceId, deviceName } restored along with the keys
+ * @returns {Object} { version, kdf, iv, ciphertext }
+ */
+export async function createKeyBackup(userId, passphrase, device = {}) {
+  console.log('%c💾 CREATING KEY BACKUP', LOG_STYLES.header);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const [signing, keyExchange] = await Promise.all([
+    getSigningKey(userId),
+    getKeyExchangeKey(userId)
+  ]);
+
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  const plaintext = JSON.stringify({
+    version: BACKUP_VERSION,
+    userId,
+    deviceId: device.deviceId || null,
+    deviceName: device.deviceName || null,
+    signing,
+    keyExchange,
+    createdAt: Date.now()
+  });
+
+  console.log('%c[AES-GCM] Encrypting private keys...', LOG_STYLES.crypto);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: backupAad(userId) },
+    wrappingKey,
+    new TextEncoder().encode(plaintext)
+  );
+
+  console.log('%c✓ Key backup created', LOG_STYLES.success);
+  console.log('%c    KDF: PBKDF2-SHA256, ' + PBKDF2_ITERATIONS + ' iterations', LOG_STYLES.detail);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  return {
+    version: BACKUP_VERSION,
+    kdf: {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: arrayToBase64(salt)
+    },
+    iv: arrayToBase64(iv),
+    ciphertext: arrayToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+/**
+ * Decrypt a key backup and store the keys in IndexedDB
+ * @returns {Object} { signingKey, keyExchangeKey, deviceId, deviceName }
+ */
+export async function restoreKeyBackup(userId, backup, passphrase) {
+  console.log('%c💾 RESTORING KEY BACKUP', LOG_STYLES.header);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  if (backup?.version !== BACKUP_VERSION || backup.kdf?.name !== "PBKDF2") {
+    throw new Error('Not a CryptShare key backup');
+  }
+
+  const wrappingKey = await deriveWrappingKey(
+    passphrase,
+    base64ToArray(backup.kdf.salt),
+    backup.kdf.iterations
+  );
+
+  let contents;
+  try {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToArray(backup.iv), additionalData: backupAad(userId) },
+      wrappingKey,
+      base64ToArray(backup.ciphertext)
+    );
+    contents = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    console.log('%c✗ Backup decryption FAILED', LOG_STYLES.error);
+    throw new Error('Wrong passphrase, or the backup belongs to another account');
+  }
+
+  if (contents.userId !== userId || !contents.signing || !contents.keyExchange) {
+    throw new Error('Backup does not contain keys for this account');
+  }
+
+  await Promise.all([
+    savePrivateKey(`${userId}_signing`, contents.signing),
+    savePrivateKey(`${userId}_keyExchange`, contents.keyExchange)
+  ]);
+
+  console.log('%c✓ Private keys restored from backup', LOG_STYLES.success);
+  console.log('%c    Created: ' + new Date(contents.createdAt).toISOString(), LOG_STYLES.detail);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  return {
+    signingKey: contents.signing,
+    keyExchangeKey: contents.keyExchange,
+    deviceId: contents.deviceId,
+    deviceName: contents.deviceName
+  };
+}
+
+export { BACKUP_VERSION, MIN_PASSPHRASE_LENGTH };
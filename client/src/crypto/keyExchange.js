@@ -297,11 +297,27 @@ export async function verifyConfirmationHash(sessionKey, nonce1, nonce2, senderI
 // KEX MESSAGE BUILDERS
 // ============================================
 
+/**
+ * Device fields of a KEX message (multi-device)
+ * Only present when the exchange targets a specific device, and always
+ * inside the signed payload so they cannot be rewritten in transit
+ */
+export function deviceFields(senderDeviceId, receiverDeviceId) {
+  return receiverDeviceId ? { senderDeviceId, receiverDeviceId } : {};
+}
+
+// Reject KEX messages meant for another of the user's devices
+function assertAddressedToDevice(message, myDeviceId) {
+  if (message.receiverDeviceId && message.receiverDeviceId !== myDeviceId) {
+    throw new Error(`${message.type} is addressed to another device`);
+  }
+}
+
 /**
  * Create KEX_INIT message (Step 1)
  * Sent by initiator to start key exchange
  */
-export async function createKexInit(ephemeralKeyPair, signingPrivateKeyJwk, senderId, receiverId) {
+export async function createKexInit(ephemeralKeyPair, signingPrivateKeyJwk, senderId, receiverId, senderDeviceId = null, receiverDeviceId = null) {
   console.log('%c🚀 CryptShare-KEX: Creating KEX_INIT', LOG_STYLES.header);
   console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
   
@@ -317,7 +333,8 @@ export async function createKexInit(ephemeralKeyPair, signingPrivateKeyJwk, send
     nonce,
     timestamp,
     senderId,
-    receiverId
+    receiverId,
+    ...deviceFields(senderDeviceId, receiverDeviceId)
   };
   
   // Sign the payload
@@ -341,11 +358,14 @@ export async function processKexInitAndCreateResponse(
   senderPublicSigningKey,
   myEphemeralKeyPair,
   mySigningPrivateKeyJwk,
-  myId
+  myId,
+  myDeviceId = null
 ) {
   console.log('%c📥 CryptShare-KEX: Processing KEX_INIT', LOG_STYLES.header);
   console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
   
+  assertAddressedToDevice(kexInit, myDeviceId);
+  
   // 1. Validate timestamp
   if (!isTimestampValid(kexInit.timestamp)) {
     console.log('%c✗ Timestamp validation FAILED (replay attack?)', LOG_STYLES.error);
@@ -381,7 +401,8 @@ export async function processKexInitAndCreateResponse(
     timestamp,
     senderId: myId,
     receiverId: kexInit.senderId,
-    initiatorNonce: kexInit.nonce // Include initiator's nonce for key derivation
+    initiatorNonce: kexInit.nonce, // Include initiator's nonce for key derivation
+    ...deviceFields(myDeviceId, kexInit.senderDeviceId)
   };
   
   // 5. Sign response
@@ -418,11 +439,14 @@ export async function processKexResponseAndCreateConfirm(
   myEphemeralPrivateKey,
   mySigningPrivateKeyJwk,
   myNonce,
-  myId
+  myId,
+  myDeviceId = null
 ) {
   console.log('%c📥 CryptShare-KEX: Processing KEX_RESPONSE', LOG_STYLES.header);
   console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
   
+  assertAddressedToDevice(kexResponse, myDeviceId);
+  
   // 1. Validate timestamp
   if (!isTimestampValid(kexResponse.timestamp)) {
     console.log('%c✗ Timestamp validation FAILED', LOG_STYLES.error);
@@ -470,7 +494,8 @@ export async function processKexResponseAndCreateConfirm(
     confirmationHash,
     timestamp: Date.now(),
     senderId: myId,
-    receiverId: kexResponse.senderId
+    receiverId: kexResponse.senderId,
+    ...deviceFields(myDeviceId, kexResponse.senderDeviceId)
   };
   
   const confirmSignature = await signMessage(mySigningPrivateKeyJwk, confirmPayload);
@@ -497,11 +522,14 @@ export async function processKexConfirm(
   initiatorNonce,
   responderNonce,
   initiatorId,
-  responderId
+  responderId,
+  myDeviceId = null
 ) {
   console.log('%c📥 CryptShare-KEX: Processing KEX_CONFIRM', LOG_STYLES.header);
   console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
   
+  assertAddressedToDevice(kexConfirm, myDeviceId);
+  
   // 1. Validate timestamp
   if (!isTimestampValid(kexConfirm.timestamp)) {
     console.log('%c✗ Timestamp validation FAILED', LOG_STYLES.error);
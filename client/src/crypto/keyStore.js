@@ -2,17 +2,33 @@
  * Secure Key Storage Module
  * Uses IndexedDB for persistent client-side storage
  * Private keys NEVER leave the client!
- * 
+ *
  * Security Features:
  * - IndexedDB is isolated per origin (same-origin policy)
  * - Data persists across sessions but stays local
  * - Keys are never transmitted over network
+ * - Keys are encrypted at rest with a key derived from the login password
+ *
+ * Key Vault:
+ *   vaultKey = PBKDF2-SHA256(password, per-user salt, 600,000 iterations)
+ *   record   = AES-256-GCM(vaultKey, private JWK, AAD = key ID)
+ *
+ * The vault key is a non-extractable CryptoKey that only lives in memory.
+ * Until the store is unlocked (at login, or after a page reload) no private
+ * key can be read or written.
  */
 
 const DB_NAME = 'CryptShareKeys';
 const DB_VERSION = 1;
 const STORE_NAME = 'keys';
 
+// Key vault parameters
+const VAULT_VERSION = 'CryptShare-KeyVault-v1';
+const VAULT_PBKDF2_ITERATIONS = 600000;
+
+// Unlocked vault: { userId, key } - memory only, never persisted
+let unlockedVault = null;
+
 // Console styling
 const LOG_STYLES = {
   header: 'background: #6366f1; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
@@ -56,79 +72,266 @@ function openDB() {
   });
 }
 
-// Save private key to IndexedDB
-export async function savePrivateKey(keyId, privateKeyJwk) {
-  console.log('%c[SAVE] Storing Private Key in IndexedDB...', LOG_STYLES.info);
-  console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
-  console.log('%c    Storage Location: IndexedDB (Browser Local Storage)', LOG_STYLES.detail);
-  console.log('%c    %c SECURITY: Private key stored CLIENT-SIDE ONLY ', LOG_STYLES.detail, LOG_STYLES.security);
-  
+// Read a single record (null if missing)
+async function getRecord(id) {
   const db = await openDB();
-  
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const request = transaction.objectStore(STORE_NAME).get(id);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Write a single record
+async function putRecord(record) {
+  const db = await openDB();
+
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const keyRecord = {
-      id: keyId,
-      key: privateKeyJwk,
-      createdAt: Date.now()
-    };
-    
-    const request = store.put(keyRecord);
-    
-    request.onsuccess = () => {
-      console.log('%c✓ Private Key Saved Successfully!', LOG_STYLES.success);
-      console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
-      console.log('%c    Timestamp: ' + new Date(keyRecord.createdAt).toISOString(), LOG_STYLES.detail);
-      console.log('%c    🔒 Key is encrypted by browser\'s IndexedDB implementation', LOG_STYLES.warning);
-      console.log('%c    🔒 Key is protected by same-origin policy', LOG_STYLES.warning);
-      console.log('%c    🔒 Key is NOT accessible to other websites', LOG_STYLES.warning);
-      console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
-      resolve(true);
-    };
-    
-    request.onerror = () => {
-      console.error('%c✗ Failed to save private key:', LOG_STYLES.security, request.error);
-      reject(request.error);
-    };
+    const request = transaction.objectStore(STORE_NAME).put(record);
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
   });
 }
 
-// Retrieve private key from IndexedDB
-export async function getPrivateKey(keyId) {
-  console.log('%c[RETRIEVE] Loading Private Key from IndexedDB...', LOG_STYLES.info);
-  console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
-  
+// All records whose ID starts with a prefix
+async function getRecordsByPrefix(prefix) {
   const db = await openDB();
-  
+
   return new Promise((resolve, reject) => {
     const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.get(keyId);
-    
-    request.onsuccess = () => {
-      if (request.result) {
-        console.log('%c✓ Private Key Retrieved Successfully!', LOG_STYLES.success);
-        console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
-        console.log('%c    Created: ' + new Date(request.result.createdAt).toISOString(), LOG_STYLES.detail);
-        console.log('%c    Key Type: ' + request.result.key.kty, LOG_STYLES.detail);
-        console.log('%c    Curve: ' + request.result.key.crv, LOG_STYLES.detail);
-        console.log('%c    🔒 Key retrieved from secure local storage', LOG_STYLES.warning);
-        resolve(request.result.key);
-      } else {
-        console.log('%c⚠️  Private Key Not Found: ' + keyId, LOG_STYLES.warning);
-        resolve(null);
-      }
-    };
-    
-    request.onerror = () => {
-      console.error('%c✗ Failed to retrieve private key:', LOG_STYLES.security, request.error);
-      reject(request.error);
-    };
+    const request = transaction.objectStore(STORE_NAME).getAll();
+    request.onsuccess = () => resolve(request.result.filter(record => record.id.startsWith(prefix)));
+    request.onerror = () => reject(request.error);
   });
 }
 
+function vaultRecordId(userId) {
+  return `${userId}_vault`;
+}
+
+// Private keys of a user are stored as `${userId}_...`
+function assertUnlockedFor(keyId) {
+  if (!unlockedVault) {
+    throw new Error('Key store is locked');
+  }
+  if (!keyId.startsWith(`${unlockedVault.userId}_`)) {
+    throw new Error('Key store is unlocked for another account');
+  }
+}
+
+// Every record is bound to its key ID - ciphertexts cannot be swapped between records
+function recordAad(keyId) {
+  return new TextEncoder().encode(`${VAULT_VERSION}:${keyId}`);
+}
+
+/**
+ * Derive the vault key from the login password
+ */
+async function deriveVaultKey(password, salt, iterations) {
+  console.log('%c[PBKDF2] Deriving key vault key (' + iterations + ' iterations)...', LOG_STYLES.info);
+
+  const keyMaterial = await window.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return window.crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,  // Non-extractable - the vault key cannot be exported, even by scripts on this page
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function sealValue(vaultKey, keyId, value) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: recordAad(keyId) },
+    vaultKey,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv, ciphertext };
+}
+
+async function openValue(vaultKey, keyId, sealed) {
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: sealed.iv, additionalData: recordAad(keyId) },
+    vaultKey,
+    sealed.ciphertext
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Check if this browser has a key vault for a user
+export async function hasKeyVault(userId) {
+  return (await getRecord(vaultRecordId(userId))) !== null;
+}
+
+// Check if the key store is unlocked for a user
+export function isKeyStoreUnlocked(userId) {
+  return unlockedVault !== null && unlockedVault.userId === userId;
+}
+
+/**
+ * Unlock the key store with the login password
+ * Creates the vault on first use and encrypts keys stored by older versions
+ * @param {string} userId - Current user's ID
+ * @param {string} password - Login password
+ * @param {Object} options - { create: false } to fail instead of creating a missing vault
+ */
+export async function unlockKeyStore(userId, password, { create = true } = {}) {
+  console.log('%c🔓 UNLOCKING KEY STORE', LOG_STYLES.header);
+  console.log('%c    User: ' + userId, LOG_STYLES.detail);
+
+  const vaultId = vaultRecordId(userId);
+  const vault = await getRecord(vaultId);
+  let vaultKey;
+
+  if (vault) {
+    vaultKey = await deriveVaultKey(password, vault.salt, vault.iterations);
+    try {
+      const check = await openValue(vaultKey, vaultId, vault.check);
+      if (check !== VAULT_VERSION) throw new Error('Unexpected vault check value');
+    } catch (error) {
+      console.error('%c✗ Key store unlock FAILED - wrong password', LOG_STYLES.security);
+      throw new Error('Wrong password for the keys stored on this device');
+    }
+  } else {
+    if (!create) {
+      throw new Error('No keys are stored for this account on this device');
+    }
+
+    console.log('%c[VAULT] Creating key vault for this account...', LOG_STYLES.info);
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    vaultKey = await deriveVaultKey(password, salt, VAULT_PBKDF2_ITERATIONS);
+    await putRecord({
+      id: vaultId,
+      version: VAULT_VERSION,
+      salt,
+      iterations: VAULT_PBKDF2_ITERATIONS,
+      check: await sealValue(vaultKey, vaultId, VAULT_VERSION),
+      createdAt: Date.now()
+    });
+  }
+
+  unlockedVault = { userId, key: vaultKey };
+
+  // Keys saved before the vault existed were stored as plain JWKs
+  const legacyRecords = (await getRecordsByPrefix(`${userId}_`)).filter(record => record.key);
+  for (const record of legacyRecords) {
+    await savePrivateKey(record.id, record.key);
+  }
+  if (legacyRecords.length > 0) {
+    console.log('%c✓ Encrypted ' + legacyRecords.length + ' previously unprotected key(s)', LOG_STYLES.success);
+  }
+
+  console.log('%c✓ Key store unlocked', LOG_STYLES.success);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+  return true;
+}
+
+// Forget the vault key (logout) - stored keys stay encrypted on disk
+export function lockKeyStore() {
+  if (unlockedVault) {
+    console.log('%c🔒 Key store locked', LOG_STYLES.info);
+  }
+  unlockedVault = null;
+}
+
+// Save private key to IndexedDB (encrypted with the vault key)
+export async function savePrivateKey(keyId, privateKeyJwk) {
+  console.log('%c[SAVE] Storing Private Key in IndexedDB...', LOG_STYLES.info);
+  console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
+  console.log('%c    Storage Location: IndexedDB (Browser Local Storage)', LOG_STYLES.detail);
+  console.log('%c    %c SECURITY: Private key stored CLIENT-SIDE ONLY ', LOG_STYLES.detail, LOG_STYLES.security);
+
+  assertUnlockedFor(keyId);
+
+  const keyRecord = {
+    id: keyId,
+    wrapped: await sealValue(unlockedVault.key, keyId, privateKeyJwk),
+    createdAt: Date.now()
+  };
+
+  try {
+    await putRecord(keyRecord);
+  } catch (error) {
+    console.error('%c✗ Failed to save private key:', LOG_STYLES.security, error);
+    throw error;
+  }
+
+  console.log('%c✓ Private Key Saved Successfully!', LOG_STYLES.success);
+  console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
+  console.log('%c    Timestamp: ' + new Date(keyRecord.createdAt).toISOString(), LOG_STYLES.detail);
+  console.log('%c    🔒 Key is encrypted with the password-derived vault key (AES-256-GCM)', LOG_STYLES.warning);
+  console.log('%c    🔒 Key is protected by same-origin policy', LOG_STYLES.warning);
+  console.log('%c    🔒 Key is NOT accessible to other websites', LOG_STYLES.warning);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+  return true;
+}
+
+// Retrieve private key from IndexedDB (requires an unlocked key store)
+export async function getPrivateKey(keyId) {
+  console.log('%c[RETRIEVE] Loading Private Key from IndexedDB...', LOG_STYLES.info);
+  console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
+
+  assertUnlockedFor(keyId);
+
+  let record;
+  try {
+    record = await getRecord(keyId);
+  } catch (error) {
+    console.error('%c✗ Failed to retrieve private key:', LOG_STYLES.security, error);
+    throw error;
+  }
+
+  if (!record) {
+    console.log('%c⚠️  Private Key Not Found: ' + keyId, LOG_STYLES.warning);
+    return null;
+  }
+
+  // Records from before the vault are encrypted when the store is unlocked
+  const key = record.wrapped
+    ? await openValue(unlockedVault.key, keyId, record.wrapped)
+    : record.key;
+
+  console.log('%c✓ Private Key Retrieved Successfully!', LOG_STYLES.success);
+  console.log('%c    Key ID: ' + keyId, LOG_STYLES.detail);
+  console.log('%c    Created: ' + new Date(record.createdAt).toISOString(), LOG_STYLES.detail);
+  if (key.kty) {
+    console.log('%c    Key Type: ' + key.kty, LOG_STYLES.detail);
+    console.log('%c    Curve: ' + key.crv, LOG_STYLES.detail);
+  }
+  console.log('%c    🔒 Key decrypted from the local key vault', LOG_STYLES.warning);
+  return key;
+}
+
+// Identity key of the unlocked account - throws if it is missing
+async function getIdentityKey(userId, type) {
+  const key = await getPrivateKey(`${userId}_${type}`);
+  if (!key) {
+    throw new Error(`Private ${type} key not found on this device`);
+  }
+  return key;
+}
+
+// ECDSA signing private key (JWK)
+export function getSigningKey(userId) {
+  return getIdentityKey(userId, 'signing');
+}
+
+// ECDH key exchange private key (JWK)
+export function getKeyExchangeKey(userId) {
+  return getIdentityKey(userId, 'keyExchange');
+}
+
 // Delete private key from IndexedDB
 export async function deletePrivateKey(keyId) {
   console.log('%c[DELETE] Removing Private Key from IndexedDB...', LOG_STYLES.info);
@@ -156,8 +359,7 @@ export async function deletePrivateKey(keyId) {
 
 // Check if private key exists
 export async function hasPrivateKey(keyId) {
-  const key = await getPrivateKey(keyId);
-  return key !== null;
+  return (await getRecord(keyId)) !== null;
 }
 
 // Clear all keys (for logout/account deletion)
@@ -173,11 +375,12 @@ export async function clearAllKeys() {
     const request = store.clear();
     
     request.onsuccess = () => {
+      unlockedVault = null;
       console.log('%c✓ All Private Keys Cleared!', LOG_STYLES.success);
       console.log('%c    IndexedDB store emptied', LOG_STYLES.detail);
       resolve(true);
     };
-    
+
     request.onerror = () => {
       console.error('%c✗ Failed to clear keys:', LOG_STYLES.security, request.error);
       reject(request.error);
@@ -0,0 +1,74 @@
+/**
+ * Session Message Archive
+ * =======================
+ *
+ * Ratchet message keys are discarded after use (forward secrecy), so a
+ * session message can only be decrypted once. To keep history readable
+ * after a reload, this device stores its own copy of each session message
+ * it sent or received:
+ *
+ *   record = { ratchet: sessionId:sender:counter, text }
+ *
+ * Records are sealed in the encrypted key store (password-derived vault
+ * key) - never in plaintext. Messages this device never saw (sent before
+ * it was added, or read on another device only) stay unreadable here.
+ */
+
+import { savePrivateKey, getPrivateKey, deletePrivateKey } from './keyStore';
+
+// Console logging styles
+const LOG_STYLES = {
+  info: 'color: #60a5fa;',
+  warning: 'color: #f59e0b;'
+};
+
+// One record per message, by its sender and message ID (removed with the message)
+function archiveStorageId(userId, senderId, messageId) {
+  return `${userId}_sessionmessage_${senderId}_${messageId}`;
+}
+
+// The ratchet position binds a record to one message - a reused message ID can't swap texts
+function ratchetId(ratchet, senderId) {
+  return `${ratchet?.sessionId}:${senderId}:${ratchet?.counter}`;
+}
+
+/**
+ * Keep the plaintext of a session message
+ * @param {Object} message - { sender, messageId, ratchet }
+ */
+export async function archiveSessionMessage(userId, { sender, messageId, ratchet }, text) {
+  if (!messageId || !ratchet) return false;
+
+  try {
+    await savePrivateKey(archiveStorageId(userId, sender, messageId), {
+      ratchet: ratchetId(ratchet, sender),
+      text
+    });
+    return true;
+  } catch (error) {
+    console.log('%c[ARCHIVE] Could not store session message ' + messageId + ': ' + error.message, LOG_STYLES.warning);
+    return false;
+  }
+}
+
+/**
+ * Read the stored plaintext of a session message (null if this device has none)
+ * @param {Object} message - { sender, messageId, ratchet }
+ */
+export async function getArchivedSessionMessage(userId, { sender, messageId, ratchet }) {
+  if (!messageId || !ratchet) return null;
+
+  const record = await getPrivateKey(archiveStorageId(userId, sender, messageId));
+  if (!record || record.ratchet !== ratchetId(ratchet, sender)) {
+    return null;
+  }
+
+  console.log('%c[ARCHIVE] Session message ' + messageId + ' read from the local archive', LOG_STYLES.info);
+  return record.text;
+}
+
+// Forget a message (deleted or replaced by an edit)
+export function removeArchivedMessage(userId, senderId, messageId) {
+  if (!messageId) return Promise.resolve(false);
+  return deletePrivateKey(archiveStorageId(userId, senderId, messageId));
+}
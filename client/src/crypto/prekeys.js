@@ -0,0 +1,399 @@
+/**
+ * Prekeys & Asynchronous Key Exchange (X3DH-style)
+ * =================================================
+ *
+ * Lets an initiator establish a session while the peer is offline:
+ * - Each user uploads a signed prekey (SPK) and a batch of one-time
+ *   prekeys (OPK). Private halves stay in IndexedDB.
+ * - The initiator fetches the peer's bundle, verifies the SPK signature
+ *   with the peer's identity signing key, and combines four ECDH results:
+ *     DH1 = ECDH(IK_A, SPK_B)   DH2 = ECDH(EK_A, IK_B)
+ *     DH3 = ECDH(EK_A, SPK_B)   DH4 = ECDH(EK_A, OPK_B)  (if available)
+ *   SK = HKDF-SHA256(DH1 || DH2 || DH3 || DH4), a non-extractable HMAC key
+ *   the ratchet derives its chains from
+ * - A signed KEX_PREKEY message carries EK_A and the prekey IDs; the server
+ *   stores it until the peer connects.
+ *
+ * Identity keys (IK) are the long-term ECDH key exchange keys.
+ * Each OPK private key is deleted before it is used, so a replayed handshake fails.
+ * Without an OPK (the peer's supply ran out) the responder remembers each
+ * (IK_A, EK_A) pair it accepted for its SPK and refuses the same pair again -
+ * a replay would otherwise restart the session and its ratchet from zero.
+ */
+
+import {
+  generateEphemeralKeyPair,
+  exportEphemeralPublicKey,
+  computeSharedSecret,
+  generateNonce,
+  signMessage,
+  verifySignature,
+  deviceFields
+} from './keyExchange';
+import { importKeyExchangePrivateKey } from './keys';
+import { arrayToBase64 } from './encryption';
+import { savePrivateKey, getPrivateKey, getKeyExchangeKey, deletePrivateKey } from './keyStore';
+
+// Protocol Constants
+const X3DH_VERSION = "CryptShare-X3DH-v1";
+const HANDSHAKE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // Offline delivery may take days
+const CLOCK_SKEW_MS = 30000;
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #7c3aed; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  warning: 'color: #f59e0b;',
+  error: 'color: #ef4444; font-weight: bold;',
+  detail: 'color: #94a3b8;',
+  crypto: 'background: #059669; color: white; padding: 1px 6px; border-radius: 3px;'
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function generateKeyId() {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function concatenateArrays(...arrays) {
+  const totalLength = arrays.reduce((sum, arr) => sum + arr.length, 0);
+  const result = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const arr of arrays) {
+    result.set(arr, offset);
+    offset += arr.length;
+  }
+  return result;
+}
+
+// Public key fields in a fixed order, so signatures survive storage round-trips
+function canonicalPublicKey(jwk) {
+  return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+function preKeyStorageId(userId, keyId) {
+  return `${userId}_prekey_${keyId}`;
+}
+
+// (IK_A, EK_A) pairs accepted without a one-time prekey, per signed prekey
+function seenHandshakesStorageId(userId, signedPreKeyId) {
+  return `${userId}_prekeyseen_${signedPreKeyId}`;
+}
+
+function signedPreKeyPayload(keyId, publicKey) {
+  return {
+    type: "SIGNED_PREKEY",
+    version: X3DH_VERSION,
+    keyId,
+    publicKey: canonicalPublicKey(publicKey)
+  };
+}
+
+// Signed part of KEX_PREKEY, rebuilt field by field on both sides
+function handshakePayload(handshake) {
+  return {
+    type: "KEX_PREKEY",
+    version: X3DH_VERSION,
+    ephemeralPublicKey: canonicalPublicKey(handshake.ephemeralPublicKey),
+    signedPreKeyId: handshake.signedPreKeyId,
+    oneTimePreKeyId: handshake.oneTimePreKeyId || null,
+    nonce: handshake.nonce,
+    timestamp: handshake.timestamp,
+    senderId: handshake.senderId,
+    receiverId: handshake.receiverId,
+    ...deviceFields(handshake.senderDeviceId, handshake.receiverDeviceId)
+  };
+}
+
+async function generatePreKeyPair(userId) {
+  const keyPair = await window.crypto.subtle.generateKey(
+    { name: "ECDH", namedCurve: "P-256" },
+    true, // extractable - private half is stored in IndexedDB
+    ["deriveKey", "deriveBits"]
+  );
+
+  const keyId = generateKeyId();
+  const [publicKey, privateKey] = await Promise.all([
+    window.crypto.subtle.exportKey("jwk", keyPair.publicKey),
+    window.crypto.subtle.exportKey("jwk", keyPair.privateKey)
+  ]);
+
+  await savePrivateKey(preKeyStorageId(userId, keyId), privateKey);
+
+  return { keyId, publicKey: canonicalPublicKey(publicKey) };
+}
+
+async function loadPreKey(userId, keyId) {
+  const jwk = await getPrivateKey(preKeyStorageId(userId, keyId));
+  return jwk ? importKeyExchangePrivateKey(jwk) : null;
+}
+
+async function handshakeFingerprint(identityPublicKey, ephemeralPublicKey) {
+  const input = new TextEncoder().encode(JSON.stringify([
+    canonicalPublicKey(identityPublicKey),
+    canonicalPublicKey(ephemeralPublicKey)
+  ]));
+  const digest = await window.crypto.subtle.digest("SHA-256", input);
+  return arrayToBase64(new Uint8Array(digest));
+}
+
+// Replay checks run one handshake at a time, so two copies of a replay can't both pass
+let handshakeQueue = Promise.resolve();
+
+function withHandshakeLock(operation) {
+  const result = handshakeQueue.then(operation);
+  handshakeQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Take a one-time prekey for a handshake - it is deleted before any key is derived from it
+ * @throws if the prekey was already used
+ */
+function takeOneTimePreKey(userId, keyId) {
+  return withHandshakeLock(async () => {
+    const storageId = preKeyStorageId(userId, keyId);
+    const jwk = await getPrivateKey(storageId);
+    if (!jwk) {
+      throw new Error('One-time prekey already used (replayed handshake?)');
+    }
+    await deletePrivateKey(storageId);
+    return importKeyExchangePrivateKey(jwk);
+  });
+}
+
+/**
+ * Remember a handshake that used no one-time prekey
+ * Entries older than the handshake window are dropped - their timestamps no longer pass
+ * @throws if the same (identity key, ephemeral key) pair was accepted before
+ */
+function recordHandshakeWithoutOneTimePreKey(userId, signedPreKeyId, fingerprint) {
+  return withHandshakeLock(async () => {
+    const storageId = seenHandshakesStorageId(userId, signedPreKeyId);
+    const now = Date.now();
+    const seen = ((await getPrivateKey(storageId)) || [])
+      .filter(entry => now - entry.at <= HANDSHAKE_MAX_AGE_MS + CLOCK_SKEW_MS);
+
+    if (seen.some(entry => entry.fingerprint === fingerprint)) {
+      throw new Error('KEX_PREKEY without a one-time prekey was already used (replayed handshake?)');
+    }
+
+    await savePrivateKey(storageId, [...seen, { fingerprint, at: now }]);
+  });
+}
+
+/**
+ * Derive the session key from the concatenated ECDH outputs
+ * Non-extractable HMAC key - the ratchet derives its chains with it, nothing can read it
+ */
+async function deriveX3DHSessionKey(dhOutputs, initiatorId, responderId) {
+  console.log('%c[HKDF] Deriving X3DH session key...', LOG_STYLES.crypto);
+
+  const keyMaterial = await window.crypto.subtle.importKey(
+    "raw",
+    concatenateArrays(...dhOutputs),
+    "HKDF",
+    false,
+    ["deriveKey"]
+  );
+
+  const salt = await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(X3DH_VERSION));
+
+  return window.crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(salt),
+      info: new TextEncoder().encode(`CryptShare-X3DH:${initiatorId}:${responderId}`)
+    },
+    keyMaterial,
+    { name: "HMAC", hash: "SHA-256", length: 256 },
+    false,
+    ["sign"]
+  );
+}
+
+// ============================================
+// PREKEY GENERATION
+// ============================================
+
+/**
+ * Generate a signed prekey and sign it with the identity signing key
+ * @returns {Object} { keyId, publicKey, signature }
+ */
+export async function createSignedPreKey(userId, signingPrivateKeyJwk) {
+  console.log('%c🗝️ Generating signed prekey', LOG_STYLES.header);
+
+  const { keyId, publicKey } = await generatePreKeyPair(userId);
+  const signature = await signMessage(signingPrivateKeyJwk, signedPreKeyPayload(keyId, publicKey));
+
+  console.log('%c✓ Signed prekey ready (ID ' + keyId + ')', LOG_STYLES.success);
+
+  return { keyId, publicKey, signature };
+}
+
+/**
+ * Generate a batch of one-time prekeys
+ * @returns {Array} [{ keyId, publicKey }]
+ */
+export async function createOneTimePreKeys(userId, count) {
+  console.log('%c🗝️ Generating ' + count + ' one-time prekeys', LOG_STYLES.header);
+
+  const preKeys = [];
+  for (let i = 0; i < count; i++) {
+    preKeys.push(await generatePreKeyPair(userId));
+  }
+
+  console.log('%c✓ One-time prekeys ready', LOG_STYLES.success);
+  return preKeys;
+}
+
+// ============================================
+// HANDSHAKE
+// ============================================
+
+/**
+ * Create KEX_PREKEY from a peer's prekey bundle (initiator, peer may be offline)
+ * @param {Object} bundle - { identityKeys, signedPreKey, oneTimePreKey, deviceId? }
+ * @param {string} myDeviceId - Sending device (only used for device bundles)
+ * @returns {Object} { handshake, sessionKey, initiatorNonce, responderNonce }
+ */
+export async function createPreKeyHandshake(myId, peerId, bundle, signingPrivateKeyJwk, identityPrivateKeyJwk, myDeviceId = null) {
+  console.log('%c🚀 X3DH: Creating KEX_PREKEY', LOG_STYLES.header);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  const { identityKeys, signedPreKey, oneTimePreKey } = bundle;
+
+  // 1. Verify the signed prekey belongs to the peer's identity
+  const isSignatureValid = await verifySignature(
+    identityKeys.signing,
+    signedPreKeyPayload(signedPreKey.keyId, signedPreKey.publicKey),
+    signedPreKey.signature
+  );
+
+  if (!isSignatureValid) {
+    console.log('%c✗ Signed prekey signature INVALID (MITM attack?)', LOG_STYLES.error);
+    throw new Error('Signed prekey signature verification failed');
+  }
+
+  // 2. Ephemeral key for this handshake
+  const ephemeralKeyPair = await generateEphemeralKeyPair();
+  const identityPrivateKey = await importKeyExchangePrivateKey(identityPrivateKeyJwk);
+
+  // 3. Four ECDH computations
+  const dhOutputs = [
+    await computeSharedSecret(identityPrivateKey, signedPreKey.publicKey),
+    await computeSharedSecret(ephemeralKeyPair.privateKey, identityKeys.keyExchange),
+    await computeSharedSecret(ephemeralKeyPair.privateKey, signedPreKey.publicKey)
+  ];
+  if (oneTimePreKey) {
+    dhOutputs.push(await computeSharedSecret(ephemeralKeyPair.privateKey, oneTimePreKey.publicKey));
+  } else {
+    console.log('%c    No one-time prekey left - using signed prekey only', LOG_STYLES.detail);
+  }
+
+  // 4. Session key
+  const sessionKey = await deriveX3DHSessionKey(dhOutputs, myId, peerId);
+
+  // 5. Signed handshake message
+  const payload = handshakePayload({
+    ephemeralPublicKey: await exportEphemeralPublicKey(ephemeralKeyPair),
+    signedPreKeyId: signedPreKey.keyId,
+    oneTimePreKeyId: oneTimePreKey?.keyId,
+    nonce: generateNonce(),
+    timestamp: Date.now(),
+    senderId: myId,
+    receiverId: peerId,
+    senderDeviceId: myDeviceId,
+    receiverDeviceId: bundle.deviceId
+  });
+  const signature = await signMessage(signingPrivateKeyJwk, payload);
+
+  console.log('%c✓ KEX_PREKEY created and signed', LOG_STYLES.success);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  return {
+    handshake: { ...payload, signature },
+    sessionKey,
+    initiatorNonce: payload.nonce,
+    responderNonce: `${payload.signedPreKeyId}:${payload.oneTimePreKeyId || ''}`
+  };
+}
+
+/**
+ * Process a received KEX_PREKEY (responder)
+ * @returns {Object} { sessionKey, initiatorNonce, responderNonce }
+ */
+export async function processPreKeyHandshake(myId, handshake, senderPublicKeys, myDeviceId = null) {
+  console.log('%c📥 X3DH: Processing KEX_PREKEY', LOG_STYLES.header);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  if (handshake.receiverId !== myId) {
+    throw new Error('KEX_PREKEY is addressed to another user');
+  }
+  if (handshake.receiverDeviceId && handshake.receiverDeviceId !== myDeviceId) {
+    throw new Error('KEX_PREKEY is addressed to another device');
+  }
+
+  // 1. Timestamp (wide window - the handshake may have waited on the server)
+  const age = Date.now() - handshake.timestamp;
+  if (age > HANDSHAKE_MAX_AGE_MS || age < -CLOCK_SKEW_MS) {
+    throw new Error('KEX_PREKEY timestamp expired or invalid');
+  }
+
+  // 2. Signature by the initiator's identity signing key
+  const payload = handshakePayload(handshake);
+  const isSignatureValid = await verifySignature(senderPublicKeys.signing, payload, handshake.signature);
+
+  if (!isSignatureValid) {
+    console.log('%c✗ Signature verification FAILED (MITM attack?)', LOG_STYLES.error);
+    throw new Error('KEX_PREKEY signature verification failed');
+  }
+
+  // 3. Load our prekeys (a missing one-time prekey means it was already used)
+  const signedPreKey = await loadPreKey(myId, payload.signedPreKeyId);
+  if (!signedPreKey) {
+    throw new Error('Signed prekey not found on this device');
+  }
+
+  let oneTimePreKey = null;
+  if (payload.oneTimePreKeyId) {
+    // Single use - gone even if the rest of the handshake fails
+    oneTimePreKey = await takeOneTimePreKey(myId, payload.oneTimePreKeyId);
+  } else {
+    // Nothing single-use on our side - refuse an (identity key, ephemeral key) pair we accepted before
+    console.log('%c⚠️ No one-time prekey used (supply ran out) - checking for a replay', LOG_STYLES.warning);
+    const fingerprint = await handshakeFingerprint(senderPublicKeys.keyExchange, payload.ephemeralPublicKey);
+    await recordHandshakeWithoutOneTimePreKey(myId, payload.signedPreKeyId, fingerprint);
+  }
+
+  const identityPrivateKeyJwk = await getKeyExchangeKey(myId);
+  const identityPrivateKey = await importKeyExchangePrivateKey(identityPrivateKeyJwk);
+
+  // 4. Same four ECDH computations, from the responder's side
+  const dhOutputs = [
+    await computeSharedSecret(signedPreKey, senderPublicKeys.keyExchange),
+    await computeSharedSecret(identityPrivateKey, payload.ephemeralPublicKey),
+    await computeSharedSecret(signedPreKey, payload.ephemeralPublicKey)
+  ];
+  if (oneTimePreKey) {
+    dhOutputs.push(await computeSharedSecret(oneTimePreKey, payload.ephemeralPublicKey));
+  }
+
+  const sessionKey = await deriveX3DHSessionKey(dhOutputs, payload.senderId, myId);
+
+  console.log('%c🎉 X3DH KEY EXCHANGE COMPLETE', LOG_STYLES.success);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  return {
+    sessionKey,
+    initiatorNonce: payload.nonce,
+    responderNonce: `${payload.signedPreKeyId}:${payload.oneTimePreKeyId || ''}`
+  };
+}
+
+export { X3DH_VERSION };
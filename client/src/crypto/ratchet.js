@@ -0,0 +1,301 @@
+/**
+ * Symmetric Hash Ratchet
+ * ======================
+ *
+ * Turns the CryptShare-KEX session key into per-message keys:
+ * - One chain per direction, derived from the session key with HKDF-Expand
+ *   (X3DH session keys are non-extractable HMAC keys and are used as is)
+ * - Each message advances the chain: HMAC(chainKey, 0x01) = message key,
+ *   HMAC(chainKey, 0x02) = next chain key
+ * - Old chain keys are overwritten, so a stolen current state (or stolen
+ *   long-term keys) cannot decrypt earlier messages - forward secrecy
+ *
+ * The session key is discarded once both chains are derived, so only the
+ * current chain state exists. Ratchet state lives in memory only and ends
+ * with the session (readable copies are kept in the message archive).
+ *
+ * Fallback: when no session exists (peer offline), messages are encrypted
+ * with the long-term conversation key instead (keyMode 'conversation').
+ * Session messages from an earlier session cannot be decrypted from history.
+ */
+
+import { getSessionKey, getSessionKeyMetadata, discardSessionKey } from './sessionKeyStore';
+import { encryptMessage, decryptMessage, arrayToBase64 } from './encryption';
+
+// Maximum number of message keys kept for out-of-order delivery
+const MAX_SKIP = 100;
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #0d9488; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  warning: 'color: #f59e0b;',
+  error: 'color: #ef4444; font-weight: bold;',
+  detail: 'color: #94a3b8;'
+};
+
+// peerId -> ratchet state
+const ratchets = new Map();
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+async function hmac(keyBytes, byte) {
+  const key = await window.crypto.subtle.importKey(
+    "raw",
+    keyBytes,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const result = await window.crypto.subtle.sign("HMAC", key, new Uint8Array([byte]));
+  return new Uint8Array(result);
+}
+
+/**
+ * Advance a chain by one step
+ * @returns {Object} { messageKey, nextChainKey }
+ */
+async function stepChain(chainKey) {
+  const [messageKeyBytes, nextChainKey] = await Promise.all([
+    hmac(chainKey, 0x01),
+    hmac(chainKey, 0x02)
+  ]);
+
+  const messageKey = await window.crypto.subtle.importKey(
+    "raw",
+    messageKeyBytes,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+
+  return { messageKey, nextChainKey };
+}
+
+/**
+ * HMAC key the chains are derived from
+ * CryptShare-KEX session keys are extractable AES keys - their bytes are moved into a
+ * non-extractable HMAC key and erased
+ */
+async function chainRootKey(sessionKey) {
+  if (sessionKey.algorithm.name === "HMAC") {
+    return sessionKey;
+  }
+
+  const sessionKeyBytes = new Uint8Array(await window.crypto.subtle.exportKey("raw", sessionKey));
+  try {
+    return await window.crypto.subtle.importKey(
+      "raw",
+      sessionKeyBytes,
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    );
+  } finally {
+    sessionKeyBytes.fill(0);
+  }
+}
+
+/**
+ * Derive the initial chain key for one direction
+ * HKDF-Expand with the root key as PRK: HMAC(root, info || 0x01)
+ */
+async function deriveChainKey(rootKey, sessionId, fromId, toId) {
+  const info = new TextEncoder().encode(`CryptShare-Ratchet:${sessionId}:${fromId}:${toId}`);
+  const input = new Uint8Array(info.length + 1);
+  input.set(info);
+  input[info.length] = 0x01;
+
+  const bits = await window.crypto.subtle.sign("HMAC", rootKey, input);
+  return new Uint8Array(bits);
+}
+
+/**
+ * Session ID shared by both parties: SHA-256(initiatorNonce || responderNonce), truncated
+ */
+async function computeSessionId(initiatorNonce, responderNonce) {
+  const input = new TextEncoder().encode(`${initiatorNonce}:${responderNonce}`);
+  const digest = await window.crypto.subtle.digest("SHA-256", input);
+  return arrayToBase64(new Uint8Array(digest).slice(0, 16));
+}
+
+/**
+ * Run ratchet operations for a peer one at a time (chain steps are async)
+ */
+function withLock(state, operation) {
+  const result = state.queue.then(operation);
+  state.queue = result.catch(() => {});
+  return result;
+}
+
+// ============================================
+// RATCHET API
+// ============================================
+
+/**
+ * Initialize the ratchet from the stored session key for a peer
+ * Call after the key exchange completes (both roles)
+ * @param {string} peerId - Peer's user ID
+ * @param {string} myId - Current user's ID
+ * @returns {string} Session ID
+ */
+export async function initRatchet(peerId, myId) {
+  const sessionKey = getSessionKey(peerId);
+  const metadata = getSessionKeyMetadata(peerId);
+
+  if (!sessionKey || !metadata) {
+    throw new Error('No session key for ratchet initialization');
+  }
+
+  console.log('%c⚙️ HASH RATCHET - INITIALIZING', LOG_STYLES.header);
+
+  const sessionId = await computeSessionId(metadata.initiatorNonce, metadata.responderNonce);
+  const rootKey = await chainRootKey(sessionKey);
+
+  const [sendChainKey, recvChainKey] = await Promise.all([
+    deriveChainKey(rootKey, sessionId, myId, peerId),
+    deriveChainKey(rootKey, sessionId, peerId, myId)
+  ]);
+
+  ratchets.set(peerId, {
+    sessionId,
+    sendChainKey,
+    sendCounter: 0,
+    recvChainKey,
+    recvCounter: 0,
+    skippedKeys: new Map(), // counter -> message key
+    queue: Promise.resolve()
+  });
+
+  // The chains are all we need - the session key could rederive every message key
+  discardSessionKey(peerId);
+
+  console.log('%c✓ Ratchet ready (one chain per direction)', LOG_STYLES.success);
+  console.log('%c    Session ID: ' + sessionId, LOG_STYLES.detail);
+
+  return sessionId;
+}
+
+/**
+ * Check if a ratchet is active for a peer
+ */
+export function hasRatchet(peerId) {
+  return ratchets.has(peerId);
+}
+
+/**
+ * Encrypt a message with the next sending message key
+ * @returns {Object} { ciphertext, iv, ratchet: { sessionId, counter } }
+ */
+export async function ratchetEncrypt(peerId, plaintext) {
+  const state = ratchets.get(peerId);
+  if (!state) {
+    throw new Error('No ratchet for peer');
+  }
+
+  return withLock(state, async () => {
+    const { messageKey, nextChainKey } = await stepChain(state.sendChainKey);
+    const counter = state.sendCounter;
+
+    // Overwrite the chain key - the previous one is gone (forward secrecy)
+    state.sendChainKey = nextChainKey;
+    state.sendCounter++;
+
+    const { ciphertext, iv } = await encryptMessage(messageKey, plaintext);
+
+    console.log('%c[RATCHET] Sending chain advanced to ' + state.sendCounter, LOG_STYLES.info);
+
+    return {
+      ciphertext,
+      iv,
+      ratchet: { sessionId: state.sessionId, counter }
+    };
+  });
+}
+
+/**
+ * Decrypt a message using the receiving chain
+ * Skipped message keys are kept (up to MAX_SKIP) for out-of-order delivery
+ * The chain only moves once the message authenticates - a forged or corrupted
+ * message leaves the state untouched
+ * @param {Object} header - { sessionId, counter }
+ */
+export async function ratchetDecrypt(peerId, ciphertext, iv, header) {
+  const state = ratchets.get(peerId);
+
+  if (!state || !header || header.sessionId !== state.sessionId) {
+    console.log('%c[RATCHET] Message belongs to an unknown or expired session', LOG_STYLES.warning);
+    throw new Error('Session expired - message key no longer available');
+  }
+
+  return withLock(state, async () => {
+    const { counter } = header;
+
+    // Out-of-order message with a key we kept
+    if (counter < state.recvCounter) {
+      const messageKey = state.skippedKeys.get(counter);
+      if (!messageKey) {
+        throw new Error('Message key already used or discarded');
+      }
+      const plaintext = await decryptMessage(messageKey, ciphertext, iv);
+      state.skippedKeys.delete(counter);
+      return plaintext;
+    }
+
+    if (counter - state.recvCounter > MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+
+    // Advance a copy of the chain, keeping keys for messages that haven't arrived yet
+    let recvChainKey = state.recvChainKey;
+    let recvCounter = state.recvCounter;
+    const skippedKeys = new Map(state.skippedKeys);
+    let messageKey = null;
+    while (recvCounter <= counter) {
+      const step = await stepChain(recvChainKey);
+      if (recvCounter < counter) {
+        skippedKeys.set(recvCounter, step.messageKey);
+      } else {
+        messageKey = step.messageKey;
+      }
+      recvChainKey = step.nextChainKey;
+      recvCounter++;
+    }
+
+    // Throws on a failed authentication check - before anything is saved
+    const plaintext = await decryptMessage(messageKey, ciphertext, iv);
+
+    // Bound memory used by skipped keys
+    while (skippedKeys.size > MAX_SKIP) {
+      skippedKeys.delete(skippedKeys.keys().next().value);
+    }
+
+    state.recvChainKey = recvChainKey;
+    state.recvCounter = recvCounter;
+    state.skippedKeys = skippedKeys;
+
+    console.log('%c[RATCHET] Receiving chain advanced to ' + state.recvCounter, LOG_STYLES.info);
+
+    return plaintext;
+  });
+}
+
+/**
+ * Remove ratchet state for a peer
+ */
+export function clearRatchet(peerId) {
+  return ratchets.delete(peerId);
+}
+
+/**
+ * Remove all ratchet state (on logout)
+ */
+export function clearAllRatchets() {
+  console.log('%c[RATCHET] Clearing all ratchet state', LOG_STYLES.warning);
+  ratchets.clear();
+}
+
+export { MAX_SKIP };
@@ -0,0 +1,222 @@
+/**
+ * Safety Numbers
+ * ==============
+ *
+ * Lets two users confirm out-of-band that the identity keys the server
+ * handed out really belong to each other (detects the key-substitution
+ * MITM from attacks/mitm-demo.js).
+ *
+ * - Fingerprint per user: iterated SHA-512 over the user ID and the
+ *   identity public keys (signing + key exchange) of every active device,
+ *   sorted, truncated to 30 bytes. Both parties take both key sets from
+ *   the same device lists, so they compute the same number
+ * - Safety number: both fingerprints as 60 digits, ordered by user ID so
+ *   both parties see the same number
+ * - Comparison payload: compact string meant for a QR code / copy-paste;
+ *   the peer checks it against their own view of the keys
+ */
+
+import { arrayToBase64 } from './encryption';
+
+// Protocol Constants
+const SAFETY_NUMBER_VERSION = "CryptShare-SN-v2";
+const FINGERPRINT_ITERATIONS = 5200; // Slows down brute-forcing a colliding key
+const FINGERPRINT_BYTES = 30;
+const GRID_SIZE = 21; // Visual grid is GRID_SIZE x GRID_SIZE cells
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #0891b2; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  detail: 'color: #94a3b8;'
+};
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+function concatenateArrays(...arrays) {
+  const totalLength = arrays.reduce((sum, arr) => sum + arr.length, 0);
+  const result = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const arr of arrays) {
+    result.set(arr, offset);
+    offset += arr.length;
+  }
+  return result;
+}
+
+// Public key fields in a fixed order, so both sides hash identical bytes
+function canonicalPublicKey(jwk) {
+  return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+// One entry per device, sorted, so device order never changes the fingerprint
+function encodeIdentityKeys(keySets) {
+  const entries = keySets
+    .map(publicKeys => JSON.stringify({
+      signing: canonicalPublicKey(publicKeys.signing),
+      keyExchange: canonicalPublicKey(publicKeys.keyExchange)
+    }))
+    .sort();
+  return new TextEncoder().encode('[' + entries.join(',') + ']');
+}
+
+/**
+ * Render fingerprint bytes as 30 digits (6 groups of 5)
+ * Each group comes from 5 bytes read as a big-endian integer, mod 100000
+ */
+function fingerprintToDigits(fingerprint) {
+  let digits = '';
+  for (let i = 0; i < FINGERPRINT_BYTES; i += 5) {
+    let value = 0;
+    for (let j = 0; j < 5; j++) {
+      value = value * 256 + fingerprint[i + j];
+    }
+    digits += String(value % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+// ============================================
+// FINGERPRINTS
+// ============================================
+
+/**
+ * Public identity keys recovered from this device's private JWKs
+ * (private EC JWKs carry x/y), so our own fingerprint never depends on the server
+ */
+export function publicKeysFromPrivate(signingPrivateKeyJwk, keyExchangePrivateKeyJwk) {
+  return {
+    signing: canonicalPublicKey(signingPrivateKeyJwk),
+    keyExchange: canonicalPublicKey(keyExchangePrivateKeyJwk)
+  };
+}
+
+/**
+ * Identity key sets a user's fingerprint covers: the keys of each active
+ * device, or the account keys for users without registered devices
+ * @param {Object} userData - User from GET /api/users/:id ({ publicKeys, devices })
+ * @returns {Object[]} { signing, keyExchange } JWKs per device
+ */
+export function identityKeySets(userData) {
+  const devices = (userData.devices || []).filter(device => !device.revokedAt);
+  return devices.length > 0
+    ? devices.map(device => device.publicKeys)
+    : [userData.publicKeys];
+}
+
+/**
+ * Compute a user's identity fingerprint
+ * @param {string} userId - Owner of the keys
+ * @param {Object[]} keySets - { signing, keyExchange } JWKs of each active device
+ * @returns {Uint8Array} 30-byte fingerprint
+ */
+export async function computeFingerprint(userId, keySets) {
+  const keyBytes = encodeIdentityKeys(keySets);
+  const input = concatenateArrays(
+    new TextEncoder().encode(SAFETY_NUMBER_VERSION),
+    keyBytes,
+    new TextEncoder().encode(userId)
+  );
+
+  let hash = new Uint8Array(await window.crypto.subtle.digest("SHA-512", input));
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = new Uint8Array(await window.crypto.subtle.digest("SHA-512", concatenateArrays(hash, keyBytes)));
+  }
+
+  return hash.slice(0, FINGERPRINT_BYTES);
+}
+
+/**
+ * Fingerprint of a user's identity keys as base64 (used for storage/comparison)
+ */
+export async function getIdentityFingerprint(userId, keySets) {
+  return arrayToBase64(await computeFingerprint(userId, keySets));
+}
+
+// ============================================
+// SAFETY NUMBER
+// ============================================
+
+/**
+ * Compute the safety number shared by two users
+ * @param {Object[]} myKeySets - Key sets of all our active devices (see identityKeySets)
+ * @param {Object[]} peerKeySets - Key sets of all the peer's active devices
+ * @returns {Object} { safetyNumber, groups, grid, payload, myFingerprint, peerFingerprint }
+ */
+export async function computeSafetyNumber(myId, myKeySets, peerId, peerKeySets) {
+  console.log('%c🛡️ SAFETY NUMBER', LOG_STYLES.header);
+  console.log('%c[SHA-512] Computing fingerprints (' + FINGERPRINT_ITERATIONS + ' iterations each)...', LOG_STYLES.info);
+
+  const [myFingerprint, peerFingerprint] = await Promise.all([
+    computeFingerprint(myId, myKeySets),
+    computeFingerprint(peerId, peerKeySets)
+  ]);
+
+  // Same order on both sides
+  const ordered = myId < peerId
+    ? [myFingerprint, peerFingerprint]
+    : [peerFingerprint, myFingerprint];
+
+  const safetyNumber = ordered.map(fingerprintToDigits).join('');
+  const groups = safetyNumber.match(/\d{5}/g);
+
+  // Bits of both fingerprints as a grid for quick visual comparison
+  const bits = concatenateArrays(...ordered);
+  const grid = Array.from({ length: GRID_SIZE * GRID_SIZE }, (_, i) =>
+    Boolean(bits[Math.floor(i / 8) % bits.length] & (0x80 >> (i % 8)))
+  );
+
+  const myFingerprintB64 = arrayToBase64(myFingerprint);
+  const peerFingerprintB64 = arrayToBase64(peerFingerprint);
+
+  console.log('%c✓ Safety number ready', LOG_STYLES.success);
+  console.log('%c    ' + groups.join(' '), LOG_STYLES.detail);
+
+  return {
+    safetyNumber,
+    groups,
+    grid,
+    gridSize: GRID_SIZE,
+    payload: createVerificationPayload(myId, myFingerprintB64, peerId, peerFingerprintB64),
+    myFingerprint: myFingerprintB64,
+    peerFingerprint: peerFingerprintB64
+  };
+}
+
+// ============================================
+// COMPARISON PAYLOAD
+// ============================================
+
+/**
+ * Comparison payload: "<version>:<ownerId>:<ownerFp>:<peerId>:<peerFp>"
+ */
+export function createVerificationPayload(myId, myFingerprint, peerId, peerFingerprint) {
+  return [SAFETY_NUMBER_VERSION, myId, myFingerprint, peerId, peerFingerprint].join(':');
+}
+
+/**
+ * Check a payload produced by the peer against our own view of both keys
+ * @returns {string} 'match' | 'mismatch' | 'invalid'
+ */
+export function compareVerificationPayload(payload, safety, myId, peerId) {
+  const parts = (payload || '').trim().split(':');
+  if (parts.length !== 5 || parts[0] !== SAFETY_NUMBER_VERSION) {
+    return 'invalid';
+  }
+
+  const [, ownerId, ownerFingerprint, otherId, otherFingerprint] = parts;
+
+  // Must be the peer's payload about us
+  if (ownerId !== peerId || otherId !== myId) {
+    return 'invalid';
+  }
+
+  return ownerFingerprint === safety.peerFingerprint && otherFingerprint === safety.myFingerprint
+    ? 'match'
+    : 'mismatch';
+}
+
+export { SAFETY_NUMBER_VERSION };
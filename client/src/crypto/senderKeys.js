@@ -0,0 +1,213 @@
+/**
+ * Group Sender Keys
+ * =================
+ *
+ * Every member device encrypts group messages with its own sender key,
+ * so a message is encrypted once no matter how many members there are:
+ *
+ *   senderKey     = { keyId, groupId, epoch, seed (32 random bytes) }
+ *   messageKey(n) = HKDF-SHA256(seed, salt = keyId, info = version:n)
+ *   message       = AES-256-GCM(messageKey(n), plaintext, AAD = groupId:keyId:n)
+ *
+ * Messages are also signed with the sending device's identity key - every
+ * member holds the sender key, so only the signature proves who sent it.
+ *
+ * The sender key is distributed pairwise (conversation key per member device).
+ * A new sender key is created whenever the group's membership or a member's
+ * devices change; removed members never receive it and cannot read new
+ * messages. Message keys are derived from the seed directly (no hash chain),
+ * so history stays readable for members holding the key.
+ *
+ * Keys are kept in the encrypted key store - never in plaintext.
+ */
+
+import { savePrivateKey, getPrivateKey, deletePrivateKey } from './keyStore';
+import { signMessage, verifySignature } from './keyExchange';
+import { arrayToBase64, base64ToArray } from './encryption';
+
+// Protocol Constants
+const SENDER_KEY_VERSION = "CryptShare-SenderKey-v1";
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #db2777; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  error: 'color: #ef4444; font-weight: bold;',
+  detail: 'color: #94a3b8;',
+  crypto: 'background: #db2777; color: white; padding: 1px 6px; border-radius: 3px;'
+};
+
+// ============================================
+// STORAGE
+// ============================================
+
+// Any sender key (own or received), by key ID - used to decrypt
+function senderKeyStorageId(userId, keyId) {
+  return `${userId}_senderkey_${keyId}`;
+}
+
+// The key this device currently sends with in a group
+function ownSenderKeyStorageId(userId, groupId) {
+  return `${userId}_senderkey_own_${groupId}`;
+}
+
+export function getSenderKey(userId, keyId) {
+  return getPrivateKey(senderKeyStorageId(userId, keyId));
+}
+
+export function saveSenderKey(userId, senderKey) {
+  return savePrivateKey(senderKeyStorageId(userId, senderKey.keyId), senderKey);
+}
+
+export function getOwnSenderKey(userId, groupId) {
+  return getPrivateKey(ownSenderKeyStorageId(userId, groupId));
+}
+
+export function saveOwnSenderKey(userId, senderKey) {
+  return savePrivateKey(ownSenderKeyStorageId(userId, senderKey.groupId), senderKey);
+}
+
+// Stop sending with the current key - the next message creates a new one
+// (the old key stays stored so earlier messages remain readable)
+export function retireOwnSenderKey(userId, groupId) {
+  return deletePrivateKey(ownSenderKeyStorageId(userId, groupId));
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+async function deriveMessageKey(senderKey, iteration) {
+  const keyMaterial = await window.crypto.subtle.importKey(
+    "raw",
+    base64ToArray(senderKey.seed),
+    "HKDF",
+    false,
+    ["deriveKey"]
+  );
+
+  return window.crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new TextEncoder().encode(senderKey.keyId),
+      info: new TextEncoder().encode(`${SENDER_KEY_VERSION}:${iteration}`)
+    },
+    keyMaterial,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function messageAad(senderKey, iteration) {
+  return new TextEncoder().encode(`${senderKey.groupId}:${senderKey.keyId}:${iteration}`);
+}
+
+// Everything the signature covers (sender device is bound, so copies cannot be re-attributed)
+function signaturePayload(groupId, senderId, senderDeviceId, header, ciphertext, iv) {
+  return {
+    version: SENDER_KEY_VERSION,
+    groupId: String(groupId),
+    senderId: String(senderId),
+    senderDeviceId: senderDeviceId || null,
+    keyId: header.keyId,
+    iteration: header.iteration,
+    ciphertext,
+    iv
+  };
+}
+
+// ============================================
+// SENDER KEY API
+// ============================================
+
+/**
+ * Create a new sender key for this device in a group
+ * @param {string} groupId - Group ID
+ * @param {number} epoch - Group membership epoch the key was created for
+ * @param {Object} owner - { senderId, senderDeviceId }
+ */
+export function generateSenderKey(groupId, epoch, { senderId, senderDeviceId = null }) {
+  console.log('%c🔑 NEW GROUP SENDER KEY', LOG_STYLES.header);
+  console.log('%c    Group: ' + groupId + ' (epoch ' + epoch + ')', LOG_STYLES.detail);
+
+  return {
+    version: SENDER_KEY_VERSION,
+    keyId: window.crypto.randomUUID(),
+    groupId: String(groupId),
+    epoch,
+    senderId: String(senderId),
+    senderDeviceId,
+    seed: arrayToBase64(window.crypto.getRandomValues(new Uint8Array(32))),
+    iteration: 0,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Encrypt and sign a group message with this device's sender key
+ * @returns {Object} { senderKey: { keyId, iteration }, ciphertext, iv, signature }
+ */
+export async function encryptWithSenderKey(senderKey, plaintext, signingPrivateKeyJwk) {
+  const iteration = senderKey.iteration;
+  console.log('%c[SENDER KEY] Encrypting group message #' + iteration, LOG_STYLES.crypto);
+
+  const messageKey = await deriveMessageKey(senderKey, iteration);
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: messageAad(senderKey, iteration) },
+    messageKey,
+    new TextEncoder().encode(plaintext)
+  );
+
+  const header = { keyId: senderKey.keyId, iteration };
+  const ciphertext = arrayToBase64(new Uint8Array(encrypted));
+  const ivB64 = arrayToBase64(iv);
+  const signature = await signMessage(
+    signingPrivateKeyJwk,
+    signaturePayload(senderKey.groupId, senderKey.senderId, senderKey.senderDeviceId, header, ciphertext, ivB64)
+  );
+
+  console.log('%c✓ Group message encrypted once for all members', LOG_STYLES.success);
+  return { senderKey: header, ciphertext, iv: ivB64, signature };
+}
+
+/**
+ * Verify and decrypt a group message
+ * @param {Object} senderKey - Stored sender key named in the message header
+ * @param {Object} message - { group, sender, senderDevice, senderKey, ciphertext, iv, signature }
+ * @param {Object} senderSigningPublicKeyJwk - Identity signing key of the sending device
+ */
+export async function decryptWithSenderKey(senderKey, message, senderSigningPublicKeyJwk) {
+  const header = message.senderKey;
+
+  // The key must belong to this group and to the device that claims to have sent it
+  if (senderKey.groupId !== String(message.group) ||
+      senderKey.senderId !== String(message.sender) ||
+      senderKey.senderDeviceId !== (message.senderDevice || null)) {
+    throw new Error('Sender key does not belong to this sender');
+  }
+
+  const valid = await verifySignature(
+    senderSigningPublicKeyJwk,
+    signaturePayload(message.group, message.sender, message.senderDevice, header, message.ciphertext, message.iv),
+    message.signature
+  );
+  if (!valid) {
+    console.log('%c✗ Group message signature INVALID', LOG_STYLES.error);
+    throw new Error('Group message signature verification failed');
+  }
+
+  const messageKey = await deriveMessageKey(senderKey, header.iteration);
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: base64ToArray(message.iv), additionalData: messageAad(senderKey, header.iteration) },
+    messageKey,
+    base64ToArray(message.ciphertext)
+  );
+
+  return new TextDecoder().decode(plaintext);
+}
+
+export { SENDER_KEY_VERSION };
@@ -44,7 +44,7 @@ export function storeSessionKey(peerId, sessionKey, metadata = {}) {
 export function getSessionKey(peerId) {
   const keyData = sessionKeys.get(peerId);
   
-  if (keyData) {
+  if (keyData?.key) {
     console.log('%c[RETRIEVE] Session key found for: ' + peerId, LOG_STYLES.info);
     return keyData.key;
   }
@@ -60,6 +60,21 @@ export function hasSessionKey(peerId) {
   return sessionKeys.has(peerId);
 }
 
+/**
+ * Drop the raw session key once the ratchet chains are derived from it
+ * The session stays established (metadata is kept) - only the key is gone,
+ * so a later compromise cannot rederive the chains and read earlier messages
+ */
+export function discardSessionKey(peerId) {
+  const keyData = sessionKeys.get(peerId);
+  if (!keyData?.key) return false;
+  
+  const { key, ...metadata } = keyData;
+  sessionKeys.set(peerId, metadata);
+  console.log('%c[DISCARD] Raw session key erased for: ' + peerId + ' (ratchet state kept)', LOG_STYLES.info);
+  return true;
+}
+
 /**
  * Remove session key for a peer
  */
@@ -147,6 +162,7 @@ export default {
   storeSessionKey,
   getSessionKey,
   hasSessionKey,
+  discardSessionKey,
   removeSessionKey,
   clearAllSessionKeys,
   getActivePeers,
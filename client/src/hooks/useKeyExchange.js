@@ -20,6 +20,7 @@ import {
   getPendingKex,
   removePendingKex
 } from '../crypto/sessionKeyStore';
+import { initRatchet } from '../crypto/ratchet';
 import {
   sendKexInit,
   sendKexResponse,
@@ -191,6 +192,9 @@ export function useKeyExchange(currentUserId, getSigningKey, getUserPublicKeys)
         role: 'initiator'
       });
       
+      // Start the per-message hash ratchet from the new session key
+      await initRatchet(peerId, currentUserId);
+      
       // Send confirmation
       sendKexConfirm(result.confirm);
       
@@ -241,6 +245,9 @@ export function useKeyExchange(currentUserId, getSigningKey, getUserPublicKeys)
         currentUserId
       );
       
+      // Start the per-message hash ratchet from the confirmed session key
+      await initRatchet(peerId, currentUserId);
+      
       // Clean up
       removePendingKex(peerId);
       ephemeralKeysRef.current.delete(peerId);
@@ -268,7 +275,7 @@ export function useKeyExchange(currentUserId, getSigningKey, getUserPublicKeys)
   }, [handleKexInit, handleKexResponse, handleKexConfirm]);
 
   /**
-   * Get session key for a peer (or null if not established)
+   * Get session key for a peer (null if not established, or once the ratchet has consumed it)
    */
   const getSessionKeyForPeer = useCallback((peerId) => {
     return getSessionKey(peerId);
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getDeviceId } from './device';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -16,17 +17,21 @@ api.interceptors.request.use((config) => {
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
+  // Device-scoped endpoints (prekeys, message copies) need to know which device is asking
+  config.headers['X-Device-Id'] = getDeviceId();
   return config;
 });
 
 // Auth APIs
-export const register = async (email, username, password, publicSigningKey, publicKeyExchangeKey) => {
+export const register = async (email, username, password, publicSigningKey, publicKeyExchangeKey, deviceId, deviceName) => {
   const response = await api.post('/auth/register', {
     email,
     username,
     password,
     publicSigningKey,
-    publicKeyExchangeKey
+    publicKeyExchangeKey,
+    deviceId,
+    deviceName
   });
   return response.data;
 };
@@ -46,9 +51,13 @@ export const getUser = async (userId) => {
   return response.data;
 };
 
-// Update public keys (when logging in from a new device)
-export const updatePublicKeys = async (token, publicSigningKey, publicKeyExchangeKey) => {
-  const response = await api.put('/auth/keys', {
+// Device APIs (each browser has its own identity keys)
+// Idempotent - re-registering unchanged keys only refreshes lastSeen
+// Returns { device, token } - use the returned token, it is bound to this device
+export const registerDevice = async (token, deviceId, name, publicSigningKey, publicKeyExchangeKey) => {
+  const response = await api.post('/auth/devices', {
+    deviceId,
+    name,
     publicSigningKey,
     publicKeyExchangeKey
   }, {
@@ -59,6 +68,50 @@ export const updatePublicKeys = async (token, publicSigningKey, publicKeyExchang
   return response.data;
 };
 
+export const getDevices = async () => {
+  const response = await api.get('/auth/devices');
+  return response.data;
+};
+
+export const revokeDevice = async (deviceId) => {
+  const response = await api.delete(`/auth/devices/${deviceId}`);
+  return response.data;
+};
+
+// Key backup APIs (the backup is encrypted with a passphrase before upload)
+export const uploadKeyBackup = async (backup, deviceName) => {
+  const response = await api.put('/keys/backup', { backup, deviceName });
+  return response.data;
+};
+
+// Called during login, before the token is stored
+export const getKeyBackups = async (token) => {
+  const response = await api.get('/keys/backup', {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+  return response.data;
+};
+
+// Prekey APIs (asynchronous key exchange)
+export const uploadPreKeys = async (signedPreKey, oneTimePreKeys) => {
+  const response = await api.post('/keys/prekeys', { signedPreKey, oneTimePreKeys });
+  return response.data;
+};
+
+export const getPreKeyCount = async () => {
+  const response = await api.get('/keys/prekeys/count');
+  return response.data;
+};
+
+// Each call consumes one of the user's (device's) one-time prekeys
+export const getPreKeyBundle = async (userId, deviceId = null) => {
+  const params = deviceId ? { deviceId } : {};
+  const response = await api.get(`/keys/prekeys/${userId}`, { params });
+  return response.data;
+};
+
 // Message APIs
 export const sendMessage = async (recipientId, ciphertext, iv, nonce) => {
   const response = await api.post('/messages', {
@@ -70,28 +123,59 @@ export const sendMessage = async (recipientId, ciphertext, iv, nonce) => {
   return response.data;
 };
 
-export const getMessages = async (recipientId, limit = 50, before = null) => {
+// Pages go back from a (timestamp, _id) cursor - the oldest message already loaded
+export const getMessages = async (recipientId, limit = 50, before = null, beforeId = null) => {
   const params = { limit };
   if (before) params.before = before;
+  if (before && beforeId) params.beforeId = beforeId;
   
   const response = await api.get(`/messages/${recipientId}`, { params });
   return response.data;
 };
 
-// File APIs
-export const uploadFile = async (recipientId, encryptedFile, iv, metadata) => {
-  const formData = new FormData();
-  formData.append('file', new Blob([encryptedFile]), 'encrypted');
-  formData.append('iv', iv);
-  formData.append('metadata', JSON.stringify(metadata));
-  formData.append('recipientId', recipientId);
+// Group APIs (membership only - group messages are encrypted with sender keys)
+export const getGroups = async () => {
+  const response = await api.get('/groups');
+  return response.data;
+};
+
+export const getGroup = async (groupId) => {
+  const response = await api.get(`/groups/${groupId}`);
+  return response.data;
+};
+
+export const createGroup = async (name, memberIds) => {
+  const response = await api.post('/groups', { name, memberIds });
+  return response.data;
+};
+
+export const addGroupMembers = async (groupId, userIds) => {
+  const response = await api.post(`/groups/${groupId}/members`, { userIds });
+  return response.data;
+};
+
+// Admins remove members; anyone can remove themselves (leave)
+export const removeGroupMember = async (groupId, userId) => {
+  const response = await api.delete(`/groups/${groupId}/members/${userId}`);
+  return response.data;
+};
+
+export const getGroupMessages = async (groupId, limit = 50, before = null, beforeId = null) => {
+  const params = { limit };
+  if (before) params.before = before;
+  if (before && beforeId) params.beforeId = beforeId;
   
-  const response = await api.post('/files/upload', formData, {
-    headers: { 'Content-Type': 'multipart/form-data' }
-  });
+  const response = await api.get(`/groups/${groupId}/messages`, { params });
   return response.data;
 };
 
+// Sender keys other members distributed to this device (still encrypted)
+export const getGroupSenderKeys = async (groupId) => {
+  const response = await api.get(`/groups/${groupId}/sender-keys`);
+  return response.data;
+};
+
+// File APIs
 export const getFileInfo = async (fileId) => {
   const response = await api.get(`/files/${fileId}/info`);
   return response.data;
@@ -109,4 +193,14 @@ export const getFiles = async () => {
   return response.data;
 };
 
+// Pages go back from an (uploadedAt, _id) cursor - the oldest file already loaded
+export const getPeerFiles = async (peerId, limit = 50, before = null, beforeId = null) => {
+  const params = { limit };
+  if (before) params.before = before;
+  if (before && beforeId) params.beforeId = beforeId;
+  
+  const response = await api.get(`/files/peer/${peerId}`, { params });
+  return response.data;
+};
+
 export default api;
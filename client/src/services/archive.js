@@ -0,0 +1,196 @@
+/**
+ * Archives
+ * ========
+ *
+ * Several files (or a whole folder) are shared as one encrypted archive:
+ * a JSON manifest followed by the bytes of every entry, back to back.
+ *
+ *   [manifest][entry 0][entry 1]...[entry n]
+ *
+ * The archive is uploaded like a single file (chunked, padded, encrypted
+ * under one file key); its encrypted metadata records the manifest size and
+ * the entry count. Recipients read the manifest first, then fetch only the
+ * chunks that hold the entries they want.
+ */
+
+export const ARCHIVE_TYPE = 'application/x-cryptshare-archive';
+export const MAX_ARCHIVE_ENTRIES = 10000;
+const MANIFEST_VERSION = 1;
+
+function archiveError(message) {
+  const error = new Error(message);
+  error.code = 'ARCHIVE_INVALID';
+  return error;
+}
+
+/**
+ * Path of an entry inside the archive: '/'-separated, without empty,
+ * '.' or '..' segments (a manifest cannot point outside the zip)
+ */
+export function normalizeEntryPath(path) {
+  return String(path)
+    .split(/[/\\]+/)
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+/**
+ * Files picked in a file input - webkitRelativePath keeps the folder
+ * structure when a folder was picked
+ * @param {FileList} fileList
+ * @returns {Array} [{ file, path }]
+ */
+export function entriesFromFileList(fileList) {
+  return Array.from(fileList, file => ({
+    file,
+    path: normalizeEntryPath(file.webkitRelativePath || file.name)
+  }));
+}
+
+const fileOf = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+const readBatch = (reader) => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+// Every file below a dropped file system entry (directories are read in batches)
+async function collectEntries(entry, entries) {
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw archiveError(`At most ${MAX_ARCHIVE_ENTRIES} files can be shared at once`);
+  }
+
+  if (entry.isFile) {
+    entries.push({ file: await fileOf(entry), path: normalizeEntryPath(entry.fullPath) });
+    return;
+  }
+
+  const reader = entry.createReader();
+  for (let batch = await readBatch(reader); batch.length > 0; batch = await readBatch(reader)) {
+    for (const child of batch) {
+      await collectEntries(child, entries);
+    }
+  }
+}
+
+/**
+ * Files and folders dropped on the page
+ * @param {DataTransfer} dataTransfer - From the drop event
+ * @returns {Promise<Array>} [{ file, path }]
+ */
+export async function entriesFromDrop(dataTransfer) {
+  // Items are only readable during the event - take them all before awaiting anything
+  const dropped = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  if (dropped.length === 0 || dropped.some(entry => !entry)) {
+    return entriesFromFileList(dataTransfer.files);
+  }
+
+  const entries = [];
+  for (const entry of dropped) {
+    await collectEntries(entry, entries);
+  }
+  return entries;
+}
+
+/**
+ * Name shown for an archive: the folder, if everything is in one
+ * @param {Array} entries - [{ file, path }]
+ */
+export function archiveName(entries) {
+  const folders = new Set(entries.map(({ path }) => (path.includes('/') ? path.split('/')[0] : null)));
+  const [folder] = folders;
+  return folders.size === 1 && folder ? folder : `${entries.length} files`;
+}
+
+// Same path twice (files dropped from different places): number the later ones
+function uniquePath(path, used) {
+  let candidate = path;
+  for (let n = 2; used.has(candidate); n++) {
+    const dot = path.lastIndexOf('.');
+    candidate = dot > path.lastIndexOf('/') + 1
+      ? `${path.slice(0, dot)} (${n})${path.slice(dot)}`
+      : `${path} (${n})`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * Pack files as an archive: one File holding the manifest and the entries
+ * Entries are referenced, not copied - the browser reads them while uploading
+ * @param {Array} entries - [{ file, path }]
+ * @param {string} name - Archive name (see archiveName)
+ * @returns {Object} { file, archive: { manifestSize, entryCount } }
+ */
+export function buildArchive(entries, name) {
+  if (entries.length === 0) {
+    throw archiveError('No files to share');
+  }
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw archiveError(`At most ${MAX_ARCHIVE_ENTRIES} files can be shared at once`);
+  }
+
+  // Offsets count from the end of the manifest, so they do not depend on its size
+  const used = new Set();
+  let offset = 0;
+  const manifestEntries = entries.map(({ file, path }) => {
+    const entry = {
+      path: uniquePath(path || file.name, used),
+      size: file.size,
+      type: file.type || 'application/octet-stream',
+      lastModified: file.lastModified,
+      offset
+    };
+    offset += file.size;
+    return entry;
+  });
+
+  const manifest = new TextEncoder().encode(JSON.stringify({ version: MANIFEST_VERSION, entries: manifestEntries }));
+  // The newest entry dates the archive, so the same selection resumes the same upload
+  const lastModified = entries.reduce((newest, { file }) => Math.max(newest, file.lastModified), 0);
+
+  return {
+    file: new File([manifest, ...entries.map(({ file }) => file)], name, { type: ARCHIVE_TYPE, lastModified }),
+    archive: { manifestSize: manifest.length, entryCount: entries.length }
+  };
+}
+
+/**
+ * Parse and check a decrypted manifest - entries must tile the archive exactly
+ * @param {Uint8Array} bytes - Manifest bytes
+ * @param {Object} archive - { manifestSize, entryCount } from the encrypted metadata
+ * @param {number} size - Plaintext size of the archive
+ * @returns {Array} [{ path, size, type, lastModified, start }] - start: byte offset in the archive
+ * @throws {Error} code ARCHIVE_INVALID
+ */
+export function parseManifest(bytes, archive, size) {
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw archiveError('Archive manifest is unreadable');
+  }
+  if (manifest?.version !== MANIFEST_VERSION || !Array.isArray(manifest.entries) ||
+      manifest.entries.length !== archive.entryCount) {
+    throw archiveError('Archive manifest is not supported');
+  }
+
+  let offset = 0;
+  const entries = manifest.entries.map(entry => {
+    if (!Number.isSafeInteger(entry.size) || entry.size < 0 || entry.offset !== offset) {
+      throw archiveError('Archive manifest is inconsistent');
+    }
+    offset += entry.size;
+    return {
+      path: normalizeEntryPath(entry.path) || 'unnamed',
+      size: entry.size,
+      type: typeof entry.type === 'string' ? entry.type : 'application/octet-stream',
+      lastModified: Number.isFinite(entry.lastModified) ? entry.lastModified : Date.now(),
+      start: archive.manifestSize + entry.offset
+    };
+  });
+
+  if (archive.manifestSize + offset !== size) {
+    throw archiveError('Archive manifest does not match the archive size');
+  }
+  return entries;
+}
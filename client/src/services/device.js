@@ -0,0 +1,103 @@
+/**
+ * Device Service
+ * ==============
+ *
+ * Every browser is a separate device with its own identity keys:
+ * - The device ID is random and kept in localStorage (the private keys
+ *   stay in this browser's IndexedDB)
+ * - Messages are encrypted separately for every active device of the
+ *   recipient and of the sender, addressed as `${userId}:${deviceId}`
+ *
+ * Device lists are cached per user until the server reports a change.
+ */
+
+import { getUser } from './api';
+
+const DEVICE_ID_KEY = 'deviceId';
+
+// userId -> Promise of that user's server record (incl. devices)
+const directory = new Map();
+
+// This browser's device ID (created on first use)
+export function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = window.crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+// Become a previously used device again (its keys were restored from a backup)
+export function setDeviceId(deviceId) {
+  localStorage.setItem(DEVICE_ID_KEY, deviceId);
+}
+
+// Start over as a new device (e.g. after this one was revoked)
+export function resetDeviceId() {
+  localStorage.removeItem(DEVICE_ID_KEY);
+  return getDeviceId();
+}
+
+// Human readable name shown in the device list
+export function getDeviceName() {
+  const ua = navigator.userAgent;
+  const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => ua.includes(token))?.[1] || 'Browser';
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => ua.includes(token))?.[1] || 'Unknown OS';
+  return `${browser} on ${os}`;
+}
+
+// Session/ratchet address of a device (plain user ID for accounts without devices)
+export function deviceAddress(userId, deviceId) {
+  return deviceId ? `${userId}:${deviceId}` : String(userId);
+}
+
+function loadUser(userId) {
+  if (!directory.has(userId)) {
+    const request = getUser(userId).catch((error) => {
+      directory.delete(userId);
+      throw error;
+    });
+    directory.set(userId, request);
+  }
+  return directory.get(userId);
+}
+
+// Active (non-revoked) devices of a user - empty for accounts without registered devices
+export async function getActiveDevices(userId) {
+  const userData = await loadUser(userId);
+  return (userData.devices || []).filter(device => !device.revokedAt);
+}
+
+// Public keys of one device (revoked devices too, for history)
+// Account keys when no device is given (messages sent before devices existed)
+export async function getDeviceKeys(userId, deviceId) {
+  const findDevice = (userData) => (userData.devices || []).find(d => d.deviceId === deviceId);
+  
+  let userData = await loadUser(userId);
+  if (!deviceId) return userData.publicKeys;
+  
+  // Device may have registered after the list was cached
+  if (!findDevice(userData)) {
+    invalidateDevices(userId);
+    userData = await loadUser(userId);
+  }
+  
+  const device = findDevice(userData);
+  if (!device) {
+    throw new Error(`Unknown device ${deviceId} for user ${userId}`);
+  }
+  return device.publicKeys;
+}
+
+// Forget a user's cached devices (after devices_changed / keys_changed)
+export function invalidateDevices(userId) {
+  directory.delete(userId);
+}
+
+// Forget all cached devices (e.g. on logout)
+export function clearDeviceDirectory() {
+  directory.clear();
+}
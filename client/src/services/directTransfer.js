@@ -0,0 +1,850 @@
+/**
+ * Direct Transfers
+ * ================
+ *
+ * When both parties are online, a file can go straight from browser to
+ * browser over a WebRTC data channel instead of through the server. The
+ * socket only relays the signaling: offers, answers and ICE candidates.
+ *
+ * AUTHENTICATION: Offers and answers are signed with the device identity key
+ * (ECDSA), and the signature covers the DTLS fingerprints in the SDP. The
+ * browser only completes the DTLS handshake with the certificate named by
+ * the fingerprint it was given, so a server that rewrote the signaling
+ * cannot sit between the two devices.
+ *
+ * ENCRYPTION: On top of DTLS, every chunk is AES-GCM encrypted under a
+ * random transfer key, bound to the transfer, its position and the chunk
+ * count. The key travels in the offer, encrypted with the conversation key.
+ *
+ * FLOW CONTROL: The sender waits while the channel buffer is full and stays
+ * at most TRANSFER_WINDOW chunks ahead of what the receiver has written.
+ *
+ * RESUME: If the connection drops, the sender connects again and the
+ * receiver tells it which chunk to continue from. When no direct connection
+ * can be made (recipient offline or declining, NAT in the way) sendFileDirect
+ * fails and the caller uploads the file to the server instead.
+ */
+
+import { encryptStreamChunk, decryptStreamChunk, arrayToBase64, base64ToArray, formatFileSize } from '../crypto/fileEncryption';
+import { signMessage, verifySignature, isTimestampValid } from '../crypto/keyExchange';
+import { getSigningKey } from '../crypto/keyStore';
+import { getOrCreateConversationKey } from '../crypto/conversationKey';
+import { getDeviceId, deviceAddress, getActiveDevices, getDeviceKeys } from './device';
+import { openFileSaver } from './fileSaver';
+import { sendP2PSignal, onP2PSignal, onP2PUnavailable } from './socket';
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+const CHUNK_SIZE = 64 * 1024; // Well below the smallest data channel message limit (256KB)
+const FRAME_HEADER_BYTES = 16; // Chunk index (4) + IV (12)
+const TRANSFER_WINDOW = 64; // Chunks sent ahead of the receiver's last acknowledgement
+const ACK_EVERY = 16; // Chunks written between acknowledgements
+const BUFFER_HIGH = 4 * 1024 * 1024; // Stop sending above this much buffered data...
+const BUFFER_LOW = 1024 * 1024; // ...and continue below this
+const ACCEPT_TIMEOUT_MS = 60 * 1000;
+const CONNECT_TIMEOUT_MS = 20 * 1000;
+const STALL_TIMEOUT_MS = 30 * 1000;
+const MAX_RECONNECTS = 2;
+const FINISHED_VISIBLE_MS = 5000; // Failed or cancelled offers stay listed this long
+const OFFER_AAD_CONTEXT = 'cryptshare-p2p-offer-v1';
+const CHUNK_AAD_CONTEXT = 'cryptshare-p2p-chunk-v1';
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #eab308; color: black; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  error: 'color: #ef4444; font-weight: bold;',
+  warning: 'color: #f59e0b;',
+  detail: 'color: #94a3b8;'
+};
+
+let currentUserId = null;
+const outgoing = new Map(); // transferId -> transfer being sent
+const incoming = new Map(); // transferId -> transfer offered to us
+const listeners = new Set();
+
+function directTransferError(message, resumable = false) {
+  const error = new Error(message);
+  error.code = 'DIRECT_TRANSFER_FAILED';
+  error.resumable = resumable;
+  return error;
+}
+
+const connectionLost = () => directTransferError('Direct connection lost', true);
+
+// REACT_APP_ICE_SERVERS: JSON list of RTCIceServer - add a TURN server for peers behind strict NATs
+function iceServers() {
+  try {
+    const servers = JSON.parse(process.env.REACT_APP_ICE_SERVERS || 'null');
+    if (Array.isArray(servers)) return servers;
+  } catch (error) {
+    console.log('%c⚠️ REACT_APP_ICE_SERVERS is not valid JSON, using the default STUN server', LOG_STYLES.warning);
+  }
+  return DEFAULT_ICE_SERVERS;
+}
+
+const totalChunksOf = (size) => Math.max(1, Math.ceil(size / CHUNK_SIZE));
+
+const offerAad = (transferId) => new TextEncoder().encode(`${OFFER_AAD_CONTEXT}:${transferId}`);
+const chunkAad = (transferId, n, totalChunks) =>
+  new TextEncoder().encode(`${CHUNK_AAD_CONTEXT}:${transferId}:${n}:${totalChunks}`);
+
+// DTLS certificate fingerprints of a session description, normalized and sorted
+function sdpFingerprints(sdp) {
+  const fingerprints = String(sdp || '')
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('a=fingerprint:'))
+    .map(line => line.slice('a=fingerprint:'.length).trim().toLowerCase());
+  return [...new Set(fingerprints)].sort();
+}
+
+// Everything an offer or answer signature covers: the fingerprints bind it to one
+// peer connection, the devices and the timestamp to this exchange
+const descriptionPayload = (signal, from, fromDevice, fingerprints) => ({
+  type: signal.type,
+  transferId: signal.transferId,
+  attempt: signal.attempt,
+  from: String(from),
+  fromDevice: fromDevice || null,
+  to: String(signal.to),
+  toDevice: signal.toDevice || null,
+  fingerprints,
+  details: signal.details || null,
+  timestamp: signal.timestamp
+});
+
+// Sign an offer or answer with this device's identity key
+async function signDescription(signal) {
+  const signature = await signMessage(
+    await getSigningKey(currentUserId),
+    descriptionPayload(signal, currentUserId, getDeviceId(), sdpFingerprints(signal.sdp))
+  );
+  return { ...signal, signature };
+}
+
+/**
+ * Check an offer or answer: addressed to this device, recent, and signed by the
+ * sending device over exactly the fingerprints in its SDP
+ * @throws {Error} code DIRECT_TRANSFER_FAILED
+ */
+async function verifyDescription(data) {
+  const fingerprints = sdpFingerprints(data.sdp);
+  if (fingerprints.length === 0) {
+    throw directTransferError('Session description has no DTLS fingerprint');
+  }
+  if (String(data.to) !== String(currentUserId) || (data.toDevice && data.toDevice !== getDeviceId())) {
+    throw directTransferError('Session description is addressed to another device');
+  }
+  if (!isTimestampValid(data.timestamp)) {
+    throw directTransferError('Session description is too old');
+  }
+
+  const senderPublicKeys = await getDeviceKeys(data.from, data.fromDevice);
+  const valid = await verifySignature(
+    senderPublicKeys.signing,
+    descriptionPayload(data, data.from, data.fromDevice, fingerprints),
+    data.signature
+  );
+  if (!valid) {
+    throw directTransferError('Session description signature verification failed');
+  }
+}
+
+// Conversation key of this device and another one (account keys for device-less users)
+async function conversationKeyWith(userId, deviceId) {
+  const publicKeys = await getDeviceKeys(userId, deviceId);
+  return getOrCreateConversationKey(currentUserId, deviceAddress(userId, deviceId), publicKeys.keyExchange);
+}
+
+/**
+ * File details and the transfer key, encrypted for every active device of the
+ * recipient (whichever accepts first receives the file)
+ * @returns {Array} [{ deviceId, ciphertext, iv }] - deviceId null for a device-less recipient
+ */
+async function encryptDetails(recipientId, transferId, details) {
+  const plaintext = new TextEncoder().encode(JSON.stringify(details));
+  const devices = await getActiveDevices(recipientId);
+  const deviceIds = devices.length > 0 ? devices.map(device => device.deviceId) : [null];
+
+  return Promise.all(deviceIds.map(async (deviceId) => {
+    const { encrypted, iv } = await encryptStreamChunk(
+      await conversationKeyWith(recipientId, deviceId),
+      plaintext,
+      offerAad(transferId)
+    );
+    return { deviceId, ciphertext: arrayToBase64(encrypted), iv: arrayToBase64(iv) };
+  }));
+}
+
+// The details encrypted for this device, under its conversation key with the offering device
+async function decryptDetails(offer) {
+  const myDeviceId = getDeviceId();
+  const entries = Array.isArray(offer.details) ? offer.details : [];
+  const encryptedDetails = entries.find(entry => entry?.deviceId === myDeviceId) ||
+    entries.find(entry => entry && !entry.deviceId);
+  if (!encryptedDetails) {
+    throw directTransferError('The transfer was not offered to this device');
+  }
+
+  let details;
+  try {
+    const plaintext = await decryptStreamChunk(
+      await conversationKeyWith(offer.from, offer.fromDevice || null),
+      base64ToArray(encryptedDetails.ciphertext),
+      base64ToArray(encryptedDetails.iv),
+      offerAad(offer.transferId)
+    );
+    details = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    throw directTransferError('Transfer details could not be decrypted');
+  }
+
+  if (typeof details.name !== 'string' || !Number.isSafeInteger(details.size) || details.size < 0 ||
+      details.totalChunks !== totalChunksOf(details.size) || typeof details.key !== 'string') {
+    throw directTransferError('Transfer details are invalid');
+  }
+  return details;
+}
+
+// Data frame: [chunk index (uint32)][IV (12 bytes)][ciphertext]
+function encodeFrame(n, iv, encrypted) {
+  const frame = new Uint8Array(FRAME_HEADER_BYTES + encrypted.length);
+  new DataView(frame.buffer).setUint32(0, n);
+  frame.set(iv, 4);
+  frame.set(encrypted, FRAME_HEADER_BYTES);
+  return frame;
+}
+
+function decodeFrame(buffer) {
+  if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < FRAME_HEADER_BYTES) {
+    throw directTransferError('Malformed data frame');
+  }
+  const bytes = new Uint8Array(buffer);
+  return {
+    n: new DataView(buffer).getUint32(0),
+    iv: bytes.subarray(4, FRAME_HEADER_BYTES),
+    encrypted: bytes.subarray(FRAME_HEADER_BYTES)
+  };
+}
+
+// Control messages are JSON text; anything else is ignored
+function parseControl(data) {
+  if (typeof data !== 'string') return null;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+function sendControl(channel, message) {
+  if (channel.readyState === 'open') {
+    channel.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Something to wait on: until(check) resolves with the first truthy value of
+ * check(), re-evaluated on every notify(). A check that throws rejects the wait.
+ */
+function waiter() {
+  const checks = new Set();
+  return {
+    notify() {
+      for (const check of [...checks]) check();
+    },
+    until(check, timeoutMs, timeoutMessage) {
+      return new Promise((resolve, reject) => {
+        const done = () => {
+          clearTimeout(timer);
+          checks.delete(test);
+        };
+        const test = () => {
+          try {
+            const value = check();
+            if (value) {
+              done();
+              resolve(value);
+            }
+          } catch (error) {
+            done();
+            reject(error);
+          }
+        };
+        const timer = setTimeout(() => {
+          done();
+          reject(directTransferError(timeoutMessage));
+        }, timeoutMs);
+        checks.add(test);
+        test();
+      });
+    }
+  };
+}
+
+/**
+ * One peer connection of a transfer
+ * Local ICE candidates are held until the other device is known; remote ones
+ * until its description is set, and then only accepted from that device
+ */
+function peerConnection(transferId, attempt) {
+  const pc = new RTCPeerConnection({ iceServers: iceServers() });
+  let target = null;
+  let remoteDevice; // Unset until the remote description is applied
+  const localCandidates = [];
+  const remoteCandidates = [];
+
+  const sendCandidate = (candidate) => sendP2PSignal({ type: 'candidate', transferId, attempt, ...target, candidate });
+
+  pc.onicecandidate = ({ candidate }) => {
+    if (!candidate) return;
+    if (target) sendCandidate(candidate.toJSON());
+    else localCandidates.push(candidate.toJSON());
+  };
+
+  const connection = {
+    pc,
+    setTarget(to, toDevice) {
+      target = { to, toDevice };
+      localCandidates.splice(0).forEach(sendCandidate);
+    },
+    async setRemote(description, fromDevice) {
+      await pc.setRemoteDescription(description);
+      remoteDevice = fromDevice;
+      remoteCandidates.splice(0).forEach(({ candidate, device }) => connection.addCandidate(candidate, device));
+    },
+    addCandidate(candidate, fromDevice) {
+      if (remoteDevice === undefined) {
+        remoteCandidates.push({ candidate, device: fromDevice });
+        return;
+      }
+      if (fromDevice !== remoteDevice || pc.signalingState === 'closed') return;
+      pc.addIceCandidate(candidate).catch(error => {
+        console.log('%c⚠️ ICE candidate rejected (' + error.message + ')', LOG_STYLES.warning);
+      });
+    },
+    close() {
+      pc.onicecandidate = null;
+      pc.onconnectionstatechange = null;
+      pc.close();
+    }
+  };
+  return connection;
+}
+
+// ============================================
+// SENDING
+// ============================================
+
+/**
+ * One connection attempt of an outgoing transfer: offer, answer, then the
+ * chunks the receiver does not have yet
+ */
+async function sendAttempt(transfer, attempt) {
+  const { transferId, recipientId, file, key, totalChunks, onProgress } = transfer;
+  const connection = peerConnection(transferId, attempt);
+  const events = waiter();
+  const link = { answer: null, declined: false, cancelled: false, unavailable: false, open: false, closed: false, next: null, acked: 0, complete: false };
+
+  // Fails the current wait as soon as the connection is gone
+  const connected = (value) => {
+    if (link.closed) throw connectionLost();
+    if (link.cancelled) throw directTransferError('The recipient stopped the direct transfer');
+    return value;
+  };
+
+  transfer.onSignal = async (data) => {
+    if (data.type === 'unavailable') {
+      link.unavailable = true;
+    } else if (data.attempt !== attempt) {
+      return;
+    } else if (data.type === 'candidate') {
+      connection.addCandidate(data.candidate, data.fromDevice || null);
+      return;
+    } else if (data.type === 'decline') {
+      link.declined = true;
+    } else if (data.type === 'cancel') {
+      link.cancelled = true;
+    } else if (data.type === 'answer' && !link.answer) {
+      // After the first answer only the device that accepted may answer again
+      if (transfer.accepted && (data.fromDevice || null) !== transfer.receiverDevice) return;
+      try {
+        await verifyDescription(data);
+        link.answer = data;
+      } catch (error) {
+        console.error('%c✗ Rejected direct transfer answer:', LOG_STYLES.error, error);
+        return;
+      }
+    }
+    events.notify();
+  };
+
+  const channel = connection.pc.createDataChannel('file', { ordered: true });
+  channel.binaryType = 'arraybuffer';
+  channel.bufferedAmountLowThreshold = BUFFER_LOW;
+  channel.onopen = () => { link.open = true; events.notify(); };
+  channel.onclose = () => { link.closed = true; events.notify(); };
+  channel.onbufferedamountlow = () => events.notify();
+  channel.onmessage = ({ data }) => {
+    const message = parseControl(data);
+    if (message?.type === 'resume') link.next = message.next;
+    else if (message?.type === 'ack') link.acked = Math.max(link.acked, Number(message.next) || 0);
+    else if (message?.type === 'complete') link.complete = true;
+    events.notify();
+  };
+  connection.pc.onconnectionstatechange = () => {
+    if (connection.pc.connectionState === 'failed') {
+      link.closed = true;
+      events.notify();
+    }
+  };
+
+  try {
+    await connection.pc.setLocalDescription(await connection.pc.createOffer());
+    sendP2PSignal(await signDescription({
+      type: 'offer',
+      transferId,
+      attempt,
+      to: recipientId,
+      toDevice: transfer.receiverDevice,
+      details: transfer.details,
+      sdp: connection.pc.localDescription.sdp,
+      timestamp: Date.now()
+    }));
+    onProgress(0, transfer.accepted ? 'reconnecting' : 'waiting');
+
+    const answer = await events.until(() => {
+      if (link.unavailable) throw directTransferError('The recipient is not online');
+      if (link.declined) throw directTransferError('The recipient chose to receive the file via the server');
+      return connected(link.answer);
+    }, transfer.accepted ? CONNECT_TIMEOUT_MS : ACCEPT_TIMEOUT_MS,
+    transfer.accepted ? 'The recipient did not answer the reconnect' : 'The recipient did not accept in time');
+
+    if (!transfer.accepted) {
+      transfer.accepted = true;
+      transfer.receiverDevice = answer.fromDevice || null;
+      // The recipient's other devices can drop the offer
+      sendP2PSignal({ type: 'taken', transferId, attempt, to: recipientId, device: transfer.receiverDevice });
+    }
+    connection.setTarget(recipientId, transfer.receiverDevice);
+    await connection.setRemote({ type: 'answer', sdp: answer.sdp }, transfer.receiverDevice);
+    onProgress(0, 'connecting');
+
+    // The receiver says where to start once the channel is open
+    const { next } = await events.until(
+      () => connected(link.open && link.next !== null && { next: link.next }),
+      CONNECT_TIMEOUT_MS,
+      'No direct connection could be made'
+    );
+    if (!Number.isSafeInteger(next) || next < 0 || next > totalChunks) {
+      throw directTransferError('Receiver asked for an invalid chunk');
+    }
+    if (next > 0) {
+      console.log('%c    Resuming at chunk ' + (next + 1) + '/' + totalChunks, LOG_STYLES.info);
+    }
+
+    link.acked = next;
+    for (let n = next; n < totalChunks; n++) {
+      // Backpressure: the receiver's window and the channel's own buffer
+      await events.until(
+        () => connected(n - link.acked < TRANSFER_WINDOW && channel.bufferedAmount <= BUFFER_HIGH),
+        STALL_TIMEOUT_MS,
+        'Direct transfer stalled'
+      );
+
+      const plaintext = await file.slice(n * CHUNK_SIZE, (n + 1) * CHUNK_SIZE).arrayBuffer();
+      const { encrypted, iv } = await encryptStreamChunk(key, plaintext, chunkAad(transferId, n, totalChunks));
+      connected(true);
+      channel.send(encodeFrame(n, iv, encrypted));
+      onProgress(Math.min(99, Math.round(((n + 1) / totalChunks) * 100)), 'sending');
+    }
+
+    await events.until(() => connected(link.complete), STALL_TIMEOUT_MS, 'The recipient did not confirm the transfer');
+  } catch (error) {
+    // Only a connection that was up can be resumed
+    error.resumable = Boolean(transfer.accepted && (error.resumable || link.closed));
+    throw error;
+  } finally {
+    transfer.onSignal = null;
+    channel.onclose = null;
+    channel.close();
+    connection.close();
+  }
+}
+
+/**
+ * Send a file straight to a recipient's browser
+ * The recipient has to accept; nothing is stored on the server
+ * @param {string} myUserId - Current user's ID
+ * @param {string} recipientId - Recipient's user ID
+ * @param {File} file - File to send
+ * @param {Function} onProgress - (percent, stage) with stage
+ *   'waiting' | 'connecting' | 'sending' | 'reconnecting'
+ * @returns {Object} { transferId, metadata: { name, type, size } }
+ * @throws {Error} code DIRECT_TRANSFER_FAILED - the caller uploads the file instead
+ */
+export async function sendFileDirect(myUserId, recipientId, file, onProgress = () => {}) {
+  console.log('%c⚡ SENDING FILE DIRECTLY', LOG_STYLES.header);
+  console.log('%c    File: ' + file.name + ' (' + formatFileSize(file.size) + ')', LOG_STYLES.info);
+  console.log('%c    Recipient: ' + recipientId, LOG_STYLES.info);
+
+  if (!currentUserId || String(currentUserId) !== String(myUserId)) {
+    throw directTransferError('Direct transfers are not available');
+  }
+
+  const transferId = window.crypto.randomUUID();
+  const metadata = { name: file.name, type: file.type || 'application/octet-stream', size: file.size };
+  const key = await window.crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+  const totalChunks = totalChunksOf(file.size);
+
+  const transfer = {
+    transferId,
+    recipientId,
+    file,
+    key,
+    totalChunks,
+    onProgress,
+    details: await encryptDetails(recipientId, transferId, {
+      ...metadata,
+      totalChunks,
+      key: arrayToBase64(new Uint8Array(await window.crypto.subtle.exportKey('raw', key)))
+    }),
+    accepted: false,
+    receiverDevice: null,
+    onSignal: null
+  };
+  outgoing.set(transferId, transfer);
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await sendAttempt(transfer, attempt);
+        break;
+      } catch (error) {
+        if (!error.resumable || attempt >= MAX_RECONNECTS) throw error;
+        console.log('%c⚠️ ' + error.message + ' - reconnecting', LOG_STYLES.warning);
+      }
+    }
+
+    console.log('%c✓ File sent directly', LOG_STYLES.success);
+    return { transferId, metadata };
+
+  } catch (error) {
+    console.error('%c✗ Direct transfer failed:', LOG_STYLES.error, error.message);
+    // Let the recipient drop the offer (the file follows via the server)
+    sendP2PSignal({ type: 'cancel', transferId, to: recipientId, toDevice: transfer.receiverDevice });
+    throw error.code === 'DIRECT_TRANSFER_FAILED' ? error : directTransferError(error.message || 'Direct transfer failed');
+  } finally {
+    outgoing.delete(transferId);
+  }
+}
+
+// ============================================
+// RECEIVING
+// ============================================
+
+const TERMINAL_STATES = ['done', 'failed', 'cancelled'];
+
+// What the UI sees of an incoming transfer
+const snapshot = ({ transferId, from, name, type, size, status, progress, error }) =>
+  ({ transferId, from, name, type, size, status, progress, error });
+
+function notify(transfer) {
+  const transfers = [...incoming.values()].map(snapshot);
+  const changed = snapshot(transfer);
+  listeners.forEach(listener => listener(transfers, changed));
+}
+
+function update(transfer, changes) {
+  Object.assign(transfer, changes);
+  notify(transfer);
+}
+
+// End an incoming transfer; failed and cancelled ones stay listed for a moment
+function finish(transfer, status, error = null) {
+  if (TERMINAL_STATES.includes(transfer.status)) return;
+
+  clearTimeout(transfer.expiryTimer);
+  clearTimeout(transfer.reconnectTimer);
+  transfer.connection?.close();
+  transfer.connection = null;
+  if (transfer.saver) {
+    transfer.saver.abort().catch(() => {});
+    transfer.saver = null;
+  }
+
+  Object.assign(transfer, { status, error });
+  if (status === 'done') {
+    incoming.delete(transfer.transferId);
+  } else {
+    setTimeout(() => {
+      incoming.delete(transfer.transferId);
+      notify(transfer);
+    }, FINISHED_VISIBLE_MS);
+  }
+  notify(transfer);
+}
+
+// Give up on a transfer we accepted - the sender falls back to the server
+function fail(transfer, error) {
+  if (TERMINAL_STATES.includes(transfer.status)) return;
+  console.error('%c✗ Direct transfer failed:', LOG_STYLES.error, error.message);
+  sendP2PSignal({ type: 'cancel', transferId: transfer.transferId, attempt: transfer.attempt, to: transfer.from, toDevice: transfer.fromDevice });
+  finish(transfer, 'failed', error.message);
+}
+
+async function receiveChunk(transfer, channel, buffer) {
+  if (transfer.status !== 'receiving') return;
+
+  const { n, iv, encrypted } = decodeFrame(buffer);
+  if (n !== transfer.received) {
+    throw directTransferError(`Expected chunk ${transfer.received}, received chunk ${n}`);
+  }
+
+  let plaintext;
+  try {
+    plaintext = await decryptStreamChunk(transfer.key, encrypted, iv, chunkAad(transfer.transferId, n, transfer.totalChunks));
+  } catch (error) {
+    throw directTransferError(`Chunk ${n + 1} failed to decrypt`);
+  }
+  const expectedLength = Math.min(CHUNK_SIZE, transfer.size - n * CHUNK_SIZE);
+  if (plaintext.length !== expectedLength) {
+    throw directTransferError(`Chunk ${n + 1} has the wrong size`);
+  }
+
+  await transfer.saver.write(plaintext);
+  transfer.received++;
+
+  if (transfer.received === transfer.totalChunks) {
+    await transfer.saver.close();
+    transfer.saver = null;
+    sendControl(channel, { type: 'complete' });
+    console.log('%c✓ File received directly: ' + transfer.name, LOG_STYLES.success);
+    finish(transfer, 'done');
+    return;
+  }
+
+  if (transfer.received % ACK_EVERY === 0) {
+    sendControl(channel, { type: 'ack', next: transfer.received });
+    update(transfer, { progress: Math.round((transfer.received / transfer.totalChunks) * 100) });
+  }
+}
+
+// The sender has a moment to reconnect before the transfer is given up
+function connectionDropped(transfer, connection) {
+  if (transfer.connection !== connection || TERMINAL_STATES.includes(transfer.status)) return;
+  clearTimeout(transfer.reconnectTimer);
+  update(transfer, { status: 'reconnecting' });
+  transfer.reconnectTimer = setTimeout(() => fail(transfer, connectionLost()), ACCEPT_TIMEOUT_MS);
+}
+
+function attachChannel(transfer, connection, channel) {
+  let opened = false;
+  const open = () => {
+    if (opened) return;
+    opened = true;
+    clearTimeout(transfer.reconnectTimer);
+    update(transfer, { status: 'receiving' });
+    // Chunks of the previous connection are written first, so the count is final
+    transfer.writing = transfer.writing.then(() => sendControl(channel, { type: 'resume', next: transfer.received }));
+  };
+
+  channel.binaryType = 'arraybuffer';
+  channel.onopen = open;
+  channel.onmessage = ({ data }) => {
+    transfer.writing = transfer.writing
+      .then(() => receiveChunk(transfer, channel, data))
+      .catch(error => fail(transfer, error));
+  };
+  channel.onclose = () => connectionDropped(transfer, connection);
+  // Channels opened by the other side may already be open when announced
+  if (channel.readyState === 'open') open();
+}
+
+// Answer one offer of an accepted transfer (the first, or a reconnect)
+async function answerOffer(transfer, offer) {
+  transfer.connection?.close();
+  const connection = peerConnection(transfer.transferId, offer.attempt);
+  transfer.connection = connection;
+  transfer.attempt = offer.attempt;
+
+  connection.setTarget(transfer.from, transfer.fromDevice);
+  connection.pc.ondatachannel = ({ channel }) => attachChannel(transfer, connection, channel);
+  connection.pc.onconnectionstatechange = () => {
+    if (connection.pc.connectionState === 'failed') connectionDropped(transfer, connection);
+  };
+
+  try {
+    await connection.setRemote({ type: 'offer', sdp: offer.sdp }, transfer.fromDevice);
+    await connection.pc.setLocalDescription(await connection.pc.createAnswer());
+    sendP2PSignal(await signDescription({
+      type: 'answer',
+      transferId: transfer.transferId,
+      attempt: offer.attempt,
+      to: transfer.from,
+      toDevice: transfer.fromDevice,
+      sdp: connection.pc.localDescription.sdp,
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    fail(transfer, error);
+  }
+}
+
+async function receiveOffer(data) {
+  const existing = incoming.get(data.transferId);
+  if (existing) {
+    // The sender reconnecting after the connection dropped
+    if (existing.accepted && !TERMINAL_STATES.includes(existing.status) &&
+        String(data.from) === existing.from && (data.fromDevice || null) === existing.fromDevice) {
+      try {
+        await verifyDescription(data);
+      } catch (error) {
+        console.error('%c✗ Rejected direct transfer offer:', LOG_STYLES.error, error);
+        return;
+      }
+      clearTimeout(existing.reconnectTimer);
+      update(existing, { status: 'connecting' });
+      await answerOffer(existing, data);
+    }
+    return;
+  }
+
+  try {
+    await verifyDescription(data);
+    const details = await decryptDetails(data);
+    const key = await window.crypto.subtle.importKey('raw', base64ToArray(details.key), { name: "AES-GCM" }, false, ["decrypt"]);
+
+    const transfer = {
+      transferId: data.transferId,
+      from: String(data.from),
+      fromDevice: data.fromDevice || null,
+      name: details.name,
+      type: details.type || 'application/octet-stream',
+      size: details.size,
+      totalChunks: details.totalChunks,
+      key,
+      offer: data,
+      attempt: data.attempt,
+      status: 'offered',
+      progress: 0,
+      error: null,
+      accepted: false,
+      received: 0,
+      saver: null,
+      connection: null,
+      writing: Promise.resolve(),
+      expiryTimer: null,
+      reconnectTimer: null
+    };
+    // The sender stops waiting after ACCEPT_TIMEOUT_MS
+    transfer.expiryTimer = setTimeout(() => finish(transfer, 'cancelled', 'The offer expired'), ACCEPT_TIMEOUT_MS);
+    incoming.set(transfer.transferId, transfer);
+
+    console.log('%c⚡ Direct transfer offered: ' + transfer.name + ' (' + formatFileSize(transfer.size) + ')', LOG_STYLES.info);
+    notify(transfer);
+  } catch (error) {
+    console.error('%c✗ Rejected direct transfer offer:', LOG_STYLES.error, error);
+  }
+}
+
+function handleSignal(data) {
+  const sending = outgoing.get(data.transferId);
+  if (sending) {
+    if (data.type === 'unavailable' || String(data.from) === String(sending.recipientId)) {
+      sending.onSignal?.(data);
+    }
+    return;
+  }
+
+  if (data.type === 'offer') {
+    receiveOffer(data);
+    return;
+  }
+
+  const transfer = incoming.get(data.transferId);
+  if (!transfer || String(data.from) !== transfer.from || TERMINAL_STATES.includes(transfer.status)) return;
+
+  if (data.type === 'candidate') {
+    if (data.attempt === transfer.attempt) {
+      transfer.connection?.addCandidate(data.candidate, data.fromDevice || null);
+    }
+  } else if (data.type === 'cancel') {
+    finish(transfer, 'cancelled', 'The sender stopped the direct transfer');
+  } else if (data.type === 'taken' && !transfer.accepted && (data.device || null) !== getDeviceId()) {
+    // Accepted on another of our devices
+    finish(transfer, 'cancelled', 'Accepted on another device');
+  }
+}
+
+/**
+ * Accept an offered transfer and save the file as it arrives
+ * Call from the click handler - the save dialog needs the user's gesture
+ * @param {string} transferId
+ */
+export async function acceptDirectTransfer(transferId) {
+  const transfer = incoming.get(transferId);
+  if (!transfer || transfer.status !== 'offered') return;
+
+  clearTimeout(transfer.expiryTimer);
+  transfer.accepted = true;
+  update(transfer, { status: 'connecting' });
+
+  try {
+    transfer.saver = await openFileSaver({ name: transfer.name, type: transfer.type, size: transfer.size });
+  } catch (error) {
+    // No place to save it - the sender uploads it instead
+    fail(transfer, error);
+    return;
+  }
+  if (TERMINAL_STATES.includes(transfer.status)) {
+    transfer.saver.abort().catch(() => {});
+    transfer.saver = null;
+    return;
+  }
+
+  await answerOffer(transfer, transfer.offer);
+}
+
+/**
+ * Decline an offered transfer - the sender uploads the file to the server instead
+ * @param {string} transferId
+ */
+export function declineDirectTransfer(transferId) {
+  const transfer = incoming.get(transferId);
+  if (!transfer || transfer.status !== 'offered') return;
+
+  sendP2PSignal({ type: 'decline', transferId, attempt: transfer.attempt, to: transfer.from, toDevice: transfer.fromDevice });
+  finish(transfer, 'cancelled', 'The file will arrive via the server');
+}
+
+/**
+ * Listen for offers and signaling of direct transfers
+ * @param {string} userId - Current user's ID
+ * @returns {Function} Stops listening and drops every transfer in progress
+ */
+export function startDirectTransfers(userId) {
+  currentUserId = userId;
+  onP2PSignal(handleSignal);
+  onP2PUnavailable(data => handleSignal({ ...data, type: 'unavailable' }));
+
+  return () => {
+    for (const transfer of incoming.values()) {
+      finish(transfer, 'cancelled', null);
+    }
+    incoming.clear();
+    currentUserId = null;
+  };
+}
+
+/**
+ * Subscribe to incoming transfers
+ * @param {Function} listener - (transfers, changed) - every listed transfer and the one that changed
+ *   { transferId, from, name, type, size, status, progress, error },
+ *   status 'offered' | 'connecting' | 'receiving' | 'reconnecting' | 'done' | 'failed' | 'cancelled'
+ * @returns {Function} Unsubscribe
+ */
+export function onDirectTransferUpdate(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,157 @@
+/**
+ * File Saver
+ * ==========
+ *
+ * Writes decrypted files to disk incrementally, so a large download never
+ * has to fit in memory:
+ * - File System Access API (save dialog, written chunk by chunk)
+ * - Service worker stream (public/download-sw.js), saved as a normal download
+ * - In-memory Blob as the last resort (older browsers)
+ *
+ * Every saver has the same interface: write(Uint8Array), close(), abort().
+ */
+
+import { downloadDecryptedFile } from '../crypto/fileEncryption';
+
+const SW_URL = `${process.env.PUBLIC_URL || ''}/download-sw.js`;
+
+// Console logging styles
+const LOG_STYLES = {
+  info: 'color: #60a5fa;',
+  warning: 'color: #f59e0b;'
+};
+
+let workerRegistration = null;
+
+// Register the download service worker once and wait until it is active
+async function getDownloadWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return null;
+
+  if (!workerRegistration) {
+    workerRegistration = navigator.serviceWorker.register(SW_URL)
+      .then(registration => {
+        const worker = registration.active || registration.waiting || registration.installing;
+        if (!worker || worker.state === 'activated') return registration;
+
+        return new Promise(resolve => {
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'activated') resolve(registration);
+          });
+        });
+      })
+      .catch(error => {
+        workerRegistration = null;
+        throw error;
+      });
+  }
+  return workerRegistration;
+}
+
+async function fileSystemSaver({ name }) {
+  const handle = await window.showSaveFilePicker({ suggestedName: name });
+  const writable = await handle.createWritable();
+
+  return {
+    mode: 'file-system',
+    write: (chunk) => writable.write(chunk),
+    close: () => writable.close(),
+    abort: () => writable.abort()
+  };
+}
+
+async function serviceWorkerSaver({ name, type, size }) {
+  const registration = await getDownloadWorker();
+  if (!registration?.active) return null;
+
+  const id = window.crypto.randomUUID();
+  const channel = new MessageChannel();
+  const port = channel.port1;
+
+  // The worker asks for the next chunk once the browser has consumed the last one
+  let pulls = 0;
+  let wakeUp = null;
+  let cancelled = false;
+  const nextMessage = () => new Promise(resolve => { wakeUp = resolve; });
+  const registered = new Promise(resolve => {
+    port.onmessage = ({ data }) => {
+      if (data.type === 'registered') resolve();
+      if (data.type === 'pull') pulls++;
+      if (data.type === 'cancel') cancelled = true;
+      if (wakeUp) {
+        wakeUp();
+        wakeUp = null;
+      }
+    };
+  });
+
+  registration.active.postMessage({ type: 'download', id, name, mimeType: type, size }, [channel.port2]);
+  await registered;
+
+  // Navigating a hidden iframe to the download URL starts the browser download
+  const iframe = document.createElement('iframe');
+  iframe.hidden = true;
+  iframe.src = new URL(`__download__/${id}/${encodeURIComponent(name)}`, registration.scope).href;
+  document.body.appendChild(iframe);
+  const removeIframe = () => setTimeout(() => iframe.remove(), 1000);
+
+  return {
+    mode: 'service-worker',
+    async write(chunk) {
+      while (pulls === 0 && !cancelled) {
+        await nextMessage();
+      }
+      if (cancelled) {
+        throw new Error('Download cancelled');
+      }
+      pulls--;
+      const buffer = chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.byteLength);
+      port.postMessage({ type: 'chunk', chunk: buffer }, [buffer]);
+    },
+    async close() {
+      port.postMessage({ type: 'end' });
+      removeIframe();
+    },
+    async abort() {
+      port.postMessage({ type: 'abort' });
+      removeIframe();
+    }
+  };
+}
+
+function memorySaver({ name, type }) {
+  const parts = [];
+
+  return {
+    mode: 'memory',
+    write: async (chunk) => { parts.push(chunk); },
+    close: async () => downloadDecryptedFile(new Blob(parts), name, type),
+    abort: async () => { parts.length = 0; }
+  };
+}
+
+/**
+ * Open a saver for a decrypted file
+ * @param {Object} file - { name, type, size (plaintext bytes) }
+ * @returns {Object} { mode, write(Uint8Array), close(), abort() }
+ */
+export async function openFileSaver(file) {
+  if (typeof window.showSaveFilePicker === 'function') {
+    try {
+      return await fileSystemSaver(file);
+    } catch (error) {
+      // The user closed the save dialog - no download
+      if (error.name === 'AbortError') throw new Error('Download cancelled');
+      console.log('%c⚠️ Save dialog unavailable (' + error.message + '), streaming via service worker', LOG_STYLES.warning);
+    }
+  }
+
+  try {
+    const saver = await serviceWorkerSaver(file);
+    if (saver) return saver;
+  } catch (error) {
+    console.log('%c⚠️ Download worker unavailable (' + error.message + ')', LOG_STYLES.warning);
+  }
+
+  console.log('%c    Streaming not supported, assembling file in memory', LOG_STYLES.info);
+  return memorySaver(file);
+}
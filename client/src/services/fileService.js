@@ -5,26 +5,58 @@
  * Handles encrypted file upload and download operations.
  * Works with conversation keys for encryption/decryption.
  * 
- * CHUNKING: Files > 5MB are processed in chunks for better memory management
- * and progress tracking. Each chunk is encrypted with a unique IV.
+ * CHUNKING: Files are uploaded through resumable upload sessions - each 5MB
+ * chunk is encrypted with a unique IV and sent in its own request, so an
+ * interrupted upload continues from the chunks the server already has.
+ *
+ * KEYS: Every file is encrypted with its own random key. For each device it is
+ * shared with (the recipient's and our own), that key is wrapped with the
+ * conversation key of that device and this one and stored as a small key
+ * envelope - sharing it again adds envelopes, the encrypted file itself is
+ * never uploaded twice.
+ *
+ * METADATA: Name, type and exact size are encrypted with the file. The server
+ * only sees a padded size - the plaintext is padded up to it before encryption.
+ *
+ * INTEGRITY: Every encrypted chunk is sent with its SHA-256, and the upload is
+ * completed with the file hash (SHA-256 over the chunk hashes). Downloads check
+ * both before decrypting, so a damaged file is reported as such.
+ *
+ * THUMBNAILS: Images, PDFs and videos get a small JPEG thumbnail, encrypted
+ * under the file key and stored as a separate blob - chats show it without
+ * downloading the file.
+ *
+ * ARCHIVES: Several files or a folder are uploaded as one file holding an
+ * encrypted manifest and the entries (see archive.js). Entries are read back
+ * with range requests - one at a time, or all of them as a zip.
  */
 
 import { 
-  encryptFile, 
   decryptFile, 
-  downloadDecryptedFile,
   arrayToBase64, 
   base64ToArray,
   formatFileSize 
 } from '../crypto/fileEncryption';
 import { getOrCreateConversationKey } from '../crypto/conversationKey';
-import { getUser } from './api';
+import { getDeviceId, deviceAddress, getActiveDevices, getDeviceKeys } from './device';
+import { openFileSaver } from './fileSaver';
+import { createThumbnail } from './thumbnails';
+import { parseManifest } from './archive';
+import { makeZip, predictLength } from 'client-zip';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 // Chunking configuration
 const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB chunks
-const CHUNK_THRESHOLD = 5 * 1024 * 1024; // Use chunking for files > 5MB
+const CHUNK_RETRIES = 5;
+const CHUNK_RETRY_DELAY_MS = 1000;
+const CHUNK_AAD_CONTEXT = 'cryptshare-file-chunk-v1';
+const METADATA_AAD_CONTEXT = 'cryptshare-file-metadata-v1';
+const FILE_KEY_AAD_CONTEXT = 'cryptshare-file-key-v1';
+const THUMBNAIL_AAD_CONTEXT = 'cryptshare-file-thumbnail-v1';
+const MAX_THUMBNAIL_SIZE = 256 * 1024; // Matches the server limit
+const THUMBNAIL_CACHE_SIZE = 200;
+const MIN_PADDED_SIZE = 4 * 1024; // Small files all look 4KB to the server
 
 // Console logging styles
 const LOG_STYLES = {
@@ -32,223 +64,638 @@ const LOG_STYLES = {
   info: 'color: #60a5fa;',
   success: 'color: #22c55e; font-weight: bold;',
   error: 'color: #ef4444; font-weight: bold;',
+  warning: 'color: #f59e0b;',
   detail: 'color: #94a3b8;',
   chunk: 'background: #8b5cf6; color: white; padding: 1px 6px; border-radius: 3px;'
 };
 
 /**
- * Encrypt a file in chunks (optimal for large files)
- * Each chunk gets its own IV, combined into single encrypted blob
+ * Additional authenticated data of chunk n: binds it to its position, the
+ * chunk count and the file, and marks the final chunk - chunks that were
+ * reordered, duplicated, dropped or moved between files fail to decrypt
  */
-async function encryptFileInChunks(key, file, onProgress = () => {}) {
-  const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
-  const encryptedChunks = [];
-  const chunkIVs = [];
-  
-  console.log('%c[CHUNKED] Processing ' + totalChunks + ' chunks...', LOG_STYLES.chunk);
-  
-  for (let i = 0; i < totalChunks; i++) {
-    const start = i * CHUNK_SIZE;
-    const end = Math.min(start + CHUNK_SIZE, file.size);
-    const chunk = file.slice(start, end);
-    const chunkBuffer = await chunk.arrayBuffer();
-    
-    // Each chunk gets fresh IV
-    const iv = window.crypto.getRandomValues(new Uint8Array(12));
-    chunkIVs.push(iv);
-    
-    // Encrypt chunk
-    const encryptedBuffer = await window.crypto.subtle.encrypt(
-      { name: "AES-GCM", iv },
+function chunkAad(contentId, n, totalChunks) {
+  const position = n === totalChunks - 1 ? 'final' : 'more';
+  return new TextEncoder().encode(`${CHUNK_AAD_CONTEXT}:${contentId}:${n}:${totalChunks}:${position}`);
+}
+
+// Random per-file ID (chosen by the uploader, stored with the file metadata)
+const generateContentId = () => arrayToBase64(window.crypto.getRandomValues(new Uint8Array(16)));
+
+// Share link keys travel in the URL fragment as base64url
+const toBase64Url = (bytes) => arrayToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => base64ToArray(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+function fileDecryptionError(message) {
+  const error = new Error(message);
+  error.code = 'FILE_DECRYPTION_FAILED';
+  return error;
+}
+
+function fileIntegrityError(message) {
+  const error = new Error(message);
+  error.code = 'FILE_INTEGRITY_FAILED';
+  return error;
+}
+
+const sha256 = async (data) => arrayToBase64(new Uint8Array(await window.crypto.subtle.digest('SHA-256', data)));
+
+// File hash: SHA-256 over the concatenated chunk hashes (matches the server)
+async function fileHash(chunkHashes) {
+  const hashes = chunkHashes.map(base64ToArray);
+  const joined = new Uint8Array(hashes.length * 32);
+  hashes.forEach((hash, n) => joined.set(hash, n * 32));
+  return sha256(joined);
+}
+
+// Random content key of one file (extractable - it is wrapped for every recipient)
+const generateFileKey = () => window.crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+
+const fileKeyAad = (contentId) => new TextEncoder().encode(`${FILE_KEY_AAD_CONTEXT}:${contentId}`);
+
+/**
+ * Wrap a file key with a conversation key (a key envelope), bound to the file's content ID
+ * @returns {Object} { wrappedKey, iv } (base64)
+ */
+async function wrapFileKey(conversationKey, fileKey, contentId) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const rawKey = await window.crypto.subtle.exportKey('raw', fileKey);
+  const wrappedKey = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: fileKeyAad(contentId) },
+    conversationKey,
+    rawKey
+  );
+  return { wrappedKey: arrayToBase64(new Uint8Array(wrappedKey)), iv: arrayToBase64(iv) };
+}
+
+/**
+ * Unwrap a file key from a key envelope
+ * @throws {Error} code FILE_DECRYPTION_FAILED
+ */
+async function unwrapFileKey(conversationKey, envelope, contentId) {
+  try {
+    const rawKey = await window.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToArray(envelope.iv), additionalData: fileKeyAad(contentId) },
+      conversationKey,
+      base64ToArray(envelope.wrappedKey)
+    );
+    // Extractable, so it can be wrapped again when the file is re-shared
+    return window.crypto.subtle.importKey('raw', rawKey, { name: "AES-GCM" }, true, ["encrypt", "decrypt"]);
+  } catch (error) {
+    throw fileDecryptionError('File key could not be unwrapped');
+  }
+}
+
+/**
+ * Wrap a file key for every active device of a recipient (its account keys if it
+ * has none) and of our own account - each under the conversation key of that
+ * device and this one
+ * @returns {Array} [{ recipient, recipientDevice, wrappedKey, iv }]
+ */
+async function wrapFileKeyForDevices(myUserId, recipientId, fileKey, contentId) {
+  const [recipientDevices, myDevices] = await Promise.all([
+    getActiveDevices(recipientId),
+    getActiveDevices(myUserId)
+  ]);
+  const targets = [
+    ...(recipientDevices.length > 0
+      ? recipientDevices.map(device => ({ userId: recipientId, deviceId: device.deviceId, publicKeys: device.publicKeys }))
+      : [{ userId: recipientId, deviceId: null, publicKeys: await getDeviceKeys(recipientId, null) }]),
+    ...myDevices.map(device => ({ userId: myUserId, deviceId: device.deviceId, publicKeys: device.publicKeys }))
+  ];
+
+  return Promise.all(targets.map(async ({ userId, deviceId, publicKeys }) => {
+    const conversationKey = await getOrCreateConversationKey(myUserId, deviceAddress(userId, deviceId), publicKeys.keyExchange);
+    return {
+      recipient: userId,
+      recipientDevice: deviceId,
+      ...await wrapFileKey(conversationKey, fileKey, contentId)
+    };
+  }));
+}
+
+/**
+ * Unwrap a file key from this device's envelope: one wrapped for this device, else
+ * (envelopes from before devices existed) one for the account or wrapped by it
+ * @param {Array} envelopes - Key envelopes of the current user (as sent by the server)
+ * @throws {Error} code FILE_DECRYPTION_FAILED
+ */
+async function unwrapOwnFileKey(myUserId, envelopes, contentId) {
+  const myDeviceId = getDeviceId();
+  const isMe = (userId) => String(userId) === String(myUserId);
+
+  const forMe = envelopes.find(envelope => isMe(envelope.recipient) && envelope.recipientDevice === myDeviceId) ||
+    envelopes.find(envelope => isMe(envelope.recipient) && !envelope.recipientDevice);
+  const byMe = !forMe && envelopes.find(envelope =>
+    isMe(envelope.wrappedBy) && !isMe(envelope.recipient) && (!envelope.wrappedByDevice || envelope.wrappedByDevice === myDeviceId));
+  if (!forMe && !byMe) {
+    throw fileDecryptionError('This device has no key for the file - it was shared before the device was added');
+  }
+
+  // The device on the other end of the envelope
+  const [otherUserId, otherDeviceId] = forMe
+    ? [String(forMe.wrappedBy), forMe.wrappedByDevice || null]
+    : [String(byMe.recipient), byMe.recipientDevice || null];
+  const publicKeys = await getDeviceKeys(otherUserId, otherDeviceId);
+  const conversationKey = await getOrCreateConversationKey(myUserId, deviceAddress(otherUserId, otherDeviceId), publicKeys.keyExchange);
+  return unwrapFileKey(conversationKey, forMe || byMe, contentId);
+}
+
+/**
+ * Size the server sees (Padmé padding): the low bits of the size are rounded
+ * up, so only its order of magnitude shows - at most ~12% overhead
+ */
+function paddedFileSize(size) {
+  if (size <= MIN_PADDED_SIZE) return MIN_PADDED_SIZE;
+
+  const exponent = Math.floor(Math.log2(size));
+  const sizeBits = Math.floor(Math.log2(exponent)) + 1;
+  const step = 2 ** (exponent - sizeBits);
+  return Math.ceil(size / step) * step;
+}
+
+const metadataAad = (contentId) => new TextEncoder().encode(`${METADATA_AAD_CONTEXT}:${contentId}`);
+
+// Encrypt name, type and exact size (bound to the file's content ID)
+async function encryptFileMetadata(key, metadata, contentId) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: metadataAad(contentId) },
+    key,
+    new TextEncoder().encode(JSON.stringify(metadata))
+  );
+  return { ciphertext: arrayToBase64(new Uint8Array(ciphertext)), iv: arrayToBase64(iv) };
+}
+
+/**
+ * Plaintext metadata of a stored file: the server's metadata (chunk layout)
+ * with name, type and size from encryptedMetadata - older files have none
+ * @throws {Error} code FILE_DECRYPTION_FAILED
+ */
+async function decryptFileMetadata(key, { metadata, encryptedMetadata }) {
+  if (!encryptedMetadata) return metadata;
+
+  try {
+    const plaintext = await window.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToArray(encryptedMetadata.iv), additionalData: metadataAad(metadata.contentId) },
       key,
-      chunkBuffer
+      base64ToArray(encryptedMetadata.ciphertext)
     );
-    
-    encryptedChunks.push(new Uint8Array(encryptedBuffer));
-    
-    // Progress: 10% for setup, 80% for encryption, 10% for upload
-    const encryptProgress = 10 + Math.round(((i + 1) / totalChunks) * 40);
-    onProgress(encryptProgress);
-    
-    console.log('%c    Chunk ' + (i + 1) + '/' + totalChunks + ' encrypted (' + formatFileSize(end - start) + ')', LOG_STYLES.detail);
+    const { name, type, size, archive } = JSON.parse(new TextDecoder().decode(plaintext));
+    return { ...metadata, name, type, size, paddedSize: metadata.size, ...(archive && { archive }) };
+  } catch (error) {
+    throw fileDecryptionError('File details could not be decrypted');
   }
-  
-  // Combine all encrypted chunks into single blob
-  const totalEncryptedSize = encryptedChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-  const combinedEncrypted = new Uint8Array(totalEncryptedSize);
+}
+
+const thumbnailAad = (contentId) => new TextEncoder().encode(`${THUMBNAIL_AAD_CONTEXT}:${contentId}`);
+
+/**
+ * Encrypt a thumbnail under the file key (bound to the file's content ID)
+ * Padded like files - JPEG decoders ignore the zeros after the image
+ */
+async function encryptThumbnail(key, thumbnail, contentId) {
+  const jpeg = new Uint8Array(await thumbnail.arrayBuffer());
+  const padded = new Uint8Array(paddedFileSize(jpeg.length));
+  padded.set(jpeg);
+
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const encrypted = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: thumbnailAad(contentId) },
+    key,
+    padded
+  );
+  return { encrypted: new Uint8Array(encrypted), iv };
+}
+
+/**
+ * Decrypt a thumbnail fetched from the server
+ * @param {Object} thumbnail - { iv, sha256 } as sent by the server
+ * @returns {Blob} JPEG image
+ * @throws {Error} code FILE_INTEGRITY_FAILED / FILE_DECRYPTION_FAILED
+ */
+async function decryptThumbnail(key, encrypted, thumbnail, contentId) {
+  if (await sha256(encrypted) !== thumbnail.sha256) {
+    throw fileIntegrityError('Thumbnail is damaged - it does not match the hash recorded at upload');
+  }
+
+  try {
+    const jpeg = await window.crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToArray(thumbnail.iv), additionalData: thumbnailAad(contentId) },
+      key,
+      encrypted
+    );
+    return new Blob([jpeg], { type: 'image/jpeg' });
+  } catch (error) {
+    throw fileDecryptionError('Thumbnail could not be decrypted');
+  }
+}
+
+/**
+ * Encrypt chunk n of a file (padded to paddedSize with zeros) with a fresh IV
+ * Chunks are read and encrypted one at a time, right before they are sent
+ */
+async function encryptChunk(key, file, paddedSize, n, totalChunks, contentId) {
+  const start = n * CHUNK_SIZE;
+  const end = Math.min(start + CHUNK_SIZE, paddedSize);
+  const chunkBuffer = new Uint8Array(end - start);
+  if (start < file.size) {
+    chunkBuffer.set(new Uint8Array(await file.slice(start, Math.min(end, file.size)).arrayBuffer()));
+  }
+
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const encryptedBuffer = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: chunkAad(contentId, n, totalChunks) },
+    key,
+    chunkBuffer
+  );
+
+  return { encrypted: new Uint8Array(encryptedBuffer), iv, plainSize: end - start };
+}
+
+/**
+ * Decrypt one chunk (AES-GCM verifies it before any plaintext is written)
+ * Chunks with a recorded hash are checked against it first
+ * @throws {Error} code FILE_INTEGRITY_FAILED if the chunk does not match its hash
+ * @throws {Error} code FILE_DECRYPTION_FAILED if the chunk fails authentication
+ */
+async function decryptChunk(key, encryptedChunk, chunk, totalChunks) {
+  if (chunk.hash && await sha256(encryptedChunk) !== chunk.hash) {
+    throw fileIntegrityError(
+      `Chunk ${chunk.index + 1} of ${totalChunks} is damaged - it does not match the hash recorded at upload`
+    );
+  }
+
+  const params = { name: "AES-GCM", iv: chunk.iv };
+  if (chunk.contentId) {
+    params.additionalData = chunkAad(chunk.contentId, chunk.index, totalChunks);
+  }
+
+  try {
+    const decryptedBuffer = await window.crypto.subtle.decrypt(params, key, encryptedChunk);
+    return new Uint8Array(decryptedBuffer);
+  } catch (error) {
+    throw fileDecryptionError(
+      `Chunk ${chunk.index + 1} of ${totalChunks} failed authentication - ` +
+      'the file is corrupted, incomplete or its chunks were reordered'
+    );
+  }
+}
+
+/**
+ * Encrypted chunks of a stored file: byte range, IV, hash and position of each
+ * Single (non-chunked) files are one chunk spanning the whole file.
+ * Files uploaded before chunk binding have no content ID (no AAD),
+ * files uploaded before integrity hashes have no chunk hashes.
+ */
+function getChunkLayout(iv, metadata, chunkInfo) {
+  if (!(metadata.chunked && chunkInfo)) {
+    return [{ index: 0, offset: 0, size: null, iv: base64ToArray(iv), contentId: null, hash: null }];
+  }
+  if (chunkInfo.ivs.length !== chunkInfo.sizes.length) {
+    throw fileDecryptionError('Chunk list of the file is inconsistent');
+  }
+
   let offset = 0;
-  
-  for (const chunk of encryptedChunks) {
-    combinedEncrypted.set(chunk, offset);
-    offset += chunk.length;
+  return chunkInfo.sizes.map((size, n) => {
+    const chunk = {
+      index: n,
+      offset,
+      size,
+      iv: base64ToArray(chunkInfo.ivs[n]),
+      contentId: metadata.contentId || null,
+      hash: chunkInfo.hashes?.[n] || null
+    };
+    offset += size;
+    return chunk;
+  });
+}
+
+// The chunk hashes must add up to the file hash the server verified at upload
+async function verifyChunkHashes(info, chunks) {
+  if (!info.sha256) return;
+
+  const hashes = chunks.map(chunk => chunk.hash);
+  if (hashes.some(hash => !hash) || await fileHash(hashes) !== info.sha256) {
+    throw fileIntegrityError('The chunk list of the file does not match its hash');
   }
-  
-  // Store chunk sizes for decryption (each chunk has 16-byte auth tag added by GCM)
-  const chunkSizes = encryptedChunks.map(c => c.length);
-  
-  return {
-    encryptedData: combinedEncrypted,
-    chunkIVs,
-    chunkSizes,
-    metadata: {
-      name: file.name,
-      type: file.type || 'application/octet-stream',
-      size: file.size,
-      chunked: true,
-      totalChunks,
-      chunkSize: CHUNK_SIZE
+}
+
+// Share link routes are public - the token is sent only when logged in
+async function apiRequest(path, options = {}) {
+  const token = localStorage.getItem('token');
+  // Key envelopes are per device - the server records which device wrapped them
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(token && { 'Authorization': `Bearer ${token}` }),
+      ...(token && { 'X-Device-Id': getDeviceId() }),
+      ...options.headers
     }
-  };
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || 'Request failed');
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+const jsonRequest = (path, method, data) => apiRequest(path, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(data)
+});
+
+// Client errors (4xx) will not succeed on a retry - except a timeout or rate limit
+const isRetryable = (error) => !error.status || error.status >= 500 || error.status === 408 || error.status === 429;
+
+/**
+ * Upload one encrypted chunk, retrying network and server errors with backoff
+ */
+async function uploadChunk(sessionId, n, encrypted, iv, hash) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await apiRequest(`/files/sessions/${sessionId}/chunks/${n}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-IV': arrayToBase64(iv),
+          'X-Chunk-SHA256': hash
+        },
+        body: encrypted
+      });
+    } catch (error) {
+      if (attempt >= CHUNK_RETRIES || !isRetryable(error)) throw error;
+      const delay = CHUNK_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      console.log('%c    Chunk ' + (n + 1) + ' failed (' + error.message + '), retrying in ' + delay / 1000 + 's', LOG_STYLES.warning);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Encrypt and upload the thumbnail of an upload session
+ * A thumbnail is a nicety - when it fails the file is sent without one
+ * @param {Blob|Promise<Blob|null>|null} thumbnail - JPEG from createThumbnail
+ * @returns {Object|null} { iv, size, sha256 } as stored by the server
+ */
+async function uploadThumbnail(session, key, thumbnail) {
+  try {
+    const jpeg = await thumbnail;
+    if (!jpeg) return null;
+    if (jpeg.size > MAX_THUMBNAIL_SIZE) {
+      console.log('%c    Thumbnail too large, sending without it', LOG_STYLES.warning);
+      return null;
+    }
+
+    const { encrypted, iv } = await encryptThumbnail(key, jpeg, session.contentId);
+    const hash = await sha256(encrypted);
+    return await apiRequest(`/files/sessions/${session.sessionId}/thumbnail`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Thumbnail-IV': arrayToBase64(iv),
+        'X-Thumbnail-SHA256': hash
+      },
+      body: encrypted
+    });
+  } catch (error) {
+    console.log('%c    Thumbnail upload failed (' + error.message + '), sending without it', LOG_STYLES.warning);
+    return null;
+  }
 }
 
+// Unfinished uploads to a recipient are remembered per file, so uploading
+// the same file again continues where the last attempt stopped (link uploads
+// use a fresh key every time and cannot be resumed)
+const uploadSessionKey = (myUserId, recipientId, file) =>
+  `uploadSession:${myUserId}:${recipientId}:${file.name}:${file.size}:${file.lastModified}`;
+
 /**
- * Decrypt a chunked file
+ * Resume the remembered upload session for this file, or start a new one
+ * @param {Object} target - { recipientId, ttlMs } or { shareMode: 'link', ttlMs }
+ * @param {string|null} storageKey - Where the session ID is remembered (null: no resume)
+ * @param {Object} keys - newKey(contentId) => { key, keyEnvelopes } for a new session,
+ *   savedKey(session) => key of a remembered session
+ * @param {Object} details - { name, type, size, archive? } - encrypted with the file key
+ * @returns {Object} { session: { sessionId, contentId, encryptedMetadata, keyEnvelopes, receivedChunks, chunkHashes, thumbnail }, key }
  */
-async function decryptFileInChunks(key, encryptedData, chunkIVs, chunkSizes, onProgress = () => {}) {
+async function openUploadSession(target, storageKey, keys, details, paddedSize, totalChunks) {
+  const savedSessionId = storageKey && localStorage.getItem(storageKey);
+
+  if (savedSessionId) {
+    try {
+      const session = await apiRequest(`/files/sessions/${savedSessionId}`);
+      if (session.chunkSize === CHUNK_SIZE && session.totalChunks === totalChunks && session.keyEnvelopes?.length) {
+        const key = await keys.savedKey(session);
+        console.log('%c    Resuming upload: ' + session.receivedChunks.length + '/' + totalChunks + ' chunks already on server', LOG_STYLES.info);
+        return { session, key };
+      }
+    } catch (error) {
+      console.log('%c    Previous upload expired, starting over', LOG_STYLES.detail);
+    }
+    localStorage.removeItem(storageKey);
+  }
+
+  const contentId = generateContentId();
+  const { key, keyEnvelopes } = await keys.newKey(contentId);
+  const encryptedMetadata = await encryptFileMetadata(key, details, contentId);
+
+  const session = await jsonRequest('/files/sessions', 'POST', {
+    ...target,
+    metadata: { size: paddedSize, contentId },
+    encryptedMetadata,
+    keyEnvelopes,
+    chunkSize: CHUNK_SIZE,
+    totalChunks
+  });
+  if (storageKey) {
+    localStorage.setItem(storageKey, session.sessionId);
+  }
+  return { session, key };
+}
+
+/**
+ * Decrypt a chunked file held in memory (padding removed)
+ * Rejects reordered, duplicated or missing chunks (FILE_DECRYPTION_FAILED)
+ */
+async function decryptFileInChunks(key, encryptedData, chunks, size, onProgress = () => {}) {
   const decryptedChunks = [];
-  let offset = 0;
   
-  console.log('%c[CHUNKED] Decrypting ' + chunkIVs.length + ' chunks...', LOG_STYLES.chunk);
+  console.log('%c[CHUNKED] Decrypting ' + chunks.length + ' chunks...', LOG_STYLES.chunk);
   
-  for (let i = 0; i < chunkIVs.length; i++) {
-    const chunkSize = chunkSizes[i];
-    const chunkData = encryptedData.slice(offset, offset + chunkSize);
-    const iv = chunkIVs[i] instanceof Uint8Array ? chunkIVs[i] : new Uint8Array(chunkIVs[i]);
-    
-    const decryptedBuffer = await window.crypto.subtle.decrypt(
-      { name: "AES-GCM", iv },
-      key,
-      chunkData
-    );
-    
-    decryptedChunks.push(new Uint8Array(decryptedBuffer));
-    offset += chunkSize;
+  for (const chunk of chunks) {
+    const chunkData = encryptedData.slice(chunk.offset, chunk.offset + chunk.size);
+    decryptedChunks.push(await decryptChunk(key, chunkData, chunk, chunks.length));
     
     // Progress: 20% for download, 70% for decryption, 10% for save
-    const decryptProgress = 20 + Math.round(((i + 1) / chunkIVs.length) * 70);
+    const decryptProgress = 20 + Math.round(((chunk.index + 1) / chunks.length) * 70);
     onProgress(decryptProgress);
     
-    console.log('%c    Chunk ' + (i + 1) + '/' + chunkIVs.length + ' decrypted', LOG_STYLES.detail);
+    console.log('%c    Chunk ' + (chunk.index + 1) + '/' + chunks.length + ' decrypted', LOG_STYLES.detail);
   }
   
   // Combine decrypted chunks
   const totalSize = decryptedChunks.reduce((sum, chunk) => sum + chunk.length, 0);
   const combined = new Uint8Array(totalSize);
-  offset = 0;
+  let offset = 0;
   
   for (const chunk of decryptedChunks) {
     combined.set(chunk, offset);
     offset += chunk.length;
   }
   
-  return combined.buffer;
+  return combined.buffer.slice(0, size);
+}
+
+
+/**
+ * Encrypt a file and upload it through an upload session
+ * Every chunk is encrypted and sent on its own; an interrupted upload
+ * resumes with the chunks the server does not have yet (under the same key)
+ * @param {Object} keys - File key source (see openUploadSession)
+ * @param {Object} upload - { target, storageKey (see openUploadSession), thumbnail: JPEG Blob, or a promise of one (optional),
+ *   archive: { manifestSize, entryCount } when file is an archive }
+ * @returns {Object} { fileId, metadata (plaintext), serverMetadata, encryptedMetadata, keyEnvelopes, thumbnail, expiresAt }
+ */
+async function uploadFile(keys, file, { target, storageKey, thumbnail = null, archive = null }, onProgress) {
+  const details = {
+    name: file.name,
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    ...(archive && { archive })
+  };
+  const paddedSize = paddedFileSize(file.size);
+  const totalChunks = Math.max(1, Math.ceil(paddedSize / CHUNK_SIZE));
+
+  console.log('%c    Size: ' + formatFileSize(file.size) + ' (padded to ' + formatFileSize(paddedSize) + ')', LOG_STYLES.info);
+  console.log('%c    Chunks: ' + totalChunks + ' x ' + formatFileSize(CHUNK_SIZE), LOG_STYLES.info);
+
+  // Start (or resume) the upload session
+  console.log('%c[3] Opening upload session...', LOG_STYLES.info);
+  const { session, key } = await openUploadSession(target, storageKey, keys, details, paddedSize, totalChunks);
+  const received = new Set(session.receivedChunks);
+  // Chunks sent in an earlier attempt are known by the hashes the server verified then
+  const chunkHashes = [...(session.chunkHashes || [])];
+  onProgress(5 + Math.round((received.size / totalChunks) * 90));
+
+  // Encrypt and upload the missing chunks, one at a time
+  console.log('%c[4] Encrypting and uploading chunks...', LOG_STYLES.chunk);
+  let uploadedBytes = 0;
+  for (let n = 0; n < totalChunks; n++) {
+    if (received.has(n)) continue;
+
+    const { encrypted, iv, plainSize } = await encryptChunk(key, file, paddedSize, n, totalChunks, session.contentId);
+    chunkHashes[n] = await sha256(encrypted);
+    await uploadChunk(session.sessionId, n, encrypted, iv, chunkHashes[n]);
+    received.add(n);
+    uploadedBytes += encrypted.length;
+
+    onProgress(5 + Math.round((received.size / totalChunks) * 90));
+    console.log('%c    Chunk ' + (n + 1) + '/' + totalChunks + ' uploaded (' + formatFileSize(plainSize) + ')', LOG_STYLES.detail);
+  }
+
+  // A resumed upload may have sent its thumbnail already
+  let storedThumbnail = session.thumbnail || null;
+  if (!storedThumbnail) {
+    console.log('%c[5] Encrypting and uploading thumbnail...', LOG_STYLES.info);
+    storedThumbnail = await uploadThumbnail(session, key, thumbnail);
+  }
+
+  // Assemble the file on the server
+  console.log('%c[6] Completing upload...', LOG_STYLES.info);
+  const result = await jsonRequest(`/files/sessions/${session.sessionId}/complete`, 'POST', {
+    sha256: await fileHash(chunkHashes)
+  });
+  if (storageKey) {
+    localStorage.removeItem(storageKey);
+  }
+
+  // What the server stores in the clear - shared with the recipient as is
+  const serverMetadata = {
+    size: paddedSize,
+    chunked: true,
+    totalChunks,
+    chunkSize: CHUNK_SIZE,
+    contentId: session.contentId
+  };
+  const metadata = {
+    ...serverMetadata,
+    ...details,
+    paddedSize
+  };
+
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+  console.log('%c✓ FILE UPLOADED SUCCESSFULLY', LOG_STYLES.success);
+  console.log('%c    File ID: ' + result.fileId, LOG_STYLES.detail);
+  console.log('%c    Sent this attempt: ' + formatFileSize(uploadedBytes), LOG_STYLES.detail);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  return {
+    fileId: result.fileId,
+    metadata,
+    serverMetadata,
+    encryptedMetadata: session.encryptedMetadata,
+    keyEnvelopes: session.keyEnvelopes,
+    thumbnail: storedThumbnail,
+    expiresAt: result.expiresAt || null
+  };
 }
 
 /**
- * Upload an encrypted file (with automatic chunking for large files)
+ * Upload an encrypted file for a recipient (resumable)
  * @param {string} myUserId - Current user's ID
  * @param {string} recipientId - Recipient's user ID
  * @param {File} file - File to encrypt and upload
  * @param {Function} onProgress - Progress callback
- * @returns {Object} { fileId, metadata }
+ * @param {Object} options - { ttlMs: how long the server keeps the file (null = until deleted),
+ *   thumbnail: JPEG Blob (or a promise of one) already made by the caller - made here when left out,
+ *   archive: { manifestSize, entryCount } when file was packed by buildArchive }
+ * @returns {Object} { fileId, metadata (plaintext), serverMetadata, encryptedMetadata, keyEnvelopes, thumbnail, expiresAt }
  */
-export async function uploadEncryptedFile(myUserId, recipientId, file, onProgress = () => {}) {
-  const useChunking = file.size > CHUNK_THRESHOLD;
-  
+export async function uploadEncryptedFile(myUserId, recipientId, file, onProgress = () => {}, options = {}) {
   console.log('%c📤 UPLOADING ENCRYPTED FILE', LOG_STYLES.header);
   console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
   console.log('%c    File: ' + file.name, LOG_STYLES.info);
-  console.log('%c    Size: ' + formatFileSize(file.size), LOG_STYLES.info);
-  console.log('%c    Mode: ' + (useChunking ? 'CHUNKED (' + Math.ceil(file.size / CHUNK_SIZE) + ' chunks)' : 'SINGLE'), LOG_STYLES.info);
   console.log('%c    Recipient: ' + recipientId, LOG_STYLES.info);
-  
+
   try {
-    // Get recipient's public key
-    console.log('%c[1] Fetching recipient public key...', LOG_STYLES.info);
-    const recipientData = await getUser(recipientId);
-    const recipientPublicKey = recipientData.publicKeys.keyExchange;
-    onProgress(5);
-    
-    // Get or derive conversation key
-    console.log('%c[2] Deriving conversation key...', LOG_STYLES.info);
-    const conversationKey = await getOrCreateConversationKey(myUserId, recipientId, recipientPublicKey);
-    onProgress(10);
-    
-    let encryptedData, iv, metadata, chunkInfo;
-    
-    if (useChunking) {
-      // CHUNKED ENCRYPTION for large files
-      console.log('%c[3] Encrypting file in chunks...', LOG_STYLES.chunk);
-      const result = await encryptFileInChunks(conversationKey, file, onProgress);
-      encryptedData = result.encryptedData;
-      metadata = result.metadata;
-      
-      // For chunked files, we store chunk IVs and sizes in metadata
-      chunkInfo = {
-        ivs: result.chunkIVs.map(iv => arrayToBase64(iv)),
-        sizes: result.chunkSizes
-      };
-      
-      // Use first chunk's IV as the main IV (for backwards compatibility)
-      iv = result.chunkIVs[0];
-    } else {
-      // SINGLE FILE ENCRYPTION for small files
-      console.log('%c[3] Encrypting file...', LOG_STYLES.info);
-      const result = await encryptFile(conversationKey, file);
-      encryptedData = result.encryptedData;
-      iv = result.iv;
-      metadata = result.metadata;
-      onProgress(50);
-    }
-    
-    // Create FormData for upload
-    console.log('%c[4] Preparing upload...', LOG_STYLES.info);
-    const formData = new FormData();
-    formData.append('file', new Blob([encryptedData]), 'encrypted');
-    formData.append('iv', arrayToBase64(iv));
-    formData.append('metadata', JSON.stringify(metadata));
-    formData.append('recipientId', recipientId);
-    
-    // Add chunk info if chunked
-    if (chunkInfo) {
-      formData.append('chunkInfo', JSON.stringify(chunkInfo));
-    }
-    
-    onProgress(55);
-    
-    // Upload to server
-    console.log('%c[5] Uploading to server (' + formatFileSize(encryptedData.length) + ')...', LOG_STYLES.info);
-    const token = localStorage.getItem('token');
-    const response = await fetch(`${API_URL}/files/upload`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`
+    // A new random file key, wrapped for the devices of the recipient and our own -
+    // or the key of the upload being resumed
+    console.log('%c[1] Preparing file key for the recipient\'s devices...', LOG_STYLES.info);
+    const keys = {
+      newKey: async (contentId) => {
+        const key = await generateFileKey();
+        return { key, keyEnvelopes: await wrapFileKeyForDevices(myUserId, recipientId, key, contentId) };
       },
-      body: formData
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error || 'Upload failed');
+      savedKey: (session) => unwrapOwnFileKey(myUserId, session.keyEnvelopes, session.contentId)
+    };
+    onProgress(4);
+
+    // Archives have no thumbnail; other files get one unless the caller made it already
+    const archive = options.archive || null;
+    let thumbnail = options.thumbnail;
+    if (thumbnail === undefined) {
+      thumbnail = archive ? null : createThumbnail(file);
     }
-    
-    const result = await response.json();
+    const result = await uploadFile(keys, file, {
+      target: { recipientId, kind: archive ? 'archive' : 'file', ttlMs: options.ttlMs ?? null },
+      storageKey: uploadSessionKey(myUserId, recipientId, file),
+      thumbnail,
+      archive
+    }, onProgress);
     onProgress(100);
-    
-    console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
-    console.log('%c✓ FILE UPLOADED SUCCESSFULLY', LOG_STYLES.success);
-    console.log('%c    File ID: ' + result.fileId, LOG_STYLES.detail);
-    console.log('%c    Encrypted size: ' + formatFileSize(encryptedData.length), LOG_STYLES.detail);
-    if (useChunking) {
-      console.log('%c    Chunks: ' + metadata.totalChunks, LOG_STYLES.detail);
+
+    // The sender's own chat shows the thumbnail without fetching it back
+    if (result.thumbnail) {
+      const jpeg = await thumbnail;
+      if (jpeg) cacheThumbnail(result.fileId, Promise.resolve(URL.createObjectURL(jpeg)));
     }
-    console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
-    
-    return {
-      fileId: result.fileId,
-      metadata
-    };
-    
+    return result;
+
   } catch (error) {
     console.error('%c✗ File upload failed:', LOG_STYLES.error, error);
     throw error;
@@ -256,119 +703,451 @@ export async function uploadEncryptedFile(myUserId, recipientId, file, onProgres
 }
 
 /**
- * Download and decrypt a file (handles both chunked and single files)
+ * Upload a file under a random key and create a share link for it
+ * The key is only put in the URL fragment, which browsers never send to the server
+ * @param {File} file - File to encrypt and upload
+ * @param {Object} options - { expiresInMs, maxDownloads (null = unlimited), password (optional) }
+ * @param {Function} onProgress - Progress callback
+ * @returns {Object} { url, link, metadata }
+ */
+export async function createShareLink(file, options = {}, onProgress = () => {}) {
+  console.log('%c🔗 CREATING SHARE LINK', LOG_STYLES.header);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+  console.log('%c    File: ' + file.name, LOG_STYLES.info);
+
+  try {
+    console.log('%c[1] Generating file key...', LOG_STYLES.info);
+    const fileKey = await generateFileKey();
+    onProgress(2);
+
+    console.log('%c[2] Uploading in link mode...', LOG_STYLES.info);
+    const { fileId, metadata } = await uploadFile({ newKey: async () => ({ key: fileKey }) }, file, {
+      // The file is removed from the server when the link expires
+      target: { shareMode: 'link', ttlMs: options.expiresInMs ?? null },
+      storageKey: null
+    }, onProgress);
+
+    const link = await jsonRequest('/links', 'POST', {
+      fileId,
+      expiresInMs: options.expiresInMs,
+      maxDownloads: options.maxDownloads ?? null,
+      password: options.password || undefined
+    });
+
+    const rawKey = new Uint8Array(await window.crypto.subtle.exportKey('raw', fileKey));
+    const url = `${window.location.origin}${process.env.PUBLIC_URL || ''}/s/${link.token}#${toBase64Url(rawKey)}`;
+    onProgress(100);
+
+    console.log('%c✓ Share link created (expires ' + new Date(link.expiresAt).toLocaleString() + ')', LOG_STYLES.success);
+    return { url, link, metadata };
+
+  } catch (error) {
+    console.error('%c✗ Share link creation failed:', LOG_STYLES.error, error);
+    throw error;
+  }
+}
+
+
+// Fetch the encrypted bytes of one chunk (a Range request for chunked files)
+async function fetchEncryptedChunk(url, headers, chunk) {
+  const requestHeaders = { ...headers };
+  if (chunk.size !== null) {
+    requestHeaders['Range'] = `bytes=${chunk.offset}-${chunk.offset + chunk.size - 1}`;
+  }
+
+  const response = await fetch(url, { headers: requestHeaders });
+  if (!response.ok) {
+    throw new Error('Failed to download file');
+  }
+  if (chunk.size !== null && response.status !== 206) {
+    throw new Error('Server does not support range requests');
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Download, decrypt and save a file one chunk at a time (progress 15% - 100%)
+ * @param {CryptoKey} key - File key (conversation key or share link key)
+ * @param {Object} info - { iv, metadata, encryptedMetadata, sha256, chunkInfo } as sent by the server
+ * @param {Object} source - { url, headers } of the encrypted file
+ */
+async function streamDecryptToDisk(key, info, source, onProgress) {
+  const chunks = getChunkLayout(info.iv, info.metadata, info.chunkInfo);
+  await verifyChunkHashes(info, chunks);
+  const metadata = await decryptFileMetadata(key, info);
+
+  console.log('%c    File: ' + metadata.name, LOG_STYLES.detail);
+  console.log('%c    Size: ' + formatFileSize(metadata.size), LOG_STYLES.detail);
+  console.log('%c    Mode: ' + (chunks.length > 1 || chunks[0].size !== null ? 'CHUNKED (' + chunks.length + ' chunks)' : 'SINGLE'), LOG_STYLES.detail);
+  onProgress(15);
+
+  let saver = null;
+  try {
+    // Open the destination before downloading anything
+    console.log('%c[4] Opening destination...', LOG_STYLES.info);
+    saver = await openFileSaver({ name: metadata.name, type: metadata.type, size: metadata.size });
+    console.log('%c    Writing via: ' + saver.mode, LOG_STYLES.detail);
+
+    // Download, decrypt and write one chunk at a time
+    console.log('%c[5] Streaming and decrypting ' + chunks.length + ' chunk(s)...', LOG_STYLES.chunk);
+    let remaining = metadata.size; // Padding after the real end is not written
+    for (let n = 0; n < chunks.length; n++) {
+      const encryptedChunk = await fetchEncryptedChunk(source.url, source.headers, chunks[n]);
+      const decryptedChunk = await decryptChunk(key, encryptedChunk, chunks[n], chunks.length);
+      const plaintext = decryptedChunk.subarray(0, Math.min(decryptedChunk.length, remaining));
+      remaining -= plaintext.length;
+      if (plaintext.length > 0) {
+        await saver.write(plaintext);
+      }
+
+      // Progress: 15% for setup, 80% for download and decryption, 5% to finish
+      onProgress(15 + Math.round(((n + 1) / chunks.length) * 80));
+      console.log('%c    Chunk ' + (n + 1) + '/' + chunks.length + ' written', LOG_STYLES.detail);
+    }
+
+    console.log('%c[6] Finishing download...', LOG_STYLES.info);
+    await saver.close();
+    onProgress(100);
+  } catch (error) {
+    if (saver) {
+      await saver.abort().catch(() => {});
+    }
+    throw error;
+  }
+
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+  console.log('%c✓ FILE DOWNLOADED AND DECRYPTED', LOG_STYLES.success);
+  console.log('%c    Original size: ' + formatFileSize(metadata.size), LOG_STYLES.detail);
+  console.log('%c    Chunks processed: ' + chunks.length, LOG_STYLES.detail);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  return metadata;
+}
+
+/**
+ * Key of a stored file for this device: unwrapped from its key envelope, or the
+ * account conversation key itself for files sent before per-file keys
+ * @param {Object} info - File info from the server ({ keyEnvelopes, metadata, sender })
+ * @param {string} peerId - Conversation peer (files without key envelopes)
+ */
+async function getFileKey(myUserId, info, peerId) {
+  if (info.keyEnvelopes?.length) {
+    return unwrapOwnFileKey(myUserId, info.keyEnvelopes, info.metadata.contentId);
+  }
+
+  const otherUserId = String(peerId || info.sender);
+  const publicKeys = await getDeviceKeys(otherUserId, null);
+  return getOrCreateConversationKey(myUserId, otherUserId, publicKeys.keyExchange);
+}
+
+// Decrypted thumbnails by file ID (promises of object URLs) - the oldest are dropped first
+const thumbnailCache = new Map();
+
+function cacheThumbnail(fileId, urlPromise) {
+  thumbnailCache.set(fileId, urlPromise);
+  if (thumbnailCache.size > THUMBNAIL_CACHE_SIZE) {
+    const [oldestId, oldest] = thumbnailCache.entries().next().value;
+    thumbnailCache.delete(oldestId);
+    oldest.then(url => url && URL.revokeObjectURL(url)).catch(() => {});
+  }
+}
+
+// Fetch and decrypt the thumbnail of a stored file (the file itself is not downloaded)
+async function loadThumbnail(fileKey, fileId, thumbnail, contentId) {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${API_URL}/files/${fileId}/thumbnail`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  if (!response.ok) {
+    throw new Error('Failed to download thumbnail');
+  }
+  return decryptThumbnail(fileKey, await response.arrayBuffer(), thumbnail, contentId);
+}
+
+/**
+ * Thumbnail of a file in a chat, decrypted once and cached
+ * @param {string} myUserId - Current user's ID
+ * @param {Object} file - { _id, metadata, keyEnvelopes, thumbnail, sender } as in the file list
+ * @param {string} peerId - Conversation peer (files without a key envelope)
+ * @returns {Promise<string|null>} Object URL of the JPEG, null if the file has none
+ */
+export function getFileThumbnail(myUserId, file, peerId) {
+  if (!file.thumbnail) return Promise.resolve(null);
+  if (thumbnailCache.has(file._id)) return thumbnailCache.get(file._id);
+
+  const urlPromise = (async () => {
+    const fileKey = await getFileKey(myUserId, file, peerId);
+    const jpeg = await loadThumbnail(fileKey, file._id, file.thumbnail, file.metadata.contentId);
+    return URL.createObjectURL(jpeg);
+  })();
+  cacheThumbnail(file._id, urlPromise);
+
+  // Failures are not cached - the next render tries again
+  urlPromise.catch(error => {
+    console.log('%c✗ ' + error.message + ' (file ' + file._id + ')', LOG_STYLES.error);
+    if (thumbnailCache.get(file._id) === urlPromise) thumbnailCache.delete(file._id);
+  });
+  return urlPromise;
+}
+
+/**
+ * Download and decrypt a file chunk by chunk, writing the plaintext to
+ * disk as it is decrypted (handles both chunked and single files)
  * @param {string} myUserId - Current user's ID
  * @param {string} fileId - File ID to download
- * @param {string} peerId - ID of the PEER user (for conversation key derivation)
+ * @param {string} peerId - ID of the PEER user (files without a key envelope)
  * @param {Function} onProgress - Progress callback
  */
 export async function downloadAndDecryptFile(myUserId, fileId, peerId, onProgress = () => {}) {
   console.log('%c📥 DOWNLOADING ENCRYPTED FILE', LOG_STYLES.header);
   console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
   console.log('%c    File ID: ' + fileId, LOG_STYLES.info);
-  
+
   try {
     const token = localStorage.getItem('token');
-    
+
     // Get file info
     console.log('%c[1] Fetching file info...', LOG_STYLES.info);
-    const infoResponse = await fetch(`${API_URL}/files/${fileId}/info`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (!infoResponse.ok) {
-      throw new Error('Failed to get file info');
-    }
-    
-    const { iv, metadata, sender, chunkInfo } = await infoResponse.json();
-    const isChunked = metadata.chunked && chunkInfo;
-    
-    console.log('%c    File: ' + metadata.name, LOG_STYLES.detail);
-    console.log('%c    Size: ' + formatFileSize(metadata.size), LOG_STYLES.detail);
-    console.log('%c    Mode: ' + (isChunked ? 'CHUNKED (' + metadata.totalChunks + ' chunks)' : 'SINGLE'), LOG_STYLES.detail);
+    const info = await apiRequest(`/files/${fileId}/info`);
     onProgress(5);
-    
-    // Use peerId for conversation key derivation
+
     // Conversation key is deterministic: ECDH(myPrivate, peerPublic) = ECDH(peerPrivate, myPublic)
-    const otherUserId = peerId || sender;
-    
-    // Get peer's public key for conversation key derivation
-    console.log('%c[2] Fetching peer public key...', LOG_STYLES.info);
-    const peerData = await getUser(otherUserId);
-    const peerPublicKey = peerData.publicKeys.keyExchange;
+    console.log('%c[2] Unwrapping file key...', LOG_STYLES.info);
+    const fileKey = await getFileKey(myUserId, info, peerId);
     onProgress(10);
-    
-    // Get or derive conversation key
-    console.log('%c[3] Deriving conversation key...', LOG_STYLES.info);
-    const conversationKey = await getOrCreateConversationKey(myUserId, otherUserId, peerPublicKey);
-    onProgress(15);
-    
-    // Download encrypted file
-    console.log('%c[4] Downloading encrypted data...', LOG_STYLES.info);
-    const fileResponse = await fetch(`${API_URL}/files/${fileId}/download`, {
-      headers: {
-        'Authorization': `Bearer ${token}`
+
+    console.log('%c[3] Decrypting file details...', LOG_STYLES.info);
+    const metadata = await streamDecryptToDisk(fileKey, info, {
+      url: `${API_URL}/files/${fileId}/download`,
+      headers: { 'Authorization': `Bearer ${token}` }
+    }, onProgress);
+
+    return { metadata };
+
+  } catch (error) {
+    console.error('%c✗ File download failed:', LOG_STYLES.error, error);
+    throw error;
+  }
+}
+
+/**
+ * Plaintext of a stored file by byte range, fetched and decrypted one chunk
+ * at a time; the last chunk is kept, so consecutive ranges share it
+ * @param {Object} info - File info from the server (chunked files only)
+ * @returns {Object} { range(start, end) } - async iterator of Uint8Arrays for [start, end)
+ */
+function plaintextReader(key, info, source) {
+  const chunks = getChunkLayout(info.iv, info.metadata, info.chunkInfo);
+  const chunkSize = info.metadata.chunkSize;
+  let cached = null;
+
+  const chunkAt = async (n) => {
+    if (cached?.index !== n) {
+      const encryptedChunk = await fetchEncryptedChunk(source.url, source.headers, chunks[n]);
+      cached = { index: n, data: await decryptChunk(key, encryptedChunk, chunks[n], chunks.length) };
+    }
+    return cached.data;
+  };
+
+  return {
+    chunks,
+    async *range(start, end) {
+      for (let n = Math.floor(start / chunkSize); n * chunkSize < end; n++) {
+        const data = await chunkAt(n);
+        yield data.subarray(Math.max(start - n * chunkSize, 0), Math.min(end - n * chunkSize, data.length));
       }
+    }
+  };
+}
+
+async function readAll(iterator, size) {
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for await (const part of iterator) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * Open a shared archive: decrypt its details and read its manifest
+ * Only the chunks holding the manifest are downloaded
+ * @param {string} myUserId - Current user's ID
+ * @param {string} fileId - Archive file ID
+ * @param {string} peerId - Conversation peer (files without a key envelope)
+ * @returns {Object} { fileId, metadata, entries: [{ path, size, type, lastModified, start }], reader }
+ */
+export async function openArchive(myUserId, fileId, peerId) {
+  console.log('%c📦 OPENING ARCHIVE', LOG_STYLES.header);
+  console.log('%c    File ID: ' + fileId, LOG_STYLES.info);
+
+  try {
+    const info = await apiRequest(`/files/${fileId}/info`);
+    const fileKey = await getFileKey(myUserId, info, peerId);
+    const metadata = await decryptFileMetadata(fileKey, info);
+    if (!metadata.archive || !info.chunkInfo) {
+      throw new Error('This file is not an archive');
+    }
+
+    const reader = plaintextReader(fileKey, info, {
+      url: `${API_URL}/files/${fileId}/download`,
+      headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
     });
-    
-    if (!fileResponse.ok) {
-      throw new Error('Failed to download file');
+    await verifyChunkHashes(info, reader.chunks);
+
+    const { manifestSize } = metadata.archive;
+    const manifest = await readAll(reader.range(0, manifestSize), manifestSize);
+    const entries = parseManifest(manifest, metadata.archive, metadata.size);
+
+    console.log('%c✓ ' + entries.length + ' entries in ' + metadata.name, LOG_STYLES.success);
+    return { fileId, metadata, entries, reader };
+
+  } catch (error) {
+    console.error('%c✗ Opening archive failed:', LOG_STYLES.error, error);
+    throw error;
+  }
+}
+
+// A ReadableStream as an async iterator (not every browser iterates streams natively)
+async function* streamParts(stream) {
+  const reader = stream.getReader();
+  let done = false;
+  try {
+    while (!done) {
+      const result = await reader.read();
+      done = result.done;
+      if (!done) yield result.value;
     }
-    
-    const encryptedData = await fileResponse.arrayBuffer();
-    console.log('%c    Downloaded: ' + formatFileSize(encryptedData.byteLength), LOG_STYLES.detail);
-    onProgress(20);
-    
-    let decryptedData;
-    
-    if (isChunked) {
-      // CHUNKED DECRYPTION
-      console.log('%c[5] Decrypting file in chunks...', LOG_STYLES.chunk);
-      const chunkIVs = chunkInfo.ivs.map(ivStr => base64ToArray(ivStr));
-      decryptedData = await decryptFileInChunks(
-        conversationKey, 
-        encryptedData, 
-        chunkIVs, 
-        chunkInfo.sizes,
-        onProgress
-      );
-    } else {
-      // SINGLE FILE DECRYPTION
-      console.log('%c[5] Decrypting file...', LOG_STYLES.info);
-      const ivArray = base64ToArray(iv);
-      decryptedData = await decryptFile(conversationKey, encryptedData, ivArray);
-      onProgress(90);
+  } finally {
+    if (!done) await reader.cancel().catch(() => {});
+  }
+}
+
+// Write a stream of plaintext parts to a saver, reporting progress (0 - 100)
+async function saveParts(saver, parts, size, onProgress) {
+  let written = 0;
+  try {
+    for await (const part of parts) {
+      if (part.length === 0) continue;
+      await saver.write(part);
+      written += part.length;
+      onProgress(size > 0 ? Math.round((written / size) * 100) : 100);
     }
-    
-    // Trigger download
-    console.log('%c[6] Triggering download...', LOG_STYLES.info);
-    downloadDecryptedFile(decryptedData, metadata.name, metadata.type);
-    onProgress(100);
-    
-    console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
-    console.log('%c✓ FILE DOWNLOADED AND DECRYPTED', LOG_STYLES.success);
-    console.log('%c    Original size: ' + formatFileSize(metadata.size), LOG_STYLES.detail);
-    if (isChunked) {
-      console.log('%c    Chunks processed: ' + metadata.totalChunks, LOG_STYLES.detail);
+    await saver.close();
+  } catch (error) {
+    await saver.abort().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Download one entry of an opened archive - only the chunks holding it are fetched
+ * @param {Object} archive - From openArchive
+ * @param {Object} entry - One of archive.entries
+ */
+export async function saveArchiveEntry(archive, entry, onProgress = () => {}) {
+  const name = entry.path.split('/').pop();
+  console.log('%c📥 Saving ' + entry.path + ' (' + formatFileSize(entry.size) + ')', LOG_STYLES.info);
+
+  const saver = await openFileSaver({ name, type: entry.type, size: entry.size });
+  await saveParts(saver, archive.reader.range(entry.start, entry.start + entry.size), entry.size, onProgress);
+  console.log('%c✓ Entry saved', LOG_STYLES.success);
+}
+
+/**
+ * Download every entry of an opened archive as one zip (streamed, not held in memory)
+ * @param {Object} archive - From openArchive
+ */
+export async function saveArchiveAsZip(archive, onProgress = () => {}) {
+  const files = archive.entries.map(entry => ({
+    name: entry.path,
+    lastModified: new Date(entry.lastModified),
+    size: entry.size
+  }));
+  const size = Number(predictLength(files));
+  console.log('%c📥 Saving ' + files.length + ' entries as zip (' + formatFileSize(size) + ')', LOG_STYLES.info);
+
+  // Entries are read in order, so the reader fetches every chunk once
+  const zip = makeZip(files.map((file, n) => ({
+    ...file,
+    input: archive.reader.range(archive.entries[n].start, archive.entries[n].start + file.size)
+  })));
+
+  const saver = await openFileSaver({ name: `${archive.metadata.name}.zip`, type: 'application/zip', size });
+  await saveParts(saver, streamParts(zip), size, onProgress);
+  console.log('%c✓ Zip saved', LOG_STYLES.success);
+}
+
+/**
+ * Download a whole archive as a zip
+ * @param {string} myUserId - Current user's ID
+ * @param {string} fileId - Archive file ID
+ * @param {string} peerId - Conversation peer (files without a key envelope)
+ */
+export async function downloadArchiveAsZip(myUserId, fileId, peerId, onProgress = () => {}) {
+  const archive = await openArchive(myUserId, fileId, peerId);
+  await saveArchiveAsZip(archive, onProgress);
+  return { metadata: archive.metadata };
+}
+
+/**
+ * Status of a share link (public - no login needed)
+ * @returns {Object} { expiresAt, maxDownloads, downloadCount, passwordRequired, available, reason }
+ */
+export function getShareLink(token) {
+  return apiRequest(`/links/${encodeURIComponent(token)}`);
+}
+
+/**
+ * Download and decrypt a file from a share link
+ * @param {string} token - Link token (URL path)
+ * @param {string} keyFragment - File key from the URL fragment (base64url)
+ * @param {string} password - Link password, if the link has one
+ * @param {Function} onProgress - Progress callback
+ * @returns {Object} { metadata, link }
+ */
+export async function downloadFromShareLink(token, keyFragment, password, onProgress = () => {}) {
+  console.log('%c🔗 DOWNLOADING FROM SHARE LINK', LOG_STYLES.header);
+  console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
+
+  try {
+    // Import the key first - a mangled link should not use up a download
+    console.log('%c[1] Importing key from link...', LOG_STYLES.info);
+    let fileKey;
+    try {
+      fileKey = await window.crypto.subtle.importKey('raw', fromBase64Url(keyFragment), { name: "AES-GCM" }, false, ["decrypt"]);
+    } catch (error) {
+      throw fileDecryptionError('The link is incomplete - its key is missing or damaged');
     }
-    console.log('%c━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', LOG_STYLES.detail);
-    
-    return { metadata, decryptedData };
-    
+    onProgress(5);
+
+    // Password check - counts as one download
+    console.log('%c[2] Requesting download...', LOG_STYLES.info);
+    const access = await jsonRequest(`/links/${encodeURIComponent(token)}/access`, 'POST', { password });
+    onProgress(10);
+
+    console.log('%c[3] Decrypting file details...', LOG_STYLES.info);
+    const metadata = await streamDecryptToDisk(fileKey, access.file, {
+      url: `${API_URL}/links/${encodeURIComponent(token)}/download`,
+      headers: { 'X-Link-Grant': access.grant }
+    }, onProgress);
+
+    return { metadata, link: access.link };
+
   } catch (error) {
-    console.error('%c✗ File download failed:', LOG_STYLES.error, error);
+    console.error('%c✗ Share link download failed:', LOG_STYLES.error, error);
     throw error;
   }
 }
 
 /**
- * Get preview URL for an encrypted file (for images)
+ * Get preview URL for an encrypted file: its thumbnail if it has one,
+ * otherwise the whole file (images only)
  * @param {string} myUserId - Current user's ID
  * @param {string} fileId - File ID
- * @param {string} senderId - Sender's user ID
- * @returns {Object} { url, metadata, cleanup }
+ * @param {string} senderId - Sender's user ID (files without a key envelope)
+ * @returns {Object} { url, metadata, thumbnail, cleanup }
  */
 export async function getFilePreview(myUserId, fileId, senderId) {
   console.log('%c🖼️ Creating file preview...', LOG_STYLES.info);
@@ -387,12 +1166,20 @@ export async function getFilePreview(myUserId, fileId, senderId) {
       throw new Error('Failed to get file info');
     }
     
-    const { iv, metadata, sender } = await infoResponse.json();
-    const otherUserId = senderId || sender;
+    const info = await infoResponse.json();
+    const { iv, chunkInfo } = info;
+    
+    // Get file key
+    const fileKey = await getFileKey(myUserId, info, senderId);
+    const metadata = await decryptFileMetadata(fileKey, info);
     
-    // Get conversation key
-    const senderData = await getUser(otherUserId);
-    const conversationKey = await getOrCreateConversationKey(myUserId, otherUserId, senderData.publicKeys.keyExchange);
+    // The thumbnail is enough for a preview - the file stays on the server
+    if (info.thumbnail) {
+      const jpeg = await loadThumbnail(fileKey, fileId, info.thumbnail, metadata.contentId);
+      const url = URL.createObjectURL(jpeg);
+      console.log('%c✓ Preview URL created (thumbnail)', LOG_STYLES.success);
+      return { url, metadata, thumbnail: true, cleanup: () => URL.revokeObjectURL(url) };
+    }
     
     // Download encrypted file
     const fileResponse = await fetch(`${API_URL}/files/${fileId}/download`, {
@@ -407,9 +1194,12 @@ export async function getFilePreview(myUserId, fileId, senderId) {
     
     const encryptedData = await fileResponse.arrayBuffer();
     
-    // Decrypt file
-    const ivArray = base64ToArray(iv);
-    const decryptedData = await decryptFile(conversationKey, encryptedData, ivArray);
+    // Check and decrypt file
+    const chunks = getChunkLayout(iv, metadata, chunkInfo);
+    await verifyChunkHashes(info, chunks);
+    const decryptedData = metadata.chunked && chunkInfo
+      ? await decryptFileInChunks(fileKey, encryptedData, chunks, metadata.size)
+      : await decryptFile(fileKey, encryptedData, base64ToArray(iv));
     
     // Create blob URL
     const blob = new Blob([decryptedData], { type: metadata.type });
@@ -420,6 +1210,7 @@ export async function getFilePreview(myUserId, fileId, senderId) {
     return {
       url,
       metadata,
+      thumbnail: false,
       cleanup: () => URL.revokeObjectURL(url)
     };
     
@@ -429,6 +1220,66 @@ export async function getFilePreview(myUserId, fileId, senderId) {
   }
 }
 
+/**
+ * Decrypt the metadata of files shared with a peer (conversation keys are cached,
+ * so every device pair is derived once)
+ * Files whose metadata cannot be decrypted are kept, marked as undecryptable
+ * @param {Array} files - { _id, metadata, encryptedMetadata, keyEnvelopes, ... } as sent by the server
+ * @returns {Array} Files with plaintext metadata
+ */
+export async function decryptFileList(myUserId, peerId, files) {
+  if (!files.some(file => file.encryptedMetadata)) return files;
+
+  return Promise.all(files.map(async (file) => {
+    try {
+      const fileKey = await getFileKey(myUserId, file, peerId);
+      return { ...file, metadata: await decryptFileMetadata(fileKey, file) };
+    } catch (error) {
+      console.log('%c✗ ' + error.message + ' (file ' + file._id + ')', LOG_STYLES.error);
+      return {
+        ...file,
+        metadata: { ...file.metadata, name: 'Undecryptable file', type: 'application/octet-stream' },
+        decryptionFailed: true
+      };
+    }
+  }));
+}
+
+/**
+ * Share a stored file with another user without uploading it again: the file
+ * key is unwrapped from this device's envelope and wrapped for the recipient's
+ * devices (and our own devices that have no envelope yet)
+ * @param {string} myUserId - Current user's ID
+ * @param {string} fileId - File to share
+ * @param {string} recipientId - User to share it with
+ * @returns {Object} { fileId, keyEnvelopes } - the envelopes added
+ */
+export async function shareFileWith(myUserId, fileId, recipientId) {
+  console.log('%c↪️ SHARING FILE AGAIN', LOG_STYLES.header);
+  console.log('%c    File ID: ' + fileId + ' → ' + recipientId, LOG_STYLES.info);
+
+  try {
+    const info = await apiRequest(`/files/${fileId}/info`);
+    if (!info.keyEnvelopes?.length) {
+      throw new Error('This file was sent before per-file keys - send it as a new upload instead');
+    }
+
+    console.log('%c[1] Unwrapping file key...', LOG_STYLES.info);
+    const fileKey = await getFileKey(myUserId, info);
+
+    console.log('%c[2] Wrapping it for the recipient\'s devices...', LOG_STYLES.info);
+    const keyEnvelopes = await wrapFileKeyForDevices(myUserId, recipientId, fileKey, info.metadata.contentId);
+
+    const result = await jsonRequest(`/files/${fileId}/share`, 'POST', { recipientId, keyEnvelopes });
+    console.log('%c✓ File shared without re-uploading it', LOG_STYLES.success);
+    return result;
+
+  } catch (error) {
+    console.error('%c✗ File share failed:', LOG_STYLES.error, error);
+    throw error;
+  }
+}
+
 /**
  * Get list of files shared with/by user
  * @returns {Array} List of file metadata
@@ -454,9 +1305,26 @@ export async function getSharedFiles() {
   }
 }
 
+/**
+ * Delete a file from the server (sender only) - its share links stop working too
+ * @param {string} fileId
+ */
+export function deleteFile(fileId) {
+  return apiRequest(`/files/${fileId}`, { method: 'DELETE' });
+}
+
+/**
+ * Storage used by the current user
+ * @returns {Object} { used, reserved, quota, files } - sizes in bytes
+ */
+export function getStorageUsage() {
+  return apiRequest('/files/usage');
+}
+
 export default {
   uploadEncryptedFile,
   downloadAndDecryptFile,
   getFilePreview,
+  getFileThumbnail,
   getSharedFiles
 };
@@ -0,0 +1,235 @@
+/**
+ * Group Service
+ * =============
+ *
+ * Sender-key encryption for group conversations:
+ * - Before sending, make sure this device's sender key is current: created
+ *   for the group's membership epoch and distributed to exactly the current
+ *   member devices - otherwise a new key is created and distributed
+ * - Distribution is pairwise, encrypted with the conversation key shared
+ *   with each member device (the server stores it until fetched)
+ * - Incoming messages whose sender key is unknown trigger a fetch of the
+ *   distributions addressed to this device
+ *
+ * Sender key crypto and storage live in crypto/senderKeys.
+ */
+
+import { encryptMessage, decryptMessage } from '../crypto/encryption';
+import { getOrCreateConversationKey } from '../crypto/conversationKey';
+import { getSigningKey } from '../crypto/keyStore';
+import {
+  generateSenderKey,
+  encryptWithSenderKey,
+  decryptWithSenderKey,
+  getSenderKey,
+  saveSenderKey,
+  getOwnSenderKey,
+  saveOwnSenderKey,
+  retireOwnSenderKey,
+  SENDER_KEY_VERSION
+} from '../crypto/senderKeys';
+import { getGroupSenderKeys } from './api';
+import { getDeviceId, deviceAddress, getActiveDevices, getDeviceKeys } from './device';
+import { emitGroupSenderKey } from './socket';
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #db2777; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  success: 'color: #22c55e; font-weight: bold;',
+  warning: 'color: #f59e0b;',
+  detail: 'color: #94a3b8;'
+};
+
+// Distribution IDs already processed this session
+const processedDistributions = new Set();
+// groupId -> in-flight fetch of sender keys (concurrent messages share one fetch)
+const senderKeyFetches = new Map();
+// groupId -> tail of the send queue (sends run one at a time per group)
+const sendQueues = new Map();
+
+/**
+ * Every device the sender key must reach: all active devices of all members
+ * (account keys for members without devices), except this device
+ */
+async function getSenderKeyTargets(userId, group) {
+  const myDeviceId = getDeviceId();
+
+  const perMember = await Promise.all(group.members.map(async ({ userId: memberId }) => {
+    const devices = await getActiveDevices(memberId);
+    if (devices.length === 0) {
+      return [{ userId: memberId, deviceId: null, publicKeys: await getDeviceKeys(memberId, null) }];
+    }
+    return devices.map(device => ({ userId: memberId, deviceId: device.deviceId, publicKeys: device.publicKeys }));
+  }));
+
+  return perMember.flat().filter(target => !(target.userId === userId && target.deviceId === myDeviceId));
+}
+
+const targetAddress = (target) => deviceAddress(target.userId, target.deviceId);
+
+/**
+ * Encrypt a sender key for every target device and hand it to the server
+ */
+async function distributeSenderKey(userId, senderKey, targets) {
+  const payload = JSON.stringify({
+    version: SENDER_KEY_VERSION,
+    groupId: senderKey.groupId,
+    epoch: senderKey.epoch,
+    keyId: senderKey.keyId,
+    senderId: senderKey.senderId,
+    senderDeviceId: senderKey.senderDeviceId,
+    seed: senderKey.seed
+  });
+
+  const copies = await Promise.all(targets.map(async (target) => {
+    const conversationKey = await getOrCreateConversationKey(userId, targetAddress(target), target.publicKeys.keyExchange);
+    const { ciphertext, iv } = await encryptMessage(conversationKey, payload);
+    return { userId: target.userId, deviceId: target.deviceId, ciphertext, iv };
+  }));
+
+  emitGroupSenderKey({ groupId: senderKey.groupId, copies });
+}
+
+async function checkOwnSenderKey(userId, group) {
+  const targets = await getSenderKeyTargets(userId, group);
+  const recipients = targets.map(targetAddress).sort();
+  const current = await getOwnSenderKey(userId, group._id);
+
+  // Still valid only for the same epoch and exactly the same member devices
+  if (current && current.epoch === group.epoch &&
+      current.recipients.join(',') === recipients.join(',')) {
+    return current;
+  }
+
+  console.log('%c🔄 Rotating group sender key', LOG_STYLES.header);
+  console.log('%c    Reason: ' + (current ? 'membership or devices changed' : 'no sender key yet'), LOG_STYLES.detail);
+
+  const senderKey = {
+    ...generateSenderKey(group._id, group.epoch, { senderId: userId, senderDeviceId: getDeviceId() }),
+    recipients
+  };
+
+  // Stored first (for our own history), then distributed, then used
+  await saveSenderKey(userId, senderKey);
+  await saveOwnSenderKey(userId, senderKey);
+  await distributeSenderKey(userId, senderKey, targets);
+
+  console.log('%c✓ Sender key distributed to ' + targets.length + ' device(s)', LOG_STYLES.success);
+  return senderKey;
+}
+
+/**
+ * Run sends for a group one at a time - concurrent sends must neither
+ * create two sender keys nor reuse an iteration
+ */
+function withGroupLock(groupId, operation) {
+  const result = (sendQueues.get(groupId) || Promise.resolve()).then(operation);
+  sendQueues.set(groupId, result.catch(() => {}));
+  return result;
+}
+
+/**
+ * Encrypt a group message once for all members
+ * Rotates and distributes this device's sender key first if needed
+ * @returns {Object} { groupId, senderKey: { keyId, iteration }, ciphertext, iv, signature }
+ */
+export function encryptGroupMessage(userId, group, plaintext) {
+  const groupId = String(group._id);
+
+  return withGroupLock(groupId, async () => {
+    const senderKey = await checkOwnSenderKey(userId, group);
+
+    const encrypted = await encryptWithSenderKey(senderKey, plaintext, await getSigningKey(userId));
+
+    // A message key must never be used twice
+    await saveOwnSenderKey(userId, { ...senderKey, iteration: senderKey.iteration + 1 });
+
+    return { groupId, ...encrypted };
+  });
+}
+
+/**
+ * Decrypt a sender key distribution addressed to this device and store the key
+ * @param {Object} distribution - { _id, group, sender, senderDevice, ciphertext, iv }
+ */
+export async function processSenderKeyDistribution(userId, distribution) {
+  if (processedDistributions.has(String(distribution._id))) return;
+
+  const senderDeviceId = distribution.senderDevice || null;
+  const publicKeys = await getDeviceKeys(distribution.sender, senderDeviceId);
+  const conversationKey = await getOrCreateConversationKey(
+    userId,
+    deviceAddress(distribution.sender, senderDeviceId),
+    publicKeys.keyExchange
+  );
+  const payload = JSON.parse(await decryptMessage(conversationKey, distribution.ciphertext, distribution.iv));
+
+  // The pairwise channel authenticates the sending device - it must also match the claims inside
+  if (payload.version !== SENDER_KEY_VERSION ||
+      payload.groupId !== String(distribution.group) ||
+      payload.senderId !== String(distribution.sender) ||
+      (payload.senderDeviceId || null) !== senderDeviceId) {
+    throw new Error('Sender key distribution does not match its sender');
+  }
+
+  await saveSenderKey(userId, {
+    version: payload.version,
+    keyId: payload.keyId,
+    groupId: payload.groupId,
+    epoch: payload.epoch,
+    senderId: payload.senderId,
+    senderDeviceId,
+    seed: payload.seed
+  });
+  processedDistributions.add(String(distribution._id));
+
+  console.log('%c🔑 Sender key received from ' + deviceAddress(distribution.sender, senderDeviceId), LOG_STYLES.success);
+}
+
+// Fetch and process every sender key distributed to this device for a group
+function fetchSenderKeys(userId, groupId) {
+  if (!senderKeyFetches.has(groupId)) {
+    const fetch = (async () => {
+      const distributions = await getGroupSenderKeys(groupId);
+      for (const distribution of distributions) {
+        try {
+          await processSenderKeyDistribution(userId, distribution);
+        } catch (error) {
+          console.log('%c⚠️ Skipping unreadable sender key: ' + error.message, LOG_STYLES.warning);
+        }
+      }
+    })().finally(() => senderKeyFetches.delete(groupId));
+    senderKeyFetches.set(groupId, fetch);
+  }
+  return senderKeyFetches.get(groupId);
+}
+
+/**
+ * Verify and decrypt a group message (live or from history)
+ * @param {Object} message - { group, sender, senderDevice, senderKey, ciphertext, iv, signature }
+ */
+export async function decryptGroupMessage(userId, message) {
+  const keyId = message.senderKey?.keyId;
+  if (!keyId) {
+    throw new Error('Group message has no sender key header');
+  }
+
+  let senderKey = await getSenderKey(userId, keyId);
+
+  // Distribution may not have arrived yet (or arrived while we were offline)
+  if (!senderKey) {
+    await fetchSenderKeys(userId, String(message.group));
+    senderKey = await getSenderKey(userId, keyId);
+  }
+  if (!senderKey) {
+    throw new Error('Sender key not available on this device');
+  }
+
+  const senderPublicKeys = await getDeviceKeys(message.sender, message.senderDevice || null);
+  return decryptWithSenderKey(senderKey, message, senderPublicKeys.signing);
+}
+
+// Membership changed - the next message is sent with a new sender key
+export function rotateSenderKey(userId, groupId) {
+  return withGroupLock(String(groupId), () => retireOwnSenderKey(userId, String(groupId)));
+}
@@ -0,0 +1,234 @@
+/**
+ * Message Outbox
+ * ==============
+ *
+ * Encrypted messages wait here until the server acknowledges them, so a
+ * message typed while disconnected is sent once the socket reconnects
+ * (also after a page reload). Only ciphertext is stored - never plaintext.
+ *
+ * Every transmission attempt gets fresh replay-protection fields (nonce,
+ * timestamp, sequence); the server recognises retries of a message it
+ * already stored by its message ID and confirms them again.
+ *
+ * Retries back off exponentially; a message is marked failed after
+ * MAX_ATTEMPTS or when the server rejects it outright.
+ */
+
+import { getSocket, initSocket } from './socket';
+import { addReplayProtection } from '../utils/replayProtection';
+
+const DB_NAME = 'CryptShareOutbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'outbox';
+
+// Retry timing
+const ACK_TIMEOUT_MS = 10 * 1000;
+const BASE_RETRY_MS = 2 * 1000;
+const MAX_RETRY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 8;
+
+// Console styling
+const LOG_STYLES = {
+  info: 'color: #60a5fa;',
+  success: 'color: #22c55e; font-weight: bold;',
+  detail: 'color: #94a3b8;',
+  warning: 'color: #f59e0b;',
+  error: 'color: #ef4444; font-weight: bold;'
+};
+
+let currentUserId = null;
+const listeners = new Set();
+const inFlight = new Set(); // Message IDs awaiting an ack
+const retryTimers = new Map(); // Message ID -> backoff timer
+
+// Open/Initialize IndexedDB
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = () => {
+      console.error('%c✗ IndexedDB Error:', LOG_STYLES.error, request.error);
+      reject(request.error);
+    };
+
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('userId', 'userId', { unique: false });
+        console.log('%c✓ Created object store: ' + STORE_NAME, LOG_STYLES.success);
+      }
+    };
+  });
+}
+
+function runRequest(mode, operation) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction([STORE_NAME], mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error('%c✗ Outbox store error:', LOG_STYLES.error, request.error);
+      reject(request.error);
+    };
+  }));
+}
+
+const getEntry = (id) => runRequest('readonly', store => store.get(id));
+const putEntry = (entry) => runRequest('readwrite', store => store.put(entry));
+const deleteEntry = (id) => runRequest('readwrite', store => store.delete(id));
+
+// Tell listeners (the chat view) about a message's new state
+function notify(entry, state, error = null) {
+  for (const listener of listeners) {
+    listener({ messageId: entry.id, peerId: entry.peerId, state, error });
+  }
+}
+
+function backoffDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+function scheduleRetry(entry) {
+  clearTimeout(retryTimers.get(entry.id));
+  retryTimers.set(entry.id, setTimeout(() => {
+    retryTimers.delete(entry.id);
+    transmit(entry.id);
+  }, Math.max(entry.nextAttemptAt - Date.now(), 0)));
+}
+
+// A transmission attempt did not get through - back off, or give up
+async function handleAttemptFailed(entry, error, retryable = true) {
+  if (!retryable || entry.attempts >= MAX_ATTEMPTS) {
+    const failed = { ...entry, state: 'failed', error };
+    await putEntry(failed);
+    console.log('%c✗ Outbox: message ' + entry.id.substring(0, 8) + ' failed - ' + error, LOG_STYLES.error);
+    notify(failed, 'failed', error);
+    return;
+  }
+
+  const retry = { ...entry, nextAttemptAt: Date.now() + backoffDelay(entry.attempts) };
+  await putEntry(retry);
+  console.log('%c⏳ Outbox: retrying ' + entry.id.substring(0, 8) + ' in ' +
+    Math.round((retry.nextAttemptAt - Date.now()) / 1000) + 's (' + error + ')', LOG_STYLES.warning);
+
+  // Waiting for the socket - reconnecting flushes the outbox anyway
+  if (getSocket()?.connected) {
+    scheduleRetry(retry);
+  }
+}
+
+// Send one outbox entry and wait for the server's ack
+async function transmit(id) {
+  if (inFlight.has(id)) return;
+
+  const socket = getSocket();
+  const entry = await getEntry(id);
+  if (!entry || entry.state !== 'pending' || entry.userId !== currentUserId) return;
+  if (!socket?.connected) return; // Sent on reconnect
+
+  // Fresh replay-protection fields for every attempt (stored with the entry)
+  const message = addReplayProtection(entry.message, entry.conversationId);
+  const attempt = { ...entry, message, attempts: entry.attempts + 1, lastAttemptAt: Date.now() };
+  await putEntry(attempt);
+
+  inFlight.add(id);
+  socket.timeout(ACK_TIMEOUT_MS).emit('message', message, async (timeoutError, ack) => {
+    inFlight.delete(id);
+    try {
+      if (timeoutError) {
+        await handleAttemptFailed(attempt, 'no response from server');
+      } else if (ack?.ok) {
+        await deleteEntry(id);
+        console.log('%c✓ Outbox: message ' + id.substring(0, 8) + ' confirmed by server', LOG_STYLES.success);
+        notify(attempt, 'sent');
+      } else {
+        await handleAttemptFailed(attempt, ack?.error || 'rejected by server', Boolean(ack?.retryable));
+      }
+    } catch (error) {
+      console.error('Outbox update failed:', error);
+    }
+  });
+}
+
+/**
+ * Bind the outbox to the logged-in user and send whatever is still pending
+ * Pending messages are sent again on every reconnect
+ * @returns {Function} Unsubscribe
+ */
+export function startOutbox(userId) {
+  currentUserId = userId;
+  const sock = initSocket();
+  const handleConnect = () => {
+    flushOutbox().catch(error => console.error('Outbox flush failed:', error));
+  };
+
+  sock.on('connect', handleConnect);
+  if (sock.connected) {
+    handleConnect();
+  }
+
+  return () => {
+    sock.off('connect', handleConnect);
+    for (const timer of retryTimers.values()) clearTimeout(timer);
+    retryTimers.clear();
+    currentUserId = null;
+  };
+}
+
+// Retry every pending message now (backoff restarts after a reconnect)
+export async function flushOutbox() {
+  const entries = await getOutboxEntries();
+  const pending = entries.filter(entry => entry.state === 'pending');
+  if (pending.length === 0) return;
+
+  console.log('%c📤 Outbox: sending ' + pending.length + ' pending message(s)', LOG_STYLES.info);
+  for (const entry of pending.sort((a, b) => a.createdAt - b.createdAt)) {
+    await transmit(entry.id);
+  }
+}
+
+/**
+ * Queue an encrypted message and try to send it right away
+ * @param {Object} entry - { messageId, peerId, conversationId, message (encrypted, without replay fields) }
+ */
+export async function enqueueMessage({ messageId, peerId, conversationId, message }) {
+  await putEntry({
+    id: messageId,
+    userId: currentUserId,
+    peerId,
+    conversationId,
+    message,
+    state: 'pending',
+    attempts: 0,
+    createdAt: Date.now(),
+    nextAttemptAt: Date.now()
+  });
+  console.log('%c📥 Outbox: queued message ' + messageId.substring(0, 8), LOG_STYLES.detail);
+  await transmit(messageId);
+}
+
+// Send a failed message again (user asked to retry)
+export async function retryMessage(messageId) {
+  const entry = await getEntry(messageId);
+  if (!entry || entry.userId !== currentUserId) return;
+
+  await putEntry({ ...entry, state: 'pending', attempts: 0, error: null, nextAttemptAt: Date.now() });
+  notify(entry, 'sending');
+  await transmit(messageId);
+}
+
+// All outbox entries of the current user (pending and failed)
+export async function getOutboxEntries() {
+  if (!currentUserId) return [];
+  return runRequest('readonly', store => store.index('userId').getAll(currentUserId));
+}
+
+// Listen for state changes: { messageId, peerId, state: 'sending' | 'sent' | 'failed', error }
+export function onOutboxUpdate(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
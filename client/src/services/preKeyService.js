@@ -0,0 +1,70 @@
+/**
+ * PreKey Service
+ * ==============
+ *
+ * Keeps this user's prekey bundle on the server stocked:
+ * - Uploads a signed prekey if none exists or the current one is too old
+ * - Tops up one-time prekeys when the server reports a low supply
+ *
+ * Private halves are generated and stored locally by crypto/prekeys.
+ */
+
+import { createSignedPreKey, createOneTimePreKeys } from '../crypto/prekeys';
+import { getPreKeyCount, uploadPreKeys } from './api';
+
+// One-time prekeys uploaded per batch (server stores at most 200)
+const ONE_TIME_PREKEY_BATCH = 50;
+// Rotate the signed prekey after this age
+const SIGNED_PREKEY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Console logging styles
+const LOG_STYLES = {
+  header: 'background: #7c3aed; color: white; padding: 2px 8px; border-radius: 4px; font-weight: bold;',
+  success: 'color: #22c55e; font-weight: bold;',
+  detail: 'color: #94a3b8;'
+};
+
+// Avoid overlapping uploads (mount + prekeys_low may race)
+let refillInProgress = null;
+
+/**
+ * Make sure the server has a fresh signed prekey and enough one-time prekeys
+ * @param {string} userId - Current user's ID
+ * @param {Object} signingPrivateKeyJwk - Identity signing key (signs the SPK)
+ * @returns {number} One-time prekeys available on the server
+ */
+export function ensurePreKeys(userId, signingPrivateKeyJwk) {
+  if (!refillInProgress) {
+    refillInProgress = refillPreKeys(userId, signingPrivateKeyJwk)
+      .finally(() => { refillInProgress = null; });
+  }
+  return refillInProgress;
+}
+
+async function refillPreKeys(userId, signingPrivateKeyJwk) {
+  const status = await getPreKeyCount();
+
+  const signedPreKeyAge = status.signedPreKeyCreatedAt
+    ? Date.now() - new Date(status.signedPreKeyCreatedAt).getTime()
+    : Infinity;
+  const rotateSignedPreKey = !status.hasSignedPreKey || signedPreKeyAge > SIGNED_PREKEY_MAX_AGE_MS;
+
+  if (!rotateSignedPreKey && !status.low) {
+    console.log('%c[PREKEYS] ' + status.count + ' one-time prekeys available', LOG_STYLES.detail);
+    return status.count;
+  }
+
+  console.log('%c🗝️ Replenishing prekeys', LOG_STYLES.header);
+
+  const signedPreKey = rotateSignedPreKey
+    ? await createSignedPreKey(userId, signingPrivateKeyJwk)
+    : undefined;
+  const oneTimePreKeys = status.low
+    ? await createOneTimePreKeys(userId, ONE_TIME_PREKEY_BATCH)
+    : [];
+
+  const result = await uploadPreKeys(signedPreKey, oneTimePreKeys);
+
+  console.log('%c✓ Prekeys uploaded (' + result.oneTimePreKeyCount + ' one-time prekeys on server)', LOG_STYLES.success);
+  return result.oneTimePreKeyCount;
+}
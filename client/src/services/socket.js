@@ -1,19 +1,34 @@
 import { io } from 'socket.io-client';
 import { encryptMessage, decryptMessage } from '../crypto/encryption';
 import { getOrCreateConversationKey } from '../crypto/conversationKey';
+import { hasRatchet, ratchetEncrypt, ratchetDecrypt } from '../crypto/ratchet';
+import { signMessage, verifySignature } from '../crypto/keyExchange';
+import { getSigningKey } from '../crypto/keyStore';
 import { getUser } from './api';
+import { getDeviceId, deviceAddress, getActiveDevices, getDeviceKeys } from './device';
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
 
 let socket = null;
 let currentUserId = null;
 
+// Receipts are batched per peer and type (a reconnect may deliver many queued messages)
+const RECEIPT_BATCH_MS = 300;
+const MAX_RECEIPT_IDS = 100;
+const pendingReceipts = new Map(); // `${type}:${peerId}` -> { peerId, type, messageIds: Set }
+
+// Edits and deletes wait this long for the server to confirm them
+const CONTROL_ACK_TIMEOUT_MS = 10 * 1000;
+
 // Initialize socket connection
+// The JWT is sent in the handshake; the server binds the socket to its user and device
 export function initSocket() {
   if (!socket) {
     socket = io(SOCKET_URL, {
       autoConnect: true,
-      transports: ['websocket', 'polling']
+      transports: ['websocket', 'polling'],
+      // Callback form so reconnects pick up the current token
+      auth: (cb) => cb({ token: localStorage.getItem('token'), deviceId: getDeviceId() })
     });
     
     socket.on('connect', () => {
@@ -24,14 +39,23 @@ export function initSocket() {
       console.log('Socket disconnected');
     });
     
+    socket.on('connect_error', (error) => {
+      console.error('Socket authentication failed:', error.message);
+    });
+    
     socket.on('error', (error) => {
       console.error('Socket error:', error);
     });
+    
+    socket.on('auth_error', (data) => {
+      console.error(`[Socket] ${data.event} rejected:`, data.error);
+    });
   }
   return socket;
 }
 
 // Join user's room for private messaging
+// (the server already joins the authenticated user's room; it rejects any other userId)
 export function joinRoom(userId) {
   if (socket) {
     socket.emit('join', userId);
@@ -40,6 +64,86 @@ export function joinRoom(userId) {
   }
 }
 
+/**
+ * Encrypt a message for one device
+ * Uses the forward-secret session ratchet when a KEX session exists,
+ * otherwise falls back to the long-term conversation key (peer offline)
+ * @returns {Object} { keyMode, ciphertext, iv, ratchet? }
+ */
+async function encryptForDevice(address, publicKeys, plaintext) {
+  if (hasRatchet(address)) {
+    const { ciphertext, iv, ratchet } = await ratchetEncrypt(address, plaintext);
+    return { keyMode: 'session', ciphertext, iv, ratchet };
+  }
+  
+  // Get or derive conversation key (persistent across sessions)
+  const conversationKey = await getOrCreateConversationKey(currentUserId, address, publicKeys.keyExchange);
+  
+  const { ciphertext, iv } = await encryptMessage(conversationKey, plaintext);
+  return { keyMode: 'conversation', ciphertext, iv };
+}
+
+/**
+ * Encrypt a message for a peer
+ * One copy per active device of the peer and of our own account (our other
+ * devices - and this one, for history - see what we sent)
+ * Peers without registered devices get a single copy for their account keys
+ * @returns {Object} { copies: [{ userId, deviceId, keyMode, ciphertext, iv, ratchet? }] }
+ *                   or { keyMode, ciphertext, iv, ratchet? } for device-less peers
+ */
+export async function encryptForPeer(peerId, plaintext) {
+  const [peerDevices, myDevices] = await Promise.all([
+    getActiveDevices(peerId),
+    getActiveDevices(currentUserId)
+  ]);
+  
+  if (peerDevices.length === 0) {
+    // Get peer's public key from API to derive conversation key
+    const peerData = await getUser(peerId);
+    return encryptForDevice(peerId, peerData.publicKeys, plaintext);
+  }
+  
+  const targets = [
+    ...peerDevices.map(device => ({ userId: peerId, device })),
+    ...myDevices.map(device => ({ userId: currentUserId, device }))
+  ];
+  
+  const copies = await Promise.all(targets.map(async ({ userId, device }) => ({
+    userId,
+    deviceId: device.deviceId,
+    ...await encryptForDevice(deviceAddress(userId, device.deviceId), device.publicKeys, plaintext)
+  })));
+  
+  return { copies };
+}
+
+// Decrypt a message copy addressed to this device
+async function decryptFromDevice(data) {
+  const address = deviceAddress(data.from, data.fromDevice);
+  
+  if (data.keyMode === 'session') {
+    // Forward-secret message - next key from the receiving ratchet chain
+    return ratchetDecrypt(address, data.ciphertext, data.iv, data.ratchet);
+  }
+  
+  // Sending device's public key (account keys for device-less senders)
+  const senderPublicKeys = await getDeviceKeys(data.from, data.fromDevice);
+  
+  // Get or derive conversation key (persistent across sessions)
+  const conversationKey = await getOrCreateConversationKey(currentUserId, address, senderPublicKeys.keyExchange);
+  
+  return decryptMessage(conversationKey, data.ciphertext, data.iv);
+}
+
+// Read back this device's own copy of an outgoing message (e.g. from the outbox after a reload)
+export async function decryptOwnCopy(message) {
+  const own = message.copies?.find(copy => copy.userId === currentUserId && copy.deviceId === getDeviceId());
+  if (!own) {
+    throw new Error('Message has no copy for this device');
+  }
+  return decryptFromDevice({ ...own, from: currentUserId, fromDevice: own.deviceId });
+}
+
 // Send encrypted message
 export async function sendEncryptedMessage(recipientId, plaintext) {
   if (!socket) {
@@ -48,23 +152,14 @@ export async function sendEncryptedMessage(recipientId, plaintext) {
   }
   
   try {
-    // Get recipient's public key from API to derive conversation key
-    const recipientData = await getUser(recipientId);
-    const recipientPublicKeyExchange = recipientData.publicKeys.keyExchange;
-    
-    // Get or derive conversation key (persistent across sessions)
-    const conversationKey = await getOrCreateConversationKey(currentUserId, recipientId, recipientPublicKeyExchange);
-    
-    // Encrypt the message
-    const { ciphertext, iv } = await encryptMessage(conversationKey, plaintext);
+    const encrypted = await encryptForPeer(recipientId, plaintext);
     
     console.log('[Socket] Sending encrypted message to:', recipientId);
     
     // Send encrypted message
     socket.emit('message', {
       to: recipientId,
-      ciphertext,
-      iv,
+      ...encrypted,
       timestamp: Date.now()
     });
     
@@ -84,20 +179,18 @@ export function onMessage(callback) {
       console.log('[Socket] Received encrypted message from:', data.from);
       
       try {
-        // Get sender's public key from API to derive conversation key
-        const senderData = await getUser(data.from);
-        const senderPublicKeyExchange = senderData.publicKeys.keyExchange;
-        
-        // Get or derive conversation key (persistent across sessions)
-        const conversationKey = await getOrCreateConversationKey(currentUserId, data.from, senderPublicKeyExchange);
+        let plaintext = await decryptFromDevice(data);
+        let editedAt;
         
-        // Decrypt the message
-        const plaintext = await decryptMessage(conversationKey, data.ciphertext, data.iv);
+        // A queued copy that was edited before it arrived carries the signed edit
+        if (data.editedAt) {
+          ({ text: plaintext, editedAt } = await openMessageControl(plaintext, { ...data, to: data.to || currentUserId }));
+        }
         
         console.log('[Socket] Message decrypted successfully');
         
         // Call callback with decrypted message
-        callback({ ...data, plaintext, decrypted: true });
+        callback({ ...data, plaintext, editedAt, decrypted: true });
         
       } catch (error) {
         console.error('[Socket] Decryption failed:', error);
@@ -107,6 +200,253 @@ export function onMessage(callback) {
   }
 }
 
+// Everything a receipt signature covers (the receiving device is bound, so it cannot be re-attributed)
+const receiptPayload = (type, messageIds, from, fromDevice, to) => ({
+  type,
+  messageIds,
+  from: String(from),
+  fromDevice: fromDevice || null,
+  to: String(to)
+});
+
+/**
+ * Send one receipt for messages from a peer
+ * The receipt is signed with this device's identity key and encrypted with the
+ * conversation key of each of the peer's devices (never the session ratchet,
+ * so receipts don't consume message keys)
+ * @param {string} peerId - Sender of the messages
+ * @param {string} type - 'delivered' | 'read'
+ * @param {string[]} messageIds - Client message IDs
+ */
+async function sendReceipt(peerId, type, messageIds) {
+  if (!socket || messageIds.length === 0) return;
+  
+  try {
+    const myDeviceId = getDeviceId();
+    const signature = await signMessage(
+      await getSigningKey(currentUserId),
+      receiptPayload(type, messageIds, currentUserId, myDeviceId, peerId)
+    );
+    const plaintext = JSON.stringify({ type, messageIds, signature });
+    
+    const encryptFor = async (address, publicKeys) => {
+      const conversationKey = await getOrCreateConversationKey(currentUserId, address, publicKeys.keyExchange);
+      return encryptMessage(conversationKey, plaintext);
+    };
+    
+    const peerDevices = await getActiveDevices(peerId);
+    let encrypted;
+    if (peerDevices.length === 0) {
+      const peerData = await getUser(peerId);
+      encrypted = await encryptFor(peerId, peerData.publicKeys);
+    } else {
+      encrypted = {
+        copies: await Promise.all(peerDevices.map(async (device) => ({
+          deviceId: device.deviceId,
+          ...await encryptFor(deviceAddress(peerId, device.deviceId), device.publicKeys)
+        })))
+      };
+    }
+    
+    socket.emit('receipt', { to: peerId, type, messageIds, ...encrypted });
+    console.log(`[Socket] Sent ${type} receipt for ${messageIds.length} message(s) to:`, peerId);
+    
+  } catch (error) {
+    console.error('[Socket] Failed to send receipt:', error);
+  }
+}
+
+/**
+ * Queue a delivery or read receipt for a message from a peer
+ * Receipts queued within a short window are sent together
+ */
+export function queueReceipt(peerId, type, messageId) {
+  const batchKey = `${type}:${peerId}`;
+  if (!pendingReceipts.has(batchKey)) {
+    pendingReceipts.set(batchKey, { peerId, type, messageIds: new Set() });
+    setTimeout(() => {
+      const { messageIds } = pendingReceipts.get(batchKey);
+      pendingReceipts.delete(batchKey);
+      
+      const ids = [...messageIds];
+      for (let i = 0; i < ids.length; i += MAX_RECEIPT_IDS) {
+        sendReceipt(peerId, type, ids.slice(i, i + MAX_RECEIPT_IDS));
+      }
+    }, RECEIPT_BATCH_MS);
+  }
+  pendingReceipts.get(batchKey).messageIds.add(messageId);
+}
+
+// Listen for receipts - only receipts that decrypt and carry a valid signature are reported
+export function onReceipt(callback) {
+  const sock = initSocket();
+  sock.off('receipt');
+  sock.on('receipt', async (data) => {
+    try {
+      const plaintext = await decryptFromDevice(data);
+      const { type, messageIds, signature } = JSON.parse(plaintext);
+      
+      // The relayed envelope must match what the peer signed
+      if (type !== data.type || JSON.stringify(messageIds) !== JSON.stringify(data.messageIds)) {
+        throw new Error('Receipt envelope does not match its contents');
+      }
+      
+      const senderPublicKeys = await getDeviceKeys(data.from, data.fromDevice);
+      const valid = await verifySignature(
+        senderPublicKeys.signing,
+        receiptPayload(type, messageIds, data.from, data.fromDevice, currentUserId),
+        signature
+      );
+      if (!valid) {
+        throw new Error('Receipt signature verification failed');
+      }
+      
+      console.log(`[Socket] Verified ${type} receipt from:`, data.from);
+      callback({ from: data.from, type, messageIds });
+      
+    } catch (error) {
+      console.error('[Socket] Rejected receipt:', error);
+    }
+  });
+}
+
+// Everything an edit or delete signature covers: the original message and its conversation
+const controlPayload = (action, messageId, text, at, from, fromDevice, to) => ({
+  action,
+  messageId,
+  text: action === 'edit' ? text : null,
+  at,
+  from: String(from),
+  fromDevice: fromDevice || null,
+  to: String(to)
+});
+
+/**
+ * Edit or delete (for everyone) a message we sent to a peer
+ * The control message references the original message ID, is signed with this
+ * device's identity key and encrypted with the conversation key of every device
+ * of the peer and of our own account (never the session ratchet - the server
+ * stores an edit in place of the original, which must stay readable in history)
+ * @param {string} peerId - Recipient of the original message
+ * @param {string} action - 'edit' | 'delete'
+ * @param {string} messageId - Client message ID of the original message
+ * @param {string} [text] - New text (edits)
+ * @returns {Promise<Object>} { at } - Signed time of the change
+ */
+export async function sendMessageControl(peerId, action, messageId, text) {
+  const sock = initSocket();
+  const myDeviceId = getDeviceId();
+  const at = Date.now();
+
+  const signature = await signMessage(
+    await getSigningKey(currentUserId),
+    controlPayload(action, messageId, text, at, currentUserId, myDeviceId, peerId)
+  );
+  const plaintext = JSON.stringify({
+    action,
+    messageId,
+    text: action === 'edit' ? text : null,
+    at,
+    device: myDeviceId,
+    signature
+  });
+
+  const encryptFor = async (address, publicKeys) => {
+    const conversationKey = await getOrCreateConversationKey(currentUserId, address, publicKeys.keyExchange);
+    return encryptMessage(conversationKey, plaintext);
+  };
+
+  const [peerDevices, myDevices] = await Promise.all([
+    getActiveDevices(peerId),
+    getActiveDevices(currentUserId)
+  ]);
+  let encrypted;
+  if (peerDevices.length === 0) {
+    const peerData = await getUser(peerId);
+    encrypted = await encryptFor(peerId, peerData.publicKeys);
+  } else {
+    const targets = [
+      ...peerDevices.map(device => ({ userId: peerId, device })),
+      ...myDevices.map(device => ({ userId: currentUserId, device }))
+    ];
+    encrypted = {
+      copies: await Promise.all(targets.map(async ({ userId, device }) => ({
+        userId,
+        deviceId: device.deviceId,
+        ...await encryptFor(deviceAddress(userId, device.deviceId), device.publicKeys)
+      })))
+    };
+  }
+
+  await new Promise((resolve, reject) => {
+    sock.timeout(CONTROL_ACK_TIMEOUT_MS).emit('message_control', {
+      from: currentUserId,
+      to: peerId,
+      action,
+      messageId,
+      ...encrypted
+    }, (timeoutError, ack) => {
+      if (timeoutError) {
+        reject(new Error('Server did not respond'));
+      } else if (!ack?.ok) {
+        reject(new Error(ack?.error || 'Server rejected the change'));
+      } else {
+        resolve();
+      }
+    });
+  });
+
+  console.log(`[Socket] Sent ${action} of message ${messageId} to:`, peerId);
+  return { at };
+}
+
+/**
+ * Open a decrypted edit or delete and check its signature
+ * Only the original sender's devices can produce a valid one
+ * @param {string} plaintext - Decrypted control message
+ * @param {Object} envelope - { from, to, messageId, action? } - who sent it and what it references
+ * @returns {Promise<Object>} { action, messageId, text, editedAt }
+ * @throws {Error} if it does not match the envelope or the signature is invalid
+ */
+export async function openMessageControl(plaintext, envelope) {
+  const control = JSON.parse(plaintext);
+  const action = envelope.action || 'edit';
+
+  if (control.action !== action || control.messageId !== envelope.messageId || !Number.isFinite(control.at) ||
+      (action === 'edit' && typeof control.text !== 'string')) {
+    throw new Error('Control message does not match its envelope');
+  }
+
+  const senderPublicKeys = await getDeviceKeys(envelope.from, control.device || null);
+  const valid = await verifySignature(
+    senderPublicKeys.signing,
+    controlPayload(action, control.messageId, control.text, control.at, envelope.from, control.device, envelope.to),
+    control.signature
+  );
+  if (!valid) {
+    throw new Error('Control message signature verification failed');
+  }
+
+  return { action, messageId: control.messageId, text: control.text, editedAt: control.at };
+}
+
+// Listen for edits and deletes - only ones that decrypt and carry a valid signature are reported
+export function onMessageControl(callback) {
+  const sock = initSocket();
+  sock.off('message_control');
+  sock.on('message_control', async (data) => {
+    try {
+      const control = await openMessageControl(await decryptFromDevice(data), data);
+
+      console.log(`[Socket] Verified ${control.action} of message ${control.messageId} from:`, data.from);
+      callback({ from: data.from, to: data.to, ...control });
+
+    } catch (error) {
+      console.error('[Socket] Rejected message control:', error);
+    }
+  });
+}
+
 // Key Exchange Events
 export function sendKexInit(data) {
   if (socket) {
@@ -135,6 +475,16 @@ export function sendKexConfirm(data) {
   }
 }
 
+// Asynchronous key exchange (prekey handshake) - stored by the server if the peer is offline
+export function sendKexPrekey(data) {
+  if (socket) {
+    console.log('[Socket] Sending kex_prekey to:', data.receiverId);
+    socket.emit('kex_prekey', data);
+  } else {
+    console.error('[Socket] Cannot send kex_prekey: socket not connected');
+  }
+}
+
 export function onKexInit(callback) {
   const sock = initSocket(); // Ensure socket exists
   sock.off('kex_init'); // Remove any existing listener
@@ -162,6 +512,110 @@ export function onKexConfirm(callback) {
   });
 }
 
+export function onKexPrekey(callback) {
+  const sock = initSocket();
+  sock.off('kex_prekey');
+  sock.on('kex_prekey', (data) => {
+    console.log('[Socket] Received kex_prekey from:', data.senderId);
+    callback(data);
+  });
+}
+
+// Server reports the peer is offline - interactive KEX cannot complete
+export function onKexPeerOffline(callback) {
+  const sock = initSocket();
+  sock.off('kex_peer_offline');
+  sock.on('kex_peer_offline', (data) => {
+    console.log('[Socket] Peer offline for kex_init:', data.peerId);
+    callback(data);
+  });
+}
+
+// Server reports our one-time prekey supply is running low
+export function onPreKeysLow(callback) {
+  const sock = initSocket();
+  sock.off('prekeys_low');
+  sock.on('prekeys_low', (data) => {
+    console.log('[Socket] One-time prekeys running low:', data.remaining);
+    callback(data);
+  });
+}
+
+// A contact's identity keys were replaced (new device login)
+export function onKeysChanged(callback) {
+  const sock = initSocket();
+  sock.off('keys_changed');
+  sock.on('keys_changed', (data) => {
+    console.log('[Socket] Identity keys changed for user:', data.userId);
+    callback(data);
+  });
+}
+
+// Handshake rejected by the server (e.g. expired token, revoked device)
+export function onConnectError(callback) {
+  const sock = initSocket();
+  sock.on('connect_error', callback);
+  return () => sock.off('connect_error', callback);
+}
+
+// A user's device list changed (device added, re-keyed or revoked)
+export function onDevicesChanged(callback) {
+  const sock = initSocket();
+  sock.off('devices_changed');
+  sock.on('devices_changed', (data) => {
+    console.log(`[Socket] Device ${data.action} for user:`, data.userId);
+    callback(data);
+  });
+}
+
+// Group messages (one sender-key ciphertext for all members)
+export function emitGroupMessage(data) {
+  if (socket) {
+    console.log('[Socket] Sending group_message to group:', data.groupId);
+    socket.emit('group_message', data);
+  } else {
+    console.error('[Socket] Cannot send group_message: socket not connected');
+  }
+}
+
+// Sender key distribution - one pairwise-encrypted copy per member device
+export function emitGroupSenderKey(data) {
+  if (socket) {
+    console.log('[Socket] Sending group_sender_key to group:', data.groupId, `(${data.copies.length} copies)`);
+    socket.emit('group_sender_key', data);
+  } else {
+    console.error('[Socket] Cannot send group_sender_key: socket not connected');
+  }
+}
+
+export function onGroupMessage(callback) {
+  const sock = initSocket();
+  sock.off('group_message');
+  sock.on('group_message', (data) => {
+    console.log('[Socket] Received group_message in group:', data.group);
+    callback(data);
+  });
+}
+
+export function onGroupSenderKey(callback) {
+  const sock = initSocket();
+  sock.off('group_sender_key');
+  sock.on('group_sender_key', (data) => {
+    console.log('[Socket] Received group_sender_key from:', data.sender);
+    callback(data);
+  });
+}
+
+// A group was created or its membership changed (sender keys must rotate)
+export function onGroupUpdated(callback) {
+  const sock = initSocket();
+  sock.off('group_updated');
+  sock.on('group_updated', (data) => {
+    console.log(`[Socket] Group ${data.action}:`, data.groupId);
+    callback(data);
+  });
+}
+
 // Listen for file sharing notifications
 export function onFileShared(callback) {
   const sock = initSocket();
@@ -172,6 +626,16 @@ export function onFileShared(callback) {
   });
 }
 
+// Listen for files deleted by their sender (or on another of our devices)
+export function onFileDeleted(callback) {
+  const sock = initSocket();
+  sock.off('file_deleted');
+  sock.on('file_deleted', (data) => {
+    console.log('[Socket] File deleted:', data.fileId);
+    callback(data);
+  });
+}
+
 // Emit file shared notification
 export function emitFileShared(data) {
   if (socket) {
@@ -180,6 +644,35 @@ export function emitFileShared(data) {
   }
 }
 
+// Direct (peer-to-peer) transfer signaling - offers, answers and ICE candidates
+export function sendP2PSignal(data) {
+  if (socket) {
+    console.log(`[Socket] Sending p2p_signal (${data.type}) to:`, data.to);
+    socket.emit('p2p_signal', data);
+  } else {
+    console.error('[Socket] Cannot send p2p_signal: socket not connected');
+  }
+}
+
+export function onP2PSignal(callback) {
+  const sock = initSocket();
+  sock.off('p2p_signal');
+  sock.on('p2p_signal', (data) => {
+    console.log(`[Socket] Received p2p_signal (${data.type}) from:`, data.from);
+    callback(data);
+  });
+}
+
+// Server reports the recipient (or its device) is offline - no direct connection possible
+export function onP2PUnavailable(callback) {
+  const sock = initSocket();
+  sock.off('p2p_unavailable');
+  sock.on('p2p_unavailable', (data) => {
+    console.log('[Socket] Peer offline for direct transfer:', data.to);
+    callback(data);
+  });
+}
+
 // Listen for message errors (e.g., replay attack detection)
 export function onMessageError(callback) {
   const sock = initSocket();
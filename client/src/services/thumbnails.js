@@ -0,0 +1,147 @@
+/**
+ * Thumbnails
+ * ==========
+ *
+ * Small JPEG previews made in the browser before a file is encrypted:
+ * - Images: scaled down
+ * - PDFs: the first page, rendered with pdf.js (loaded on first use)
+ * - Videos: a poster frame from the first seconds
+ *
+ * Other types (and files the browser cannot decode) get no thumbnail.
+ * The thumbnail is encrypted and uploaded next to the file, so chats can
+ * show it without downloading the file itself.
+ */
+
+const MAX_DIMENSION = 320; // px, longest side
+const JPEG_QUALITY = 0.7;
+const MAX_IMAGE_SIZE = 50 * 1024 * 1024; // Images and PDFs are decoded in memory
+const MAX_PDF_SIZE = 50 * 1024 * 1024;
+const VIDEO_TIMEOUT_MS = 10000;
+
+// Console logging styles
+const LOG_STYLES = {
+  info: 'color: #60a5fa;',
+  warning: 'color: #f59e0b;'
+};
+
+// Canvas of at most MAX_DIMENSION on its longest side, white behind transparent parts
+function thumbnailCanvas(width, height) {
+  const scale = Math.min(1, MAX_DIMENSION / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  return { canvas, context, scale };
+}
+
+const toJpeg = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas could not be encoded'))), 'image/jpeg', JPEG_QUALITY);
+});
+
+// Run fn with an object URL of the file, revoked afterwards
+async function withObjectUrl(file, fn) {
+  const url = URL.createObjectURL(file);
+  try {
+    return await fn(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function imageThumbnail(file) {
+  if (file.size > MAX_IMAGE_SIZE) return null;
+
+  return withObjectUrl(file, async (url) => {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const { canvas, context } = thumbnailCanvas(image.naturalWidth, image.naturalHeight);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    return toJpeg(canvas);
+  });
+}
+
+async function pdfThumbnail(file) {
+  if (file.size > MAX_PDF_SIZE) return null;
+
+  const pdfjs = await import('pdfjs-dist');
+  if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+    pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
+  }
+
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const page = await pdf.getPage(1);
+    const viewport = page.getViewport({ scale: 1 });
+    const { canvas, context, scale } = thumbnailCanvas(viewport.width, viewport.height);
+
+    await page.render({ canvasContext: context, viewport: page.getViewport({ scale }) }).promise;
+    return toJpeg(canvas);
+  } finally {
+    pdf.destroy();
+  }
+}
+
+// Resolves when the element fires `event`, rejects on an error or after VIDEO_TIMEOUT_MS
+const videoEvent = (video, event) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('Video did not load in time')), VIDEO_TIMEOUT_MS);
+  video.addEventListener(event, () => { clearTimeout(timer); resolve(); }, { once: true });
+  video.addEventListener('error', () => { clearTimeout(timer); reject(new Error('Video could not be decoded')); }, { once: true });
+});
+
+async function videoThumbnail(file) {
+  return withObjectUrl(file, async (url) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    try {
+      const loaded = videoEvent(video, 'loadeddata');
+      video.src = url;
+      await loaded;
+
+      // Skip black intro frames: one second in, or 10% for short clips
+      const seeked = videoEvent(video, 'seeked');
+      video.currentTime = Math.min(1, (video.duration || 0) * 0.1);
+      await seeked;
+
+      const { canvas, context } = thumbnailCanvas(video.videoWidth, video.videoHeight);
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      return toJpeg(canvas);
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+    }
+  });
+}
+
+/**
+ * Make a thumbnail of a file, if its type has one
+ * Never throws - a file that cannot be previewed just has no thumbnail
+ * @param {File} file - File about to be uploaded
+ * @returns {Promise<Blob|null>} JPEG thumbnail
+ */
+export async function createThumbnail(file) {
+  const type = file.type || '';
+  let make = null;
+  if (type.startsWith('image/')) make = imageThumbnail;
+  else if (type === 'application/pdf') make = pdfThumbnail;
+  else if (type.startsWith('video/')) make = videoThumbnail;
+  if (!make) return null;
+
+  try {
+    const thumbnail = await make(file);
+    if (thumbnail) {
+      console.log('%c    Thumbnail: ' + Math.ceil(thumbnail.size / 1024) + ' KB', LOG_STYLES.info);
+    }
+    return thumbnail;
+  } catch (error) {
+    console.log('%c    No thumbnail (' + error.message + ')', LOG_STYLES.warning);
+    return null;
+  }
+}
@@ -9,10 +9,20 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const messageRoutes = require('./routes/messages');
 const fileRoutes = require('./routes/files');
+const linkRoutes = require('./routes/links');
 const logsRoutes = require('./routes/logs');
+const keyRoutes = require('./routes/keys');
+const groupRoutes = require('./routes/groups');
 const Message = require('./models/Message');
+const File = require('./models/File');
+const Device = require('./models/Device');
+const Group = require('./models/Group');
+const SenderKeyDistribution = require('./models/SenderKeyDistribution');
+const PendingHandshake = require('./models/PendingHandshake');
 const { validateSocketMessage } = require('./middleware/replayProtection');
+const { authenticateSocket } = require('./middleware/auth');
 const logger = require('./services/logger');
+const { startFileSweeper } = require('./services/fileRetention');
 
 // Initialize Express app
 const app = express();
@@ -33,34 +43,362 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Routes can notify users over the socket (e.g. prekey supply running low)
+app.set('io', io);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/links', linkRoutes);
 app.use('/api/logs', logsRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/groups', groupRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'CryptShare E2E Server is running' });
 });
 
+// Authenticate every socket with the JWT before any event is handled
+io.use(authenticateSocket);
+
+// Delivery receipts
+const RECEIPT_TYPES = ['delivered', 'read'];
+const MAX_RECEIPT_IDS = 100;
+// Queued messages delivered per reconnect (the rest follow on the next one)
+const MAX_QUEUED_FLUSH = 500;
+// Edits and deletes of sent messages
+const MESSAGE_CONTROL_ACTIONS = ['edit', 'delete'];
+// Direct transfer signaling
+const P2P_SIGNAL_TYPES = ['offer', 'answer', 'candidate', 'decline', 'cancel', 'taken'];
+
+/**
+ * Reject an event whose claimed sender differs from the authenticated user
+ * Returns true if the event was rejected
+ */
+async function rejectSpoofedSender(socket, event, claimedSenderId, required = false) {
+  if (claimedSenderId === undefined && !required) return false;
+  if (String(claimedSenderId) === socket.userId) return false;
+  
+  console.log(`[Socket] ⚠️ Spoofed ${event} blocked: ${socket.userId} claimed to be ${claimedSenderId}`);
+  
+  await logger.logUnauthorizedAccess(socket.userId, `socket:${event}`, socket.handshake.address);
+  
+  socket.emit('auth_error', {
+    event,
+    error: 'Sender does not match authenticated user'
+  });
+  return true;
+}
+
+/**
+ * Reject an event whose claimed sender device differs from the socket's device
+ * Returns true if the event was rejected
+ */
+async function rejectSpoofedDevice(socket, event, claimedDeviceId) {
+  if (claimedDeviceId === undefined || claimedDeviceId === socket.deviceId) return false;
+  
+  console.log(`[Socket] ⚠️ Spoofed ${event} blocked: device ${socket.deviceId} claimed to be ${claimedDeviceId}`);
+  
+  await logger.logUnauthorizedAccess(socket.userId, `socket:${event}`, socket.handshake.address);
+  
+  socket.emit('auth_error', {
+    event,
+    error: 'Sender device does not match authenticated device'
+  });
+  return true;
+}
+
+// Room of a single device (scoped by user - device IDs are client-chosen)
+function deviceRoom(userId, deviceId) {
+  return `device:${userId}:${deviceId}`;
+}
+
+// Key exchange messages must name a valid receiver (and, optionally, one of its devices)
+function isKexPayload(data) {
+  return isPayload(data) &&
+    mongoose.isValidObjectId(data.receiverId) &&
+    (data.receiverDeviceId == null || typeof data.receiverDeviceId === 'string');
+}
+
+// Room a key exchange message is addressed to: one device, or all of a user's sockets
+function kexRoom(data) {
+  return data.receiverDeviceId ? deviceRoom(data.receiverId, data.receiverDeviceId) : String(data.receiverId);
+}
+
+// Client message IDs are opaque strings (UUIDs) - anything else is dropped
+function sanitizeMessageId(messageId) {
+  return typeof messageId === 'string' && messageId.length > 0 && messageId.length <= 64 ? messageId : null;
+}
+
+// Socket payloads are untrusted - anything but a plain object is dropped
+function isPayload(data) {
+  return Boolean(data) && typeof data === 'object' && !Array.isArray(data);
+}
+
+// Check whether a room (user or device) has at least one connected socket
+function isUserOnline(room) {
+  return (io.sockets.adapter.rooms.get(String(room))?.size || 0) > 0;
+}
+
+/**
+ * Fan out a multi-device message: one separately encrypted copy per device
+ * Copies may only target active devices of the recipient or of the sender
+ * Returns false if the copies could not be stored
+ */
+async function relayDeviceCopies(socket, data, copies) {
+  const { to, timestamp, nonce, sequence } = data;
+  const messageId = sanitizeMessageId(data.messageId);
+  let deliverable;
+  
+  // Store every copy before relaying (server cannot decrypt any of them)
+  // so a delivery receipt always finds the copy it acknowledges
+  try {
+    const devices = await Device.find({
+      user: { $in: [to, socket.userId] },
+      deviceId: { $in: copies.map(c => c.deviceId).filter(deviceId => typeof deviceId === 'string') },
+      revokedAt: null
+    }, 'user deviceId');
+    const activeDevices = new Set(devices.map(d => `${d.user}:${d.deviceId}`));
+    
+    deliverable = copies.filter(copy => activeDevices.has(`${copy.userId}:${copy.deviceId}`));
+    if (deliverable.length < copies.length) {
+      console.log(`[Message] Dropped ${copies.length - deliverable.length} copy/copies for unknown or revoked devices`);
+    }
+    
+    await Message.insertMany(deliverable.map(copy => {
+      const keyMode = copy.keyMode === 'session' ? 'session' : 'conversation';
+      // Copies for our other devices stay in the conversation with `to`; offline ones are synced on reconnect
+      const ownDevice = copy.userId === socket.userId && copy.deviceId !== socket.deviceId;
+      return {
+        sender: socket.userId,
+        recipient: to,
+        senderDevice: socket.deviceId || null,
+        recipientDevice: copy.deviceId,
+        syncPending: ownDevice && !isUserOnline(deviceRoom(socket.userId, copy.deviceId)),
+        keyMode,
+        ratchet: keyMode === 'session' ? copy.ratchet : undefined,
+        ciphertext: copy.ciphertext,
+        iv: copy.iv,
+        messageId,
+        nonce: nonce || '',
+        timestamp: new Date(timestamp)
+      };
+    }));
+    console.log(`[Message] ${deliverable.length} encrypted device copies stored in MongoDB`);
+  } catch (error) {
+    console.error('[Message] Failed to store message copies:', error);
+    return false;
+  }
+  
+  for (const copy of deliverable) {
+    const keyMode = copy.keyMode === 'session' ? 'session' : 'conversation';
+    
+    // The sending device already shows its own message
+    if (copy.userId === socket.userId && copy.deviceId === socket.deviceId) continue;
+    
+    io.to(deviceRoom(copy.userId, copy.deviceId)).emit('message', {
+      from: socket.userId,
+      fromDevice: socket.deviceId,
+      to,
+      keyMode,
+      ratchet: copy.ratchet,
+      ciphertext: copy.ciphertext,
+      iv: copy.iv,
+      messageId,
+      timestamp,
+      nonce,
+      sequence
+    });
+  }
+  return true;
+}
+
+/**
+ * Deliver message copies stored while this device was offline
+ * Copies from others stay queued ('sent') until the device returns a delivery receipt;
+ * copies of what the user sent from another device are marked synced once emitted
+ */
+async function flushPendingMessages(socket) {
+  const [pending, ownCopies] = await Promise.all([
+    Message.find({
+      recipient: socket.userId,
+      sender: { $ne: socket.userId },
+      group: null,
+      recipientDevice: { $in: [socket.deviceId || null, null] },
+      status: 'sent',
+      deletedAt: null
+    })
+      .sort({ timestamp: 1 })
+      .limit(MAX_QUEUED_FLUSH),
+    socket.deviceId
+      ? Message.find({
+        sender: socket.userId,
+        recipientDevice: socket.deviceId,
+        syncPending: true,
+        group: null,
+        deletedAt: null
+      })
+        .sort({ timestamp: 1 })
+        .limit(MAX_QUEUED_FLUSH)
+      : []
+  ]);
+  
+  const queued = [...pending, ...ownCopies].sort((a, b) => a.timestamp - b.timestamp);
+  if (queued.length === 0) return;
+  console.log(`[Message] Delivering ${queued.length} queued message(s) to ${socket.userId}`);
+  
+  for (const message of queued) {
+    socket.emit('message', {
+      from: String(message.sender),
+      fromDevice: message.senderDevice,
+      to: String(message.recipient),
+      keyMode: message.keyMode,
+      ratchet: message.keyMode === 'session' ? message.ratchet : undefined,
+      ciphertext: message.ciphertext,
+      iv: message.iv,
+      messageId: message.messageId,
+      editedAt: message.editedAt ? message.editedAt.getTime() : undefined,
+      timestamp: message.timestamp.getTime(),
+      nonce: message.nonce,
+      queued: true
+    });
+  }
+  
+  if (ownCopies.length > 0) {
+    await Message.updateMany({ _id: { $in: ownCopies.map(m => m._id) } }, { syncPending: false });
+  }
+}
+
+// Group the socket's user belongs to (null for unknown groups and non-members)
+async function findSocketGroup(socket, groupId) {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+  return Group.findOne({ _id: groupId, 'members.user': socket.userId }, 'members.user epoch');
+}
+
+/**
+ * Relay a member's sender key, encrypted separately for each member device
+ * Copies may only target active devices of current members
+ * (members without registered devices get one copy for their account)
+ */
+async function relaySenderKeyCopies(socket, group, copies) {
+  const memberIds = new Set(group.members.map(member => String(member.user)));
+  const devices = await Device.find({ user: { $in: [...memberIds] }, revokedAt: null }, 'user deviceId');
+  const activeDevices = new Set(devices.map(d => `${d.user}:${d.deviceId}`));
+  const usersWithDevices = new Set(devices.map(d => String(d.user)));
+  
+  const deliverable = copies.filter(copy => (
+    memberIds.has(String(copy.userId)) && (copy.deviceId
+      ? activeDevices.has(`${copy.userId}:${copy.deviceId}`)
+      : !usersWithDevices.has(String(copy.userId)))
+  ));
+  if (deliverable.length < copies.length) {
+    console.log(`[Group] Dropped ${copies.length - deliverable.length} sender key copy/copies for non-members or revoked devices`);
+  }
+  
+  // Stored until the recipient device fetches it (possibly after being offline)
+  const stored = await SenderKeyDistribution.insertMany(deliverable.map(copy => ({
+    group: group._id,
+    sender: socket.userId,
+    senderDevice: socket.deviceId || null,
+    recipient: copy.userId,
+    recipientDevice: copy.deviceId || null,
+    ciphertext: copy.ciphertext,
+    iv: copy.iv
+  })));
+  
+  for (const distribution of stored) {
+    const room = distribution.recipientDevice
+      ? deviceRoom(distribution.recipient, distribution.recipientDevice)
+      : String(distribution.recipient);
+    io.to(room).emit('group_sender_key', {
+      _id: distribution._id,
+      group: String(group._id),
+      sender: socket.userId,
+      senderDevice: distribution.senderDevice,
+      ciphertext: distribution.ciphertext,
+      iv: distribution.iv,
+      createdAt: distribution.createdAt
+    });
+  }
+  
+  console.log(`[Group] Sender key distributed to ${stored.length} device(s) of group ${group._id}`);
+}
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+  console.log('User connected:', socket.id, `(user ${socket.userId})`);
+
+  // Socket is bound to the token's user - join their private room
+  socket.join(socket.userId);
+  
+  // ...and to its device's room (multi-device fan-out)
+  if (socket.deviceId) {
+    socket.join(deviceRoom(socket.userId, socket.deviceId));
+    Device.updateOne({ user: socket.userId, deviceId: socket.deviceId }, { lastSeen: new Date() })
+      .catch(error => console.error('[Device] Failed to update lastSeen:', error));
+  }
+
+  // Deliver prekey handshakes that arrived while this device was offline
+  PendingHandshake.find({
+    recipient: socket.userId,
+    recipientDevice: { $in: [socket.deviceId || null, null] }
+  })
+    .sort({ createdAt: 1 })
+    .then(async (pending) => {
+      if (pending.length === 0) return;
+      console.log(`[KEX] Delivering ${pending.length} pending prekey handshake(s) to ${socket.userId}`);
+      for (const entry of pending) {
+        socket.emit('kex_prekey', entry.handshake);
+      }
+      await PendingHandshake.deleteMany({ _id: { $in: pending.map(p => p._id) } });
+    })
+    .catch(error => console.error('[KEX] Failed to deliver pending handshakes:', error));
 
-  // Join a room (for private messaging)
-  socket.on('join', (userId) => {
-    socket.userId = userId; // Store userId on socket for message relay
-    socket.join(userId);
-    console.log(`User ${userId} joined their room`);
+  // ...and messages that arrived while it was offline
+  flushPendingMessages(socket)
+    .catch(error => console.error('[Message] Failed to deliver queued messages:', error));
+
+  // Join a room (kept for older clients - only the authenticated user's room)
+  socket.on('join', async (userId) => {
+    if (await rejectSpoofedSender(socket, 'join', userId)) return;
+    socket.join(socket.userId);
+    console.log(`User ${socket.userId} joined their room`);
   });
 
   // Relay encrypted message (server cannot decrypt)
-  socket.on('message', async (data) => {
-    const { to, ciphertext, iv, timestamp, nonce, sequence } = data;
+  // Multi-device clients send `copies` - one ciphertext per device
+  // The ack callback (if any) tells the client's outbox whether the message was accepted:
+  // { ok: true } once stored, { ok: false, error, retryable } otherwise
+  socket.on('message', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!data || typeof data !== 'object' || !mongoose.isValidObjectId(data.to)) {
+      reply({ ok: false, error: 'Invalid request', retryable: false });
+      return;
+    }
+    
+    const { to, ciphertext, iv, timestamp, nonce, sequence, ratchet } = data;
+    const messageId = sanitizeMessageId(data.messageId);
+    const keyMode = data.keyMode === 'session' ? 'session' : 'conversation';
+    const copies = Array.isArray(data.copies)
+      ? data.copies.filter(copy => copy && typeof copy === 'object')
+      : null;
+    
+    if (await rejectSpoofedSender(socket, 'message', data.from)) {
+      reply({ ok: false, error: 'Sender does not match authenticated user', retryable: false });
+      return;
+    }
     
     console.log(`[Message] Encrypted message from ${socket.userId} to ${to}`);
     
+    // Outbox retry of a message we already stored (the ack was lost) - confirm it again
+    if (messageId && await Message.exists({ sender: socket.userId, messageId })) {
+      console.log(`[Message] Duplicate delivery of ${messageId} ignored`);
+      reply({ ok: true, duplicate: true });
+      return;
+    }
+    
     // Validate replay protection
     const validation = validateSocketMessage(
       { nonce, timestamp, sequence },
@@ -86,74 +424,469 @@ io.on('connection', (socket) => {
         error: 'Replay attack detected',
         details: validation.errors
       });
+      reply({ ok: false, error: 'Replay attack detected', retryable: false });
       return;
     }
     
     // Log successful message
     await logger.logMessageSent(socket.userId, to);
     
+    if (copies) {
+      const stored = await relayDeviceCopies(socket, data, copies);
+      reply(stored ? { ok: true } : { ok: false, error: 'Failed to store message', retryable: true });
+      return;
+    }
+    
+    // Store encrypted message in MongoDB (before relaying, so receipts find it)
+    // Server cannot decrypt - only stores ciphertext + metadata
+    try {
+      await Message.create({
+        sender: socket.userId,
+        recipient: to,
+        keyMode,
+        ratchet: keyMode === 'session' ? ratchet : undefined,
+        ciphertext,
+        iv,
+        messageId,
+        nonce: nonce || '',
+        timestamp: new Date(timestamp)
+      });
+      console.log(`[Message] Encrypted message stored in MongoDB`);
+    } catch (error) {
+      console.error('[Message] Failed to store message:', error);
+      reply({ ok: false, error: 'Failed to store message', retryable: true });
+      return;
+    }
+    
     // Forward to recipient (still encrypted)
     io.to(to).emit('message', {
       from: socket.userId,
+      keyMode,
+      ratchet,
       ciphertext,
       iv,
+      messageId,
       timestamp,
       nonce,
       sequence
     });
+    reply({ ok: true });
+  });
+
+  // Delivery / read receipt for messages from `to`
+  // The receipt itself is encrypted and signed for the sender's devices;
+  // the plain type and message IDs only update the stored delivery state
+  socket.on('receipt', async (data) => {
+    if (!isPayload(data)) return;
+    
+    const { to, type } = data;
+    const messageIds = Array.isArray(data.messageIds)
+      ? data.messageIds.map(sanitizeMessageId).filter(Boolean).slice(0, MAX_RECEIPT_IDS)
+      : [];
+    
+    if (!RECEIPT_TYPES.includes(type) || !mongoose.isValidObjectId(to) || messageIds.length === 0) {
+      return;
+    }
     
-    // Store encrypted message in MongoDB
-    // Server cannot decrypt - only stores ciphertext + metadata
     try {
-      await Message.create({
+      if (type === 'delivered') {
+        // Only the copies encrypted for this device
+        await Message.updateMany({
+          messageId: { $in: messageIds },
+          sender: to,
+          recipient: socket.userId,
+          recipientDevice: { $in: [socket.deviceId || null, null] },
+          status: 'sent'
+        }, { status: 'delivered', deliveredAt: new Date() });
+      } else {
+        // Read on one device - every copy for this user is done
+        await Message.updateMany({
+          messageId: { $in: messageIds },
+          sender: to,
+          recipient: socket.userId,
+          status: { $ne: 'read' }
+        }, { status: 'read', readAt: new Date() });
+      }
+    } catch (error) {
+      console.error('[Receipt] Failed to update delivery state:', error);
+    }
+    
+    const receipt = {
+      from: socket.userId,
+      fromDevice: socket.deviceId || null,
+      type,
+      messageIds
+    };
+    
+    try {
+      // One copy per sender device, or one for a device-less sender
+      if (Array.isArray(data.copies)) {
+        for (const copy of data.copies) {
+          if (!isPayload(copy) || typeof copy.deviceId !== 'string') continue;
+          io.to(deviceRoom(to, copy.deviceId)).emit('receipt', { ...receipt, ciphertext: copy.ciphertext, iv: copy.iv });
+        }
+      } else {
+        io.to(String(to)).emit('receipt', { ...receipt, ciphertext: data.ciphertext, iv: data.iv });
+      }
+    } catch (error) {
+      console.error('[Receipt] Failed to relay receipt:', error);
+    }
+  });
+
+  // Edit or delete a sent message for everyone (referenced by its client message ID)
+  // Edits carry one signed, encrypted replacement per device copy; deletes
+  // tombstone every stored copy. Only the original sender may do either.
+  // Ack: { ok: true, editedAt | deletedAt } or { ok: false, error, retryable }
+  socket.on('message_control', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!data || typeof data !== 'object') {
+      reply({ ok: false, error: 'Invalid request', retryable: false });
+      return;
+    }
+    if (await rejectSpoofedSender(socket, 'message_control', data.from)) {
+      reply({ ok: false, error: 'Sender does not match authenticated user', retryable: false });
+      return;
+    }
+
+    const { to, action } = data;
+    const messageId = sanitizeMessageId(data.messageId);
+    const copies = Array.isArray(data.copies) ? data.copies : null;
+    if (!messageId || !MESSAGE_CONTROL_ACTIONS.includes(action) || !mongoose.isValidObjectId(to)) {
+      reply({ ok: false, error: 'Invalid request', retryable: false });
+      return;
+    }
+
+    const filter = { messageId, sender: socket.userId, recipient: to, group: null, deletedAt: null };
+
+    try {
+      if (!await Message.exists(filter)) {
+        // Someone else's message (or one that is already gone)
+        if (await Message.exists({ messageId, recipient: { $in: [to, socket.userId] }, sender: { $ne: socket.userId } })) {
+          console.log(`[Message] ⚠️ ${action} of ${messageId} by ${socket.userId} blocked - not the sender`);
+          await logger.logUnauthorizedAccess(socket.userId, `socket:message_control:${action}`, socket.handshake.address);
+        }
+        reply({ ok: false, error: 'Message not found', retryable: false });
+        return;
+      }
+
+      // One encrypted control message per device copy, or one for a device-less peer
+      const envelopes = (copies || [{ userId: to, deviceId: null, ciphertext: data.ciphertext, iv: data.iv }])
+        .filter(copy => (copy.deviceId === null || typeof copy.deviceId === 'string') &&
+          typeof copy.ciphertext === 'string' && typeof copy.iv === 'string')
+        .map(copy => ({ userId: String(copy.userId), deviceId: copy.deviceId, ciphertext: copy.ciphertext, iv: copy.iv }));
+      const now = new Date();
+      let targets = envelopes;
+
+      if (action === 'delete') {
+        await Message.updateMany(filter, {
+          $set: { deletedAt: now },
+          $unset: { ciphertext: '', iv: '', ratchet: '' }
+        });
+      } else {
+        // Replace each stored copy with its edit (conversation key - never the ratchet)
+        targets = [];
+        for (const envelope of envelopes) {
+          const result = await Message.updateOne({ ...filter, recipientDevice: envelope.deviceId }, {
+            $set: {
+              ciphertext: envelope.ciphertext,
+              iv: envelope.iv,
+              keyMode: 'conversation',
+              senderDevice: socket.deviceId || null,
+              editedAt: now
+            },
+            $unset: { ratchet: '' }
+          });
+          if (result.matchedCount > 0) targets.push(envelope);
+        }
+        if (targets.length === 0) {
+          reply({ ok: false, error: 'No stored copy to edit', retryable: false });
+          return;
+        }
+      }
+
+      console.log(`[Message] ${messageId} ${action === 'edit' ? 'edited' : 'deleted'} by ${socket.userId}`);
+      await logger.log(action === 'edit' ? 'MESSAGE_EDITED' : 'MESSAGE_DELETED', {
+        userId: socket.userId,
+        targetUserId: to,
+        details: { messageId, copies: targets.length }
+      });
+
+      const control = {
+        from: socket.userId,
+        fromDevice: socket.deviceId || null,
+        to,
+        action,
+        messageId,
+        keyMode: 'conversation',
+        editedAt: action === 'edit' ? now.getTime() : undefined,
+        deletedAt: action === 'delete' ? now.getTime() : undefined
+      };
+
+      for (const target of targets) {
+        // Only the peer's and our own devices - and not the sending device
+        if (target.userId !== String(to) && target.userId !== socket.userId) continue;
+        if (target.userId === socket.userId && target.deviceId === socket.deviceId) continue;
+
+        const room = target.deviceId ? deviceRoom(target.userId, target.deviceId) : String(to);
+        io.to(room).emit('message_control', { ...control, ciphertext: target.ciphertext, iv: target.iv });
+      }
+
+      reply({ ok: true, editedAt: control.editedAt, deletedAt: control.deletedAt });
+    } catch (error) {
+      console.error('[Message] Failed to apply message control:', error);
+      reply({ ok: false, error: 'Failed to update message', retryable: true });
+    }
+  });
+
+  // Relay encrypted group message (one sender-key ciphertext for all members)
+  socket.on('group_message', async (data) => {
+    if (!isPayload(data) || !mongoose.isValidObjectId(data.groupId)) return;
+    
+    const { groupId, senderKey, ciphertext, iv, signature, timestamp, nonce, sequence } = data;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'group_message', data.from)) return;
+      
+      const group = await findSocketGroup(socket, groupId);
+      if (!group) {
+        await logger.logUnauthorizedAccess(socket.userId, 'socket:group_message', socket.handshake.address);
+        socket.emit('message_error', { error: 'Not a member of this group', groupId });
+        return;
+      }
+      
+      // Validate replay protection (sequence per sender and group)
+      const validation = validateSocketMessage({ nonce, timestamp, sequence }, socket.userId, groupId);
+      if (!validation.valid) {
+        console.log(`[Group] ⚠️ REPLAY ATTACK BLOCKED:`, validation.errors);
+        for (const error of validation.errors) {
+          if (error.includes('nonce')) {
+            await logger.logReplayAttack(socket.userId, 'nonce', { nonce: nonce?.substring(0, 16), groupId });
+          } else if (error.includes('timestamp')) {
+            await logger.logReplayAttack(socket.userId, 'timestamp', { timestamp, groupId });
+          } else if (error.includes('sequence')) {
+            await logger.logReplayAttack(socket.userId, 'sequence', { sequence, groupId });
+          }
+        }
+        socket.emit('message_error', {
+          error: 'Replay attack detected',
+          details: validation.errors
+        });
+        return;
+      }
+      
+      await logger.log('MESSAGE_SENT', { userId: socket.userId, details: { groupId } });
+      
+      const message = await Message.create({
         sender: socket.userId,
-        recipient: to,
+        senderDevice: socket.deviceId || null,
+        group: group._id,
+        keyMode: 'sender_key',
+        senderKey: { keyId: senderKey?.keyId, iteration: senderKey?.iteration },
+        signature,
         ciphertext,
         iv,
         nonce: nonce || '',
         timestamp: new Date(timestamp)
       });
-      console.log(`[Message] Encrypted message stored in MongoDB`);
+      
+      // Every member device (incl. our other devices) - but not the sending socket
+      socket.to(group.members.map(member => String(member.user))).emit('group_message', {
+        _id: message._id,
+        group: String(group._id),
+        sender: socket.userId,
+        senderDevice: message.senderDevice,
+        keyMode: 'sender_key',
+        senderKey: message.senderKey,
+        signature,
+        ciphertext,
+        iv,
+        timestamp: message.timestamp,
+        nonce,
+        sequence
+      });
     } catch (error) {
-      console.error('[Message] Failed to store message:', error);
+      console.error('[Group] Failed to relay group message:', error);
+    }
+  });
+
+  // Sender key distribution (encrypted pairwise for every member device)
+  socket.on('group_sender_key', async (data) => {
+    if (!isPayload(data) || !mongoose.isValidObjectId(data.groupId)) return;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'group_sender_key', data.from)) return;
+      
+      const group = await findSocketGroup(socket, data.groupId);
+      if (!group || !Array.isArray(data.copies)) {
+        await logger.logUnauthorizedAccess(socket.userId, 'socket:group_sender_key', socket.handshake.address);
+        return;
+      }
+      
+      await relaySenderKeyCopies(socket, group, data.copies.filter(isPayload));
+    } catch (error) {
+      console.error('[Group] Failed to distribute sender key:', error);
     }
   });
 
   // Key exchange messages with logging
   socket.on('kex_init', async (data) => {
-    await logger.logKeyExchangeInit(data.senderId, data.receiverId);
-    io.to(data.receiverId).emit('kex_init', data);
+    if (!isKexPayload(data)) return;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'kex_init', data.senderId, true)) return;
+      if (await rejectSpoofedDevice(socket, 'kex_init', data.senderDeviceId)) return;
+      
+      // Interactive exchange needs the peer online - tell the initiator to use prekeys
+      if (!isUserOnline(kexRoom(data))) {
+        socket.emit('kex_peer_offline', { peerId: data.receiverId, deviceId: data.receiverDeviceId });
+        return;
+      }
+      
+      await logger.logKeyExchangeInit(data.senderId, data.receiverId);
+      io.to(kexRoom(data)).emit('kex_init', data);
+    } catch (error) {
+      console.error('[KEX] Failed to relay KEX_INIT:', error);
+    }
+  });
+
+  // Asynchronous (prekey) key exchange - stored until the recipient connects
+  socket.on('kex_prekey', async (data) => {
+    if (!isKexPayload(data)) return;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'kex_prekey', data.senderId, true)) return;
+      if (await rejectSpoofedDevice(socket, 'kex_prekey', data.senderDeviceId)) return;
+      
+      await logger.log('KEY_EXCHANGE_INIT', {
+        userId: data.senderId,
+        targetUserId: data.receiverId,
+        details: { stage: 'KEX_PREKEY sent', oneTimePreKeyUsed: Boolean(data.oneTimePreKeyId) }
+      });
+      
+      if (isUserOnline(kexRoom(data))) {
+        io.to(kexRoom(data)).emit('kex_prekey', data);
+        return;
+      }
+      
+      await PendingHandshake.create({
+        sender: data.senderId,
+        recipient: data.receiverId,
+        recipientDevice: data.receiverDeviceId || null,
+        handshake: data
+      });
+    } catch (error) {
+      console.error('[KEX] Failed to relay or store prekey handshake:', error);
+    }
   });
 
   socket.on('kex_response', async (data) => {
-    await logger.log('KEY_EXCHANGE_RESPONSE', {
-      userId: data.senderId,
-      targetUserId: data.receiverId,
-      details: { stage: 'KEX_RESPONSE sent' }
-    });
-    io.to(data.receiverId).emit('kex_response', data);
+    if (!isKexPayload(data)) return;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'kex_response', data.senderId, true)) return;
+      if (await rejectSpoofedDevice(socket, 'kex_response', data.senderDeviceId)) return;
+      await logger.log('KEY_EXCHANGE_RESPONSE', {
+        userId: data.senderId,
+        targetUserId: data.receiverId,
+        details: { stage: 'KEX_RESPONSE sent' }
+      });
+      io.to(kexRoom(data)).emit('kex_response', data);
+    } catch (error) {
+      console.error('[KEX] Failed to relay KEX_RESPONSE:', error);
+    }
   });
 
   socket.on('kex_confirm', async (data) => {
-    await logger.logKeyExchangeComplete(data.senderId, data.receiverId);
-    io.to(data.receiverId).emit('kex_confirm', data);
+    if (!isKexPayload(data)) return;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'kex_confirm', data.senderId, true)) return;
+      if (await rejectSpoofedDevice(socket, 'kex_confirm', data.senderDeviceId)) return;
+      await logger.logKeyExchangeComplete(data.senderId, data.receiverId);
+      io.to(kexRoom(data)).emit('kex_confirm', data);
+    } catch (error) {
+      console.error('[KEX] Failed to relay KEX_CONFIRM:', error);
+    }
   });
 
   // File sharing notification
+  // File name, type and size travel encrypted - the server only relays them
+  // Only for files the socket's user uploaded to that recipient
   socket.on('file_shared', async (data) => {
-    const { to, fileId, metadata, timestamp } = data;
+    if (!isPayload(data) || !mongoose.isValidObjectId(data.to) || !mongoose.isValidObjectId(data.fileId)) return;
+    
+    const { to, fileId, kind, metadata, encryptedMetadata, keyEnvelopes, thumbnail, timestamp } = data;
+    
+    try {
+      if (await rejectSpoofedSender(socket, 'file_shared', data.from)) return;
+      
+      const file = await File.exists({ _id: fileId, sender: socket.userId, recipient: to });
+      if (!file) {
+        console.log(`[File] ⚠️ file_shared for unknown or foreign file ${fileId} blocked (from ${socket.userId})`);
+        await logger.logUnauthorizedAccess(socket.userId, 'socket:file_shared', socket.handshake.address);
+        return;
+      }
+      
+      console.log(`[File] File ${fileId} shared from ${socket.userId} to ${to}`);
+      
+      // Log file share event
+      await logger.logFileUploaded(socket.userId, to, fileId, metadata?.size);
+      
+      // Notify recipient about shared file
+      io.to(String(to)).emit('file_shared', {
+        from: socket.userId,
+        fileId,
+        kind: kind === 'archive' ? 'archive' : 'file',
+        metadata,
+        encryptedMetadata,
+        keyEnvelopes,
+        thumbnail,
+        timestamp
+      });
+    } catch (error) {
+      console.error('[File] Failed to relay file share:', error);
+    }
+  });
+
+  // Direct (peer-to-peer) transfer signaling - only relayed, the file never passes the server
+  // Offers and answers are signed by the devices over their DTLS fingerprints
+  socket.on('p2p_signal', async (data) => {
+    if (!data || typeof data !== 'object') return;
+    if (await rejectSpoofedSender(socket, 'p2p_signal', data.from)) return;
+    
+    const { to, type } = data;
+    const transferId = sanitizeMessageId(data.transferId);
+    const toDevice = typeof data.toDevice === 'string' && data.toDevice ? data.toDevice : null;
+    if (!transferId || !P2P_SIGNAL_TYPES.includes(type) || !mongoose.isValidObjectId(to)) return;
     
-    console.log(`[File] File shared from ${socket.userId} to ${to}: ${metadata.name}`);
+    const room = toDevice ? deviceRoom(to, toDevice) : String(to);
+    if (!isUserOnline(room)) {
+      socket.emit('p2p_unavailable', { transferId, to });
+      return;
+    }
     
-    // Log file share event
-    await logger.logFileUploaded(socket.userId, to, fileId, metadata.name, metadata.size);
+    if (type === 'offer' && data.attempt === 0) {
+      await logger.log('FILE_DIRECT_TRANSFER', {
+        userId: socket.userId,
+        targetUserId: to,
+        details: { stage: 'offered', transferId }
+      });
+    }
     
-    // Notify recipient about shared file
-    io.to(to).emit('file_shared', {
+    io.to(room).emit('p2p_signal', {
       from: socket.userId,
-      fileId,
-      metadata,
-      timestamp
+      fromDevice: socket.deviceId || null,
+      to,
+      toDevice,
+      transferId,
+      type,
+      attempt: Number.isInteger(data.attempt) ? data.attempt : null,
+      sdp: data.sdp,
+      candidate: data.candidate,
+      details: data.details,
+      device: data.device,
+      signature: data.signature,
+      timestamp: data.timestamp
     });
   });
 
@@ -179,6 +912,8 @@ const connectDB = async () => {
     console.log('Connected to MongoDB');
     // Log database connection
     await logger.log('DATABASE_CONNECTED', { details: { uri: mongoUri.replace(/\/\/[^:]+:[^@]+@/, '//***:***@') } });
+    // Remove files whose retention period has ended
+    startFileSweeper();
   } catch (err) {
     console.error('MongoDB connection error:', err.message);
     await logger.log('DATABASE_ERROR', { details: { error: err.message }, success: false });
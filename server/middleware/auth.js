@@ -1,11 +1,52 @@
 const jwt = require('jsonwebtoken');
+const Device = require('../models/Device');
+const User = require('../models/User');
+
+// Rejected credentials, with the HTTP status to answer with
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the device a verified token acts for
+ * Device tokens (issued by POST /api/auth/devices) carry their device ID and are
+ * only valid for it. Account tokens (login, older clients) may name a device, but
+ * stop working once any device of the account is revoked after they were issued -
+ * a revoked device cannot use its old token to register itself again.
+ * @param {Object} decoded - Verified JWT payload
+ * @param {string|null} claimedDeviceId - X-Device-Id header / socket handshake device
+ * @returns {Promise<string|null>} Device ID (null for device-less clients)
+ */
+const resolveDevice = async (decoded, claimedDeviceId) => {
+  if (decoded.deviceId && claimedDeviceId && claimedDeviceId !== decoded.deviceId) {
+    throw new AuthError('Token belongs to another device', 403);
+  }
+  const deviceId = decoded.deviceId || claimedDeviceId || null;
+
+  const [device, user] = await Promise.all([
+    deviceId ? Device.findOne({ user: decoded.userId, deviceId }, 'revokedAt') : null,
+    decoded.deviceId ? null : User.findById(decoded.userId, 'devicesRevokedAt')
+  ]);
+
+  if (device?.revokedAt) {
+    throw new AuthError('Device revoked', 403);
+  }
+  if (user?.devicesRevokedAt && decoded.iat * 1000 < user.devicesRevokedAt.getTime()) {
+    throw new AuthError('Token revoked - please log in again');
+  }
+
+  return deviceId ? String(deviceId) : null;
+};
 
 // Authentication middleware
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
-    
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ error: 'No token provided' });
     }
@@ -14,18 +55,65 @@ const authenticate = (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+
     // Add user info to request
     req.userId = decoded.userId;
     req.username = decoded.username;
+    // Device the token is bound to (null for account tokens) and when it expires
+    req.tokenDeviceId = decoded.deviceId || null;
+    req.tokenExpiresAt = decoded.exp;
+    // Calling device (multi-device clients send it with every request)
+    req.deviceId = await resolveDevice(decoded, req.headers['x-device-id'] || null);
 
     next();
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired' });
     }
-    return res.status(401).json({ error: 'Invalid token' });
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    console.error('Authentication error:', error);
+    return res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Socket.IO handshake middleware - verifies the same JWT as the REST API
+// and binds the socket to the token's user (and device, if given)
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error('No token provided'));
+    }
+
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Bind user info to socket (never taken from event payloads)
+    socket.userId = String(decoded.userId);
+    socket.username = decoded.username;
+
+    // Revoked devices (and tokens issued before a revocation) may not connect
+    const deviceId = await resolveDevice(decoded, socket.handshake.auth?.deviceId || null);
+    if (deviceId) {
+      socket.deviceId = deviceId;
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return next(new Error(error.message));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired'));
+    }
+    return next(new Error('Invalid token'));
   }
 };
 
-module.exports = { authenticate };
+module.exports = { authenticate, authenticateSocket };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A user's device - each device has its own identity keys (public keys only!)
+// Messages are encrypted separately for every active device
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Random ID generated by the client
+  deviceId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: 'Unknown device',
+    maxlength: 100
+  },
+  publicKeys: {
+    signing: {
+      type: Object,  // JWK format (ECDSA P-256)
+      required: true
+    },
+    keyExchange: {
+      type: Object,  // JWK format (ECDH P-256)
+      required: true
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  // Revoked devices keep their public keys so old history stays decryptable,
+  // but no longer receive messages or connect
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+deviceSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Device', deviceSchema);
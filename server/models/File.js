@@ -8,13 +8,45 @@ const metadataSchema = new mongoose.Schema({
   // Chunking metadata
   chunked: { type: Boolean, default: false },
   totalChunks: { type: Number, default: 0 },
-  chunkSize: { type: Number, default: 0 }
+  chunkSize: { type: Number, default: 0 },
+  // Random per-file ID bound into every chunk's AAD (absent on older files)
+  contentId: { type: String, default: null }
 }, { _id: false });
 
-// Chunk info schema for storing IVs and sizes of each chunk
+// File name, type and exact size, encrypted by the uploader (opaque to the server)
+const encryptedMetadataSchema = new mongoose.Schema({
+  ciphertext: { type: String, required: true },
+  iv: { type: String, required: true }
+}, { _id: false });
+
+// Chunk info schema for storing IVs, sizes and hashes of each chunk
 const chunkInfoSchema = new mongoose.Schema({
-  ivs: [{ type: String }],   // Array of base64-encoded IVs
-  sizes: [{ type: Number }]  // Array of chunk sizes (encrypted)
+  ivs: [{ type: String }],    // Array of base64-encoded IVs
+  sizes: [{ type: Number }],  // Array of chunk sizes (encrypted)
+  hashes: [{ type: String }]  // Array of base64 SHA-256 hashes of the encrypted chunks
+}, { _id: false });
+
+// The file's random content key, wrapped (AES-GCM) with the conversation key of
+// the wrapping device and the recipient device - one per device the file is shared
+// with (the recipient's and the wrapping user's own). A null device stands for the
+// account keys (device-less users, and envelopes stored before devices existed)
+const keyEnvelopeSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recipientDevice: { type: String, default: null },
+  wrappedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  wrappedByDevice: { type: String, default: null },
+  wrappedKey: { type: String, required: true },
+  iv: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Small JPEG preview encrypted under the file key, stored as its own blob
+// (images, PDFs and videos uploaded by current clients)
+const thumbnailSchema = new mongoose.Schema({
+  key: { type: String, required: true },   // Storage key
+  iv: { type: String, required: true },
+  size: { type: Number, required: true },  // Encrypted size
+  sha256: { type: String, required: true } // SHA-256 of the encrypted thumbnail
 }, { _id: false });
 
 const fileSchema = new mongoose.Schema({
@@ -23,12 +55,27 @@ const fileSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Files shared by link have no recipient
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.shareMode !== 'link'; }
+  },
+  // 'recipient': encrypted with the conversation key of sender and recipient
+  // 'link': encrypted with a random key that only travels in share link URLs
+  shareMode: {
+    type: String,
+    enum: ['recipient', 'link'],
+    default: 'recipient'
   },
-  // Server-side filename (encrypted content)
+  // 'archive': several files (or a folder) packed by the uploader - an encrypted
+  // manifest followed by the entries; names and count stay encrypted
+  kind: {
+    type: String,
+    enum: ['file', 'archive'],
+    default: 'file'
+  },
+  // Storage key of the encrypted content (shared by files with identical ciphertext)
   filename: {
     type: String,
     required: true
@@ -38,18 +85,48 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  // File metadata (original name, type, size)
+  // File metadata - for files with encryptedMetadata only the chunk layout
+  // and the padded size are meaningful (name and type stay at their defaults)
   metadata: metadataSchema,
+  encryptedMetadata: encryptedMetadataSchema,
   // Chunk information (only for chunked files)
   chunkInfo: chunkInfoSchema,
+  // Key envelopes (files sent to a contact); older files are encrypted with
+  // the conversation key itself and have none
+  keyEnvelopes: {
+    type: [keyEnvelopeSchema],
+    default: undefined
+  },
+  // File hash: SHA-256 over the chunk hashes, verified by the server at upload
+  // (null for files uploaded in a single request - their blob is not shared)
+  sha256: {
+    type: String,
+    default: null
+  },
+  thumbnail: {
+    type: thumbnailSchema,
+    default: null
+  },
+  // Bytes stored on the server (ciphertext and thumbnail) - counted against the sender's quota
+  storedSize: {
+    type: Number,
+    default: null
+  },
   uploadedAt: {
     type: Date,
     default: Date.now
+  },
+  // Chosen by the sender at upload; the sweeper removes the file after this (null = keep)
+  expiresAt: {
+    type: Date,
+    default: null
   }
 });
 
 // Index for faster queries
 fileSchema.index({ sender: 1, recipient: 1 });
+fileSchema.index({ 'keyEnvelopes.recipient': 1 });
 fileSchema.index({ uploadedAt: -1 });
+fileSchema.index({ expiresAt: 1 });
 
 module.exports = mongoose.model('File', fileSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Group conversation - the server only knows who is a member
+// Messages are encrypted client-side with each member's sender key
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Bumped on every membership change - clients rotate their sender keys
+  // so removed members cannot read anything sent afterwards
+  epoch: {
+    type: Number,
+    default: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for listing a user's groups
+groupSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Group', groupSchema);
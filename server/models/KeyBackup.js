@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Passphrase-encrypted backup of a device's private keys
+// Encrypted in the browser - the server never sees the passphrase or the keys
+const keyBackupSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Device whose keys are backed up (null for single-device clients)
+  deviceId: {
+    type: String,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    maxlength: 100
+  },
+  backup: {
+    version: { type: String, required: true },
+    kdf: {
+      type: Object,  // { name, hash, iterations, salt }
+      required: true
+    },
+    iv: { type: String, required: true },          // Base64
+    ciphertext: { type: String, required: true }   // Base64 AES-GCM
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+keyBackupSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('KeyBackup', keyBackupSchema);
@@ -6,19 +6,96 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Direct messages have a recipient, group messages a group
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return !this.group; }
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  },
+  // Multi-device: one stored copy per recipient device, each encrypted separately
+  // (both unset for messages from older single-device clients)
+  senderDevice: {
+    type: String,
+    default: null
+  },
+  recipientDevice: {
+    type: String,
+    default: null
   },
   // Only ciphertext stored - server cannot decrypt!
+  // (removed when the message is deleted for everyone)
   ciphertext: {
     type: String,
-    required: true
+    required: function() { return !this.deletedAt; }
   },
   iv: {
     type: String,  // Base64 encoded IV
-    required: true
+    required: function() { return !this.deletedAt; }
+  },
+  // Key used by the client: 'session' (KEX hash ratchet, forward secret),
+  // 'conversation' (long-term key fallback when no session exists)
+  // or 'sender_key' (group message, one ciphertext for all members)
+  keyMode: {
+    type: String,
+    enum: ['conversation', 'session', 'sender_key'],
+    default: 'conversation'
+  },
+  // Ratchet header (public) - lets the recipient pick the message key
+  ratchet: {
+    sessionId: { type: String },
+    counter: { type: Number }
+  },
+  // Sender key header (public) - which of the sender's keys and which message key
+  senderKey: {
+    keyId: { type: String },
+    iteration: { type: Number }
+  },
+  // Group messages are signed with the sending device's identity key,
+  // so members holding the sender key cannot forge messages from it
+  signature: {
+    type: String
+  },
+  // Client-chosen ID shared by every device copy of one message - receipts refer to it
+  messageId: {
+    type: String,
+    default: null
+  },
+  // Delivery state of this copy, updated from the recipient device's receipts
+  // ('sent' copies are queued and delivered when the device reconnects)
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent'
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // Copy for another device of the sender that was offline when it was sent -
+  // delivered to that device (under the sender's ID) when it reconnects
+  syncPending: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Edited by its sender: the ciphertext was replaced with a signed edit
+  // (conversation key, encrypted by the editing device - senderDevice)
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted for everyone by its sender - a tombstone without ciphertext
+  deletedAt: {
+    type: Date,
+    default: null
   },
   // For replay protection (optional)
   nonce: {
@@ -34,5 +111,10 @@ const messageSchema = new mongoose.Schema({
 // Index for faster queries
 messageSchema.index({ sender: 1, recipient: 1 });
 messageSchema.index({ timestamp: -1 });
+messageSchema.index({ recipientDevice: 1 });
+messageSchema.index({ group: 1, timestamp: -1 });
+messageSchema.index({ messageId: 1 });
+messageSchema.index({ recipient: 1, status: 1, timestamp: 1 });
+messageSchema.index({ sender: 1, recipientDevice: 1, syncPending: 1, timestamp: 1 });
 
 module.exports = mongoose.model('Message', messageSchema);
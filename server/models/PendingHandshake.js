@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Prekey handshake (KEX_PREKEY) waiting for an offline recipient
+// Only public values and signatures - server cannot derive the session key
+const pendingHandshakeSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientDevice: {
+    type: String,
+    default: null
+  },
+  handshake: {
+    type: Object,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for flushing on join
+pendingHandshakeSchema.index({ recipient: 1, recipientDevice: 1, createdAt: 1 });
+
+module.exports = mongoose.model('PendingHandshake', pendingHandshakeSchema);
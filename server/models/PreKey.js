@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// One-time prekey (ECDH P-256 public key, handed out once)
+const oneTimePreKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true },
+  publicKey: { type: Object, required: true }  // JWK format
+}, { _id: false });
+
+// Signed prekey (medium-term ECDH key signed with the user's identity signing key)
+const signedPreKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true },
+  publicKey: { type: Object, required: true },  // JWK format
+  signature: { type: String, required: true },  // Base64 ECDSA signature
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Prekey bundle for asynchronous key exchange (public keys only!)
+// One bundle per device - prekeys are signed by that device's identity key
+const preKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    type: String,
+    default: null
+  },
+  signedPreKey: signedPreKeySchema,
+  oneTimePreKeys: [oneTimePreKeySchema],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+preKeySchema.index({ user: 1, device: 1 }, { unique: true });
+
+module.exports = mongoose.model('PreKey', preKeySchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A member's group sender key, encrypted for one recipient device
+// with the pairwise conversation key - server cannot read the sender key
+const senderKeyDistributionSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderDevice: {
+    type: String,
+    default: null
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientDevice: {
+    type: String,
+    default: null
+  },
+  ciphertext: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,  // Base64 encoded IV
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for fetching the distributions addressed to one device
+senderKeyDistributionSchema.index({ group: 1, recipient: 1, recipientDevice: 1, createdAt: 1 });
+
+module.exports = mongoose.model('SenderKeyDistribution', senderKeyDistributionSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Public download link for a file uploaded in link mode
+// The decryption key is only in the URL fragment - never sent to the server
+const shareLinkSchema = new mongoose.Schema({
+  // Random URL-safe token identifying the link
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // null = unlimited
+  maxDownloads: {
+    type: Number,
+    default: null
+  },
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  // Optional password (bcrypt) checked before a download is granted
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  // Wrong passwords lock the link for a while
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shareLinkSchema.index({ owner: 1, createdAt: -1 });
+shareLinkSchema.index({ file: 1 });
+
+// Why the link can no longer be used (null if it can)
+shareLinkSchema.methods.unavailableReason = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'download limit reached';
+  return null;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Encrypted content stored once per distinct ciphertext hash
+// Files with identical ciphertext share the blob; it is removed with its last reference
+// (uploads use random file keys, so this never matches across separate uploads)
+const storedBlobSchema = new mongoose.Schema({
+  // File hash: SHA-256 over the SHA-256 hashes of the encrypted chunks (base64)
+  sha256: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Storage key of the content
+  key: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Number of File records using the blob
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('StoredBlob', storedBlobSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// File key wrapped for one device (see File.keyEnvelopes) - resuming uploaders unwrap
+// their own device's envelope again
+const sessionKeyEnvelopeSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  recipientDevice: { type: String, default: null },
+  wrappedByDevice: { type: String, default: null },
+  wrappedKey: { type: String, required: true },
+  iv: { type: String, required: true }
+}, { _id: false });
+
+// Encrypted thumbnail sent with the upload (stored next to the chunks)
+const sessionThumbnailSchema = new mongoose.Schema({
+  iv: { type: String, required: true },
+  size: { type: Number, required: true },
+  sha256: { type: String, required: true }
+}, { _id: false });
+
+// Resumable upload of an encrypted file, one encrypted chunk per request
+// Chunks are kept in storage until the upload is completed and becomes a File
+const uploadSessionSchema = new mongoose.Schema({
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.shareMode !== 'link'; }
+  },
+  shareMode: {
+    type: String,
+    enum: ['recipient', 'link'],
+    default: 'recipient'
+  },
+  // 'archive': several files packed by the client (see File.kind)
+  kind: {
+    type: String,
+    enum: ['file', 'archive'],
+    default: 'file'
+  },
+  // Server-visible metadata: padded size and the chunk binding ID
+  metadata: {
+    size: { type: Number, default: 0 },
+    contentId: { type: String, required: true }
+  },
+  keyEnvelopes: {
+    type: [sessionKeyEnvelopeSchema],
+    default: undefined
+  },
+  // Name, type and exact size, encrypted by the uploader
+  encryptedMetadata: {
+    ciphertext: { type: String, required: true },
+    iv: { type: String, required: true }
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Plaintext chunk size (every chunk but the last)
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  // Per received chunk: encrypted size, IV and SHA-256 (indexed by chunk number)
+  chunkSizes: [{ type: Number }],
+  chunkIvs: [{ type: String }],
+  chunkHashes: [{ type: String }],
+  thumbnail: sessionThumbnailSchema,
+  // Retention chosen by the sender - the file expires this long after completion (null = keep)
+  fileTtlMs: {
+    type: Number,
+    default: null
+  },
+  // 'completing' while the chunks are being assembled (no more chunks accepted)
+  status: {
+    type: String,
+    enum: ['open', 'completing'],
+    default: 'open'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Abandoned sessions (and their chunks) are purged after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+uploadSessionSchema.index({ sender: 1, createdAt: -1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Chunk numbers the server already has (the client resumes with the rest)
+uploadSessionSchema.methods.receivedChunks = function() {
+  const received = [];
+  for (let n = 0; n < this.totalChunks; n++) {
+    if (this.chunkIvs[n]) received.push(n);
+  }
+  return received;
+};
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
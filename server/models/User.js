@@ -39,6 +39,11 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Last device revocation - account tokens issued before it are no longer accepted
+  devicesRevokedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -3,14 +3,52 @@ const router = express.Router();
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Device = require('../models/Device');
+const PreKey = require('../models/PreKey');
+const KeyBackup = require('../models/KeyBackup');
 const Log = require('../models/Log');
+const { identityFingerprint } = require('../services/fingerprint');
+const { findContactIds } = require('../services/contacts');
 
 const BCRYPT_ROUNDS = 12;
+const TOKEN_LIFETIME = '24h';
+
+// JWT for a user - bound to one device when deviceId is given (see middleware/auth.js)
+// A device token keeps the expiry of the token it replaces, so re-registering never extends a session
+const issueToken = (user, deviceId = null, expiresAt = null) => {
+  const payload = { userId: user._id, username: user.username };
+  if (deviceId) payload.deviceId = deviceId;
+  if (expiresAt) {
+    return jwt.sign({ ...payload, exp: expiresAt }, process.env.JWT_SECRET);
+  }
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: TOKEN_LIFETIME });
+};
+
+// Public view of a device (keys are public; revoked devices stay listed for history)
+const toPublicDevice = (device) => ({
+  deviceId: device.deviceId,
+  name: device.name,
+  publicKeys: device.publicKeys,
+  createdAt: device.createdAt,
+  lastSeen: device.lastSeen,
+  revokedAt: device.revokedAt
+});
+
+// Attach each user's devices to plain user objects
+const withDevices = async (users) => {
+  const devices = await Device.find({ user: { $in: users.map(u => u._id) } });
+  return users.map(user => ({
+    ...user.toJSON(),
+    devices: devices
+      .filter(d => String(d.user) === String(user._id))
+      .map(toPublicDevice)
+  }));
+};
 
 // POST /api/auth/register
 router.post('/register', async (req, res) => {
   try {
-    const { email, username, password, publicSigningKey, publicKeyExchangeKey } = req.body;
+    const { email, username, password, publicSigningKey, publicKeyExchangeKey, deviceId, deviceName } = req.body;
 
     // Validate input
     if (!email || !username || !password || !publicSigningKey || !publicKeyExchangeKey) {
@@ -51,12 +89,18 @@ router.post('/register', async (req, res) => {
       }
     });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // The registering browser is the account's first device
+    if (deviceId) {
+      await Device.create({
+        user: user._id,
+        deviceId,
+        name: deviceName,
+        publicKeys: user.publicKeys
+      });
+    }
+
+    // Generate JWT (bound to the first device, if the client has one)
+    const token = issueToken(user, deviceId || null);
 
     // Log registration
     await Log.create({
@@ -126,12 +170,8 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Generate JWT - an account token; POST /devices exchanges it for a device token
+    const token = issueToken(user);
 
     // Update user status
     user.status = 'online';
@@ -169,7 +209,7 @@ router.post('/login', async (req, res) => {
 router.get('/users', async (req, res) => {
   try {
     const users = await User.find({}, 'email username publicKeys status lastSeen');
-    res.json(users);
+    res.json(await withDevices(users));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch users' });
   }
@@ -182,15 +222,187 @@ router.get('/user/:id', async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json(user);
+    const [withDeviceList] = await withDevices([user]);
+    res.json(withDeviceList);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
-// PUT /api/auth/keys - Update user's public keys (for new device login)
 const { authenticate } = require('../middleware/auth');
 
+// POST /api/auth/devices - Register this device's identity keys
+// Idempotent: an already registered device only refreshes lastSeen
+router.post('/devices', authenticate, async (req, res) => {
+  try {
+    const { deviceId, name, publicSigningKey, publicKeyExchangeKey } = req.body;
+    
+    if (!deviceId || !publicSigningKey || !publicKeyExchangeKey) {
+      return res.status(400).json({ error: 'Device ID and public keys are required' });
+    }
+    
+    // A device token only registers its own device (a revoked device can't come back as a new one)
+    if (req.tokenDeviceId && req.tokenDeviceId !== deviceId) {
+      return res.status(403).json({ error: 'Token belongs to another device' });
+    }
+    
+    const publicKeys = { signing: publicSigningKey, keyExchange: publicKeyExchangeKey };
+    const existing = await Device.findOne({ user: req.userId, deviceId });
+    
+    if (existing?.revokedAt) {
+      return res.status(403).json({ error: 'This device has been revoked' });
+    }
+    
+    const newFingerprint = identityFingerprint(req.userId, publicKeys);
+    const oldFingerprint = existing ? identityFingerprint(req.userId, existing.publicKeys) : null;
+    
+    if (existing && oldFingerprint === newFingerprint) {
+      existing.lastSeen = new Date();
+      if (name) existing.name = name;
+      await existing.save();
+      return res.json({
+        message: 'Device already registered',
+        device: toPublicDevice(existing),
+        token: issueToken({ _id: req.userId, username: req.username }, deviceId, req.tokenExpiresAt)
+      });
+    }
+    
+    const device = await Device.findOneAndUpdate(
+      { user: req.userId, deviceId },
+      { publicKeys, name: name || existing?.name, lastSeen: new Date() },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    
+    // Prekeys were signed by (and the backup holds) the old device keys
+    if (existing) {
+      await Promise.all([
+        PreKey.deleteMany({ user: req.userId, device: deviceId }),
+        KeyBackup.deleteMany({ user: req.userId, deviceId })
+      ]);
+    }
+    
+    await Log.create({
+      eventType: existing ? 'KEY_UPDATE' : 'DEVICE_REGISTERED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      details: { deviceId, name: device.name, oldFingerprint, newFingerprint },
+      severity: existing ? 'WARNING' : 'INFO',
+      success: true
+    });
+    
+    // Contacts must start encrypting to (and re-verifying) this device
+    const io = req.app.get('io');
+    if (io) {
+      const contactIds = await findContactIds(req.userId);
+      io.to([String(req.userId), ...contactIds]).emit('devices_changed', {
+        userId: String(req.userId),
+        deviceId,
+        action: existing ? 'rekeyed' : 'added',
+        fingerprint: newFingerprint
+      });
+      
+      // New keys for a known device are an identity change, like PUT /keys
+      if (existing && contactIds.length > 0) {
+        const user = await User.findById(req.userId, 'username');
+        io.to(contactIds).emit('keys_changed', {
+          userId: String(req.userId),
+          username: user?.username,
+          deviceId,
+          publicKeys,
+          oldFingerprint,
+          newFingerprint,
+          changedAt: new Date()
+        });
+      }
+    }
+    
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Device keys updated' : 'Device registered',
+      device: toPublicDevice(device),
+      token: issueToken({ _id: req.userId, username: req.username }, deviceId, req.tokenExpiresAt)
+    });
+    
+  } catch (error) {
+    console.error('Device registration error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// GET /api/auth/devices - List the current user's devices
+router.get('/devices', authenticate, async (req, res) => {
+  try {
+    const devices = await Device.find({ user: req.userId }).sort({ createdAt: 1 });
+    
+    res.json(devices.map(device => ({
+      ...toPublicDevice(device),
+      fingerprint: identityFingerprint(req.userId, device.publicKeys),
+      current: device.deviceId === req.deviceId
+    })));
+    
+  } catch (error) {
+    console.error('List devices error:', error);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// DELETE /api/auth/devices/:deviceId - Revoke a device
+// The device is disconnected and no longer receives messages
+router.delete('/devices/:deviceId', authenticate, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    
+    const device = await Device.findOneAndUpdate(
+      { user: req.userId, deviceId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    // A revoked device's keys must not come back through a restore, and account
+    // tokens it may still hold must not register it again under a new device ID
+    await Promise.all([
+      PreKey.deleteMany({ user: req.userId, device: deviceId }),
+      KeyBackup.deleteMany({ user: req.userId, deviceId }),
+      User.updateOne({ _id: req.userId }, { devicesRevokedAt: device.revokedAt })
+    ]);
+    
+    await Log.create({
+      eventType: 'DEVICE_REVOKED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      details: { deviceId, name: device.name, revokedBy: req.deviceId },
+      severity: 'WARNING',
+      success: true
+    });
+    
+    const io = req.app.get('io');
+    if (io) {
+      const contactIds = await findContactIds(req.userId);
+      io.to([String(req.userId), ...contactIds]).emit('devices_changed', {
+        userId: String(req.userId),
+        deviceId,
+        action: 'revoked'
+      });
+      // Graceful disconnect - the revoked device still receives the event above first
+      io.in(`device:${req.userId}:${deviceId}`).disconnectSockets();
+    }
+    
+    res.json({ message: 'Device revoked', device: toPublicDevice(device) });
+    
+  } catch (error) {
+    console.error('Revoke device error:', error);
+    res.status(500).json({ error: 'Failed to revoke device' });
+  }
+});
+
+// PUT /api/auth/keys - Update user's public keys
+// Older single-device clients only - multi-device clients register via /devices
+
 router.put('/keys', authenticate, async (req, res) => {
   try {
     const { publicSigningKey, publicKeyExchangeKey } = req.body;
@@ -199,6 +411,11 @@ router.put('/keys', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Public keys are required' });
     }
     
+    const existing = await User.findById(req.userId, 'publicKeys');
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
     const user = await User.findByIdAndUpdate(
       req.userId,
       {
@@ -214,17 +431,37 @@ router.put('/keys', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Log key update
+    const oldFingerprint = identityFingerprint(user._id, existing.publicKeys);
+    const newFingerprint = identityFingerprint(user._id, user.publicKeys);
+    const keysChanged = oldFingerprint !== newFingerprint;
+    
+    // Log key update, linking old and new identity fingerprints
     await Log.create({
       eventType: 'KEY_UPDATE',
       userId: user._id,
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
-      details: { reason: 'New device login' },
-      severity: 'INFO',
+      details: { reason: 'New device login', oldFingerprint, newFingerprint },
+      severity: keysChanged ? 'WARNING' : 'INFO',
       success: true
     });
     
+    // Warn the user's contacts so their clients stop trusting the old keys
+    if (keysChanged) {
+      const io = req.app.get('io');
+      const contactIds = io ? await findContactIds(user._id) : [];
+      if (contactIds.length > 0) {
+        io.to(contactIds).emit('keys_changed', {
+          userId: String(user._id),
+          username: user.username,
+          publicKeys: user.publicKeys,
+          oldFingerprint,
+          newFingerprint,
+          changedAt: new Date()
+        });
+      }
+    }
+    
     console.log(`Public keys updated for user: ${user.username}`);
     
     res.json({ 
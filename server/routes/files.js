@@ -1,87 +1,469 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const mongoose = require('mongoose');
 const File = require('../models/File');
+const UploadSession = require('../models/UploadSession');
+const User = require('../models/User');
 const Log = require('../models/Log');
 const { authenticate } = require('../middleware/auth');
+const { isValidFileTtl, deleteStoredFile, getStorageUsage, checkQuota } = require('../services/fileRetention');
+const { storage, sendBlob } = require('../services/storage');
+const { fileHash, storeBlob, releaseBlob } = require('../services/blobStore');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+// Upload sessions: every chunk is encrypted and sent on its own,
+// so neither the client nor the server holds the whole file in memory
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 4 * 1024 * 1024 * 1024; // 4GB
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024; // 16MB plaintext per chunk
+const GCM_TAG_BYTES = 16;
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // Unfinished uploads are kept for a day
+const CONTENT_ID_PATTERN = /^[A-Za-z0-9+/]{22}==$/; // 16 random bytes, base64
+const IV_PATTERN = /^[A-Za-z0-9+/]{16}$/; // 12 bytes, base64
+const SHA256_PATTERN = /^[A-Za-z0-9+/]{43}=$/; // 32 bytes, base64
+const WRAPPED_KEY_PATTERN = /^[A-Za-z0-9+/]{64}$/; // 256-bit key + GCM tag, base64
+const MAX_ENCRYPTED_METADATA = 4096; // base64 characters
+const MAX_KEY_ENVELOPES = 100; // One per device of the recipient and of the wrapping user
+const MAX_DEVICE_ID_LENGTH = 64;
+const MAX_THUMBNAIL_SIZE = 256 * 1024 + GCM_TAG_BYTES; // Padded JPEG plus the GCM tag
+// File history paging (same limits as message history)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// All routes require authentication
+router.use(authenticate);
+
+// Unique server-side filename (never derived from the original name)
+const uniqueFilename = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Chunks of an unfinished upload are stored as sessions/<sessionId>/<n>
+// (its thumbnail as sessions/<sessionId>/thumbnail)
+const sessionPrefix = (session) => `sessions/${session._id}/`;
+const chunkKey = (session, n) => `${sessionPrefix(session)}${n}`;
+const sessionThumbnailKey = (session) => `${sessionPrefix(session)}thumbnail`;
+
+// Encrypted size of chunk n: plaintext bytes plus the AES-GCM tag
+const expectedChunkSize = (session, n) => {
+  const plaintext = n < session.totalChunks - 1
+    ? session.chunkSize
+    : session.metadata.size - session.chunkSize * (session.totalChunks - 1);
+  return plaintext + GCM_TAG_BYTES;
+};
+
+// Pass-through stream that fails unless exactly `length` bytes with the given
+// SHA-256 go through, so the storage backend never keeps a damaged chunk
+const verifiedChunk = (length, sha256, label = 'Chunk') => {
+  let bytes = 0;
+  const hash = crypto.createHash('sha256');
+  const rejected = (status, message) => Object.assign(new Error(message), { status });
+  return new Transform({
+    transform(data, encoding, callback) {
+      bytes += data.length;
+      if (bytes > length) {
+        return callback(rejected(413, `${label} size does not match`));
+      }
+      hash.update(data);
+      callback(null, data);
+    },
+    flush(callback) {
+      if (bytes < length) {
+        return callback(rejected(400, `${label} size does not match`));
+      }
+      if (hash.digest('base64') !== sha256) {
+        return callback(rejected(400, `${label} hash does not match - it was damaged on the way`));
+      }
+      callback();
     }
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    cb(null, uniqueName);
+  });
+};
+
+// Load an upload session owned by the current user (null otherwise)
+const findOwnSession = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return UploadSession.findOne({ _id: sessionId, sender: userId });
+};
+
+// Remove expired upload sessions and their chunks
+const purgeExpiredSessions = async () => {
+  const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } }, '_id');
+  for (const session of expired) {
+    await storage.removePrefix(sessionPrefix(session));
+  }
+  if (expired.length > 0) {
+    await UploadSession.deleteMany({ _id: { $in: expired.map(s => s._id) } });
+    console.log(`[Upload] Purged ${expired.length} expired upload session(s)`);
   }
+};
+
+const toSessionStatus = (session) => ({
+  sessionId: session._id,
+  totalChunks: session.totalChunks,
+  chunkSize: session.chunkSize,
+  contentId: session.metadata.contentId,
+  encryptedMetadata: session.encryptedMetadata,
+  keyEnvelopes: (session.keyEnvelopes || []).map(envelope => ({ ...envelope.toObject(), wrappedBy: session.sender })),
+  receivedChunks: session.receivedChunks(),
+  chunkHashes: session.chunkHashes,
+  thumbnail: session.thumbnail || null,
+  expiresAt: session.expiresAt
 });
 
-const upload = multer({
-  storage,
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
+// What clients need to fetch and check a file's thumbnail (not its storage key)
+const thumbnailInfo = (file) => (file.thumbnail
+  ? { iv: file.thumbnail.iv, size: file.thumbnail.size, sha256: file.thumbnail.sha256 }
+  : null);
+
+const isValidKeyEnvelope = (envelope) =>
+  typeof envelope?.wrappedKey === 'string' &&
+  WRAPPED_KEY_PATTERN.test(envelope.wrappedKey) &&
+  typeof envelope.iv === 'string' &&
+  IV_PATTERN.test(envelope.iv);
+
+const isValidDeviceId = (deviceId) =>
+  deviceId === null || (typeof deviceId === 'string' && deviceId.length > 0 && deviceId.length <= MAX_DEVICE_ID_LENGTH);
+
+/**
+ * Key envelopes sent by a client: one per device of the recipient (a null device:
+ * the account keys of a device-less recipient) and of the wrapping user's own devices
+ * Returns the envelopes to store, or null if one is invalid or none is for the recipient
+ */
+const parseKeyEnvelopes = (envelopes, recipientId, userId, deviceId) => {
+  if (!Array.isArray(envelopes) || envelopes.length === 0 || envelopes.length > MAX_KEY_ENVELOPES) return null;
+
+  const targets = new Set();
+  const parsed = [];
+  for (const envelope of envelopes) {
+    const recipient = String(envelope?.recipient);
+    const recipientDevice = envelope?.recipientDevice ?? null;
+    const target = `${recipient}:${recipientDevice}`;
+    if (![recipientId, userId].includes(recipient) || !isValidDeviceId(recipientDevice) ||
+        !isValidKeyEnvelope(envelope) || targets.has(target)) {
+      return null;
+    }
+    targets.add(target);
+    parsed.push({ recipient, recipientDevice, wrappedByDevice: deviceId || null, wrappedKey: envelope.wrappedKey, iv: envelope.iv });
+  }
+  return parsed.some(envelope => envelope.recipient === recipientId) ? parsed : null;
+};
+
+// Sender, recipient, or a user the file was re-shared with
+const canAccess = (file, userId) =>
+  String(file.sender) === userId ||
+  String(file.recipient) === userId ||
+  (file.keyEnvelopes || []).some(envelope => String(envelope.recipient) === userId);
+
+// The envelopes a user's devices may unwrap the file key from: addressed to them or
+// wrapped by them (each device picks its own - older envelopes have no device)
+const envelopesFor = (file, userId) => (file.keyEnvelopes || []).filter(envelope =>
+  String(envelope.recipient) === userId || String(envelope.wrappedBy) === userId);
+
+// The envelope through which a file was shared between two users (either way)
+const envelopeBetween = (file, userId, peerId) => (file.keyEnvelopes || []).find(envelope => {
+  const users = [String(envelope.recipient), String(envelope.wrappedBy)];
+  return users.includes(userId) && users.includes(peerId);
+}) || null;
+
+const quotaExceeded = (res, usage) => res.status(413).json({
+  error: 'Storage quota exceeded - delete some files first',
+  usage
 });
 
-// All routes require authentication
-router.use(authenticate);
+const isValidEncryptedMetadata = (encrypted) =>
+  typeof encrypted?.ciphertext === 'string' &&
+  encrypted.ciphertext.length > 0 &&
+  encrypted.ciphertext.length <= MAX_ENCRYPTED_METADATA &&
+  typeof encrypted.iv === 'string' &&
+  IV_PATTERN.test(encrypted.iv);
 
-// POST /api/files/upload - Upload encrypted file (supports chunked files)
-router.post('/upload', upload.single('file'), async (req, res) => {
+// POST /api/files/sessions - Start a resumable upload
+// metadata.size is the padded size; the real name, type and size are only in encryptedMetadata
+// shareMode 'link' uploads a file for share links (no recipient)
+// kind 'archive': several files packed by the client (recipient mode)
+// ttlMs: how long the file is kept after the upload (null = until deleted)
+// keyEnvelopes: the random file key, wrapped for every device of the recipient
+// and of the uploader (recipient mode; the uploading device is X-Device-Id)
+router.post('/sessions', async (req, res) => {
   try {
-    const { iv, metadata, recipientId, chunkInfo } = req.body;
+    const {
+      recipientId, shareMode = 'recipient', kind = 'file', metadata = {}, encryptedMetadata, keyEnvelopes, chunkSize, totalChunks, ttlMs = null
+    } = req.body;
+    const size = Number(metadata.size);
 
-    if (!req.file || !iv || !metadata || !recipientId) {
+    if (!['recipient', 'link'].includes(shareMode)) {
+      return res.status(400).json({ error: 'Invalid share mode' });
+    }
+    if (shareMode === 'recipient' && !mongoose.isValidObjectId(recipientId)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    // Share link pages only download single files
+    if (!['file', 'archive'].includes(kind) || (kind === 'archive' && shareMode !== 'recipient')) {
+      return res.status(400).json({ error: 'Invalid file kind' });
+    }
+    if (!Number.isInteger(size) || size < 0 || size > MAX_FILE_SIZE) {
+      return res.status(413).json({ error: `Files can be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB` });
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE) {
+      return res.status(400).json({ error: 'Invalid chunk size' });
+    }
+    if (totalChunks !== Math.max(1, Math.ceil(size / chunkSize))) {
+      return res.status(400).json({ error: 'Chunk count does not match file size' });
+    }
+    // Chunks are encrypted with the content ID as associated data
+    if (typeof metadata.contentId !== 'string' || !CONTENT_ID_PATTERN.test(metadata.contentId)) {
+      return res.status(400).json({ error: 'Invalid content ID' });
+    }
+    if (!isValidEncryptedMetadata(encryptedMetadata)) {
+      return res.status(400).json({ error: 'Invalid encrypted metadata' });
+    }
+    const envelopes = shareMode === 'recipient'
+      ? parseKeyEnvelopes(keyEnvelopes, String(recipientId), req.userId, req.deviceId)
+      : undefined;
+    if (envelopes === null) {
+      return res.status(400).json({ error: 'Invalid key envelopes' });
+    }
+    if (!isValidFileTtl(ttlMs)) {
+      return res.status(400).json({ error: 'Files can be kept for 1 hour up to 1 year' });
+    }
 
-    let parsedMetadata;
-    try {
-      parsedMetadata = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
-    } catch (e) {
-      return res.status(400).json({ error: 'Invalid metadata format' });
-    }
-
-    // Parse chunk info if present (for chunked files)
-    let parsedChunkInfo = null;
-    if (chunkInfo) {
-      try {
-        parsedChunkInfo = typeof chunkInfo === 'string' ? JSON.parse(chunkInfo) : chunkInfo;
-      } catch (e) {
-        console.warn('Invalid chunk info format, ignoring');
-      }
+    purgeExpiredSessions().catch(error => console.error('Upload session purge error:', error));
+
+    // The session reserves its size until it completes or expires
+    const { allowed, usage } = await checkQuota(req.userId, size);
+    if (!allowed) {
+      return quotaExceeded(res, usage);
     }
 
-    // Create file record with explicit metadata fields
-    const fileData = {
+    const session = await UploadSession.create({
       sender: req.userId,
-      recipient: recipientId,
-      filename: req.file.filename,
-      iv,
+      recipient: shareMode === 'recipient' ? recipientId : null,
+      shareMode,
+      kind,
       metadata: {
-        name: parsedMetadata.name || 'unknown',
-        type: parsedMetadata.type || 'application/octet-stream',
-        size: parsedMetadata.size || 0,
-        chunked: parsedMetadata.chunked || false,
-        totalChunks: parsedMetadata.totalChunks || 0,
-        chunkSize: parsedMetadata.chunkSize || 0
+        size,
+        contentId: metadata.contentId
+      },
+      encryptedMetadata: {
+        ciphertext: encryptedMetadata.ciphertext,
+        iv: encryptedMetadata.iv
+      },
+      keyEnvelopes: envelopes,
+      totalChunks,
+      chunkSize,
+      fileTtlMs: ttlMs,
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    });
+
+    res.status(201).json(toSessionStatus(session));
+
+  } catch (error) {
+    console.error('Create upload session error:', error);
+    res.status(500).json({ error: 'Failed to start upload' });
+  }
+});
+
+// GET /api/files/sessions/:sessionId - Upload progress (chunks to resume from)
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.sessionId, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    res.json(toSessionStatus(session));
+
+  } catch (error) {
+    console.error('Upload session status error:', error);
+    res.status(500).json({ error: 'Failed to get upload status' });
+  }
+});
+
+// PUT /api/files/sessions/:sessionId/chunks/:n - Upload one encrypted chunk (raw body)
+// The chunk's IV and SHA-256 travel in the X-Chunk-IV and X-Chunk-SHA256 headers;
+// re-sending a chunk replaces it
+router.put('/sessions/:sessionId/chunks/:n', async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.sessionId, req.userId);
+    if (!session || session.status !== 'open') {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    const n = Number(req.params.n);
+    if (!Number.isInteger(n) || n < 0 || n >= session.totalChunks) {
+      return res.status(400).json({ error: 'Invalid chunk number' });
+    }
+
+    // 96-bit AES-GCM IV, base64
+    const iv = req.get('X-Chunk-IV');
+    if (!iv || Buffer.from(iv, 'base64').length !== 12) {
+      return res.status(400).json({ error: 'Invalid chunk IV' });
+    }
+
+    const sha256 = req.get('X-Chunk-SHA256');
+    if (!sha256 || !SHA256_PATTERN.test(sha256)) {
+      return res.status(400).json({ error: 'Invalid chunk hash' });
+    }
+
+    // Only a complete, intact chunk replaces the stored one
+    const body = pipeline(req, verifiedChunk(expectedChunkSize(session, n), sha256), () => {});
+    const { size: received } = await storage.save(chunkKey(session, n), body);
+
+    await UploadSession.updateOne({ _id: session._id }, {
+      $set: { [`chunkIvs.${n}`]: iv, [`chunkSizes.${n}`]: received, [`chunkHashes.${n}`]: sha256 }
+    });
+
+    res.json({ chunk: n, size: received });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Chunk upload error:', error);
+    res.status(500).json({ error: 'Failed to store chunk' });
+  }
+});
+
+// PUT /api/files/sessions/:sessionId/thumbnail - Upload the encrypted thumbnail (raw body)
+// IV and SHA-256 travel in the X-Thumbnail-IV and X-Thumbnail-SHA256 headers; optional,
+// and re-sending it replaces it
+router.put('/sessions/:sessionId/thumbnail', async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.sessionId, req.userId);
+    if (!session || session.status !== 'open') {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    const length = Number(req.get('Content-Length'));
+    if (!Number.isInteger(length) || length <= GCM_TAG_BYTES) {
+      return res.status(411).json({ error: 'Thumbnail size is required' });
+    }
+    if (length > MAX_THUMBNAIL_SIZE) {
+      return res.status(413).json({ error: `Thumbnails can be at most ${Math.floor(MAX_THUMBNAIL_SIZE / 1024)} KB` });
+    }
+
+    const iv = req.get('X-Thumbnail-IV');
+    if (!iv || !IV_PATTERN.test(iv)) {
+      return res.status(400).json({ error: 'Invalid thumbnail IV' });
+    }
+
+    const sha256 = req.get('X-Thumbnail-SHA256');
+    if (!sha256 || !SHA256_PATTERN.test(sha256)) {
+      return res.status(400).json({ error: 'Invalid thumbnail hash' });
+    }
+
+    const body = pipeline(req, verifiedChunk(length, sha256, 'Thumbnail'), () => {});
+    const { size } = await storage.save(sessionThumbnailKey(session), body);
+
+    const thumbnail = { iv, size, sha256 };
+    await UploadSession.updateOne({ _id: session._id }, { $set: { thumbnail } });
+
+    res.json(thumbnail);
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Thumbnail upload error:', error);
+    res.status(500).json({ error: 'Failed to store thumbnail' });
+  }
+});
+
+// POST /api/files/sessions/:sessionId/complete - Assemble the chunks into a file
+// sha256 is the uploader's file hash (over its chunk hashes); byte-identical ciphertext is stored once
+// (every upload has its own file key, so separate uploads of the same file never match)
+router.post('/sessions/:sessionId/complete', async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.sessionId, req.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload session not found' });
+    }
+
+    const missing = session.totalChunks - session.receivedChunks().length;
+    if (missing > 0) {
+      return res.status(400).json({ error: `${missing} chunk(s) missing`, receivedChunks: session.receivedChunks() });
+    }
+
+    // Only one completion at a time - and no chunks replaced while assembling
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'open' },
+      { status: 'completing' },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'Upload is already being completed' });
+    }
+
+    // The chunks the server verified must be the ones the uploader encrypted
+    const sha256 = fileHash(claimed.chunkHashes);
+    if (req.body.sha256 !== sha256) {
+      await UploadSession.updateOne({ _id: claimed._id }, { status: 'open' });
+      return res.status(400).json({ error: 'File hash does not match the uploaded chunks' });
+    }
+
+    let blob = null;
+    let thumbnail = null;
+    let file;
+    try {
+      const chunkKeys = Array.from({ length: claimed.totalChunks }, (_, n) => chunkKey(claimed, n));
+      blob = await storeBlob(sha256, (key) => storage.concat(key, chunkKeys));
+
+      // The thumbnail belongs to this file alone (it is never deduplicated)
+      if (claimed.thumbnail) {
+        const key = `thumbnails/${uniqueFilename()}`;
+        await storage.concat(key, [sessionThumbnailKey(claimed)]);
+        thumbnail = { key, ...claimed.thumbnail.toObject() };
       }
-    };
 
-    // Add chunk info if present
-    if (parsedChunkInfo) {
-      fileData.chunkInfo = {
-        ivs: parsedChunkInfo.ivs || [],
-        sizes: parsedChunkInfo.sizes || []
-      };
+      file = await File.create({
+        sender: req.userId,
+        recipient: claimed.recipient,
+        shareMode: claimed.shareMode,
+        kind: claimed.kind,
+        filename: blob.key,
+        sha256,
+        iv: claimed.chunkIvs[0],
+        metadata: {
+          size: claimed.metadata.size,
+          chunked: true,
+          totalChunks: claimed.totalChunks,
+          chunkSize: claimed.chunkSize,
+          contentId: claimed.metadata.contentId
+        },
+        encryptedMetadata: claimed.encryptedMetadata,
+        keyEnvelopes: claimed.keyEnvelopes?.length
+          ? claimed.keyEnvelopes.map(envelope => ({
+            recipient: envelope.recipient,
+            recipientDevice: envelope.recipientDevice,
+            wrappedBy: req.userId,
+            wrappedByDevice: envelope.wrappedByDevice,
+            wrappedKey: envelope.wrappedKey,
+            iv: envelope.iv
+          }))
+          : undefined,
+        chunkInfo: {
+          ivs: claimed.chunkIvs,
+          sizes: claimed.chunkSizes,
+          hashes: claimed.chunkHashes
+        },
+        thumbnail,
+        storedSize: blob.size + (thumbnail ? thumbnail.size : 0),
+        expiresAt: claimed.fileTtlMs ? new Date(Date.now() + claimed.fileTtlMs) : null
+      });
+    } catch (error) {
+      // Nothing references the blob or thumbnail copy yet - drop them and reopen the session for a retry
+      if (blob) {
+        await releaseBlob({ filename: blob.key, sha256 }).catch(cleanupError =>
+          console.error('Blob release error:', cleanupError));
+      }
+      if (thumbnail) {
+        await storage.remove(thumbnail.key).catch(cleanupError =>
+          console.error('Thumbnail cleanup error:', cleanupError));
+      }
+      await UploadSession.updateOne({ _id: claimed._id }, { status: 'open' });
+      throw error;
     }
 
-    const file = await File.create(fileData);
+    await storage.removePrefix(sessionPrefix(claimed));
+    await UploadSession.deleteOne({ _id: claimed._id });
 
     // Log file upload
     await Log.create({
@@ -89,11 +471,15 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       userId: req.userId,
       details: {
         fileId: file._id,
-        recipientId,
-        originalName: parsedMetadata.name,
-        size: parsedMetadata.size,
-        chunked: parsedMetadata.chunked || false,
-        totalChunks: parsedMetadata.totalChunks || 0
+        recipientId: claimed.recipient,
+        shareMode: claimed.shareMode,
+        kind: claimed.kind,
+        paddedSize: claimed.metadata.size,
+        chunked: true,
+        totalChunks: claimed.totalChunks,
+        deduplicated: blob.deduplicated,
+        thumbnail: Boolean(thumbnail),
+        expiresAt: file.expiresAt
       },
       severity: 'INFO',
       success: true
@@ -101,34 +487,45 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 
     res.status(201).json({
       message: 'File uploaded',
-      fileId: file._id
+      fileId: file._id,
+      expiresAt: file.expiresAt
     });
 
   } catch (error) {
-    console.error('File upload error:', error);
-    res.status(500).json({ error: 'Failed to upload file' });
+    console.error('Complete upload error:', error);
+    res.status(500).json({ error: 'Failed to complete upload' });
   }
 });
 
 // GET /api/files/:id/info - Get file metadata
 router.get('/:id/info', async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
     const file = await File.findById(req.params.id);
     
     if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Check if user is sender or recipient
-    if (file.sender.toString() !== req.userId && file.recipient.toString() !== req.userId) {
+    // Check if user is sender or recipient (directly or through a re-share)
+    if (!canAccess(file, req.userId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     res.json({
       iv: file.iv,
+      kind: file.kind,
       metadata: file.metadata,
+      encryptedMetadata: file.encryptedMetadata || null,
+      sha256: file.sha256 || null,
+      keyEnvelopes: envelopesFor(file, req.userId),
+      thumbnail: thumbnailInfo(file),
       sender: file.sender,
       uploadedAt: file.uploadedAt,
+      expiresAt: file.expiresAt,
       isChunked: file.isChunked || false,
       chunkInfo: file.chunkInfo || null
     });
@@ -140,39 +537,225 @@ router.get('/:id/info', async (req, res) => {
 });
 
 // GET /api/files/:id/download - Download encrypted file
+// Supports Range requests - large files are fetched one encrypted chunk at a time
 router.get('/:id/download', async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
     const file = await File.findById(req.params.id);
     
     if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Check if user is sender or recipient
-    if (file.sender.toString() !== req.userId && file.recipient.toString() !== req.userId) {
+    // Check if user is sender or recipient (directly or through a re-share)
+    if (!canAccess(file, req.userId)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const filePath = path.join(__dirname, '../uploads', file.filename);
-    
-    if (!fs.existsSync(filePath)) {
+    const blob = await storage.stat(file.filename);
+    if (!blob) {
       return res.status(404).json({ error: 'File not found on server' });
     }
 
-    // Log file download
+    const { size } = blob;
+    const ranges = req.headers.range ? req.range(size, { combine: true }) : null;
+
+    if (ranges === -1) {
+      return res.status(416).set('Content-Range', `bytes */${size}`).json({ error: 'Range not satisfiable' });
+    }
+    if (ranges === -2) {
+      return res.status(400).json({ error: 'Malformed Range header' });
+    }
+
+    // Log the download once - not for every range of it
+    if (!ranges || ranges[0].start === 0) {
+      await Log.create({
+        eventType: 'FILE_DOWNLOADED',
+        userId: req.userId,
+        details: { fileId: file._id, ranged: Boolean(ranges) },
+        severity: 'INFO',
+        success: true
+      });
+    }
+
+    await sendBlob(res, file.filename, size, ranges);
+
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+// GET /api/files/:id/thumbnail - Download the encrypted thumbnail
+router.get('/:id/thumbnail', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = await File.findById(req.params.id, 'sender recipient keyEnvelopes thumbnail');
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (!canAccess(file, req.userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!file.thumbnail) {
+      return res.status(404).json({ error: 'File has no thumbnail' });
+    }
+
+    // Thumbnails are encrypted and never change - browsers may keep them
+    res.set('Cache-Control', 'private, max-age=86400');
+    await sendBlob(res, file.thumbnail.key, file.thumbnail.size, null);
+
+  } catch (error) {
+    console.error('Thumbnail download error:', error);
+    res.status(500).json({ error: 'Failed to download thumbnail' });
+  }
+});
+
+// POST /api/files/:id/share - Share a file with another user without re-uploading it
+// The sharing user's client re-wraps the file key for every device of the new recipient
+// (and for its own devices that have no envelope yet); the blob is untouched
+router.post('/:id/share', async (req, res) => {
+  try {
+    const { recipientId, keyEnvelopes } = req.body;
+
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(recipientId)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const envelopes = parseKeyEnvelopes(keyEnvelopes, String(recipientId), req.userId, req.deviceId);
+    if (!envelopes) {
+      return res.status(400).json({ error: 'Invalid key envelopes' });
+    }
+    if (recipientId === req.userId) {
+      return res.status(400).json({ error: 'Cannot share a file with yourself' });
+    }
+
+    const file = await File.findById(req.params.id);
+    if (!file || !canAccess(file, req.userId)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    // Older files are encrypted with the conversation key itself - there is no file key to pass on
+    if (!file.keyEnvelopes?.length) {
+      return res.status(400).json({ error: 'This file cannot be shared again - send it as a new upload' });
+    }
+    if (!(await User.exists({ _id: recipientId }))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Our own devices keep the envelopes they already have
+    const createdAt = new Date();
+    const stored = new Set(file.keyEnvelopes.map(envelope => `${envelope.recipient}:${envelope.recipientDevice || null}`));
+    const added = envelopes
+      .filter(envelope => envelope.recipient === String(recipientId) || !stored.has(`${envelope.recipient}:${envelope.recipientDevice}`))
+      .map(envelope => ({ ...envelope, wrappedBy: req.userId, createdAt }));
+    const forRecipient = added.filter(envelope => envelope.recipient === String(recipientId));
+
+    // Shared with a user once - added atomically so concurrent shares cannot duplicate it
+    const { modifiedCount } = await File.updateOne(
+      { _id: file._id, sender: { $ne: recipientId }, 'keyEnvelopes.recipient': { $ne: recipientId } },
+      { $push: { keyEnvelopes: { $each: added } } }
+    );
+    if (modifiedCount === 0) {
+      return res.status(409).json({ error: 'The file is already shared with this user' });
+    }
+
     await Log.create({
-      eventType: 'FILE_DOWNLOADED',
+      eventType: 'FILE_SHARED',
       userId: req.userId,
-      details: { fileId: file._id },
+      targetUserId: recipientId,
+      details: { fileId: file._id, originalSender: file.sender },
       severity: 'INFO',
       success: true
     });
 
-    res.sendFile(filePath);
+    // Same notification as for a new upload
+    const io = req.app.get('io');
+    if (io) {
+      io.to(recipientId).emit('file_shared', {
+        from: req.userId,
+        fileId: file._id,
+        kind: file.kind,
+        metadata: file.metadata,
+        encryptedMetadata: file.encryptedMetadata,
+        keyEnvelopes: forRecipient,
+        thumbnail: thumbnailInfo(file),
+        timestamp: createdAt.getTime()
+      });
+    }
+
+    res.status(201).json({ message: 'File shared', fileId: file._id, keyEnvelopes: added });
 
   } catch (error) {
-    console.error('File download error:', error);
-    res.status(500).json({ error: 'Failed to download file' });
+    console.error('File share error:', error);
+    res.status(500).json({ error: 'Failed to share file' });
+  }
+});
+
+// DELETE /api/files/:id - Delete a file, its blob and its share links (sender only)
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const file = await File.findById(req.params.id);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (String(file.sender) !== req.userId) {
+      return res.status(403).json({ error: 'Only the sender can delete a file' });
+    }
+
+    await deleteStoredFile(file);
+
+    await Log.create({
+      eventType: 'FILE_DELETED',
+      userId: req.userId,
+      targetUserId: file.recipient,
+      details: { fileId: file._id, shareMode: file.shareMode, reason: 'deleted by sender' },
+      severity: 'INFO',
+      success: true
+    });
+
+    // Remove it from the recipients' chats (and the sender's other devices)
+    const io = req.app.get('io');
+    if (io) {
+      const notification = { fileId: String(file._id), from: req.userId };
+      const rooms = new Set([req.userId]);
+      if (file.recipient) rooms.add(String(file.recipient));
+      for (const envelope of file.keyEnvelopes || []) {
+        rooms.add(String(envelope.recipient));
+        rooms.add(String(envelope.wrappedBy));
+      }
+      for (const room of rooms) {
+        io.to(room).emit('file_deleted', notification);
+      }
+    }
+
+    res.json({ message: 'File deleted', fileId: file._id });
+
+  } catch (error) {
+    console.error('File delete error:', error);
+    res.status(500).json({ error: 'Failed to delete file' });
+  }
+});
+
+// GET /api/files/usage - Storage used by the current user and their quota
+router.get('/usage', async (req, res) => {
+  try {
+    res.json(await getStorageUsage(req.userId));
+
+  } catch (error) {
+    console.error('Storage usage error:', error);
+    res.status(500).json({ error: 'Failed to get storage usage' });
   }
 });
 
@@ -182,11 +765,12 @@ router.get('/', async (req, res) => {
     const files = await File.find({
       $or: [
         { sender: req.userId },
-        { recipient: req.userId }
+        { recipient: req.userId },
+        { 'keyEnvelopes.recipient': req.userId }
       ]
     })
     .sort({ uploadedAt: -1 })
-    .select('sender recipient metadata uploadedAt');
+    .select('sender recipient kind metadata encryptedMetadata uploadedAt expiresAt');
 
     res.json(files);
 
@@ -197,20 +781,64 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/files/peer/:peerId - Get files shared with a specific peer
+// Paged like message history: before = uploadedAt, beforeId = _id of the oldest file loaded
+// Includes files either of the two re-shared with the other; each comes with the
+// current user's envelopes (sharedBy/sharedAt mark re-shares)
 router.get('/peer/:peerId', async (req, res) => {
   try {
     const { peerId } = req.params;
+    const { before, beforeId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    if (!mongoose.isValidObjectId(peerId)) {
+      return res.status(400).json({ error: 'Invalid peer ID' });
+    }
+
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid before cursor' });
+    }
+    if (beforeId && (!beforeDate || !mongoose.isValidObjectId(beforeId))) {
+      return res.status(400).json({ error: 'Invalid beforeId cursor' });
+    }
     
-    const files = await File.find({
+    const conditions = [{
       $or: [
         { sender: req.userId, recipient: peerId },
-        { sender: peerId, recipient: req.userId }
+        { sender: peerId, recipient: req.userId },
+        { keyEnvelopes: { $elemMatch: { recipient: req.userId, wrappedBy: peerId } } },
+        { keyEnvelopes: { $elemMatch: { recipient: peerId, wrappedBy: req.userId } } }
       ]
-    })
-    .sort({ uploadedAt: -1 })
-    .select('sender recipient metadata uploadedAt iv');
+    }];
 
-    res.json(files);
+    // Pages go back from the oldest file already loaded - the ID breaks timestamp ties
+    if (beforeDate && beforeId) {
+      conditions.push({
+        $or: [
+          { uploadedAt: { $lt: beforeDate } },
+          { uploadedAt: beforeDate, _id: { $lt: new mongoose.Types.ObjectId(beforeId) } }
+        ]
+      });
+    } else if (beforeDate) {
+      conditions.push({ uploadedAt: { $lt: beforeDate } });
+    }
+    
+    const files = await File.find({ $and: conditions })
+    .sort({ uploadedAt: -1, _id: -1 })
+    .limit(limit)
+    .select('sender recipient kind metadata encryptedMetadata keyEnvelopes thumbnail uploadedAt expiresAt iv');
+
+    res.json(files.map(file => {
+      const { keyEnvelopes, ...shared } = file.toObject();
+      const envelope = envelopeBetween(file, req.userId, peerId);
+      const reshared = envelope && String(envelope.wrappedBy) !== String(file.sender);
+      return {
+        ...shared,
+        keyEnvelopes: envelopesFor(file, req.userId),
+        thumbnail: thumbnailInfo(file),
+        ...(reshared && { sharedBy: envelope.wrappedBy, sharedAt: envelope.createdAt })
+      };
+    }));
 
   } catch (error) {
     console.error('Fetch peer files error:', error);
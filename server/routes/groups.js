@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const SenderKeyDistribution = require('../models/SenderKeyDistribution');
+const Log = require('../models/Log');
+const { authenticate } = require('../middleware/auth');
+
+// Sender keys are distributed pairwise - keep the fan-out bounded
+const MAX_GROUP_MEMBERS = 50;
+
+// History paging (same limits as direct messages)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// All routes require authentication
+router.use(authenticate);
+
+// Public view of a group (membership only - the server holds no group keys)
+const toPublicGroup = (group) => ({
+  _id: group._id,
+  name: group.name,
+  createdBy: group.createdBy,
+  epoch: group.epoch,
+  members: group.members.map(member => ({
+    userId: String(member.user._id || member.user),
+    username: member.user.username,
+    role: member.role,
+    addedAt: member.addedAt
+  })),
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt
+});
+
+const findMember = (group, userId) => (
+  group.members.find(member => String(member.user._id || member.user) === String(userId))
+);
+
+// Load a group the user belongs to (null for unknown groups and non-members alike)
+const findMemberGroup = async (groupId, userId) => {
+  if (!mongoose.isValidObjectId(groupId)) return null;
+  const group = await Group.findOne({ _id: groupId, 'members.user': userId })
+    .populate('members.user', 'username');
+  return group;
+};
+
+// Normalise a list of user IDs and check they exist
+const resolveUserIds = async (userIds) => {
+  if (!Array.isArray(userIds) || userIds.some(id => !mongoose.isValidObjectId(id))) {
+    return null;
+  }
+  const unique = [...new Set(userIds.map(String))];
+  const count = await User.countDocuments({ _id: { $in: unique } });
+  return count === unique.length ? unique : null;
+};
+
+// Tell current (and just removed) members that the group changed
+// Clients rotate their sender keys whenever the epoch moves on
+const notifyMembers = (req, group, payload, extraUserIds = []) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const rooms = [
+    ...group.members.map(member => String(member.user._id || member.user)),
+    ...extraUserIds.map(String)
+  ];
+  io.to(rooms).emit('group_updated', {
+    groupId: String(group._id),
+    epoch: group.epoch,
+    ...payload
+  });
+};
+
+// POST /api/groups - Create a group (creator becomes admin)
+router.post('/', async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Group name is required' });
+    }
+
+    const userIds = await resolveUserIds(memberIds);
+    if (!userIds) {
+      return res.status(400).json({ error: 'Invalid members' });
+    }
+
+    const others = userIds.filter(id => id !== String(req.userId));
+    if (others.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const created = await Group.create({
+      name: name.trim(),
+      createdBy: req.userId,
+      members: [
+        { user: req.userId, role: 'admin' },
+        ...others.map(user => ({ user, role: 'member' }))
+      ]
+    });
+    const group = await created.populate('members.user', 'username');
+
+    await Log.create({
+      eventType: 'GROUP_CREATED',
+      userId: req.userId,
+      details: { groupId: group._id, memberCount: group.members.length },
+      severity: 'INFO',
+      success: true
+    });
+
+    notifyMembers(req, group, { action: 'created' });
+
+    res.status(201).json(toPublicGroup(group));
+
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({ error: 'Failed to create group' });
+  }
+});
+
+// GET /api/groups - List the current user's groups
+router.get('/', async (req, res) => {
+  try {
+    const groups = await Group.find({ 'members.user': req.userId })
+      .populate('members.user', 'username')
+      .sort({ updatedAt: -1 });
+
+    res.json(groups.map(toPublicGroup));
+
+  } catch (error) {
+    console.error('List groups error:', error);
+    res.status(500).json({ error: 'Failed to fetch groups' });
+  }
+});
+
+// GET /api/groups/:groupId - Group details and members
+router.get('/:groupId', async (req, res) => {
+  try {
+    const group = await findMemberGroup(req.params.groupId, req.userId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json(toPublicGroup(group));
+
+  } catch (error) {
+    console.error('Fetch group error:', error);
+    res.status(500).json({ error: 'Failed to fetch group' });
+  }
+});
+
+// POST /api/groups/:groupId/members - Add members (admins only)
+router.post('/:groupId/members', async (req, res) => {
+  try {
+    const group = await findMemberGroup(req.params.groupId, req.userId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (findMember(group, req.userId).role !== 'admin') {
+      return res.status(403).json({ error: 'Only group admins can add members' });
+    }
+
+    const userIds = await resolveUserIds(req.body.userIds);
+    if (!userIds || userIds.length === 0) {
+      return res.status(400).json({ error: 'Invalid members' });
+    }
+
+    const added = userIds.filter(id => !findMember(group, id));
+    if (added.length === 0) {
+      return res.json(toPublicGroup(group));
+    }
+    if (group.members.length + added.length > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ error: `Groups can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    group.members.push(...added.map(user => ({ user, role: 'member' })));
+    group.epoch += 1;
+    group.updatedAt = new Date();
+    await group.save();
+    await group.populate('members.user', 'username');
+
+    await Log.create({
+      eventType: 'GROUP_MEMBERS_CHANGED',
+      userId: req.userId,
+      details: { groupId: group._id, action: 'added', userIds: added, epoch: group.epoch },
+      severity: 'INFO',
+      success: true
+    });
+
+    notifyMembers(req, group, { action: 'members_added', userIds: added });
+
+    res.json(toPublicGroup(group));
+
+  } catch (error) {
+    console.error('Add group members error:', error);
+    res.status(500).json({ error: 'Failed to add members' });
+  }
+});
+
+// DELETE /api/groups/:groupId/members/:userId - Remove a member (admins) or leave (self)
+router.delete('/:groupId/members/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const group = await findMemberGroup(req.params.groupId, req.userId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const leaving = String(userId) === String(req.userId);
+    if (!leaving && findMember(group, req.userId).role !== 'admin') {
+      return res.status(403).json({ error: 'Only group admins can remove members' });
+    }
+
+    const member = findMember(group, userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    group.members.pull(member._id);
+
+    // Sender keys addressed to the removed member are useless to everyone else
+    await SenderKeyDistribution.deleteMany({ group: group._id, recipient: userId });
+
+    // Last member left - nothing remains that anyone could read
+    if (group.members.length === 0) {
+      await Promise.all([
+        Group.deleteOne({ _id: group._id }),
+        Message.deleteMany({ group: group._id }),
+        SenderKeyDistribution.deleteMany({ group: group._id })
+      ]);
+      return res.json({ message: 'Group deleted' });
+    }
+
+    // Never leave a group without an admin
+    if (!group.members.some(m => m.role === 'admin')) {
+      group.members[0].role = 'admin';
+    }
+
+    group.epoch += 1;
+    group.updatedAt = new Date();
+    await group.save();
+
+    await Log.create({
+      eventType: 'GROUP_MEMBERS_CHANGED',
+      userId: req.userId,
+      targetUserId: userId,
+      details: { groupId: group._id, action: leaving ? 'left' : 'removed', epoch: group.epoch },
+      severity: 'INFO',
+      success: true
+    });
+
+    notifyMembers(req, group, { action: 'member_removed', userId: String(userId) }, [userId]);
+
+    res.json(toPublicGroup(group));
+
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// GET /api/groups/:groupId/messages - Encrypted group history
+// Members only see messages sent after they joined
+// Pages go back from the cursor (before = timestamp, beforeId = _id of the oldest message loaded)
+router.get('/:groupId/messages', async (req, res) => {
+  try {
+    const { beforeId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'Invalid before cursor' });
+    }
+    if (beforeId && (!before || !mongoose.isValidObjectId(beforeId))) {
+      return res.status(400).json({ error: 'Invalid beforeId cursor' });
+    }
+
+    const group = await findMemberGroup(req.params.groupId, req.userId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const query = { group: group._id, timestamp: { $gte: findMember(group, req.userId).addedAt } };
+    if (before && beforeId) {
+      // The ID breaks ties between messages with the same timestamp
+      query.$or = [
+        { timestamp: { $lt: before } },
+        { timestamp: before, _id: { $lt: new mongoose.Types.ObjectId(beforeId) } }
+      ];
+    } else if (before) {
+      query.timestamp.$lt = before;
+    }
+
+    const messages = await Message.find(query)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .select('sender senderDevice group keyMode senderKey signature ciphertext iv nonce timestamp');
+
+    res.json(messages.reverse());
+
+  } catch (error) {
+    console.error('Fetch group messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch group messages' });
+  }
+});
+
+// GET /api/groups/:groupId/sender-keys - Sender keys distributed to this device
+router.get('/:groupId/sender-keys', async (req, res) => {
+  try {
+    const group = await findMemberGroup(req.params.groupId, req.userId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const distributions = await SenderKeyDistribution.find({
+      group: group._id,
+      recipient: req.userId,
+      recipientDevice: { $in: [req.deviceId, null] }
+    })
+      .sort({ createdAt: 1 })
+      .select('group sender senderDevice ciphertext iv createdAt');
+
+    res.json(distributions);
+
+  } catch (error) {
+    console.error('Fetch sender keys error:', error);
+    res.status(500).json({ error: 'Failed to fetch sender keys' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,285 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const PreKey = require('../models/PreKey');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const KeyBackup = require('../models/KeyBackup');
+const Log = require('../models/Log');
+const { authenticate } = require('../middleware/auth');
+
+// Report low supply when fewer one-time prekeys than this remain
+const PREKEY_LOW_THRESHOLD = 10;
+// Maximum one-time prekeys stored per user
+const MAX_ONE_TIME_PREKEYS = 200;
+// Key backups hold two JWKs - anything larger is not a key backup
+const MAX_BACKUP_CIPHERTEXT_LENGTH = 16 * 1024;
+// Reject backups whose passphrase is too cheap to brute-force
+const MIN_BACKUP_KDF_ITERATIONS = 100000;
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/keys/prekeys - Upload signed prekey and/or a batch of one-time prekeys
+router.post('/prekeys', async (req, res) => {
+  try {
+    const { signedPreKey, oneTimePreKeys = [] } = req.body;
+
+    if (!signedPreKey && oneTimePreKeys.length === 0) {
+      return res.status(400).json({ error: 'No prekeys provided' });
+    }
+
+    if (signedPreKey && (!signedPreKey.keyId || !signedPreKey.publicKey || !signedPreKey.signature)) {
+      return res.status(400).json({ error: 'Signed prekey requires keyId, publicKey and signature' });
+    }
+
+    if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.some(k => !k || !k.keyId || !k.publicKey)) {
+      return res.status(400).json({ error: 'Invalid one-time prekeys' });
+    }
+
+    // Bundles are per device (X-Device-Id); null for single-device clients
+    const owner = { user: req.userId, device: req.deviceId };
+    const existing = await PreKey.findOne(owner);
+    const currentCount = existing ? existing.oneTimePreKeys.length : 0;
+
+    if (currentCount + oneTimePreKeys.length > MAX_ONE_TIME_PREKEYS) {
+      return res.status(400).json({ error: `At most ${MAX_ONE_TIME_PREKEYS} one-time prekeys can be stored` });
+    }
+
+    if (!signedPreKey && !existing?.signedPreKey) {
+      return res.status(400).json({ error: 'Signed prekey is required' });
+    }
+
+    const update = {
+      $set: { updatedAt: new Date() },
+      $push: {
+        oneTimePreKeys: {
+          $each: oneTimePreKeys.map(({ keyId, publicKey }) => ({ keyId, publicKey }))
+        }
+      }
+    };
+
+    if (signedPreKey) {
+      update.$set.signedPreKey = {
+        keyId: signedPreKey.keyId,
+        publicKey: signedPreKey.publicKey,
+        signature: signedPreKey.signature,
+        createdAt: new Date()
+      };
+    }
+
+    const bundle = await PreKey.findOneAndUpdate(
+      owner,
+      update,
+      { new: true, upsert: true }
+    );
+
+    // Log prekey upload (public keys only)
+    await Log.create({
+      eventType: 'PREKEYS_UPLOADED',
+      userId: req.userId,
+      details: {
+        deviceId: req.deviceId,
+        signedPreKeyId: signedPreKey?.keyId,
+        oneTimePreKeys: oneTimePreKeys.length
+      },
+      severity: 'INFO',
+      success: true
+    });
+
+    res.status(201).json({
+      message: 'Prekeys uploaded',
+      oneTimePreKeyCount: bundle.oneTimePreKeys.length,
+      low: bundle.oneTimePreKeys.length < PREKEY_LOW_THRESHOLD
+    });
+
+  } catch (error) {
+    console.error('Prekey upload error:', error);
+    res.status(500).json({ error: 'Failed to upload prekeys' });
+  }
+});
+
+// GET /api/keys/prekeys/count - Remaining one-time prekeys for the current user
+router.get('/prekeys/count', async (req, res) => {
+  try {
+    const bundle = await PreKey.findOne(
+      { user: req.userId, device: req.deviceId },
+      'signedPreKey oneTimePreKeys'
+    );
+    const count = bundle ? bundle.oneTimePreKeys.length : 0;
+
+    res.json({
+      count,
+      hasSignedPreKey: Boolean(bundle?.signedPreKey),
+      signedPreKeyCreatedAt: bundle?.signedPreKey?.createdAt || null,
+      low: count < PREKEY_LOW_THRESHOLD,
+      threshold: PREKEY_LOW_THRESHOLD
+    });
+
+  } catch (error) {
+    console.error('Prekey count error:', error);
+    res.status(500).json({ error: 'Failed to get prekey count' });
+  }
+});
+
+// GET /api/keys/prekeys/:userId?deviceId= - Fetch a user's (device's) prekey bundle
+// Each one-time prekey is removed atomically, so it is handed out only once
+router.get('/prekeys/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const deviceId = req.query.deviceId || null;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    if (deviceId !== null && typeof deviceId !== 'string') {
+      return res.status(400).json({ error: 'Invalid device ID' });
+    }
+
+    const user = await User.findById(userId, 'publicKeys');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Device bundles are signed by that device's identity key
+    let identityKeys = user.publicKeys;
+    if (deviceId) {
+      const device = await Device.findOne({ user: userId, deviceId, revokedAt: null }, 'publicKeys');
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      identityKeys = device.publicKeys;
+    }
+
+    // Pop the oldest one-time prekey; returns the document as it was before the pop
+    // Bundles without a signed prekey can't be used, so they keep their one-time prekeys
+    const bundle = await PreKey.findOneAndUpdate(
+      { user: userId, device: deviceId, signedPreKey: { $ne: null } },
+      { $pop: { oneTimePreKeys: -1 } },
+      { new: false }
+    );
+
+    if (!bundle || !bundle.signedPreKey) {
+      return res.status(404).json({ error: 'No prekey bundle available' });
+    }
+
+    const oneTimePreKey = bundle.oneTimePreKeys[0] || null;
+    const remaining = Math.max(bundle.oneTimePreKeys.length - 1, 0);
+
+    // Report low supply to the owner so their client can upload more
+    if (remaining < PREKEY_LOW_THRESHOLD) {
+      await Log.create({
+        eventType: 'PREKEYS_LOW',
+        userId,
+        details: { remaining, deviceId, requestedBy: req.userId },
+        severity: 'WARNING',
+        success: true
+      });
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(deviceId ? `device:${userId}:${deviceId}` : userId)
+          .emit('prekeys_low', { remaining, threshold: PREKEY_LOW_THRESHOLD });
+      }
+    }
+
+    res.json({
+      userId,
+      deviceId,
+      identityKeys,
+      signedPreKey: {
+        keyId: bundle.signedPreKey.keyId,
+        publicKey: bundle.signedPreKey.publicKey,
+        signature: bundle.signedPreKey.signature
+      },
+      oneTimePreKey
+    });
+
+  } catch (error) {
+    console.error('Prekey bundle error:', error);
+    res.status(500).json({ error: 'Failed to fetch prekey bundle' });
+  }
+});
+
+// PUT /api/keys/backup - Store (or replace) this device's encrypted key backup
+router.put('/backup', async (req, res) => {
+  try {
+    const { backup, deviceName } = req.body;
+
+    if (!backup?.version || !backup.kdf || !backup.iv || !backup.ciphertext) {
+      return res.status(400).json({ error: 'Backup requires version, kdf, iv and ciphertext' });
+    }
+
+    if (typeof backup.ciphertext !== 'string' || backup.ciphertext.length > MAX_BACKUP_CIPHERTEXT_LENGTH) {
+      return res.status(400).json({ error: 'Invalid backup ciphertext' });
+    }
+
+    if (!(backup.kdf.iterations >= MIN_BACKUP_KDF_ITERATIONS)) {
+      return res.status(400).json({ error: `Backup KDF needs at least ${MIN_BACKUP_KDF_ITERATIONS} iterations` });
+    }
+
+    const stored = await KeyBackup.findOneAndUpdate(
+      { user: req.userId, deviceId: req.deviceId },
+      {
+        deviceName,
+        backup: {
+          version: backup.version,
+          kdf: backup.kdf,
+          iv: backup.iv,
+          ciphertext: backup.ciphertext
+        },
+        updatedAt: new Date()
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    await Log.create({
+      eventType: 'KEY_BACKUP_UPLOADED',
+      userId: req.userId,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+      details: { deviceId: req.deviceId, kdf: backup.kdf.name, iterations: backup.kdf.iterations },
+      severity: 'INFO',
+      success: true
+    });
+
+    res.json({ message: 'Key backup stored', updatedAt: stored.updatedAt });
+
+  } catch (error) {
+    console.error('Key backup upload error:', error);
+    res.status(500).json({ error: 'Failed to store key backup' });
+  }
+});
+
+// GET /api/keys/backup - List the current user's encrypted key backups (newest first)
+router.get('/backup', async (req, res) => {
+  try {
+    const backups = await KeyBackup.find({ user: req.userId }).sort({ updatedAt: -1 });
+
+    if (backups.length > 0) {
+      await Log.create({
+        eventType: 'KEY_BACKUP_DOWNLOADED',
+        userId: req.userId,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        details: { backups: backups.length, requestedBy: req.deviceId },
+        severity: 'INFO',
+        success: true
+      });
+    }
+
+    res.json(backups.map(entry => ({
+      deviceId: entry.deviceId,
+      deviceName: entry.deviceName,
+      backup: entry.backup,
+      updatedAt: entry.updatedAt
+    })));
+
+  } catch (error) {
+    console.error('Key backup fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch key backups' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const Log = require('../models/Log');
+const { authenticate } = require('../middleware/auth');
+const { storage, sendBlob } = require('../services/storage');
+
+const BCRYPT_ROUNDS = 12;
+const MAX_LINK_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_LINK_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_DOWNLOAD_LIMIT = 1000;
+// Wrong passwords: after every MAX_PASSWORD_ATTEMPTS the link is locked for a while
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_LOCK_MS = 15 * 60 * 1000;
+// A granted download may fetch its ranges for this long
+const GRANT_LIFETIME = '1h';
+
+// Grants are signed with their own key - they can never pass as login tokens
+const grantSecret = () => `${process.env.JWT_SECRET}:share-link`;
+
+const findLink = (token) => (
+  typeof token === 'string' && /^[A-Za-z0-9_-]{32,64}$/.test(token)
+    ? ShareLink.findOne({ token })
+    : null
+);
+
+// Public view of a link (never the file key - the server does not have it)
+const toLinkStatus = (link) => ({
+  token: link.token,
+  expiresAt: link.expiresAt,
+  maxDownloads: link.maxDownloads,
+  downloadCount: link.downloadCount,
+  passwordRequired: Boolean(link.passwordHash),
+  available: !link.unavailableReason(),
+  reason: link.unavailableReason()
+});
+
+const logLinkDenied = (link, req, reason) => Log.create({
+  eventType: 'SHARE_LINK_DENIED',
+  details: { linkId: link._id, fileId: link.file, reason },
+  ipAddress: req.ip,
+  userAgent: req.get('user-agent'),
+  severity: 'WARNING',
+  success: false
+});
+
+// POST /api/links - Create a share link for a file uploaded in link mode
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { fileId, expiresInMs = DEFAULT_LINK_LIFETIME_MS, maxDownloads = null, password } = req.body;
+
+    if (!mongoose.isValidObjectId(fileId)) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (!Number.isInteger(expiresInMs) || expiresInMs < 60 * 1000 || expiresInMs > MAX_LINK_LIFETIME_MS) {
+      return res.status(400).json({ error: 'Links can be valid for 1 minute up to 30 days' });
+    }
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > MAX_DOWNLOAD_LIMIT)) {
+      return res.status(400).json({ error: `Download limit must be between 1 and ${MAX_DOWNLOAD_LIMIT}` });
+    }
+    if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 4)) {
+      return res.status(400).json({ error: 'Password must be at least 4 characters' });
+    }
+
+    const file = await File.findOne({ _id: fileId, sender: req.userId, shareMode: 'link' });
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // A link never outlives its file
+    const requestedExpiry = new Date(Date.now() + expiresInMs);
+    const expiresAt = file.expiresAt && file.expiresAt < requestedExpiry ? file.expiresAt : requestedExpiry;
+
+    const link = await ShareLink.create({
+      token: crypto.randomBytes(24).toString('base64url'),
+      file: file._id,
+      owner: req.userId,
+      expiresAt,
+      maxDownloads,
+      passwordHash: password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null
+    });
+
+    await Log.create({
+      eventType: 'SHARE_LINK_CREATED',
+      userId: req.userId,
+      details: {
+        linkId: link._id,
+        fileId: file._id,
+        expiresAt: link.expiresAt,
+        maxDownloads,
+        passwordProtected: Boolean(password)
+      },
+      severity: 'INFO',
+      success: true
+    });
+
+    res.status(201).json(toLinkStatus(link));
+
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// DELETE /api/links/:token - Revoke a share link (owner only)
+router.delete('/:token', authenticate, async (req, res) => {
+  try {
+    const link = await findLink(req.params.token);
+    if (!link || String(link.owner) !== req.userId) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    link.revokedAt = link.revokedAt || new Date();
+    await link.save();
+
+    res.json(toLinkStatus(link));
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
+  }
+});
+
+// GET /api/links/:token - Link status (public)
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await findLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json(toLinkStatus(link));
+
+  } catch (error) {
+    console.error('Share link status error:', error);
+    res.status(500).json({ error: 'Failed to get link' });
+  }
+});
+
+// POST /api/links/:token/access - Check the password and count a download (public)
+// Returns a short-lived grant for the encrypted file and its (encrypted) metadata
+router.post('/:token/access', async (req, res) => {
+  try {
+    const link = await findLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    const reason = link.unavailableReason();
+    if (reason) {
+      await logLinkDenied(link, req, reason);
+      return res.status(410).json({ error: `This link is no longer available (${reason})` });
+    }
+
+    if (link.passwordHash) {
+      if (link.lockedUntil && link.lockedUntil > new Date()) {
+        return res.status(429).json({ error: 'Too many wrong passwords - try again later' });
+      }
+
+      const { password } = req.body;
+      const isValid = typeof password === 'string' && await bcrypt.compare(password, link.passwordHash);
+      if (!isValid) {
+        const failedAttempts = link.failedAttempts + 1;
+        await ShareLink.updateOne({ _id: link._id }, {
+          $inc: { failedAttempts: 1 },
+          ...(failedAttempts % MAX_PASSWORD_ATTEMPTS === 0 && {
+            $set: { lockedUntil: new Date(Date.now() + PASSWORD_LOCK_MS) }
+          })
+        });
+        await logLinkDenied(link, req, 'wrong password');
+        return res.status(401).json({ error: password ? 'Wrong password' : 'Password required', passwordRequired: true });
+      }
+    }
+
+    // Count the download - atomically, so the limit holds under concurrent requests
+    const counted = await ShareLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+        $or: [
+          { maxDownloads: null },
+          { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }
+        ]
+      },
+      { $inc: { downloadCount: 1 }, $set: { failedAttempts: 0, lockedUntil: null } },
+      { new: true }
+    );
+    if (!counted) {
+      await logLinkDenied(link, req, 'download limit reached');
+      return res.status(410).json({ error: 'This link is no longer available (download limit reached)' });
+    }
+
+    const file = await File.findById(link.file);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    await Log.create({
+      eventType: 'SHARE_LINK_ACCESSED',
+      details: { linkId: link._id, fileId: file._id, downloadCount: counted.downloadCount },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      severity: 'INFO',
+      success: true
+    });
+
+    const grant = jwt.sign({ link: String(link._id), file: String(file._id) }, grantSecret(), { expiresIn: GRANT_LIFETIME });
+
+    res.json({
+      grant,
+      file: {
+        iv: file.iv,
+        metadata: file.metadata,
+        encryptedMetadata: file.encryptedMetadata || null,
+        sha256: file.sha256 || null,
+        chunkInfo: file.chunkInfo || null
+      },
+      link: toLinkStatus(counted)
+    });
+
+  } catch (error) {
+    console.error('Share link access error:', error);
+    res.status(500).json({ error: 'Failed to open link' });
+  }
+});
+
+// GET /api/links/:token/download - Encrypted file for a granted download (public, Range supported)
+router.get('/:token/download', async (req, res) => {
+  try {
+    const link = await findLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    let grant;
+    try {
+      grant = jwt.verify(req.get('X-Link-Grant') || '', grantSecret());
+    } catch (error) {
+      return res.status(401).json({ error: 'Download not granted' });
+    }
+    // Revoking a link also stops downloads already in progress
+    if (grant.link !== String(link._id) || link.revokedAt) {
+      return res.status(403).json({ error: 'Download not granted' });
+    }
+
+    const file = await File.findById(grant.file);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const blob = await storage.stat(file.filename);
+    if (!blob) {
+      return res.status(404).json({ error: 'File not found on server' });
+    }
+
+    const { size } = blob;
+    const ranges = req.headers.range ? req.range(size, { combine: true }) : null;
+    if (ranges === -1) {
+      return res.status(416).set('Content-Range', `bytes */${size}`).json({ error: 'Range not satisfiable' });
+    }
+    if (ranges === -2) {
+      return res.status(400).json({ error: 'Malformed Range header' });
+    }
+
+    await sendBlob(res, file.filename, size, ranges);
+
+  } catch (error) {
+    console.error('Share link download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
+module.exports = router;
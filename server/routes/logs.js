@@ -117,15 +117,18 @@ router.get('/event-types', authenticate, (req, res) => {
     // Key Management
     { category: 'Key Management', events: [
       'KEY_UPDATE', 'KEY_GENERATION', 'KEY_EXCHANGE_INIT', 'KEY_EXCHANGE_RESPONSE', 
-      'KEY_EXCHANGE_COMPLETE', 'KEY_EXCHANGE_FAILED'
+      'KEY_EXCHANGE_COMPLETE', 'KEY_EXCHANGE_FAILED', 'PREKEYS_UPLOADED', 'PREKEYS_LOW',
+      'DEVICE_REGISTERED', 'DEVICE_REVOKED', 'KEY_BACKUP_UPLOADED', 'KEY_BACKUP_DOWNLOADED'
     ]},
     // Messaging
     { category: 'Messaging', events: [
-      'MESSAGE_SENT', 'MESSAGE_RECEIVED', 'MESSAGE_DECRYPTION_FAILED'
+      'MESSAGE_SENT', 'MESSAGE_RECEIVED', 'MESSAGE_DECRYPTION_FAILED', 'MESSAGE_EDITED', 'MESSAGE_DELETED',
+      'GROUP_CREATED', 'GROUP_MEMBERS_CHANGED'
     ]},
     // Files
     { category: 'Files', events: [
-      'FILE_UPLOADED', 'FILE_DOWNLOADED', 'FILE_ENCRYPTION_FAILED', 'FILE_DECRYPTION_FAILED'
+      'FILE_UPLOADED', 'FILE_DOWNLOADED', 'FILE_ENCRYPTION_FAILED', 'FILE_DECRYPTION_FAILED', 'FILE_DELETED', 'FILE_SHARED',
+      'FILE_DIRECT_TRANSFER', 'SHARE_LINK_CREATED', 'SHARE_LINK_ACCESSED', 'SHARE_LINK_DENIED'
     ]},
     // Security Attacks
     { category: 'Security Attacks', events: [
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Log = require('../models/Log');
 const { authenticate } = require('../middleware/auth');
 
+// Delivery states, least to most advanced
+const DELIVERY_STATES = ['sent', 'delivered', 'read'];
+
+// History paging
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -47,26 +55,77 @@ router.post('/', async (req, res) => {
 });
 
 // GET /api/messages/:recipientId - Get messages with a specific user
+// Pages go back from the cursor (before = timestamp, beforeId = _id of the oldest
+// message already loaded) - the ID breaks ties between messages with the same timestamp
 router.get('/:recipientId', async (req, res) => {
   try {
     const { recipientId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { before, beforeId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
-    const query = {
-      $or: [
-        { sender: req.userId, recipient: recipientId },
-        { sender: recipientId, recipient: req.userId }
-      ]
-    };
+    if (!mongoose.isValidObjectId(recipientId)) {
+      return res.status(400).json({ error: 'Invalid recipient ID' });
+    }
 
-    if (before) {
-      query.timestamp = { $lt: new Date(before) };
+    const beforeDate = before ? new Date(before) : null;
+    if (beforeDate && isNaN(beforeDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid before cursor' });
     }
+    if (beforeId && (!beforeDate || !mongoose.isValidObjectId(beforeId))) {
+      return res.status(400).json({ error: 'Invalid beforeId cursor' });
+    }
+
+    const conditions = [
+      {
+        $or: [
+          { sender: req.userId, recipient: recipientId },
+          { sender: recipientId, recipient: req.userId }
+        ]
+      },
+      // Each device reads only the copies encrypted for it
+      // (plus messages stored by older single-device clients)
+      { recipientDevice: req.deviceId ? { $in: [req.deviceId, null] } : null }
+    ];
 
-    const messages = await Message.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .select('sender recipient ciphertext iv nonce timestamp');
+    if (beforeDate && beforeId) {
+      conditions.push({
+        $or: [
+          { timestamp: { $lt: beforeDate } },
+          { timestamp: beforeDate, _id: { $lt: new mongoose.Types.ObjectId(beforeId) } }
+        ]
+      });
+    } else if (beforeDate) {
+      conditions.push({ timestamp: { $lt: beforeDate } });
+    }
+
+    const messages = await Message.find({ $and: conditions })
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit)
+      .select('sender recipient senderDevice recipientDevice keyMode ratchet ciphertext iv messageId status editedAt deletedAt nonce timestamp')
+      .lean();
+
+    // Our own copy doesn't tell us whether the peer got it - report the most
+    // advanced state of any copy of the message instead
+    const sentIds = messages
+      .filter(m => String(m.sender) === String(req.userId) && m.messageId)
+      .map(m => m.messageId);
+
+    if (sentIds.length > 0) {
+      const states = await Message.aggregate([
+        { $match: { messageId: { $in: sentIds }, sender: new mongoose.Types.ObjectId(req.userId) } },
+        { $group: { _id: '$messageId', statuses: { $addToSet: '$status' } } }
+      ]);
+      const stateById = new Map(states.map(state => [
+        state._id,
+        DELIVERY_STATES[Math.max(...state.statuses.map(status => DELIVERY_STATES.indexOf(status)))]
+      ]));
+
+      for (const message of messages) {
+        if (String(message.sender) === String(req.userId) && stateById.has(message.messageId)) {
+          message.status = stateById.get(message.messageId);
+        }
+      }
+    }
 
     res.json(messages.reverse());
 
@@ -0,0 +1,108 @@
+/**
+ * Deduplicated Blob Store
+ * =======================
+ *
+ * Encrypted uploads are stored by the hash of their ciphertext and reference
+ * counted: files with byte-identical ciphertext point to the same blob, which
+ * is removed with its last reference.
+ *
+ * Deduplication covers identical ciphertext only. Every upload is encrypted
+ * with its own random file key, so the same plaintext uploaded twice (by one
+ * user or by several) never matches, and re-shares reuse the existing file
+ * record rather than uploading again. The server cannot tell when two uploads
+ * hold the same content - that is by design. The hash mainly serves as the
+ * integrity check for uploads and downloads.
+ *
+ * The file hash is SHA-256 over the concatenated SHA-256 hashes of the
+ * encrypted chunks - browsers cannot hash a multi-gigabyte ciphertext in one
+ * pass, but they can hash each chunk as it is sent.
+ */
+
+const crypto = require('crypto');
+const StoredBlob = require('../models/StoredBlob');
+const { storage } = require('./storage');
+
+// New content always gets a fresh key: a blob removed concurrently never takes new content with it
+const newBlobKey = (sha256) =>
+  `blobs/${Buffer.from(sha256, 'base64').toString('hex')}-${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * File hash of a chunk list
+ * @param {string[]} chunkHashes - base64 SHA-256 of each encrypted chunk, in order
+ * @returns {string} base64 SHA-256
+ */
+const fileHash = (chunkHashes) => {
+  const hash = crypto.createHash('sha256');
+  for (const chunkHash of chunkHashes) {
+    hash.update(Buffer.from(chunkHash, 'base64'));
+  }
+  return hash.digest('base64');
+};
+
+/**
+ * Reference the blob with this hash, writing the content only if it is not stored yet
+ * @param {string} sha256 - File hash
+ * @param {Function} write - async (key) => { size }: stores the content under key
+ * @returns {Promise<Object>} { key, size, deduplicated }
+ */
+const storeBlob = async (sha256, write) => {
+  const existing = await StoredBlob.findOne({ sha256 }, 'key size');
+
+  let written = null;
+  if (!existing) {
+    const key = newBlobKey(sha256);
+    written = { key, ...(await write(key)) };
+  }
+
+  const blob = await StoredBlob.findOneAndUpdate(
+    { sha256 },
+    {
+      $inc: { refCount: 1 },
+      $setOnInsert: { key: written ? written.key : newBlobKey(sha256), size: written ? written.size : existing.size }
+    },
+    { upsert: true, new: true }
+  );
+
+  let deduplicated = true;
+  if (written && blob.key !== written.key) {
+    // The same content was stored concurrently - keep theirs
+    await storage.remove(written.key);
+  } else if (!written && blob.refCount === 1) {
+    // The blob we found lost its last reference in the meantime - store it again
+    await write(blob.key);
+    deduplicated = false;
+  } else if (written) {
+    deduplicated = false;
+  }
+
+  return { key: blob.key, size: blob.size, deduplicated };
+};
+
+/**
+ * Drop a file's reference to its blob, removing the blob with its last reference
+ * Files without a hash own their blob alone
+ * @param {Object} file - { filename, sha256 }
+ */
+const releaseBlob = async (file) => {
+  const blob = file.sha256
+    ? await StoredBlob.findOneAndUpdate({ sha256: file.sha256 }, { $inc: { refCount: -1 } }, { new: true })
+    : null;
+
+  if (!blob) {
+    await storage.remove(file.filename);
+    return;
+  }
+
+  if (blob.refCount <= 0) {
+    const { deletedCount } = await StoredBlob.deleteOne({ _id: blob._id, refCount: { $lte: 0 } });
+    if (deletedCount > 0) {
+      await storage.remove(blob.key);
+    }
+  }
+};
+
+module.exports = {
+  fileHash,
+  storeBlob,
+  releaseBlob
+};
@@ -0,0 +1,40 @@
+/**
+ * Contacts
+ * ========
+ *
+ * The users whose clients encrypt to a user's devices: everyone they have
+ * exchanged direct messages or files with, and the members of their groups.
+ * Device and key change events go to these users (and the user's own
+ * devices) instead of every connected socket.
+ */
+
+const Message = require('../models/Message');
+const File = require('../models/File');
+const Group = require('../models/Group');
+
+/**
+ * IDs of a user's contacts (never the user themselves)
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+const findContactIds = async (userId) => {
+  const [messagedTo, messagedFrom, filesTo, filesFrom, groups] = await Promise.all([
+    Message.distinct('recipient', { sender: userId, group: null }),
+    Message.distinct('sender', { recipient: userId, group: null }),
+    File.distinct('recipient', { sender: userId, recipient: { $ne: null } }),
+    File.distinct('sender', { recipient: userId }),
+    Group.find({ 'members.user': userId }, 'members.user')
+  ]);
+
+  const contacts = new Set([...messagedTo, ...messagedFrom, ...filesTo, ...filesFrom].map(String));
+  for (const group of groups) {
+    for (const member of group.members) {
+      contacts.add(String(member.user));
+    }
+  }
+  contacts.delete(String(userId));
+
+  return [...contacts];
+};
+
+module.exports = { findContactIds };
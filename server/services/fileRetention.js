@@ -0,0 +1,134 @@
+/**
+ * File Retention & Storage Quotas
+ * ===============================
+ *
+ * Files can be deleted by their sender or expire after the retention period
+ * chosen at upload. Either way the database record, the encrypted blob and
+ * any share links go together. Every user has a storage quota; open upload
+ * sessions count against it so parallel uploads cannot overshoot it.
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const ShareLink = require('../models/ShareLink');
+const UploadSession = require('../models/UploadSession');
+const logger = require('./logger');
+const { releaseBlob } = require('./blobStore');
+const { storage } = require('./storage');
+
+const USER_QUOTA_BYTES = parseInt(process.env.USER_QUOTA_BYTES, 10) || 10 * 1024 * 1024 * 1024; // 10GB
+const MIN_FILE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAX_FILE_TTL_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 100;
+
+let sweepTimer = null;
+
+// Retention is optional: null keeps the file until its sender deletes it
+const isValidFileTtl = (ttlMs) =>
+  ttlMs === null || (Number.isInteger(ttlMs) && ttlMs >= MIN_FILE_TTL_MS && ttlMs <= MAX_FILE_TTL_MS);
+
+/**
+ * Delete a file's record, its share links, its thumbnail and its reference to
+ * the encrypted blob (the blob goes with its last reference). The record goes
+ * first - once it is gone nobody can start a download
+ * @param {Object} file - File document
+ */
+const deleteStoredFile = async (file) => {
+  await File.deleteOne({ _id: file._id });
+  await ShareLink.deleteMany({ file: file._id });
+  if (file.thumbnail) {
+    await storage.remove(file.thumbnail.key);
+  }
+  await releaseBlob(file);
+};
+
+/**
+ * Storage used by a user
+ * @param {string} userId
+ * @returns {Promise<Object>} { used, reserved, quota, files } in bytes
+ *   used: stored files (older records count their metadata size),
+ *   reserved: padded size of unfinished uploads
+ */
+const getStorageUsage = async (userId) => {
+  const sender = new mongoose.Types.ObjectId(String(userId));
+
+  const [files] = await File.aggregate([
+    { $match: { sender } },
+    {
+      $group: {
+        _id: null,
+        bytes: { $sum: { $ifNull: ['$storedSize', '$metadata.size'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const [sessions] = await UploadSession.aggregate([
+    { $match: { sender, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: null, bytes: { $sum: '$metadata.size' } } }
+  ]);
+
+  return {
+    used: files?.bytes || 0,
+    reserved: sessions?.bytes || 0,
+    quota: USER_QUOTA_BYTES,
+    files: files?.count || 0
+  };
+};
+
+/**
+ * Whether a user can store another `bytes` bytes
+ * @param {string} userId
+ * @param {number} bytes
+ * @returns {Promise<Object>} { allowed, usage }
+ */
+const checkQuota = async (userId, bytes) => {
+  const usage = await getStorageUsage(userId);
+  return { allowed: usage.used + usage.reserved + bytes <= usage.quota, usage };
+};
+
+// Remove one batch of expired files (the next sweep picks up the rest)
+const sweepExpiredFiles = async () => {
+  const expired = await File.find({ expiresAt: { $ne: null, $lte: new Date() } })
+    .limit(SWEEP_BATCH_SIZE)
+    .select('_id sender filename sha256 thumbnail');
+
+  let removed = 0;
+  for (const file of expired) {
+    try {
+      await deleteStoredFile(file);
+      removed++;
+    } catch (error) {
+      console.error('Expired file removal error:', error);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`[Retention] Removed ${removed} expired file(s)`);
+    await logger.log('FILE_DELETED', { details: { reason: 'expired', count: removed } });
+  }
+  return removed;
+};
+
+/**
+ * Start the background sweeper (once - safe to call on every DB reconnect)
+ */
+const startFileSweeper = () => {
+  if (sweepTimer) return;
+
+  const sweep = () => sweepExpiredFiles().catch(error => console.error('File sweeper error:', error));
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweep();
+};
+
+module.exports = {
+  MIN_FILE_TTL_MS,
+  MAX_FILE_TTL_MS,
+  isValidFileTtl,
+  deleteStoredFile,
+  getStorageUsage,
+  checkQuota,
+  sweepExpiredFiles,
+  startFileSweeper
+};
@@ -0,0 +1,57 @@
+/**
+ * Identity Key Fingerprints
+ * =========================
+ *
+ * Same algorithm as the client's safety numbers (client/src/crypto/safetyNumber.js),
+ * so fingerprints in the security log match what users compare out-of-band.
+ *
+ * fingerprint = SHA-512^5200(version || keys || userId), first 30 bytes, base64
+ *
+ * keys is the sorted list of the given identity key sets - a single device's keys
+ * fingerprint as a one-device set.
+ */
+
+const crypto = require('crypto');
+
+const SAFETY_NUMBER_VERSION = 'CryptShare-SN-v2';
+const FINGERPRINT_ITERATIONS = 5200;
+const FINGERPRINT_BYTES = 30;
+
+// Public key fields in a fixed order (matches the client)
+const canonicalPublicKey = (jwk) => ({ kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y });
+
+/**
+ * Compute the identity fingerprint of a user's public keys
+ * @param {string} userId
+ * @param {Object|Object[]} keySets - { signing, keyExchange } JWKs, or a list of them (one per device)
+ * @returns {string|null} Base64 fingerprint (null if keys are missing)
+ */
+const identityFingerprint = (userId, keySets) => {
+  const list = Array.isArray(keySets) ? keySets : [keySets];
+  if (list.length === 0 || list.some(keys => !keys?.signing || !keys?.keyExchange)) {
+    return null;
+  }
+
+  // One entry per device, sorted (matches the client)
+  const entries = list
+    .map(keys => JSON.stringify({
+      signing: canonicalPublicKey(keys.signing),
+      keyExchange: canonicalPublicKey(keys.keyExchange)
+    }))
+    .sort();
+  const keyBytes = Buffer.from('[' + entries.join(',') + ']');
+
+  let hash = crypto.createHash('sha512')
+    .update(SAFETY_NUMBER_VERSION)
+    .update(keyBytes)
+    .update(String(userId))
+    .digest();
+
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = crypto.createHash('sha512').update(hash).update(keyBytes).digest();
+  }
+
+  return hash.subarray(0, FINGERPRINT_BYTES).toString('base64');
+};
+
+module.exports = { identityFingerprint };
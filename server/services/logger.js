@@ -51,17 +51,33 @@ const eventSeverity = {
   KEY_EXCHANGE_RESPONSE: 'INFO',
   KEY_EXCHANGE_COMPLETE: 'INFO',
   KEY_EXCHANGE_FAILED: 'WARNING',
+  PREKEYS_UPLOADED: 'INFO',
+  PREKEYS_LOW: 'WARNING',
+  DEVICE_REGISTERED: 'INFO',
+  DEVICE_REVOKED: 'WARNING',
+  KEY_BACKUP_UPLOADED: 'INFO',
+  KEY_BACKUP_DOWNLOADED: 'INFO',
   
   // Messaging - DEBUG/INFO
   MESSAGE_SENT: 'DEBUG',
   MESSAGE_RECEIVED: 'DEBUG',
   MESSAGE_DECRYPTION_FAILED: 'ERROR',
+  MESSAGE_EDITED: 'DEBUG',
+  MESSAGE_DELETED: 'INFO',
+  GROUP_CREATED: 'INFO',
+  GROUP_MEMBERS_CHANGED: 'INFO',
   
   // Files - INFO
   FILE_UPLOADED: 'INFO',
   FILE_DOWNLOADED: 'INFO',
   FILE_ENCRYPTION_FAILED: 'ERROR',
   FILE_DECRYPTION_FAILED: 'ERROR',
+  FILE_DELETED: 'INFO',
+  FILE_SHARED: 'INFO',
+  FILE_DIRECT_TRANSFER: 'INFO',
+  SHARE_LINK_CREATED: 'INFO',
+  SHARE_LINK_ACCESSED: 'INFO',
+  SHARE_LINK_DENIED: 'WARNING',
   
   // Security Attacks - CRITICAL
   REPLAY_ATTACK_NONCE: 'CRITICAL',
@@ -96,13 +112,29 @@ const eventIcons = {
   KEY_EXCHANGE_RESPONSE: '🤝',
   KEY_EXCHANGE_COMPLETE: '✅',
   KEY_EXCHANGE_FAILED: '❌',
+  PREKEYS_UPLOADED: '🗝️',
+  PREKEYS_LOW: '🪫',
+  DEVICE_REGISTERED: '📱',
+  DEVICE_REVOKED: '🚫',
+  KEY_BACKUP_UPLOADED: '💾',
+  KEY_BACKUP_DOWNLOADED: '💾',
   MESSAGE_SENT: '📤',
   MESSAGE_RECEIVED: '📥',
   MESSAGE_DECRYPTION_FAILED: '⚠️',
+  MESSAGE_EDITED: '✏️',
+  MESSAGE_DELETED: '🗑️',
+  GROUP_CREATED: '👥',
+  GROUP_MEMBERS_CHANGED: '👥',
   FILE_UPLOADED: '📁',
   FILE_DOWNLOADED: '📂',
   FILE_ENCRYPTION_FAILED: '⚠️',
   FILE_DECRYPTION_FAILED: '⚠️',
+  FILE_DELETED: '🗑️',
+  FILE_SHARED: '↪️',
+  FILE_DIRECT_TRANSFER: '⚡',
+  SHARE_LINK_CREATED: '🔗',
+  SHARE_LINK_ACCESSED: '🔗',
+  SHARE_LINK_DENIED: '⛔',
   REPLAY_ATTACK_NONCE: '🚨',
   REPLAY_ATTACK_TIMESTAMP: '🚨',
   REPLAY_ATTACK_SEQUENCE: '🚨',
@@ -309,19 +341,20 @@ async function logMessageDecryptionFailed(userId, senderId, reason) {
 }
 
 // File events
-async function logFileUploaded(userId, targetUserId, fileId, filename, size) {
+// File names are never logged - size is the padded size for encrypted metadata
+async function logFileUploaded(userId, targetUserId, fileId, size) {
   return log('FILE_UPLOADED', {
     userId,
     targetUserId,
-    details: { fileId, filename, size },
+    details: { fileId, size },
     success: true
   });
 }
 
-async function logFileDownloaded(userId, fileId, filename) {
+async function logFileDownloaded(userId, fileId) {
   return log('FILE_DOWNLOADED', {
     userId,
-    details: { fileId, filename },
+    details: { fileId },
     success: true
   });
 }
@@ -0,0 +1,66 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local disk storage - blobs are files under `root`, keys are relative paths
+ * @param {Object} options - { root }
+ */
+const createDiskStorage = ({ root }) => {
+  const base = path.resolve(root);
+
+  // Keys never escape the storage directory
+  const resolve = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'disk',
+
+    // Written to a temporary file first - only a complete blob replaces the stored one
+    async save(key, source) {
+      const filePath = resolve(key);
+      const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.part`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        await pipeline(source, fs.createWriteStream(tempPath));
+        const { size } = await fs.promises.stat(tempPath);
+        await fs.promises.rename(tempPath, filePath);
+        return { size };
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    async openReadStream(key, range) {
+      return fs.createReadStream(resolve(key), range && { start: range.start, end: range.end });
+    },
+
+    async stat(key) {
+      try {
+        const { size } = await fs.promises.stat(resolve(key));
+        return { size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    async removePrefix(prefix) {
+      await fs.promises.rm(resolve(prefix), { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = createDiskStorage;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * GridFS storage in the application's MongoDB - keys are GridFS filenames
+ * @param {Object} options - { bucketName }
+ */
+const createGridFSStorage = ({ bucketName }) => {
+  // Created per use - the connection may not be open yet when the server starts
+  const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+  const removeWhere = async (filter) => {
+    const files = await bucket().find(filter, { projection: { _id: 1 } }).toArray();
+    for (const file of files) {
+      await bucket().delete(file._id);
+    }
+  };
+
+  return {
+    name: 'gridfs',
+
+    // A new revision is written, then older revisions of the key are dropped
+    async save(key, source) {
+      const upload = bucket().openUploadStream(key);
+      try {
+        await pipeline(source, upload);
+      } catch (error) {
+        await upload.abort().catch(() => {});
+        throw error;
+      }
+
+      await removeWhere({ filename: key, _id: { $ne: upload.id } });
+      return { size: upload.length };
+    },
+
+    // GridFS ranges end exclusively, HTTP ranges inclusively
+    async openReadStream(key, range) {
+      return bucket().openDownloadStreamByName(key, range && { start: range.start, end: range.end + 1 });
+    },
+
+    async stat(key) {
+      const [file] = await bucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+      return file ? { size: file.length } : null;
+    },
+
+    async remove(key) {
+      await removeWhere({ filename: key });
+    },
+
+    async removePrefix(prefix) {
+      await removeWhere({ filename: { $regex: `^${escapeRegex(prefix)}` } });
+    }
+  };
+};
+
+module.exports = createGridFSStorage;
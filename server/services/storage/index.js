@@ -0,0 +1,112 @@
+/**
+ * Blob Storage
+ * ============
+ *
+ * Encrypted file contents (and the chunks of unfinished uploads) are kept
+ * in a storage backend selected with STORAGE_BACKEND:
+ *
+ * - disk (default): files under STORAGE_DISK_PATH (server/uploads)
+ * - gridfs: GridFS bucket STORAGE_GRIDFS_BUCKET in the application's MongoDB
+ * - s3: bucket S3_BUCKET on AWS S3 or any S3-compatible service such as MinIO
+ *   (S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX)
+ *
+ * Every backend implements the same interface, with '/'-separated keys:
+ *   save(key, readable)          -> { size }  stored only if the stream completes
+ *   openReadStream(key, range?)  -> Readable  range = { start, end } (inclusive)
+ *   stat(key)                    -> { size } or null if missing
+ *   remove(key)                  -> missing keys are not an error
+ *   removePrefix(prefix)         -> every key starting with prefix
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const createDiskStorage = require('./diskStorage');
+const createGridFSStorage = require('./gridfsStorage');
+const createS3Storage = require('./s3Storage');
+
+const backends = {
+  disk: () => createDiskStorage({
+    root: process.env.STORAGE_DISK_PATH || path.join(__dirname, '../../uploads')
+  }),
+  gridfs: () => createGridFSStorage({
+    bucketName: process.env.STORAGE_GRIDFS_BUCKET || 'blobs'
+  }),
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    prefix: process.env.S3_PREFIX || '',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION || 'us-east-1',
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : Boolean(process.env.S3_ENDPOINT),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  })
+};
+
+const createStorage = (backend = process.env.STORAGE_BACKEND || 'disk') => {
+  if (!backends[backend]) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${Object.keys(backends).join(', ')})`);
+  }
+  const adapter = backends[backend]();
+
+  // Read several blobs back to back as one stream
+  async function* readAll(keys) {
+    for (const key of keys) {
+      yield* await adapter.openReadStream(key);
+    }
+  }
+
+  return {
+    ...adapter,
+
+    /**
+     * Store the concatenation of existing blobs under a new key
+     * @param {string} key - Key of the new blob
+     * @param {string[]} keys - Blobs to join, in order
+     */
+    concat: (key, keys) => adapter.save(key, Readable.from(readAll(keys)))
+  };
+};
+
+const storage = createStorage();
+console.log(`[Storage] Using ${storage.name} storage for encrypted files`);
+
+/**
+ * Send a stored blob as the response body
+ * @param {Object} res - Express response
+ * @param {string} key - Blob key
+ * @param {number} size - Blob size (from storage.stat)
+ * @param {Array|null} ranges - Result of req.range() (null: the whole blob)
+ */
+const sendBlob = async (res, key, size, ranges) => {
+  // Like res.sendFile, several ranges are answered with the whole blob
+  const range = ranges && ranges.length === 1 ? ranges[0] : null;
+
+  res.set({ 'Accept-Ranges': 'bytes', 'Content-Type': 'application/octet-stream' });
+  if (range) {
+    res.status(206).set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.set('Content-Length', size);
+  }
+
+  if (size === 0) {
+    return res.end();
+  }
+
+  const stream = await storage.openReadStream(key, range);
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // The client went away (or the backend failed) mid-download - the response is already closed
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Blob stream error:', error);
+    }
+  }
+};
+
+module.exports = { storage, createStorage, sendBlob };
@@ -0,0 +1,100 @@
+const { Transform } = require('stream');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...) - keys are object keys under `prefix`
+ * @param {Object} options - { bucket, prefix, endpoint, region, forcePathStyle, accessKeyId, secretAccessKey }
+ */
+const createS3Storage = ({ bucket, prefix = '', endpoint, region, forcePathStyle, accessKeyId, secretAccessKey }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted services only support path-style URLs
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  const isNotFound = (error) => error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: 's3',
+
+    // Multipart upload of unknown length - S3 only creates the object once every part is in,
+    // and a failed upload is aborted (no partial object is left behind)
+    async save(key, source) {
+      let size = 0;
+      const counter = new Transform({
+        transform(data, encoding, callback) {
+          size += data.length;
+          callback(null, data);
+        }
+      });
+      source.on('error', error => counter.destroy(error));
+
+      await new Upload({
+        client,
+        params: { Bucket: bucket, Key: objectKey(key), Body: source.pipe(counter) }
+      }).done();
+
+      return { size };
+    },
+
+    async openReadStream(key, range) {
+      const { Body } = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        ...(range && { Range: `bytes=${range.start}-${range.end}` })
+      }));
+      return Body;
+    },
+
+    async stat(key) {
+      try {
+        const { ContentLength } = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return { size: ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+
+    // One listing page holds at most 1000 keys - the most a batch delete accepts
+    async removePrefix(keyPrefix) {
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: objectKey(keyPrefix),
+          ContinuationToken
+        }));
+        if (page.Contents?.length) {
+          await client.send(new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: page.Contents.map(({ Key }) => ({ Key })), Quiet: true }
+          }));
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+    }
+  };
+};
+
+module.exports = createS3Storage;